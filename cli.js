@@ -0,0 +1,103 @@
+// 운영용 명령줄 도구 (서버와 같은 DB_PATH 사용)
+// node cli.js backup [파일]                       온라인 백업 (기본: data/backups/game-<시각>.db)
+// node cli.js export [파일] [--include-secrets]   유저/랭킹/레이팅/경기 기록을 JSON 아카이브로 (기본: data/exports/archive-<시각>.json)
+// node cli.js import <파일>                       아카이브를 검증한 뒤 빈 DB에 복원
+// node cli.js prune-sessions                      만료된 세션 삭제
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const db = require('./db');
+const archive = require('./utils/archive');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const USAGE = `사용법:
+  node cli.js backup [파일]
+  node cli.js export [파일] [--include-secrets]
+  node cli.js import <파일>
+  node cli.js prune-sessions`;
+
+/**
+ * 파일 이름용 시각 (예: 20250101-093000)
+ */
+function fileTimestamp(now = new Date()) {
+  return now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+function ensureParentDir(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+}
+
+async function runBackup(args) {
+  const destination = args[0] || path.join(DATA_DIR, 'backups', `game-${fileTimestamp()}.db`);
+  ensureParentDir(destination);
+  await db.backup(destination);
+  console.log(`💾 백업 완료: ${destination}`);
+}
+
+function runExport(args, flags) {
+  const destination = args[0] || path.join(DATA_DIR, 'exports', `archive-${fileTimestamp()}.json`);
+  // 마이그레이션 전에도 내보낼 수 있도록 스키마는 건드리지 않음
+  db.init({ readonly: true });
+  const includeSecrets = flags.has('--include-secrets');
+  const data = archive.buildArchive(db.exportArchiveData(), { includeSecrets });
+  // 만든 아카이브도 가져올 때와 같은 스키마로 확인
+  archive.parseArchive(data);
+  ensureParentDir(destination);
+  fs.writeFileSync(destination, JSON.stringify(data, null, 2));
+  db.close();
+  console.log(`📦 내보내기 완료: ${destination} (유저 ${data.users.length}, 경기 ${data.matches.length}${includeSecrets ? `, 비밀번호 해시와 일회용 코드 ${data.accountCodes.length}개 포함` : ''})`);
+}
+
+function runImport(args) {
+  if (!args[0]) throw new Error('가져올 아카이브 파일을 지정하세요.');
+  const parsed = archive.parseArchive(JSON.parse(fs.readFileSync(args[0], 'utf8')));
+  db.init();
+  const counts = db.importArchiveData(parsed);
+  db.close();
+  console.log(`📥 가져오기 완료: 유저 ${counts.users}, 랭킹 ${counts.rankings}, 레이팅 ${counts.ratings}, 경기 ${counts.matches}, 일회용 코드 ${counts.accountCodes}`);
+  if (!parsed.includesSecrets) {
+    console.log('⚠️ 비밀번호 해시 없이 내보낸 아카이브입니다. 계정은 관리자 재설정 토큰으로 비밀번호를 다시 설정해야 로그인할 수 있습니다.');
+  } else if (!parsed.accountCodes) {
+    console.log('⚠️ 복구 코드/백업 코드 없이 내보낸 아카이브입니다. 복구 코드는 다시 발급해야 하고, 2단계 인증 계정은 인증 앱으로만 로그인할 수 있습니다.');
+  }
+}
+
+function runPruneSessions() {
+  db.init();
+  const deleted = db.deleteExpiredSessions();
+  db.close();
+  console.log(`🧹 만료된 세션 ${deleted}개 삭제`);
+}
+
+const commands = {
+  backup: runBackup,
+  export: runExport,
+  import: runImport,
+  'prune-sessions': runPruneSessions
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const flags = new Set(rest.filter(arg => arg.startsWith('--')));
+  const args = rest.filter(arg => !arg.startsWith('--'));
+  if (!commands[command]) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+  try {
+    await commands[command](args, flags);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      console.error('❌ 아카이브 형식이 올바르지 않습니다.');
+      for (const issue of error.issues.slice(0, 20)) console.error(`  - ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    } else {
+      console.error(`❌ ${command} 실패:`, error.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
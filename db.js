@@ -2,20 +2,64 @@ require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
 const Database = require('better-sqlite3');
+const migrations = require('./utils/migrations');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const DB_FILE = process.env.DB_PATH || path.join(DATA_DIR, 'game.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
 let db = null;
+// 계정이 바뀌면 부르는 함수 (여러 인스턴스가 같은 DB를 쓸 때 다른 인스턴스의 캐시를 갱신하도록 알림)
+let userChangeListener = null;
 
-function init() {
+/**
+ * DB 열기, 기본 스키마 생성, 마이그레이션 적용
+ * dryRun이면 실제 파일은 바꾸지 않고 메모리 복사본에 적용해 어떤 마이그레이션이 적용될지만 확인한다.
+ * readonly면 스키마는 건드리지 않고 읽기만 한다 (마이그레이션 전에 내보내기).
+ * @param {{ dryRun?: boolean, readonly?: boolean }} [options]
+ * @returns {{ from: number, to: number, applied: { version: number, name: string, description: string }[] }}
+ */
+function init(options = {}) {
+  const { dryRun = false, readonly = false } = options;
   if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
   }
-  db = new Database(DB_FILE);
-  db.pragma('journal_mode = WAL');
-  db.pragma('synchronous = NORMAL');
+  if (readonly) {
+    db = new Database(DB_FILE, { readonly: true, fileMustExist: true });
+    const available = migrations.loadMigrations(MIGRATIONS_DIR);
+    migrations.assertSupported(db, available);
+    const version = migrations.currentVersion(db);
+    return { from: version, to: version, applied: [] };
+  }
+  if (dryRun) {
+    const source = fs.existsSync(DB_FILE) ? new Database(DB_FILE, { readonly: true }) : null;
+    const image = source ? source.serialize() : null;
+    if (source) source.close();
+    // WAL 모드 표시(헤더 18~19바이트)가 남아 있으면 메모리 DB로 열 수 없으므로 일반 저널 모드로 바꿈
+    if (image) image[18] = image[19] = 1;
+    db = image ? new Database(image) : new Database(':memory:');
+  } else {
+    db = new Database(DB_FILE);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+  }
+
+  // 코드보다 새 스키마면 아무것도 바꾸기 전에 중단
+  const available = migrations.loadMigrations(MIGRATIONS_DIR);
+  migrations.assertSupported(db, available);
+  createBaseSchema();
+  const result = migrations.migrate(db, available);
+  for (const migration of result.applied) {
+    console.log(`🧱 마이그레이션 ${dryRun ? '적용 예정' : '적용'}: ${migration.name} (${migration.description})`);
+  }
+  return result;
+}
 
+/**
+ * 스키마 버전 관리 이전부터 있던 기본 테이블 (이미 있으면 그대로 둠)
+ * 새 테이블/컬럼은 여기가 아니라 migrations/ 에 파일로 추가한다.
+ */
+function createBaseSchema() {
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
       userId INTEGER PRIMARY KEY,
@@ -45,29 +89,150 @@ function init() {
   `);
 }
 
+/**
+ * 온라인 백업 (SQLite 백업 API라서 서버가 쓰는 중이어도 일관된 사본)
+ * init 전에도 쓸 수 있어 마이그레이션을 적용하기 전의 DB를 그대로 백업한다.
+ * @returns {Promise<{ totalPages: number, remainingPages: number }>}
+ */
+async function backup(destination) {
+  const source = db || new Database(DB_FILE, { readonly: true, fileMustExist: true });
+  try {
+    return await source.backup(destination);
+  } finally {
+    if (source !== db) source.close();
+  }
+}
+
+/**
+ * 아카이브로 내보낼 데이터 (유저, 랭킹, 레이팅, 경기 기록, 복구/백업 코드 해시)
+ */
+function exportArchiveData() {
+  // 마이그레이션 전 DB에는 006 이후 테이블이 아직 없으므로 빈 목록으로 내보냄
+  const rowsOf = (table, sql) => db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table) ? db.prepare(sql).all() : [];
+  return {
+    schemaVersion: migrations.currentVersion(db),
+    users: Array.from(loadUsers().values()),
+    rankings: loadRankings(),
+    ratings: rowsOf('ratings', 'SELECT userId, rating, rd, games, lastPlayedAt FROM ratings ORDER BY userId'),
+    matches: rowsOf('matches', 'SELECT * FROM matches ORDER BY matchId'),
+    accountCodes: rowsOf('account_codes', `SELECT userId, kind, codeHash, createdAt, usedAt FROM account_codes
+      WHERE kind IN ('recovery', 'backup') ORDER BY userId, kind, codeHash`)
+  };
+}
+
+// 비밀 정보 없이 내보낸 계정의 비밀번호 (bcrypt 해시가 아니므로 어떤 비밀번호로도 로그인 불가)
+const UNUSABLE_PASSWORD = '!';
+
+/**
+ * 검증한 아카이브를 빈 DB에 한 트랜잭션으로 가져오기
+ * @returns {{ users: number, rankings: number, ratings: number, matches: number, accountCodes: number }}
+ */
+function importArchiveData(archive) {
+  return transaction(() => {
+    const existing = db.prepare(`SELECT (SELECT COUNT(*) FROM users) + (SELECT COUNT(*) FROM rankings) + (SELECT COUNT(*) FROM sessions)
+      + (SELECT COUNT(*) FROM ratings) + (SELECT COUNT(*) FROM matches) + (SELECT COUNT(*) FROM account_codes) AS n`).get().n;
+    if (existing > 0) throw new Error('비어 있는 DB에만 가져올 수 있습니다.');
+
+    upsertUsers(new Map(archive.users.map(user => [user.userId, {
+      ...user,
+      password: user.password || UNUSABLE_PASSWORD,
+      totpSecret: user.totpSecret || null,
+      totpEnabledAt: user.totpSecret ? user.totpEnabledAt || null : null,
+      totpLastStep: null
+    }])));
+    upsertRankings({ mock: new Map(archive.rankings.mock), formal: new Map(archive.rankings.formal) });
+    for (const { userId, ...record } of archive.ratings) upsertRating(userId, record);
+    const insertMatchRow = db.prepare(`INSERT INTO matches (matchId, gameId, mode, player1Id, player1Name, player1TrophyDelta, player2Id, player2Name, player2TrophyDelta, winner, reason, startedAt, endedAt, durationMs)
+      VALUES (@matchId, @gameId, @mode, @player1Id, @player1Name, @player1TrophyDelta, @player2Id, @player2Name, @player2TrophyDelta, @winner, @reason, @startedAt, @endedAt, @durationMs)
+    `);
+    for (const match of archive.matches) insertMatchRow.run(match);
+    const accountCodes = archive.accountCodes || [];
+    const insertAccountCode = db.prepare('INSERT INTO account_codes (userId, kind, codeHash, createdAt, usedAt) VALUES (@userId, @kind, @codeHash, @createdAt, @usedAt)');
+    for (const accountCode of accountCodes) insertAccountCode.run(accountCode);
+    return {
+      users: archive.users.length,
+      rankings: archive.rankings.mock.length + archive.rankings.formal.length,
+      ratings: archive.ratings.length,
+      matches: archive.matches.length,
+      accountCodes: accountCodes.length
+    };
+  });
+}
+
+/**
+ * 종료 시 DB 닫기 (WAL 체크포인트)
+ */
+function close() {
+  if (db && db.open) db.close();
+}
+
 function hasAnyData() {
   const row = db.prepare('SELECT (SELECT COUNT(*) FROM users) AS u, (SELECT COUNT(*) FROM rankings) AS r, (SELECT COUNT(*) FROM sessions) AS s').get();
   return (row.u + row.r + row.s) > 0;
 }
 
+/**
+ * users 행 -> 메모리 userData
+ */
+function userFromRow(r) {
+  return {
+    userId: r.userId,
+    username: r.username,
+    nickname: r.nickname,
+    password: r.password,
+    icon: r.icon || '👤',
+    trophies: { mock: r.trophiesMock || 0, formal: r.trophiesFormal || 0 },
+    lastNicknameChange: r.lastNicknameChange || 0,
+    createdAt: r.createdAt,
+    role: r.role || 'user',
+    bannedAt: r.bannedAt || null,
+    banReason: r.banReason || null,
+    matchSuspendedUntil: r.matchSuspendedUntil || null,
+    totpSecret: r.totpSecret || null,
+    totpEnabledAt: r.totpEnabledAt || null,
+    totpLastStep: r.totpLastStep ?? null,
+    stats: {
+      mock: { wins: r.statsMockWins || 0, losses: r.statsMockLosses || 0 },
+      formal: { wins: r.statsFormalWins || 0, losses: r.statsFormalLosses || 0 }
+    },
+    currentWinStreak: r.currentWinStreak || 0,
+    maxWinStreak: r.maxWinStreak || 0
+  };
+}
+
 function loadUsers() {
   const rows = db.prepare('SELECT * FROM users').all();
   const users = new Map();
   for (const r of rows) {
-    users.set(r.userId, {
-      userId: r.userId,
-      username: r.username,
-      nickname: r.nickname,
-      password: r.password,
-      icon: r.icon || '👤',
-      trophies: { mock: r.trophiesMock || 0, formal: r.trophiesFormal || 0 },
-      lastNicknameChange: r.lastNicknameChange || 0,
-      createdAt: r.createdAt
-    });
+    users.set(r.userId, userFromRow(r));
   }
   return users;
 }
 
+/**
+ * 계정 하나 (다른 인스턴스가 만들었거나 바꾼 계정을 읽을 때, 없으면 null)
+ */
+function getUser(userId) {
+  const row = db.prepare('SELECT * FROM users WHERE userId = ?').get(userId);
+  return row ? userFromRow(row) : null;
+}
+
+/**
+ * 아이디로 계정 번호 조회 (없으면 null)
+ */
+function getUserIdByUsername(username) {
+  const row = db.prepare('SELECT userId FROM users WHERE username = ?').get(username);
+  return row ? row.userId : null;
+}
+
+/**
+ * 닉네임으로 계정 번호 조회 (없으면 null)
+ */
+function getUserIdByNickname(nickname) {
+  const row = db.prepare('SELECT userId FROM users WHERE nickname = ? ORDER BY userId LIMIT 1').get(nickname);
+  return row ? row.userId : null;
+}
+
 function loadUsernamesIndex(users) {
   const idx = new Map();
   for (const [uid, u] of users) {
@@ -76,15 +241,35 @@ function loadUsernamesIndex(users) {
   return idx;
 }
 
+function sessionFromRow(r) {
+  return { userId: r.userId, expiresAt: r.expiresAt, lastUsedAt: r.lastUsedAt, createdAt: r.createdAt, userAgent: r.userAgent, ip: r.ip };
+}
+
 function loadSessions() {
   const rows = db.prepare('SELECT * FROM sessions').all();
   const sessions = new Map();
   for (const r of rows) {
-    sessions.set(r.sessionId, { userId: r.userId, expiresAt: r.expiresAt, lastUsedAt: r.lastUsedAt });
+    sessions.set(r.sessionId, sessionFromRow(r));
   }
   return sessions;
 }
 
+/**
+ * 세션 하나 (sessionId는 토큰 해시, 없으면 null)
+ */
+function getSession(sessionId) {
+  const row = db.prepare('SELECT * FROM sessions WHERE sessionId = ?').get(sessionId);
+  return row ? sessionFromRow(row) : null;
+}
+
+/**
+ * 계정의 세션 목록 (다른 인스턴스에서 발급한 세션 포함)
+ * @returns {Array<{ sessionId: string, userId: number, expiresAt: number|null, lastUsedAt: number|null, createdAt: number|null, userAgent: string|null, ip: string|null }>}
+ */
+function listUserSessions(userId) {
+  return db.prepare('SELECT * FROM sessions WHERE userId = ?').all(userId).map(r => ({ sessionId: r.sessionId, ...sessionFromRow(r) }));
+}
+
 function loadRankings() {
   const rows = db.prepare('SELECT * FROM rankings').all();
   const mock = new Map();
@@ -96,9 +281,172 @@ function loadRankings() {
   return { mock, formal };
 }
 
+// 메모리 userData 필드 -> users 컬럼 (updateUser로 바꿀 수 있는 필드만)
+const USER_COLUMNS = {
+  username: 'username',
+  nickname: 'nickname',
+  password: 'password',
+  icon: 'icon',
+  lastNicknameChange: 'lastNicknameChange',
+  role: 'role',
+  bannedAt: 'bannedAt',
+  banReason: 'banReason',
+  matchSuspendedUntil: 'matchSuspendedUntil',
+  totpSecret: 'totpSecret',
+  totpEnabledAt: 'totpEnabledAt',
+  totpLastStep: 'totpLastStep',
+  currentWinStreak: 'currentWinStreak',
+  maxWinStreak: 'maxWinStreak'
+};
+
+/**
+ * userData.stats -> users 전적 컬럼 값
+ */
+function statsColumnsOf(user) {
+  const stats = user.stats || {};
+  return {
+    statsMockWins: stats.mock?.wins || 0,
+    statsMockLosses: stats.mock?.losses || 0,
+    statsFormalWins: stats.formal?.wins || 0,
+    statsFormalLosses: stats.formal?.losses || 0,
+    currentWinStreak: user.currentWinStreak || 0,
+    maxWinStreak: user.maxWinStreak || 0
+  };
+}
+
+/**
+ * 함수를 하나의 트랜잭션으로 실행 (중간에 예외가 나면 모두 롤백)
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function transaction(fn) {
+  return db.transaction(fn)();
+}
+
+/**
+ * 계정 변경 알림 받기 (createUser, updateUser, setTrophies)
+ * @param {((userIds: number[]) => void) | null} listener
+ */
+function setUserChangeListener(listener) {
+  userChangeListener = listener;
+}
+
+function notifyUserChange(userIds) {
+  if (userChangeListener && userIds.length > 0) userChangeListener(userIds);
+}
+
+/**
+ * 새 계정 저장 (두 랭킹 카테고리에도 현재 점수로 등록)
+ * 계정 번호는 SQLite가 정하므로 여러 인스턴스가 동시에 가입시켜도 겹치지 않는다.
+ * @returns {number} 새 계정 번호
+ */
+function createUser(user) {
+  const userId = transaction(() => {
+    const { lastInsertRowid } = db.prepare(`INSERT INTO users (username, nickname, password, icon, trophiesMock, trophiesFormal, lastNicknameChange, createdAt, role,
+        statsMockWins, statsMockLosses, statsFormalWins, statsFormalLosses, currentWinStreak, maxWinStreak)
+      VALUES (@username, @nickname, @password, @icon, @trophiesMock, @trophiesFormal, @lastNicknameChange, @createdAt, @role,
+        @statsMockWins, @statsMockLosses, @statsFormalWins, @statsFormalLosses, @currentWinStreak, @maxWinStreak)
+    `).run({
+      username: user.username,
+      nickname: user.nickname,
+      password: user.password,
+      icon: user.icon || '👤',
+      trophiesMock: user.trophies?.mock || 0,
+      trophiesFormal: user.trophies?.formal || 0,
+      lastNicknameChange: user.lastNicknameChange || 0,
+      createdAt: user.createdAt,
+      role: user.role || 'user',
+      ...statsColumnsOf(user)
+    });
+    const newUserId = Number(lastInsertRowid);
+    // 정식 결투 순위는 ratings로 다시 만들므로 모의 결투 순위만 기록
+    db.prepare('INSERT OR REPLACE INTO rankings (category, userId, score) VALUES (?, ?, ?)').run('mock', newUserId, user.trophies?.mock || 0);
+    return newUserId;
+  });
+  notifyUserChange([userId]);
+  return userId;
+}
+
+/**
+ * 계정 필드 일부만 저장 (예: { nickname, lastNicknameChange })
+ * @param {Record<string, any>} fields - USER_COLUMNS에 있는 필드만 허용
+ */
+function updateUser(userId, fields) {
+  const names = Object.keys(fields);
+  if (names.length === 0) return;
+  for (const name of names) {
+    if (!USER_COLUMNS[name]) throw new Error(`알 수 없는 유저 필드: ${name}`);
+  }
+  const assignments = names.map(name => `${USER_COLUMNS[name]} = @${name}`).join(', ');
+  const params = Object.fromEntries(names.map(name => [name, fields[name] === undefined ? null : fields[name]]));
+  db.prepare(`UPDATE users SET ${assignments} WHERE userId = @userId`).run({ ...params, userId });
+  notifyUserChange([userId]);
+}
+
+/**
+ * 카테고리 점수 저장 (users의 증표와 랭킹을 함께 갱신)
+ * @param {'mock' | 'formal'} category
+ * @param {Array<[number, number]>} entries - [userId, score]
+ */
+function setTrophies(category, entries) {
+  const column = category === 'mock' ? 'trophiesMock' : 'trophiesFormal';
+  const updateUserScore = db.prepare(`UPDATE users SET ${column} = ? WHERE userId = ?`);
+  const upsertRank = db.prepare(`INSERT INTO rankings (category, userId, score) VALUES (?, ?, ?)
+    ON CONFLICT(category, userId) DO UPDATE SET score=excluded.score`);
+  transaction(() => {
+    for (const [userId, score] of entries) {
+      updateUserScore.run(score, userId);
+      upsertRank.run(category, userId, score);
+    }
+  });
+  notifyUserChange(entries.map(([userId]) => userId));
+}
+
+function updateTrophies(userId, category, score) {
+  setTrophies(category, [[userId, score]]);
+}
+
+/**
+ * 새 세션 저장 (sessionId는 토큰 해시)
+ */
+function insertSession(sessionId, record) {
+  db.prepare(`INSERT INTO sessions (sessionId, userId, expiresAt, lastUsedAt, createdAt, userAgent, ip, tokenHashed)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+  `).run(sessionId, record.userId, record.expiresAt || null, record.lastUsedAt || null, record.createdAt || null, record.userAgent || null, record.ip || null);
+}
+
+/**
+ * 세션 사용 시각과 만료 시각 연장
+ */
+function touchSession(sessionId, lastUsedAt, expiresAt) {
+  db.prepare('UPDATE sessions SET lastUsedAt = ?, expiresAt = ? WHERE sessionId = ?').run(lastUsedAt, expiresAt, sessionId);
+}
+
+/**
+ * 만료된 세션 삭제
+ * @returns {number} 삭제한 세션 수
+ */
+function deleteExpiredSessions(now = Date.now()) {
+  return db.prepare('DELETE FROM sessions WHERE expiresAt IS NOT NULL AND expiresAt < ?').run(now).changes;
+}
+
+/**
+ * 예전 JSON 파일(users/rankings/sessions)을 한 번에 가져오기 (빈 DB에서 한 번만)
+ */
+function importLegacySnapshot(usersMap, sessionsMap, rankings) {
+  transaction(() => {
+    upsertUsers(usersMap);
+    upsertSessions(sessionsMap);
+    upsertRankings(rankings);
+  });
+}
+
 function upsertUsers(usersMap) {
-  const stmt = db.prepare(`INSERT INTO users (userId, username, nickname, password, icon, trophiesMock, trophiesFormal, lastNicknameChange, createdAt)
-    VALUES (@userId, @username, @nickname, @password, @icon, @trophiesMock, @trophiesFormal, @lastNicknameChange, @createdAt)
+  const stmt = db.prepare(`INSERT INTO users (userId, username, nickname, password, icon, trophiesMock, trophiesFormal, lastNicknameChange, createdAt, role, bannedAt, banReason, matchSuspendedUntil, totpSecret, totpEnabledAt, totpLastStep,
+      statsMockWins, statsMockLosses, statsFormalWins, statsFormalLosses, currentWinStreak, maxWinStreak)
+    VALUES (@userId, @username, @nickname, @password, @icon, @trophiesMock, @trophiesFormal, @lastNicknameChange, @createdAt, @role, @bannedAt, @banReason, @matchSuspendedUntil, @totpSecret, @totpEnabledAt, @totpLastStep,
+      @statsMockWins, @statsMockLosses, @statsFormalWins, @statsFormalLosses, @currentWinStreak, @maxWinStreak)
     ON CONFLICT(userId) DO UPDATE SET
       username=excluded.username,
       nickname=excluded.nickname,
@@ -107,7 +455,20 @@ function upsertUsers(usersMap) {
       trophiesMock=excluded.trophiesMock,
       trophiesFormal=excluded.trophiesFormal,
       lastNicknameChange=excluded.lastNicknameChange,
-      createdAt=excluded.createdAt
+      createdAt=excluded.createdAt,
+      role=excluded.role,
+      bannedAt=excluded.bannedAt,
+      banReason=excluded.banReason,
+      matchSuspendedUntil=excluded.matchSuspendedUntil,
+      totpSecret=excluded.totpSecret,
+      totpEnabledAt=excluded.totpEnabledAt,
+      totpLastStep=excluded.totpLastStep,
+      statsMockWins=excluded.statsMockWins,
+      statsMockLosses=excluded.statsMockLosses,
+      statsFormalWins=excluded.statsFormalWins,
+      statsFormalLosses=excluded.statsFormalLosses,
+      currentWinStreak=excluded.currentWinStreak,
+      maxWinStreak=excluded.maxWinStreak
   `);
   const trx = db.transaction((arr) => {
     for (const u of arr) stmt.run(u);
@@ -123,19 +484,31 @@ function upsertUsers(usersMap) {
       trophiesMock: user.trophies?.mock || 0,
       trophiesFormal: user.trophies?.formal || 0,
       lastNicknameChange: user.lastNicknameChange || 0,
-      createdAt: user.createdAt
+      createdAt: user.createdAt,
+      role: user.role || 'user',
+      bannedAt: user.bannedAt || null,
+      banReason: user.banReason || null,
+      matchSuspendedUntil: user.matchSuspendedUntil || null,
+      totpSecret: user.totpSecret || null,
+      totpEnabledAt: user.totpEnabledAt || null,
+      totpLastStep: user.totpLastStep ?? null,
+      ...statsColumnsOf(user)
     });
   }
   trx(arr);
 }
 
 function upsertSessions(sessionsMap) {
-  const stmt = db.prepare(`INSERT INTO sessions (sessionId, userId, expiresAt, lastUsedAt)
-    VALUES (@sessionId, @userId, @expiresAt, @lastUsedAt)
+  const stmt = db.prepare(`INSERT INTO sessions (sessionId, userId, expiresAt, lastUsedAt, createdAt, userAgent, ip, tokenHashed)
+    VALUES (@sessionId, @userId, @expiresAt, @lastUsedAt, @createdAt, @userAgent, @ip, 1)
     ON CONFLICT(sessionId) DO UPDATE SET
       userId=excluded.userId,
       expiresAt=excluded.expiresAt,
-      lastUsedAt=excluded.lastUsedAt
+      lastUsedAt=excluded.lastUsedAt,
+      createdAt=excluded.createdAt,
+      userAgent=excluded.userAgent,
+      ip=excluded.ip,
+      tokenHashed=1
   `);
   const trx = db.transaction((arr) => {
     for (const s of arr) stmt.run(s);
@@ -143,14 +516,21 @@ function upsertSessions(sessionsMap) {
   const arr = [];
   for (const [sid, val] of sessionsMap) {
     if (typeof val === 'number') {
-      arr.push({ sessionId: sid, userId: val, expiresAt: null, lastUsedAt: null });
+      arr.push({ sessionId: sid, userId: val, expiresAt: null, lastUsedAt: null, createdAt: null, userAgent: null, ip: null });
     } else {
-      arr.push({ sessionId: sid, userId: val.userId, expiresAt: val.expiresAt || null, lastUsedAt: val.lastUsedAt || null });
+      arr.push({ sessionId: sid, userId: val.userId, expiresAt: val.expiresAt || null, lastUsedAt: val.lastUsedAt || null, createdAt: val.createdAt || null, userAgent: val.userAgent || null, ip: val.ip || null });
     }
   }
   trx(arr);
 }
 
+/**
+ * 세션 하나 삭제 (로그아웃/세션 해제)
+ */
+function deleteSession(sessionId) {
+  db.prepare('DELETE FROM sessions WHERE sessionId = ?').run(sessionId);
+}
+
 function upsertRankings(rankings) {
   const stmt = db.prepare(`INSERT INTO rankings (category, userId, score)
     VALUES (@category, @userId, @score)
@@ -169,16 +549,499 @@ function upsertRankings(rankings) {
   trx(arr);
 }
 
+/**
+ * 경기 기록 저장 (player1 = 호스트, player2 = 게스트, 게스트 계정이면 playerNId는 null)
+ */
+function insertMatch(match) {
+  db.prepare(`INSERT OR IGNORE INTO matches (gameId, mode, player1Id, player1Name, player1TrophyDelta, player2Id, player2Name, player2TrophyDelta, winner, reason, startedAt, endedAt, durationMs)
+    VALUES (@gameId, @mode, @player1Id, @player1Name, @player1TrophyDelta, @player2Id, @player2Name, @player2TrophyDelta, @winner, @reason, @startedAt, @endedAt, @durationMs)
+  `).run(match);
+}
+
+/**
+ * 유저의 경기 기록 조회 (최신순, 상대 필터 선택)
+ * @returns {{ total: number, matches: Object[] }}
+ */
+function getMatchesByUser(userId, { limit = 20, offset = 0, opponentId = null } = {}) {
+  const where = `(player1Id = @userId AND (@opponentId IS NULL OR player2Id = @opponentId))
+    OR (player2Id = @userId AND (@opponentId IS NULL OR player1Id = @opponentId))`;
+  const params = { userId, opponentId, limit, offset };
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM matches WHERE ${where}`).get(params);
+  const matches = db.prepare(`SELECT * FROM matches WHERE ${where} ORDER BY endedAt DESC, matchId DESC LIMIT @limit OFFSET @offset`).all(params);
+  return { total, matches };
+}
+
+/**
+ * 유저 레이팅 조회 (기록이 없으면 null)
+ * @returns {{ rating: number, rd: number, games: number, lastPlayedAt: number|null } | null}
+ */
+function getRating(userId) {
+  const row = db.prepare('SELECT rating, rd, games, lastPlayedAt FROM ratings WHERE userId = ?').get(userId);
+  return row || null;
+}
+
+/**
+ * 전체 레이팅 기록 (정식 결투 랭킹 구성용)
+ * @returns {Map<number, { rating: number, rd: number, games: number, lastPlayedAt: number|null }>}
+ */
+function loadRatings() {
+  const rows = db.prepare('SELECT userId, rating, rd, games, lastPlayedAt FROM ratings').all();
+  return new Map(rows.map(({ userId, ...record }) => [userId, record]));
+}
+
+/**
+ * 유저 레이팅 저장
+ */
+function upsertRating(userId, record) {
+  db.prepare(`INSERT INTO ratings (userId, rating, rd, games, lastPlayedAt)
+    VALUES (@userId, @rating, @rd, @games, @lastPlayedAt)
+    ON CONFLICT(userId) DO UPDATE SET
+      rating=excluded.rating,
+      rd=excluded.rd,
+      games=excluded.games,
+      lastPlayedAt=excluded.lastPlayedAt
+  `).run({ userId, ...record });
+}
+
+/**
+ * 경기 기록 단건 조회
+ */
+function getMatchByGameId(gameId) {
+  return db.prepare('SELECT * FROM matches WHERE gameId = ?').get(gameId) || null;
+}
+
+/**
+ * 리플레이 이벤트 로그 저장 (경기 종료 시 1회)
+ */
+function insertReplay(gameId, events) {
+  db.prepare('INSERT OR IGNORE INTO replays (gameId, events, createdAt) VALUES (?, ?, ?)')
+    .run(gameId, JSON.stringify(events), Date.now());
+}
+
+/**
+ * 리플레이 이벤트 로그 조회
+ * @returns {{ gameId: string, events: Object[], createdAt: number } | null}
+ */
+function getReplay(gameId) {
+  const row = db.prepare('SELECT * FROM replays WHERE gameId = ?').get(gameId);
+  if (!row) return null;
+  return { gameId: row.gameId, events: JSON.parse(row.events), createdAt: row.createdAt };
+}
+
+/**
+ * 진행 중인 시즌 (없으면 null)
+ * @returns {{ season: number, startsAt: number, endsAt: number, endedAt: number|null } | null}
+ */
+function getCurrentSeason() {
+  return db.prepare('SELECT * FROM seasons WHERE endedAt IS NULL ORDER BY season DESC LIMIT 1').get() || null;
+}
+
+/**
+ * 시즌 정보 조회
+ */
+function getSeason(season) {
+  return db.prepare('SELECT * FROM seasons WHERE season = ?').get(season) || null;
+}
+
+/**
+ * 시즌 목록 (최신순)
+ */
+function listSeasons() {
+  return db.prepare('SELECT * FROM seasons ORDER BY season DESC').all();
+}
+
+/**
+ * 새 시즌 저장 (같은 번호가 이미 있으면 그대로 두므로 여러 인스턴스가 동시에 시작해도 한 번만 저장)
+ * @returns {boolean} 저장했는지
+ */
+function insertSeason({ season, startsAt, endsAt }) {
+  return db.prepare('INSERT OR IGNORE INTO seasons (season, startsAt, endsAt, endedAt) VALUES (?, ?, ?, NULL)').run(season, startsAt, endsAt).changes > 0;
+}
+
+/**
+ * 시즌 종료: 카테고리별 최종 순위 보관과 종료 표시를 한 트랜잭션으로
+ * @param {number} season
+ * @param {Object<string, Array<{ rank: number, userId: number, nickname: string, score: number }>>} standingsByCategory
+ */
+function archiveSeason(season, standingsByCategory, endedAt = Date.now()) {
+  const stmt = db.prepare(`INSERT OR REPLACE INTO season_rankings (season, category, userId, nickname, score, rank)
+    VALUES (@season, @category, @userId, @nickname, @score, @rank)
+  `);
+  db.transaction(() => {
+    for (const [category, rows] of Object.entries(standingsByCategory)) {
+      for (const row of rows) stmt.run({ season, category, ...row });
+    }
+    db.prepare('UPDATE seasons SET endedAt = ? WHERE season = ?').run(endedAt, season);
+  })();
+}
+
+/**
+ * 보관된 시즌 최종 순위 (점수 내림차순, 같으면 userId 오름차순)
+ * after가 있으면 그 항목 다음부터, hasMore는 다음 페이지 존재 여부
+ * @returns {{ total: number, rankings: Object[], hasMore: boolean }}
+ */
+function getSeasonRankings(season, category, { limit = 50, offset = 0, after = null } = {}) {
+  const params = {
+    season,
+    category,
+    limit: limit + 1,
+    offset: after ? 0 : offset,
+    afterScore: after ? after.score : null,
+    afterUserId: after ? after.userId : null
+  };
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM season_rankings WHERE season = @season AND category = @category').get(params);
+  const rows = db.prepare(`SELECT userId, nickname, score, rank FROM season_rankings
+    WHERE season = @season AND category = @category
+      AND (@afterScore IS NULL OR score < @afterScore OR (score = @afterScore AND userId > @afterUserId))
+    ORDER BY score DESC, userId LIMIT @limit OFFSET @offset`).all(params);
+  return { total, rankings: rows.slice(0, limit), hasMore: rows.length > limit };
+}
+
+/**
+ * 유저의 지난 시즌 순위 (최신 시즌부터, total은 해당 시즌 카테고리 참가자 수)
+ */
+function getSeasonPlacements(userId) {
+  return db.prepare(`SELECT r.season, r.category, r.rank, r.score,
+      (SELECT COUNT(*) FROM season_rankings t WHERE t.season = r.season AND t.category = r.category) AS total
+    FROM season_rankings r WHERE r.userId = ? ORDER BY r.season DESC, r.category`).all(userId);
+}
+
+/**
+ * 토너먼트 저장 (대진표 전체를 JSON으로)
+ */
+function upsertTournament(tournament) {
+  db.prepare(`INSERT INTO tournaments (id, status, data, createdAt, updatedAt)
+    VALUES (@id, @status, @data, @createdAt, @updatedAt)
+    ON CONFLICT(id) DO UPDATE SET
+      status=excluded.status,
+      data=excluded.data,
+      updatedAt=excluded.updatedAt
+  `).run({
+    id: tournament.id,
+    status: tournament.status,
+    data: JSON.stringify(tournament),
+    createdAt: tournament.createdAt,
+    updatedAt: Date.now()
+  });
+}
+
+/**
+ * 저장된 토너먼트 전체 조회
+ * @returns {Object[]}
+ */
+function loadTournaments() {
+  return db.prepare('SELECT data FROM tournaments ORDER BY createdAt').all().map(row => JSON.parse(row.data));
+}
+
+/**
+ * 토너먼트 하나 (다른 인스턴스가 저장한 변경을 읽을 때, 없으면 null)
+ */
+function getTournament(id) {
+  const row = db.prepare('SELECT data FROM tournaments WHERE id = ?').get(id);
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * 두 계정 사이의 친구 관계 (방향 무관, 없으면 null)
+ * @returns {{ requesterId: number, addresseeId: number, status: 'pending' | 'accepted', createdAt: number, acceptedAt: number|null } | null}
+ */
+function getFriendship(userA, userB) {
+  return db.prepare(`SELECT * FROM friendships
+    WHERE (requesterId = @userA AND addresseeId = @userB) OR (requesterId = @userB AND addresseeId = @userA)
+  `).get({ userA, userB }) || null;
+}
+
+/**
+ * 친구 요청 저장
+ */
+function insertFriendRequest(requesterId, addresseeId, createdAt = Date.now()) {
+  db.prepare(`INSERT INTO friendships (requesterId, addresseeId, status, createdAt) VALUES (?, ?, 'pending', ?)`)
+    .run(requesterId, addresseeId, createdAt);
+}
+
+/**
+ * 받은 친구 요청 수락
+ * @returns {boolean} 수락할 요청이 있었는지
+ */
+function acceptFriendRequest(requesterId, addresseeId, acceptedAt = Date.now()) {
+  const info = db.prepare(`UPDATE friendships SET status = 'accepted', acceptedAt = ?
+    WHERE requesterId = ? AND addresseeId = ? AND status = 'pending'
+  `).run(acceptedAt, requesterId, addresseeId);
+  return info.changes > 0;
+}
+
+/**
+ * 친구 관계 삭제 (친구 삭제, 요청 거절/취소 공통)
+ * @returns {boolean} 삭제된 관계가 있었는지
+ */
+function deleteFriendship(userA, userB) {
+  const info = db.prepare(`DELETE FROM friendships
+    WHERE (requesterId = @userA AND addresseeId = @userB) OR (requesterId = @userB AND addresseeId = @userA)
+  `).run({ userA, userB });
+  return info.changes > 0;
+}
+
+/**
+ * 계정의 친구 관계 전체 (요청 포함)
+ * @returns {Array<{ requesterId: number, addresseeId: number, status: 'pending' | 'accepted', createdAt: number, acceptedAt: number|null }>}
+ */
+function listFriendships(userId) {
+  return db.prepare('SELECT * FROM friendships WHERE requesterId = ? OR addresseeId = ? ORDER BY createdAt').all(userId, userId);
+}
+
+/**
+ * 친구(수락된 관계) userId 목록
+ * @returns {number[]}
+ */
+function listFriendIds(userId) {
+  return db.prepare(`SELECT CASE WHEN requesterId = @userId THEN addresseeId ELSE requesterId END AS friendId
+    FROM friendships WHERE status = 'accepted' AND (requesterId = @userId OR addresseeId = @userId)
+  `).all({ userId }).map(row => row.friendId);
+}
+
+/**
+ * 채팅 메시지 저장 (금칙어로 가려졌으면 originalText에 원문)
+ * @returns {number} messageId
+ */
+function insertChatMessage({ channel, userId, senderName, text, originalText = null, createdAt = Date.now() }) {
+  const info = db.prepare(`INSERT INTO chat_messages (channel, userId, senderName, text, originalText, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(channel, userId, senderName, text, originalText, createdAt);
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * 채팅 메시지 단건 조회
+ */
+function getChatMessage(messageId) {
+  return db.prepare('SELECT * FROM chat_messages WHERE messageId = ?').get(messageId) || null;
+}
+
+/**
+ * 채팅 신고 저장 (같은 계정이 같은 메시지를 다시 신고하면 null)
+ * @returns {number|null} reportId
+ */
+function insertChatReport({ messageId, reporterId, reason, createdAt = Date.now() }) {
+  const info = db.prepare('INSERT OR IGNORE INTO chat_reports (messageId, reporterId, reason, createdAt) VALUES (?, ?, ?, ?)')
+    .run(messageId, reporterId, reason, createdAt);
+  return info.changes > 0 ? Number(info.lastInsertRowid) : null;
+}
+
+/**
+ * 채팅 신고 목록 (신고된 메시지 포함, 최신순)
+ */
+function listChatReports({ status = 'open', limit = 50, offset = 0 } = {}) {
+  return db.prepare(`SELECT r.*, m.channel, m.userId, m.senderName, m.text, m.originalText, m.createdAt AS messageCreatedAt
+    FROM chat_reports r JOIN chat_messages m ON m.messageId = r.messageId
+    WHERE r.status = ? ORDER BY r.createdAt DESC, r.reportId DESC LIMIT ? OFFSET ?
+  `).all(status, limit, offset);
+}
+
+/**
+ * 음소거/차단 설정 (한 상대에 하나, 차단이 음소거를 포함)
+ * @param {'mute' | 'block'} kind
+ */
+function setUserRestriction(userId, targetUserId, kind, createdAt = Date.now()) {
+  db.prepare(`INSERT INTO user_restrictions (userId, targetUserId, kind, createdAt) VALUES (?, ?, ?, ?)
+    ON CONFLICT(userId, targetUserId) DO UPDATE SET kind=excluded.kind, createdAt=excluded.createdAt
+  `).run(userId, targetUserId, kind, createdAt);
+}
+
+/**
+ * 음소거/차단 해제
+ * @returns {boolean} 해제된 설정이 있었는지
+ */
+function deleteUserRestriction(userId, targetUserId, kind) {
+  const info = db.prepare('DELETE FROM user_restrictions WHERE userId = ? AND targetUserId = ? AND kind = ?').run(userId, targetUserId, kind);
+  return info.changes > 0;
+}
+
+/**
+ * 계정이 음소거/차단한 상대 목록
+ * @returns {Array<{ targetUserId: number, kind: 'mute' | 'block', createdAt: number }>}
+ */
+function listUserRestrictions(userId) {
+  return db.prepare('SELECT targetUserId, kind, createdAt FROM user_restrictions WHERE userId = ? ORDER BY createdAt').all(userId);
+}
+
+/**
+ * 두 계정 사이의 설정 (userId가 targetUserId를, 없으면 null)
+ * @returns {'mute' | 'block' | null}
+ */
+function getUserRestriction(userId, targetUserId) {
+  const row = db.prepare('SELECT kind FROM user_restrictions WHERE userId = ? AND targetUserId = ?').get(userId, targetUserId);
+  return row ? row.kind : null;
+}
+
+/**
+ * targetUserId를 음소거/차단한 계정 목록 (채팅 전달 제외 대상)
+ * @returns {number[]}
+ */
+function listRestrictingUserIds(targetUserId) {
+  return db.prepare('SELECT userId FROM user_restrictions WHERE targetUserId = ?').all(targetUserId).map(row => row.userId);
+}
+
+/**
+ * 관리자 작업 기록
+ * @param {{ adminId: number, action: string, targetType: string, targetId?: string|number|null, details?: Object|null, createdAt?: number }} entry
+ */
+function insertAuditLog({ adminId, action, targetType, targetId = null, details = null, createdAt = Date.now() }) {
+  db.prepare('INSERT INTO admin_audit (adminId, action, targetType, targetId, details, createdAt) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(adminId, action, targetType, targetId === null ? null : String(targetId), details ? JSON.stringify(details) : null, createdAt);
+}
+
+/**
+ * 관리자 작업 기록 조회 (최신순)
+ * @returns {{ total: number, entries: Object[] }}
+ */
+function listAuditLog({ limit = 50, offset = 0, adminId = null } = {}) {
+  const params = { limit, offset, adminId };
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM admin_audit WHERE @adminId IS NULL OR adminId = @adminId').get(params);
+  const entries = db.prepare('SELECT * FROM admin_audit WHERE @adminId IS NULL OR adminId = @adminId ORDER BY createdAt DESC, auditId DESC LIMIT @limit OFFSET @offset')
+    .all(params)
+    .map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  return { total, entries };
+}
+
+/**
+ * 채팅 신고 처리 상태 변경
+ * @param {'open' | 'resolved' | 'dismissed'} status
+ * @returns {boolean}
+ */
+function updateChatReportStatus(reportId, status) {
+  return db.prepare('UPDATE chat_reports SET status = ? WHERE reportId = ?').run(status, reportId).changes > 0;
+}
+
+/**
+ * 로그인 실패 기록 (key는 'user:<아이디>' 또는 'ip:<주소>')
+ */
+function getLoginAttempt(key) {
+  return db.prepare('SELECT * FROM login_attempts WHERE key = ?').get(key) || null;
+}
+
+function upsertLoginAttempt({ key, failures, lastFailureAt, lockedUntil = null }) {
+  db.prepare(`INSERT INTO login_attempts (key, failures, lastFailureAt, lockedUntil) VALUES (?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET failures=excluded.failures, lastFailureAt=excluded.lastFailureAt, lockedUntil=excluded.lockedUntil
+  `).run(key, failures, lastFailureAt, lockedUntil);
+}
+
+/**
+ * @returns {boolean} 삭제된 기록이 있었는지
+ */
+function deleteLoginAttempt(key) {
+  return db.prepare('DELETE FROM login_attempts WHERE key = ?').run(key).changes > 0;
+}
+
+/**
+ * 지금 잠겨 있는 키 (해제 시각 빠른 순)
+ */
+function listLoginLockouts(now = Date.now()) {
+  return db.prepare('SELECT * FROM login_attempts WHERE lockedUntil > ? ORDER BY lockedUntil ASC').all(now);
+}
+
+/**
+ * 계정의 일회용 코드 교체 (kind: 'backup' 2단계 인증 백업, 'recovery' 계정 복구, 'reset' 관리자 재설정 토큰, 이전 코드는 모두 무효)
+ * @param {string[]} codeHashes
+ */
+function replaceAccountCodes(userId, kind, codeHashes, createdAt = Date.now()) {
+  const insert = db.prepare('INSERT OR IGNORE INTO account_codes (userId, kind, codeHash, createdAt) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM account_codes WHERE userId = ? AND kind = ?').run(userId, kind);
+    for (const codeHash of codeHashes) insert.run(userId, kind, codeHash, createdAt);
+  })();
+}
+
+/**
+ * 일회용 코드 사용 처리 (createdAfter보다 먼저 발급된 코드는 만료로 봄)
+ * @returns {boolean} 아직 쓰지 않은 유효한 코드였는지
+ */
+function consumeAccountCode(userId, kind, codeHash, usedAt = Date.now(), createdAfter = 0) {
+  return db.prepare('UPDATE account_codes SET usedAt = ? WHERE userId = ? AND kind = ? AND codeHash = ? AND usedAt IS NULL AND createdAt >= ?')
+    .run(usedAt, userId, kind, codeHash, createdAfter).changes > 0;
+}
+
+/**
+ * 남은(쓰지 않은) 일회용 코드 수
+ */
+function countAccountCodes(userId, kind) {
+  return db.prepare('SELECT COUNT(*) AS n FROM account_codes WHERE userId = ? AND kind = ? AND usedAt IS NULL').get(userId, kind).n;
+}
+
+function deleteAccountCodes(userId, kind) {
+  db.prepare('DELETE FROM account_codes WHERE userId = ? AND kind = ?').run(userId, kind);
+}
+
 module.exports = {
   init,
   hasAnyData,
   loadUsers,
   loadUsernamesIndex,
   loadSessions,
+  getUser,
+  getUserIdByUsername,
+  getUserIdByNickname,
+  getSession,
+  listUserSessions,
+  setUserChangeListener,
   loadRankings,
-  upsertUsers,
-  upsertSessions,
-  upsertRankings
+  transaction,
+  close,
+  backup,
+  exportArchiveData,
+  importArchiveData,
+  importLegacySnapshot,
+  createUser,
+  updateUser,
+  setTrophies,
+  updateTrophies,
+  insertSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+  getRating,
+  loadRatings,
+  upsertRating,
+  insertMatch,
+  getMatchesByUser,
+  getMatchByGameId,
+  insertReplay,
+  getReplay,
+  upsertTournament,
+  loadTournaments,
+  getTournament,
+  getCurrentSeason,
+  getSeason,
+  listSeasons,
+  insertSeason,
+  archiveSeason,
+  getSeasonRankings,
+  getSeasonPlacements,
+  getFriendship,
+  insertFriendRequest,
+  acceptFriendRequest,
+  deleteFriendship,
+  listFriendships,
+  listFriendIds,
+  insertChatMessage,
+  getChatMessage,
+  insertChatReport,
+  listChatReports,
+  setUserRestriction,
+  deleteUserRestriction,
+  listUserRestrictions,
+  getUserRestriction,
+  listRestrictingUserIds,
+  updateChatReportStatus,
+  insertAuditLog,
+  listAuditLog,
+  getLoginAttempt,
+  upsertLoginAttempt,
+  deleteLoginAttempt,
+  listLoginLockouts,
+  replaceAccountCodes,
+  consumeAccountCode,
+  countAccountCodes,
+  deleteAccountCodes
 };
 
 
@@ -0,0 +1,20 @@
+// DB 스키마 마이그레이션만 실행 (서버를 띄우지 않고)
+// node migrate.js            아직 적용하지 않은 migrations/ 파일 적용
+// node migrate.js --dry-run  실제 DB는 바꾸지 않고 메모리 복사본에 적용해 결과만 확인
+
+const db = require('./db');
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const { from, to, applied } = db.init({ dryRun });
+  if (applied.length === 0) {
+    console.log(`✅ 스키마가 최신입니다 (버전 ${to}).`);
+  } else {
+    console.log(`${dryRun ? '🔍 적용 예정' : '✅ 적용 완료'}: 버전 ${from} → ${to} (${applied.map(m => m.name).join(', ')})`);
+  }
+  db.close();
+} catch (error) {
+  console.error('❌ 마이그레이션 실패:', error.message);
+  process.exit(1);
+}
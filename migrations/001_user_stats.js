@@ -0,0 +1,15 @@
+// 가입할 때 만드는 전적(stats)과 연승 기록을 users 테이블에 저장 (그동안은 재시작하면 사라졌음)
+
+module.exports = {
+  description: '유저 전적(모의/정식 승패)과 현재/최대 연승 컬럼 추가',
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN statsMockWins INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN statsMockLosses INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN statsFormalWins INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN statsFormalLosses INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN currentWinStreak INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN maxWinStreak INTEGER NOT NULL DEFAULT 0;
+    `);
+  }
+};
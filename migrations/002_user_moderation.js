@@ -0,0 +1,13 @@
+// 관리자 권한과 계정 정지/매칭 제한 (스키마 버전 관리 전에는 시작할 때마다 보강하던 컬럼)
+
+const { addColumnIfMissing } = require('../utils/migrations');
+
+module.exports = {
+  description: '유저 역할(role), 정지 시각/사유, 매칭 제한 만료 컬럼 추가',
+  up(db) {
+    addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+    addColumnIfMissing(db, 'users', 'bannedAt', 'INTEGER');
+    addColumnIfMissing(db, 'users', 'banReason', 'TEXT');
+    addColumnIfMissing(db, 'users', 'matchSuspendedUntil', 'INTEGER');
+  }
+};
@@ -0,0 +1,12 @@
+// 기기별 세션 목록에 보여줄 발급 시각과 접속 기기(User-Agent, IP)
+
+const { addColumnIfMissing } = require('../utils/migrations');
+
+module.exports = {
+  description: '세션 발급 시각, User-Agent, IP 컬럼 추가',
+  up(db) {
+    addColumnIfMissing(db, 'sessions', 'createdAt', 'INTEGER');
+    addColumnIfMissing(db, 'sessions', 'userAgent', 'TEXT');
+    addColumnIfMissing(db, 'sessions', 'ip', 'TEXT');
+  }
+};
@@ -0,0 +1,16 @@
+// 세션 키를 토큰 원문 대신 SHA-256 해시로 저장 (DB가 유출돼도 토큰으로 로그인할 수 없게)
+// 원문으로 저장돼 있던 세션은 해시로 바꿔 두므로 기존 로그인은 그대로 유지된다.
+
+const { addColumnIfMissing } = require('../utils/migrations');
+const { hashSessionToken } = require('../utils/session');
+
+module.exports = {
+  description: '세션 토큰 해시 여부(tokenHashed) 컬럼 추가, 원문 세션 키를 해시로 변환',
+  up(db) {
+    addColumnIfMissing(db, 'sessions', 'tokenHashed', 'INTEGER NOT NULL DEFAULT 0');
+    const rows = db.prepare('SELECT sessionId FROM sessions WHERE tokenHashed = 0').all();
+    const update = db.prepare('UPDATE sessions SET sessionId = ?, tokenHashed = 1 WHERE sessionId = ?');
+    for (const r of rows) update.run(hashSessionToken(r.sessionId), r.sessionId);
+    if (rows.length > 0) console.log(`🔒 세션 토큰 ${rows.length}개를 해시로 변환했습니다.`);
+  }
+};
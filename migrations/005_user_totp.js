@@ -0,0 +1,12 @@
+// 2단계 인증(TOTP) 비밀키, 사용 시작 시각, 마지막으로 쓴 코드의 시간 단계(같은 코드 재사용 방지)
+
+const { addColumnIfMissing } = require('../utils/migrations');
+
+module.exports = {
+  description: '유저 2단계 인증 비밀키, 사용 시작 시각, 마지막 코드 단계 컬럼 추가',
+  up(db) {
+    addColumnIfMissing(db, 'users', 'totpSecret', 'TEXT');
+    addColumnIfMissing(db, 'users', 'totpEnabledAt', 'INTEGER');
+    addColumnIfMissing(db, 'users', 'totpLastStep', 'INTEGER');
+  }
+};
@@ -0,0 +1,28 @@
+// 경기 기록 (모드, 두 플레이어, 증표 변화, 승자, 종료 사유, 시간)
+
+module.exports = {
+  description: '경기 기록(matches) 테이블과 플레이어별 인덱스 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS matches (
+        matchId INTEGER PRIMARY KEY AUTOINCREMENT,
+        gameId TEXT UNIQUE NOT NULL,
+        mode TEXT NOT NULL,
+        player1Id INTEGER,
+        player1Name TEXT NOT NULL,
+        player1TrophyDelta INTEGER NOT NULL DEFAULT 0,
+        player2Id INTEGER,
+        player2Name TEXT NOT NULL,
+        player2TrophyDelta INTEGER NOT NULL DEFAULT 0,
+        winner INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        startedAt INTEGER NOT NULL,
+        endedAt INTEGER NOT NULL,
+        durationMs INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_matches_player1 ON matches (player1Id, endedAt);
+      CREATE INDEX IF NOT EXISTS idx_matches_player2 ON matches (player2Id, endedAt);
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+// 경기 리플레이 (수 단위 이벤트 목록을 JSON으로)
+
+module.exports = {
+  description: '리플레이(replays) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS replays (
+        gameId TEXT PRIMARY KEY,
+        events TEXT NOT NULL,
+        createdAt INTEGER NOT NULL
+      );
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+// 정식 결투 레이팅 (Glicko 방식 레이팅/RD, 경기 수)
+
+module.exports = {
+  description: '레이팅(ratings) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ratings (
+        userId INTEGER PRIMARY KEY,
+        rating REAL NOT NULL,
+        rd REAL NOT NULL,
+        games INTEGER NOT NULL DEFAULT 0,
+        lastPlayedAt INTEGER
+      );
+    `);
+  }
+};
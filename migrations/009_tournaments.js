@@ -0,0 +1,17 @@
+// 토너먼트 (대진표와 순위를 JSON으로 저장)
+
+module.exports = {
+  description: '토너먼트(tournaments) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL
+      );
+    `);
+  }
+};
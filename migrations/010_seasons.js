@@ -0,0 +1,27 @@
+// 랭크 시즌과 시즌이 끝날 때 보관하는 최종 순위
+
+module.exports = {
+  description: '시즌(seasons)과 시즌 최종 순위(season_rankings) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS seasons (
+        season INTEGER PRIMARY KEY,
+        startsAt INTEGER NOT NULL,
+        endsAt INTEGER NOT NULL,
+        endedAt INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS season_rankings (
+        season INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        userId INTEGER NOT NULL,
+        nickname TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        rank INTEGER NOT NULL,
+        PRIMARY KEY (season, category, userId)
+      );
+      CREATE INDEX IF NOT EXISTS idx_season_rankings_user ON season_rankings (userId, season);
+    `);
+  }
+};
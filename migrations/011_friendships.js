@@ -0,0 +1,19 @@
+// 친구 요청과 친구 관계
+
+module.exports = {
+  description: '친구(friendships) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS friendships (
+        requesterId INTEGER NOT NULL,
+        addresseeId INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        acceptedAt INTEGER,
+        PRIMARY KEY (requesterId, addresseeId)
+      );
+      CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships (addresseeId);
+    `);
+  }
+};
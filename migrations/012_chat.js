@@ -0,0 +1,40 @@
+// 채팅 기록, 신고, 유저별 음소거/차단
+
+module.exports = {
+  description: '채팅 메시지(chat_messages), 신고(chat_reports), 음소거/차단(user_restrictions) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        messageId INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        userId INTEGER,
+        senderName TEXT NOT NULL,
+        text TEXT NOT NULL,
+        originalText TEXT,
+        createdAt INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_channel ON chat_messages (channel, createdAt);
+
+      CREATE TABLE IF NOT EXISTS chat_reports (
+        reportId INTEGER PRIMARY KEY AUTOINCREMENT,
+        messageId INTEGER NOT NULL,
+        reporterId INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        createdAt INTEGER NOT NULL,
+        UNIQUE (messageId, reporterId)
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_reports_status ON chat_reports (status, createdAt);
+
+      CREATE TABLE IF NOT EXISTS user_restrictions (
+        userId INTEGER NOT NULL,
+        targetUserId INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        PRIMARY KEY (userId, targetUserId)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_restrictions_target ON user_restrictions (targetUserId);
+    `);
+  }
+};
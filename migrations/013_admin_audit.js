@@ -0,0 +1,20 @@
+// 관리자 작업 감사 기록
+
+module.exports = {
+  description: '관리자 감사 기록(admin_audit) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_audit (
+        auditId INTEGER PRIMARY KEY AUTOINCREMENT,
+        adminId INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        targetType TEXT NOT NULL,
+        targetId TEXT,
+        details TEXT,
+        createdAt INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit (createdAt);
+    `);
+  }
+};
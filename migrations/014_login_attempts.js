@@ -0,0 +1,16 @@
+// 로그인 실패 기록 (아이디별/IP별 백오프와 잠금, 재시작해도 유지)
+
+module.exports = {
+  description: '로그인 시도 제한(login_attempts) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL,
+        lastFailureAt INTEGER NOT NULL,
+        lockedUntil INTEGER
+      );
+    `);
+  }
+};
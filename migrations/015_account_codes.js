@@ -0,0 +1,18 @@
+// 2단계 인증 백업 코드와 계정 복구 코드 (SHA-256 해시만 저장)
+
+module.exports = {
+  description: '백업/복구 코드(account_codes) 테이블 추가',
+  up(db) {
+    // 버전 관리 전에 기본 스키마로 만들어진 DB에는 이미 있으므로 IF NOT EXISTS
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS account_codes (
+        userId INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        codeHash TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        usedAt INTEGER,
+        PRIMARY KEY (userId, kind, codeHash)
+      );
+    `);
+  }
+};
@@ -0,0 +1,235 @@
+// 로컬 개발/테스트용 Redis 대역 (실제 Redis 없이 REDIS_URL로 여러 인스턴스를 띄워 볼 때)
+// node redis-standin.js [포트]   기본 6379, 127.0.0.1에서만 받고 데이터는 메모리에만 둠 (종료하면 사라짐)
+// 공유 상태 저장소(utils/store.js)와 Socket.IO Redis 어댑터가 쓰는 명령만 지원하며, 운영에는 실제 Redis를 사용한다.
+
+const net = require('net');
+
+const port = Number(process.argv[2] || process.env.REDIS_STANDIN_PORT || 6379);
+
+const strings = new Map(); // key -> { value: Buffer, expiresAt: number|null }
+const hashes = new Map(); // key -> Map<field, Buffer>
+const channels = new Map(); // 채널 -> Set<client>
+const patterns = new Map(); // 패턴 -> Set<client>
+
+// RESP 응답
+const OK = Buffer.from('+OK\r\n');
+const NIL = Buffer.from('$-1\r\n');
+const error = (message) => Buffer.from(`-ERR ${message}\r\n`);
+const integer = (n) => Buffer.from(`:${n}\r\n`);
+const bulk = (value) => {
+  if (value === null || value === undefined) return NIL;
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+};
+const array = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items]);
+
+/**
+ * 받은 버퍼에서 완성된 명령(RESP 배열)만 꺼내고 나머지는 다음 데이터와 이어 붙임
+ * @returns {Buffer[][]}
+ */
+function takeCommands(client) {
+  const commands = [];
+  const buffer = client.buffer;
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0x2a) throw new Error('RESP 배열 형식의 명령만 지원합니다.');
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd === -1) break;
+    const count = Number(buffer.toString('latin1', offset + 1, headerEnd));
+    const args = [];
+    let cursor = headerEnd + 2;
+    while (args.length < count) {
+      const lengthEnd = buffer.indexOf('\r\n', cursor);
+      if (lengthEnd === -1) break;
+      const length = Number(buffer.toString('latin1', cursor + 1, lengthEnd));
+      if (lengthEnd + 2 + length + 2 > buffer.length) break;
+      args.push(buffer.subarray(lengthEnd + 2, lengthEnd + 2 + length));
+      cursor = lengthEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = cursor;
+  }
+  client.buffer = buffer.subarray(offset);
+  return commands;
+}
+
+function readString(key) {
+  const entry = strings.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    strings.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+/**
+ * glob 패턴(*, ?)을 정규식으로
+ */
+function patternToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+function subscriptionCount(client) {
+  return client.channels.size + client.patterns.size;
+}
+
+function subscribe(client, registry, own, kind, names) {
+  return Buffer.concat(names.map(name => {
+    if (!registry.has(name)) registry.set(name, new Set());
+    registry.get(name).add(client);
+    own.add(name);
+    return array([bulk(kind), bulk(name), integer(subscriptionCount(client))]);
+  }));
+}
+
+function unsubscribe(client, registry, own, kind, names) {
+  const targets = names.length > 0 ? names : Array.from(own);
+  if (targets.length === 0) return array([bulk(kind), NIL, integer(subscriptionCount(client))]);
+  return Buffer.concat(targets.map(name => {
+    const members = registry.get(name);
+    if (members) {
+      members.delete(client);
+      if (members.size === 0) registry.delete(name);
+    }
+    own.delete(name);
+    return array([bulk(kind), bulk(name), integer(subscriptionCount(client))]);
+  }));
+}
+
+function publish(channel, message) {
+  let receivers = 0;
+  for (const client of channels.get(channel) || []) {
+    client.socket.write(array([bulk('message'), bulk(channel), bulk(message)]));
+    receivers++;
+  }
+  for (const [pattern, members] of patterns) {
+    if (!patternToRegExp(pattern).test(channel)) continue;
+    for (const client of members) {
+      client.socket.write(array([bulk('pmessage'), bulk(pattern), bulk(channel), bulk(message)]));
+      receivers++;
+    }
+  }
+  return receivers;
+}
+
+const commands = {
+  PING: (client, args) => args.length > 0 ? bulk(args[0]) : Buffer.from('+PONG\r\n'),
+  ECHO: (client, args) => bulk(args[0]),
+  SELECT: () => OK,
+  CLIENT: () => OK,
+  INFO: () => bulk('# Server\r\nredis_version:7.2.0\r\nredis_mode:standalone\r\nloading:0\r\n'),
+  QUIT: (client) => {
+    client.socket.end(OK);
+    return null;
+  },
+  FLUSHALL: () => {
+    strings.clear();
+    hashes.clear();
+    return OK;
+  },
+  GET: (client, [key]) => bulk(readString(key.toString('latin1'))),
+  SET: (client, [key, value, ...options]) => {
+    const name = key.toString('latin1');
+    let expiresAt = null;
+    let onlyIfMissing = false;
+    let onlyIfExists = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toString('latin1').toUpperCase();
+      if (option === 'NX') onlyIfMissing = true;
+      else if (option === 'XX') onlyIfExists = true;
+      else if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else return error(`지원하지 않는 SET 옵션: ${option}`);
+    }
+    const exists = readString(name) !== null;
+    if ((onlyIfMissing && exists) || (onlyIfExists && !exists)) return NIL;
+    strings.set(name, { value: Buffer.from(value), expiresAt });
+    return OK;
+  },
+  DEL: (client, keys) => {
+    let removed = 0;
+    for (const key of keys) {
+      const name = key.toString('latin1');
+      if (readString(name) !== null) removed++;
+      if (hashes.has(name)) removed++;
+      strings.delete(name);
+      hashes.delete(name);
+    }
+    return integer(removed);
+  },
+  HSET: (client, [key, ...pairs]) => {
+    const name = key.toString('latin1');
+    if (!hashes.has(name)) hashes.set(name, new Map());
+    const hash = hashes.get(name);
+    let added = 0;
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      const field = pairs[i].toString('latin1');
+      if (!hash.has(field)) added++;
+      hash.set(field, Buffer.from(pairs[i + 1]));
+    }
+    return integer(added);
+  },
+  HGET: (client, [key, field]) => {
+    const hash = hashes.get(key.toString('latin1'));
+    return bulk(hash ? hash.get(field.toString('latin1')) : null);
+  },
+  HDEL: (client, [key, ...fields]) => {
+    const name = key.toString('latin1');
+    const hash = hashes.get(name);
+    if (!hash) return integer(0);
+    const removed = fields.filter(field => hash.delete(field.toString('latin1'))).length;
+    if (hash.size === 0) hashes.delete(name);
+    return integer(removed);
+  },
+  HGETALL: (client, [key]) => {
+    const hash = hashes.get(key.toString('latin1')) || new Map();
+    return array(Array.from(hash).flatMap(([field, value]) => [bulk(field), bulk(value)]));
+  },
+  PUBLISH: (client, [channel, message]) => integer(publish(channel.toString('latin1'), message)),
+  SUBSCRIBE: (client, names) => subscribe(client, channels, client.channels, 'subscribe', names.map(n => n.toString('latin1'))),
+  UNSUBSCRIBE: (client, names) => unsubscribe(client, channels, client.channels, 'unsubscribe', names.map(n => n.toString('latin1'))),
+  PSUBSCRIBE: (client, names) => subscribe(client, patterns, client.patterns, 'psubscribe', names.map(n => n.toString('latin1'))),
+  PUNSUBSCRIBE: (client, names) => unsubscribe(client, patterns, client.patterns, 'punsubscribe', names.map(n => n.toString('latin1'))),
+  PUBSUB: (client, [subcommand, ...names]) => {
+    if (subcommand.toString('latin1').toUpperCase() !== 'NUMSUB') return error('PUBSUB은 NUMSUB만 지원합니다.');
+    return array(names.flatMap(name => {
+      const members = channels.get(name.toString('latin1'));
+      return [bulk(name), integer(members ? members.size : 0)];
+    }));
+  }
+};
+
+const server = net.createServer((socket) => {
+  /** @type {{ socket: net.Socket, buffer: Buffer, channels: Set<string>, patterns: Set<string> }} */
+  const client = { socket, buffer: Buffer.alloc(0), channels: new Set(), patterns: new Set() };
+  socket.on('data', (chunk) => {
+    client.buffer = client.buffer.length > 0 ? Buffer.concat([client.buffer, chunk]) : chunk;
+    let parsed;
+    try {
+      parsed = takeCommands(client);
+    } catch (e) {
+      socket.end(error(e.message));
+      return;
+    }
+    for (const [name, ...args] of parsed) {
+      const command = name.toString('latin1').toUpperCase();
+      const handler = commands[command];
+      const reply = handler ? handler(client, args) : error(`지원하지 않는 명령: ${command}`);
+      if (reply) socket.write(reply);
+    }
+  });
+  const cleanup = () => {
+    unsubscribe(client, channels, client.channels, 'unsubscribe', []);
+    unsubscribe(client, patterns, client.patterns, 'punsubscribe', []);
+  };
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+});
+
+// 포트 0이면 빈 포트를 골라 실제 주소를 출력 (테스트에서 사용)
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🧪 Redis 대역 실행 중: redis://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port} (메모리 전용, 개발/테스트용)`);
+});
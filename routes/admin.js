@@ -0,0 +1,396 @@
+const { z } = require('zod');
+const { ROLES, isAdmin, isBanned, matchSuspensionOf } = require('../utils/admin');
+const { RECOVERY_RULES, generateResetToken, hashRecoveryCode } = require('../utils/recovery');
+
+module.exports = function registerAdminRoutes(app, ctx) {
+  const schema = {
+    page: z.object({
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      offset: z.coerce.number().int().min(0).default(0)
+    }),
+    reports: z.object({
+      status: z.enum(['open', 'resolved', 'dismissed']).default('open'),
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      offset: z.coerce.number().int().min(0).default(0)
+    }),
+    userParams: z.object({
+      userId: z.coerce.number().int().min(1)
+    }),
+    endGame: z.object({
+      result: z.enum(['player1', 'player2', 'void'])
+    }),
+    reason: z.object({
+      reason: z.string().trim().max(200).optional()
+    }),
+    suspend: z.object({
+      // 0이면 매칭 정지 해제
+      minutes: z.coerce.number().int().min(0).max(60 * 24 * 30),
+      reason: z.string().trim().max(200).optional()
+    }),
+    trophies: z.object({
+      category: z.enum(['mock', 'formal']),
+      delta: z.coerce.number().int().min(-100000).max(100000).refine(value => value !== 0),
+      reason: z.string().trim().max(200).optional()
+    }),
+    role: z.object({
+      role: z.enum([ROLES.user, ROLES.admin])
+    }),
+    unlock: z.object({
+      key: z.string().regex(/^(user|ip):.+$/)
+    }),
+    resolveReport: z.object({
+      status: z.enum(['resolved', 'dismissed']).default('resolved')
+    })
+  };
+
+  /**
+   * 관리자 세션 확인 (아니면 401/403 응답 후 null)
+   * @returns {number|null} 관리자 userId
+   */
+  function requireAdmin(req, res) {
+    const userId = ctx.getUserIdFromSession(req.sessionToken);
+    if (!userId) {
+      res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      return null;
+    }
+    if (!isAdmin(ctx.users.get(userId))) {
+      res.status(403).json({ error: '관리자 권한이 필요합니다.' });
+      return null;
+    }
+    return userId;
+  }
+
+  function audit(adminId, action, targetType, targetId, details = null) {
+    ctx.db.insertAuditLog({ adminId, action, targetType, targetId, details });
+    console.log(`🛡️ 관리자 작업: ${action} ${targetType}:${targetId} (관리자 ${adminId})`);
+  }
+
+  function toAdminUser(userId, userData) {
+    return {
+      userId,
+      username: userData.username,
+      nickname: userData.nickname,
+      role: userData.role || ROLES.user,
+      trophies: userData.trophies,
+      bannedAt: userData.bannedAt || null,
+      banReason: userData.banReason || null,
+      matchSuspendedUntil: matchSuspensionOf(userData),
+      twoFactorEnabled: !!userData.totpEnabledAt,
+      presence: ctx.presenceOf(userId),
+      createdAt: userData.createdAt
+    };
+  }
+
+  // 진행 중인 게임 목록 (관전 허용 여부와 관계없이 전체)
+  app.get('/api/admin/games', (req, res) => {
+    try {
+      if (!requireAdmin(req, res)) return;
+      const games = Array.from(ctx.activeGames.values())
+        .map(session => ctx.describeGameForAdmin(session))
+        .sort((a, b) => b.startedAt - a.startedAt);
+      res.json({ success: true, games });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 게임 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 게임 상세 (서버 권위 상태 전체 포함)
+  app.get('/api/admin/games/:gameId', (req, res) => {
+    try {
+      if (!requireAdmin(req, res)) return;
+      const session = ctx.activeGames.get(req.params.gameId);
+      if (!session) return res.status(404).json({ error: '진행 중인 게임을 찾을 수 없습니다.' });
+      res.json({ success: true, game: ctx.describeGameForAdmin(session, true) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 게임 상세 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 게임 강제 종료 (지정한 플레이어 승리 또는 무효)
+  app.post('/api/admin/games/:gameId/end', (req, res) => {
+    try {
+      const { result } = schema.endGame.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { gameId } = req.params;
+      const session = ctx.activeGames.get(gameId);
+      if (!session) return res.status(404).json({ error: '진행 중인 게임을 찾을 수 없습니다.' });
+      const players = session.players.map(p => ({ userId: p.userId || null, name: p.name }));
+      ctx.forceEndGame(gameId, result);
+      audit(adminId, 'game.end', 'game', gameId, { result, mode: session.mode, players });
+      res.json({ success: true, gameId, result });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 게임 강제 종료 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 매칭 대기열
+  app.get('/api/admin/waiting', (req, res) => {
+    try {
+      if (!requireAdmin(req, res)) return;
+      res.json({ success: true, waiting: ctx.listWaitingPlayers() });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 대기열 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 소켓 강제 연결 해제
+  app.post('/api/admin/sockets/:socketId/kick', (req, res) => {
+    try {
+      const { reason } = schema.reason.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { socketId } = req.params;
+      if (!ctx.kickSocket(socketId, reason || '관리자에 의해 연결이 종료되었습니다.')) {
+        return res.status(404).json({ error: '접속 중인 소켓을 찾을 수 없습니다.' });
+      }
+      audit(adminId, 'socket.kick', 'socket', socketId, reason ? { reason } : null);
+      res.json({ success: true });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 소켓 연결 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 계정 정보 (제재 상태 포함)
+  app.get('/api/admin/users/:userId', (req, res) => {
+    try {
+      if (!requireAdmin(req, res)) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      res.json({ success: true, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 계정 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 이용 정지: 세션을 모두 지우고 접속 중인 소켓을 끊음
+  app.post('/api/admin/users/:userId/ban', (req, res) => {
+    try {
+      const { reason } = schema.reason.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      if (userId === adminId) return res.status(400).json({ error: '자기 자신은 정지할 수 없습니다.' });
+      if (isBanned(userData)) return res.status(400).json({ error: '이미 이용 정지된 계정입니다.' });
+      const bannedAt = Date.now();
+      ctx.db.updateUser(userId, { bannedAt, banReason: reason || null });
+      userData.bannedAt = bannedAt;
+      userData.banReason = reason || null;
+      const kickedSockets = ctx.kickUser(userId, '이용이 정지된 계정입니다.');
+      const revokedSessions = ctx.revokeUserSessions(userId);
+      audit(adminId, 'user.ban', 'user', userId, { reason: reason || null, revokedSessions, kickedSockets });
+      res.json({ success: true, user: toAdminUser(userId, userData), revokedSessions, kickedSockets });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 계정 정지 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  app.post('/api/admin/users/:userId/unban', (req, res) => {
+    try {
+      const { reason } = schema.reason.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      if (!isBanned(userData)) return res.status(400).json({ error: '이용 정지된 계정이 아닙니다.' });
+      ctx.db.updateUser(userId, { bannedAt: null, banReason: null });
+      userData.bannedAt = null;
+      userData.banReason = null;
+      audit(adminId, 'user.unban', 'user', userId, reason ? { reason } : null);
+      res.json({ success: true, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 계정 정지 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 매칭 일시 정지 (랜덤 매칭 대기열 등록 차단, 0분이면 해제)
+  app.post('/api/admin/users/:userId/suspend-matchmaking', (req, res) => {
+    try {
+      const { minutes, reason } = schema.suspend.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      const matchSuspendedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+      ctx.db.updateUser(userId, { matchSuspendedUntil });
+      userData.matchSuspendedUntil = matchSuspendedUntil;
+      if (minutes > 0) ctx.removeUserFromQueue(userId);
+      audit(adminId, minutes > 0 ? 'user.suspendMatchmaking' : 'user.resumeMatchmaking', 'user', userId, { minutes, reason: reason || null });
+      res.json({ success: true, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 매칭 정지 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 증표 조정 (하한 0, 모의 결투는 랭킹에도 반영하고 정식 결투 랭킹은 레이팅 기준이라 그대로)
+  app.post('/api/admin/users/:userId/trophies', (req, res) => {
+    try {
+      const { category, delta, reason } = schema.trophies.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      const before = userData.trophies[category] || 0;
+      const after = Math.max(0, before + delta);
+      ctx.db.updateTrophies(userId, category, after);
+      userData.trophies[category] = after;
+      if (category === 'mock') ctx.rankings.mock.set(userId, after);
+      audit(adminId, 'user.trophies', 'user', userId, { category, delta, before, after, reason: reason || null });
+      res.json({ success: true, category, before, after, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 증표 조정 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 권한 변경 (자기 자신의 관리자 권한은 해제할 수 없음)
+  app.post('/api/admin/users/:userId/role', (req, res) => {
+    try {
+      const { role } = schema.role.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      if (userId === adminId) return res.status(400).json({ error: '자신의 권한은 변경할 수 없습니다.' });
+      const before = userData.role || ROLES.user;
+      ctx.db.updateUser(userId, { role });
+      userData.role = role;
+      audit(adminId, 'user.role', 'user', userId, { before, after: role });
+      res.json({ success: true, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 권한 변경 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 비밀번호 재설정 토큰 발급 (복구 코드를 잃어버린 유저용, 한 번만 쓸 수 있고 이전 토큰은 무효)
+  app.post('/api/admin/users/:userId/reset-token', (req, res) => {
+    try {
+      const { reason } = schema.reason.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const { userId } = schema.userParams.parse(req.params);
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      const resetToken = generateResetToken();
+      const createdAt = Date.now();
+      ctx.db.replaceAccountCodes(userId, 'reset', [hashRecoveryCode(resetToken)], createdAt);
+      const expiresAt = createdAt + RECOVERY_RULES.resetTokenTtlMs;
+      // 토큰 원문은 감사 로그에 남기지 않음
+      audit(adminId, 'user.resetToken', 'user', userId, { expiresAt, reason: reason || null });
+      res.json({ success: true, resetToken, expiresAt, user: toAdminUser(userId, userData) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 재설정 토큰 발급 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 채팅 신고 목록
+  app.get('/api/admin/reports', (req, res) => {
+    try {
+      const { status, limit, offset } = schema.reports.parse(req.query);
+      if (!requireAdmin(req, res)) return;
+      res.json({ success: true, reports: ctx.db.listChatReports({ status, limit, offset }) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 신고 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 채팅 신고 처리
+  app.post('/api/admin/reports/:reportId/resolve', (req, res) => {
+    try {
+      const { status } = schema.resolveReport.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      const reportId = Number(req.params.reportId);
+      if (!Number.isInteger(reportId) || !ctx.db.updateChatReportStatus(reportId, status)) {
+        return res.status(404).json({ error: '신고를 찾을 수 없습니다.' });
+      }
+      audit(adminId, 'report.' + status, 'report', reportId);
+      res.json({ success: true, reportId, status });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 신고 처리 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 관리자 작업 기록
+  app.get('/api/admin/audit', (req, res) => {
+    try {
+      const { limit, offset } = schema.page.parse(req.query);
+      if (!requireAdmin(req, res)) return;
+      const { total, entries } = ctx.db.listAuditLog({ limit, offset });
+      res.json({
+        success: true,
+        total,
+        entries: entries.map(entry => {
+          const adminUser = ctx.users.get(entry.adminId);
+          return { ...entry, adminNickname: adminUser ? adminUser.nickname : null };
+        })
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 작업 기록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 로그인 잠금 목록 (아이디별/IP별)
+  app.get('/api/admin/lockouts', (req, res) => {
+    try {
+      if (!requireAdmin(req, res)) return;
+      res.json({ success: true, lockouts: ctx.loginThrottle.listLocked() });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 로그인 잠금 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 로그인 잠금 해제 (실패 기록도 삭제)
+  app.post('/api/admin/lockouts/unlock', (req, res) => {
+    try {
+      const { key } = schema.unlock.parse(req.body);
+      const adminId = requireAdmin(req, res);
+      if (!adminId) return;
+      if (!ctx.loginThrottle.unlock(key)) return res.status(404).json({ error: '로그인 실패 기록이 없습니다.' });
+      audit(adminId, 'login.unlock', 'login', key);
+      res.json({ success: true, key });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 관리자 로그인 잠금 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
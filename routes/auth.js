@@ -1,5 +1,13 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const { z } = require('zod');
+const { isBanned } = require('../utils/admin');
+const { createSessionRecord, hashSessionToken, sessionKeyOf } = require('../utils/session');
+const { AUTH_COOKIES, parseCookies, setAuthCookies, clearAuthCookies } = require('../utils/auth');
+const { loginKeysOf, rejectIfThrottled, createOwnerVerifier } = require('../utils/lockout');
+const { TOTP_RULES, checkSecondFactor } = require('../utils/totp');
+const { RECOVERY_RULES, generateRecoveryCodes, hashRecoveryCode } = require('../utils/recovery');
+const { createRating, conservativeRating } = require('../utils/rating');
 
 module.exports = function registerAuthRoutes(app, ctx) {
   const schema = {
@@ -12,14 +20,87 @@ module.exports = function registerAuthRoutes(app, ctx) {
       username: z.string().min(3).max(20),
       password: z.string().min(6)
     }),
-    verifySession: z.object({ sessionId: z.string().min(1) }),
+    loginSecondStep: z.object({
+      loginTicket: z.string().regex(/^[0-9a-f]{32}$/),
+      code: z.string().trim().min(6).max(20)
+    }),
     changeNickname: z.object({
-      sessionId: z.string().min(1),
       newNickname: z.string().min(2).max(15)
     }),
-    changeIcon: z.object({ sessionId: z.string().min(1), icon: z.string().min(1) })
+    changeIcon: z.object({ icon: z.string().min(1) }),
+    changePassword: z.object({
+      oldPassword: z.string().min(1),
+      newPassword: z.string().min(6)
+    }),
+    revokeSession: z.object({
+      sessionKey: z.string().regex(/^[0-9a-f]{16}$/)
+    }),
+    recoveryCodes: z.object({
+      password: z.string().min(1),
+      code: z.string().trim().min(6).max(20).optional()
+    }),
+    recoverAccount: z.object({
+      username: z.string().min(3).max(20),
+      recoveryCode: z.string().trim().min(12).max(20).optional(),
+      resetToken: z.string().trim().regex(/^[0-9a-f]{32}$/i).optional(),
+      newPassword: z.string().min(6)
+    }).refine((data) => !!data.recoveryCode !== !!data.resetToken, { message: 'recoveryCode 또는 resetToken 중 하나만 보내야 합니다.' })
   };
 
+  /**
+   * 로그인/가입 시 새 세션 발급 (해시만 저장하고 토큰은 쿠키와 응답으로 한 번만 전달)
+   * @returns {{ sessionId: string, csrfToken: string }}
+   */
+  function createSession(userId, req, res) {
+    const sessionId = ctx.generateSessionId();
+    const record = createSessionRecord(userId, ctx.sessionTtlMs, { userAgent: req.get('user-agent'), ip: req.ip });
+    ctx.db.insertSession(hashSessionToken(sessionId), record);
+    ctx.sessions.set(hashSessionToken(sessionId), record);
+    const csrfToken = setAuthCookies(res, sessionId, { maxAgeMs: ctx.sessionTtlMs, secure: ctx.secureCookies });
+    return { sessionId, csrfToken };
+  }
+
+  // 2단계 인증 대기: 비밀번호를 확인한 뒤 코드 입력을 기다리는 로그인
+  const loginTickets = new Map(); // loginTicket -> { userId, keys, expiresAt, attempts }
+
+  function issueLoginTicket(userId, keys) {
+    const now = Date.now();
+    for (const [ticket, pending] of loginTickets) {
+      if (pending.expiresAt < now) loginTickets.delete(ticket);
+    }
+    const loginTicket = crypto.randomBytes(16).toString('hex');
+    loginTickets.set(loginTicket, { userId, keys, expiresAt: now + TOTP_RULES.loginTicketTtlMs, attempts: 0 });
+    return loginTicket;
+  }
+
+  const verifyOwner = createOwnerVerifier(ctx.loginThrottle, (userId, codeHash) => ctx.db.consumeAccountCode(userId, 'backup', codeHash));
+
+  /**
+   * 새 복구 코드 발급 (해시만 저장하고 원문은 응답으로 한 번만 전달)
+   * @returns {string[]}
+   */
+  function issueRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+    ctx.db.replaceAccountCodes(userId, 'recovery', codes.map(hashRecoveryCode));
+    return codes;
+  }
+
+  /**
+   * 인증을 마친 로그인에 세션 발급
+   */
+  function completeLogin(userData, req, res) {
+    if (isBanned(userData)) return res.status(403).json({ error: '이용이 정지된 계정입니다.', reason: userData.banReason || null });
+
+    const { sessionId, csrfToken } = createSession(userData.userId, req, res);
+
+    if (!userData.icon) {
+      ctx.db.updateUser(userData.userId, { icon: '👤' });
+      userData.icon = '👤';
+    }
+
+    res.json({ success: true, sessionId, csrfToken, userData: { userId: userData.userId, username: userData.username, nickname: userData.nickname, icon: userData.icon, trophies: userData.trophies, role: userData.role || 'user' } });
+  }
+
   // 계정 생성
   app.post('/api/register', async (req, res) => {
     try {
@@ -28,16 +109,14 @@ module.exports = function registerAuthRoutes(app, ctx) {
       if (ctx.usernames.has(username)) {
         return res.status(400).json({ error: '이미 사용 중인 아이디입니다.' });
       }
-      for (const [, userData] of ctx.users) {
-        if (userData.nickname === nickname) {
-          return res.status(400).json({ error: '이미 사용 중인 닉네임입니다.' });
-        }
+      // 다른 인스턴스에서 가입한 계정도 보이도록 DB에서 확인
+      if (ctx.db.getUserIdByNickname(nickname) !== null) {
+        return res.status(400).json({ error: '이미 사용 중인 닉네임입니다.' });
       }
 
       const hashedPassword = await bcrypt.hash(password, 10);
-      const userId = ctx.generateUserId();
       const userData = {
-        userId,
+        userId: null,
         username,
         nickname,
         password: hashedPassword,
@@ -50,71 +129,158 @@ module.exports = function registerAuthRoutes(app, ctx) {
         currentWinStreak: 0,
         maxWinStreak: 0,
         lastNicknameChange: 0,
-        createdAt: Date.now()
+        createdAt: Date.now(),
+        // 관리자 지정은 운영자가 ADMIN_USERNAMES로 서버 시작 시에만 (먼저 가입한 사람이 관리자가 되지 않도록)
+        role: 'user'
       };
 
+      // 계정과 복구 코드(메일이 없으므로 비밀번호를 잊었을 때 사용)는 함께 저장
+      const recoveryCodes = ctx.db.transaction(() => {
+        userData.userId = ctx.db.createUser(userData);
+        return issueRecoveryCodes(userData.userId);
+      });
+      const userId = userData.userId;
       ctx.users.set(userId, userData);
       ctx.usernames.set(username, userId);
       ctx.rankings.mock.set(userId, 0);
-      ctx.rankings.formal.set(userId, 0);
-
-      const sessionId = ctx.generateSessionId();
-      ctx.sessions.set(sessionId, { userId, expiresAt: Date.now() + ctx.sessionTtlMs, lastUsedAt: Date.now() });
+      ctx.rankings.formal.set(userId, conservativeRating(createRating()));
 
-      ctx.saveData();
+      const { sessionId, csrfToken } = createSession(userId, req, res);
 
-      res.json({ success: true, sessionId, userData: { userId, username, nickname, icon: userData.icon, trophies: userData.trophies, stats: userData.stats, currentWinStreak: userData.currentWinStreak, maxWinStreak: userData.maxWinStreak } });
+      res.json({ success: true, sessionId, csrfToken, recoveryCodes, userData: { userId, username, nickname, icon: userData.icon, trophies: userData.trophies, stats: userData.stats, currentWinStreak: userData.currentWinStreak, maxWinStreak: userData.maxWinStreak, role: userData.role } });
     } catch (error) {
       if (error instanceof z.ZodError) {
         return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
       }
+      // 비밀번호 해시를 만드는 사이 다른 인스턴스에서 같은 아이디로 가입한 경우
+      if (error && error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(400).json({ error: '이미 사용 중인 아이디입니다.' });
+      }
       console.error('❌ 계정 생성 오류:', error);
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
   });
 
-  // 로그인
+  // 로그인 (2단계 인증을 켠 계정은 loginTicket을 받아 { loginTicket, code }로 한 번 더 요청)
   app.post('/api/login', async (req, res) => {
     try {
+      if (req.body && req.body.loginTicket !== undefined) {
+        const { loginTicket, code } = schema.loginSecondStep.parse(req.body);
+        const pending = loginTickets.get(loginTicket);
+        if (!pending || pending.expiresAt < Date.now()) {
+          loginTickets.delete(loginTicket);
+          return res.status(400).json({ error: '인증 시간이 지났습니다. 다시 로그인해주세요.' });
+        }
+        if (rejectIfThrottled(ctx.loginThrottle, pending.keys, res)) return;
+        const userData = ctx.users.get(pending.userId);
+        const method = checkSecondFactor(userData, code, (codeHash) => ctx.db.consumeAccountCode(pending.userId, 'backup', codeHash));
+        if (!method) {
+          // 코드 실패도 로그인 실패로 세서 코드 대입을 막음
+          ctx.loginThrottle.recordFailure([pending.keys.username, pending.keys.ip]);
+          pending.attempts++;
+          if (pending.attempts >= TOTP_RULES.loginTicketMaxAttempts) loginTickets.delete(loginTicket);
+          return res.status(400).json({ error: '인증 코드가 올바르지 않습니다.', retry: loginTickets.has(loginTicket) });
+        }
+        loginTickets.delete(loginTicket);
+        ctx.db.updateUser(userData.userId, { totpLastStep: userData.totpLastStep ?? null });
+        ctx.loginThrottle.recordSuccess(pending.keys.username);
+        if (method === 'backup') console.log(`🔑 백업 코드로 로그인: ${userData.username} (남은 코드 ${ctx.db.countAccountCodes(userData.userId, 'backup')}개)`);
+        return completeLogin(userData, req, res);
+      }
+
       const { username, password } = schema.login.parse(req.body);
+      // 아이디별/IP별 실패 횟수에 따라 잠시 대기 또는 잠금 (없는 아이디도 똑같이 셈)
+      const keys = loginKeysOf(username, req.ip);
+      if (rejectIfThrottled(ctx.loginThrottle, keys, res)) return;
+      const rejectLogin = () => {
+        ctx.loginThrottle.recordFailure([keys.username, keys.ip]);
+        return res.status(400).json({ error: '아이디 또는 비밀번호가 잘못되었습니다.' });
+      };
+
       const userId = ctx.usernames.get(username);
-      if (!userId) return res.status(400).json({ error: '아이디 또는 비밀번호가 잘못되었습니다.' });
+      if (!userId) return rejectLogin();
       const userData = ctx.users.get(userId);
-      if (!userData) return res.status(400).json({ error: '아이디 또는 비밀번호가 잘못되었습니다.' });
+      if (!userData) return rejectLogin();
 
       const isValidPassword = await bcrypt.compare(password, userData.password);
-      if (!isValidPassword) return res.status(400).json({ error: '아이디 또는 비밀번호가 잘못되었습니다.' });
+      if (!isValidPassword) return rejectLogin();
+      // 2단계 인증 계정은 코드까지 맞아야 실패 기록을 지움
+      if (userData.totpEnabledAt) {
+        return res.json({ success: false, twoFactorRequired: true, loginTicket: issueLoginTicket(userId, keys), expiresInMs: TOTP_RULES.loginTicketTtlMs });
+      }
+      ctx.loginThrottle.recordSuccess(keys.username);
+      completeLogin(userData, req, res);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      }
+      console.error('❌ 로그인 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
 
-      const sessionId = ctx.generateSessionId();
-      ctx.sessions.set(sessionId, { userId, expiresAt: Date.now() + ctx.sessionTtlMs, lastUsedAt: Date.now() });
+  // 계정 복구 (복구 코드 또는 관리자 재설정 토큰으로 새 비밀번호 설정, 모든 세션 해제)
+  // 2단계 인증은 그대로 유지되므로 다음 로그인에도 인증 코드가 필요하다.
+  app.post('/api/recover-account', async (req, res) => {
+    try {
+      const { username, recoveryCode, resetToken, newPassword } = schema.recoverAccount.parse(req.body);
+      // 코드 대입을 막기 위해 로그인과 같은 실패 제한을 씀
+      const keys = loginKeysOf(username, req.ip);
+      if (rejectIfThrottled(ctx.loginThrottle, keys, res)) return;
+      const rejectRecovery = () => {
+        ctx.loginThrottle.recordFailure([keys.username, keys.ip]);
+        return res.status(400).json({ error: '아이디 또는 복구 코드가 잘못되었습니다.' });
+      };
 
-      if (!userData.icon) {
-        userData.icon = '👤';
-        ctx.saveData();
-      }
+      const userId = ctx.usernames.get(username);
+      if (!userId) return rejectRecovery();
+      const userData = ctx.users.get(userId);
+      if (!userData) return rejectRecovery();
+
+      // 코드 사용과 비밀번호 변경은 한 트랜잭션으로 (코드만 사라지는 일이 없도록 해시를 먼저 계산)
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      const now = Date.now();
+      const consumed = ctx.db.transaction(() => {
+        const ok = recoveryCode
+          ? ctx.db.consumeAccountCode(userId, 'recovery', hashRecoveryCode(recoveryCode), now)
+          : ctx.db.consumeAccountCode(userId, 'reset', hashRecoveryCode(resetToken), now, now - RECOVERY_RULES.resetTokenTtlMs);
+        if (ok) ctx.db.updateUser(userId, { password: hashedPassword });
+        return ok;
+      });
+      if (!consumed) return rejectRecovery();
 
-      res.json({ success: true, sessionId, userData: { userId, username, nickname: userData.nickname, icon: userData.icon, trophies: userData.trophies } });
+      userData.password = hashedPassword;
+      ctx.loginThrottle.recordSuccess(keys.username);
+      const revokedSessions = ctx.revokeUserSessions(userId, { message: '비밀번호가 재설정되어 로그아웃되었습니다.' });
+      console.log(`🛟 계정 복구: ${userData.username} (${recoveryCode ? '복구 코드' : '관리자 재설정 토큰'}, 세션 ${revokedSessions}개 해제)`);
+      res.json({ success: true, revokedSessions, recoveryCodesRemaining: ctx.db.countAccountCodes(userId, 'recovery') });
     } catch (error) {
       if (error instanceof z.ZodError) {
         return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
       }
-      console.error('❌ 로그인 오류:', error);
+      console.error('❌ 계정 복구 오류:', error);
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
   });
 
-  // 세션 확인
+  // 세션 확인 (쿠키/Bearer 토큰, 이전 클라이언트는 본문 sessionId)
   app.post('/api/verify-session', (req, res) => {
     try {
-      const { sessionId } = schema.verifySession.parse(req.body);
-      const userId = ctx.getUserIdFromSession(sessionId);
-      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) {
+        if (req.authSource === 'cookie') clearAuthCookies(res, { secure: ctx.secureCookies });
+        return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      }
       const userData = ctx.users.get(userId);
       if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
-      if (!userData.icon) { userData.icon = '👤'; ctx.saveData(); }
-      res.json({ success: true, userData: { userId, username: userData.username, nickname: userData.nickname, icon: userData.icon, trophies: userData.trophies } });
+      if (!userData.icon) { ctx.db.updateUser(userId, { icon: '👤' }); userData.icon = '👤'; }
+      // 서버 세션은 쓸 때마다 연장되므로 쿠키 만료도 함께 연장
+      if (req.authSource === 'cookie') {
+        const csrfToken = parseCookies(req.headers.cookie)[AUTH_COOKIES.csrf];
+        setAuthCookies(res, req.sessionToken, { maxAgeMs: ctx.sessionTtlMs, secure: ctx.secureCookies, csrfToken });
+      }
+      res.json({ success: true, userData: { userId, username: userData.username, nickname: userData.nickname, icon: userData.icon, trophies: userData.trophies, role: userData.role || 'user' } });
     } catch (error) {
-      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
       console.error('❌ 세션 확인 오류:', error);
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
@@ -123,8 +289,8 @@ module.exports = function registerAuthRoutes(app, ctx) {
   // 닉네임 변경
   app.post('/api/change-nickname', (req, res) => {
     try {
-      const { sessionId, newNickname } = schema.changeNickname.parse(req.body);
-      const userId = ctx.getUserIdFromSession(sessionId);
+      const { newNickname } = schema.changeNickname.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
       if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
       const userData = ctx.users.get(userId);
       if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
@@ -135,15 +301,14 @@ module.exports = function registerAuthRoutes(app, ctx) {
         const remainingTime = Math.ceil((oneHour - (now - userData.lastNicknameChange)) / (60 * 1000));
         return res.status(400).json({ error: `닉네임 변경은 1시간에 1번만 가능합니다. ${remainingTime}분 후에 다시 시도해주세요.` });
       }
-      for (const [, other] of ctx.users) {
-        if (other.userId !== userId && other.nickname === newNickname) {
-          return res.status(400).json({ error: '이미 사용 중인 닉네임입니다.' });
-        }
+      const nicknameOwner = ctx.db.getUserIdByNickname(newNickname);
+      if (nicknameOwner !== null && nicknameOwner !== userId) {
+        return res.status(400).json({ error: '이미 사용 중인 닉네임입니다.' });
       }
       const oldNickname = userData.nickname;
+      ctx.db.updateUser(userId, { nickname: newNickname, lastNicknameChange: now });
       userData.nickname = newNickname;
       userData.lastNicknameChange = now;
-      ctx.saveData();
       console.log(`🔄 닉네임 변경: ${oldNickname} -> ${newNickname}`);
       res.json({ success: true, userData: { userId, username: userData.username, nickname: userData.nickname, trophies: userData.trophies } });
     } catch (error) {
@@ -156,14 +321,14 @@ module.exports = function registerAuthRoutes(app, ctx) {
   // 아이콘 변경
   app.post('/api/change-icon', (req, res) => {
     try {
-      const { sessionId, icon } = schema.changeIcon.parse(req.body);
-      const userId = ctx.getUserIdFromSession(sessionId);
+      const { icon } = schema.changeIcon.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
       if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
       const userData = ctx.users.get(userId);
       if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
       if (!icon || icon.trim() === '') return res.status(400).json({ error: '아이콘을 선택해주세요.' });
+      ctx.db.updateUser(userId, { icon });
       userData.icon = icon;
-      ctx.saveData();
       res.json({ success: true, icon });
     } catch (error) {
       if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
@@ -171,6 +336,151 @@ module.exports = function registerAuthRoutes(app, ctx) {
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
   });
-};
 
 
+
+  // 로그아웃 (서버에서 세션 삭제, 이 세션으로 접속한 소켓도 종료하고 쿠키 삭제)
+  app.post('/api/logout', (req, res) => {
+    try {
+      clearAuthCookies(res, { secure: ctx.secureCookies });
+      if (!ctx.getUserIdFromSession(req.sessionToken)) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      ctx.revokeSession(hashSessionToken(req.sessionToken), '로그아웃되었습니다.');
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ 로그아웃 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 비밀번호 변경 (현재 비밀번호 확인, 지금 세션을 뺀 나머지 세션은 모두 해제)
+  app.post('/api/change-password', async (req, res) => {
+    try {
+      const { oldPassword, newPassword } = schema.changePassword.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+
+      // 세션을 훔친 사람이 대입하지 못하도록 로그인과 같은 아이디별/IP별 실패 제한 적용
+      const keys = loginKeysOf(userData.username, req.ip);
+      if (rejectIfThrottled(ctx.loginThrottle, keys, res)) return;
+      const isValidPassword = await bcrypt.compare(oldPassword, userData.password);
+      if (!isValidPassword) {
+        ctx.loginThrottle.recordFailure([keys.username, keys.ip]);
+        return res.status(400).json({ error: '현재 비밀번호가 일치하지 않습니다.' });
+      }
+      ctx.loginThrottle.recordSuccess(keys.username);
+      if (oldPassword === newPassword) return res.status(400).json({ error: '현재 비밀번호와 다른 비밀번호를 입력해주세요.' });
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      ctx.db.updateUser(userId, { password: hashedPassword });
+      userData.password = hashedPassword;
+      const revokedSessions = ctx.revokeUserSessions(userId, { exceptSessionId: hashSessionToken(req.sessionToken), message: '비밀번호가 변경되어 로그아웃되었습니다.' });
+      console.log(`🔑 비밀번호 변경: ${userData.username} (다른 세션 ${revokedSessions}개 해제)`);
+      res.json({ success: true, revokedSessions });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 비밀번호 변경 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 남은 복구 코드 수
+  app.get('/api/recovery-codes', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      res.json({ success: true, remaining: ctx.db.countAccountCodes(userId, 'recovery'), codeRequired: !!(userData && userData.totpEnabledAt) });
+    } catch (error) {
+      console.error('❌ 복구 코드 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 복구 코드 다시 발급 (비밀번호, 2단계 인증 계정은 인증 코드 또는 백업 코드까지 확인, 이전 코드는 모두 무효)
+  app.post('/api/recovery-codes', async (req, res) => {
+    try {
+      const { password, code } = schema.recoveryCodes.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      if (userData.totpEnabledAt && code === undefined) return res.status(400).json({ error: '인증 코드 또는 백업 코드를 입력해주세요.', codeRequired: true });
+      if (!(await verifyOwner(userData, req, res, { password, code: userData.totpEnabledAt ? code : undefined }))) return;
+
+      const recoveryCodes = ctx.db.transaction(() => {
+        if (userData.totpEnabledAt) ctx.db.updateUser(userId, { totpLastStep: userData.totpLastStep ?? null });
+        return issueRecoveryCodes(userId);
+      });
+      console.log(`🛟 복구 코드 재발급: ${userData.username}`);
+      res.json({ success: true, recoveryCodes });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 복구 코드 발급 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 내 활성 세션 목록 (최근 사용 순)
+  app.get('/api/sessions', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const currentKey = hashSessionToken(req.sessionToken);
+      const now = Date.now();
+      const list = [];
+      // 다른 인스턴스에서 로그인한 세션도 보이도록 DB 기준
+      for (const record of ctx.db.listUserSessions(userId)) {
+        if (record.expiresAt && record.expiresAt < now) continue;
+        list.push({
+          sessionKey: sessionKeyOf(record.sessionId),
+          current: record.sessionId === currentKey,
+          createdAt: record.createdAt || null,
+          lastUsedAt: record.lastUsedAt || null,
+          expiresAt: record.expiresAt || null,
+          userAgent: record.userAgent || null,
+          ip: record.ip || null
+        });
+      }
+      list.sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+      res.json({ success: true, sessions: list });
+    } catch (error) {
+      console.error('❌ 세션 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 세션 하나 해제 (지금 세션이면 로그아웃과 같음)
+  app.post('/api/sessions/revoke', (req, res) => {
+    try {
+      const { sessionKey } = schema.revokeSession.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const found = ctx.db.listUserSessions(userId).find(record => sessionKeyOf(record.sessionId) === sessionKey);
+      const target = found ? found.sessionId : null;
+      if (!target) return res.status(404).json({ error: '세션을 찾을 수 없습니다.' });
+      const current = target === hashSessionToken(req.sessionToken);
+      if (current) clearAuthCookies(res, { secure: ctx.secureCookies });
+      ctx.revokeSession(target, current ? '로그아웃되었습니다.' : '다른 곳에서 세션이 해제되었습니다.');
+      res.json({ success: true, current });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 세션 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 지금 세션을 뺀 나머지 세션 모두 해제
+  app.post('/api/sessions/revoke-others', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const revokedSessions = ctx.revokeUserSessions(userId, { exceptSessionId: hashSessionToken(req.sessionToken) });
+      res.json({ success: true, revokedSessions });
+    } catch (error) {
+      console.error('❌ 다른 세션 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
@@ -0,0 +1,97 @@
+const { z } = require('zod');
+
+module.exports = function registerChatRoutes(app, ctx) {
+  const schema = {
+    target: z.object({
+      userId: z.coerce.number().int().min(1)
+    }),
+    report: z.object({
+      messageId: z.coerce.number().int().min(1),
+      reason: z.string().trim().min(1).max(200)
+    })
+  };
+
+  function toPublicUser(userId) {
+    const user = ctx.users.get(userId);
+    return { userId, nickname: user ? user.nickname : `(ID:${userId})` };
+  }
+
+  // 내가 음소거/차단한 계정 목록
+  app.get('/api/chat/restrictions', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const rows = ctx.db.listUserRestrictions(userId);
+      res.json({
+        success: true,
+        muted: rows.filter(row => row.kind === 'mute').map(row => toPublicUser(row.targetUserId)),
+        blocked: rows.filter(row => row.kind === 'block').map(row => toPublicUser(row.targetUserId))
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 채팅 차단 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 음소거: 상대 채팅만 숨김 / 차단: 채팅을 숨기고 친구 관계를 끊으며 친구 요청과 대결 신청도 받지 않음
+  for (const kind of ['mute', 'block']) {
+    app.post(`/api/chat/${kind}`, (req, res) => {
+      try {
+        const { userId: targetUserId } = schema.target.parse(req.body);
+        const userId = ctx.getUserIdFromSession(req.sessionToken);
+        if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+        if (targetUserId === userId) return res.status(400).json({ error: '자기 자신은 선택할 수 없습니다.' });
+        if (!ctx.users.has(targetUserId)) return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+        ctx.db.setUserRestriction(userId, targetUserId, kind);
+        if (kind === 'block' && ctx.db.deleteFriendship(userId, targetUserId)) {
+          ctx.notifyFriendsChanged(userId, targetUserId);
+        }
+        console.log(`🔇 채팅 ${kind === 'mute' ? '음소거' : '차단'}: ${userId} → ${targetUserId}`);
+        res.json({ success: true, kind, user: toPublicUser(targetUserId) });
+      } catch (error) {
+        if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+        console.error('❌ 채팅 음소거/차단 오류:', error);
+        res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+      }
+    });
+
+    app.post(`/api/chat/un${kind}`, (req, res) => {
+      try {
+        const { userId: targetUserId } = schema.target.parse(req.body);
+        const userId = ctx.getUserIdFromSession(req.sessionToken);
+        if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+        if (!ctx.db.deleteUserRestriction(userId, targetUserId, kind)) {
+          return res.status(404).json({ error: kind === 'mute' ? '음소거한 유저가 아닙니다.' : '차단한 유저가 아닙니다.' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+        console.error('❌ 채팅 음소거/차단 해제 오류:', error);
+        res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+      }
+    });
+  }
+
+  // 채팅 메시지 신고 (볼 수 있었던 채널의 다른 사람 메시지만, 나중에 검토)
+  app.post('/api/chat/report', (req, res) => {
+    try {
+      const { messageId, reason } = schema.report.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const message = ctx.db.getChatMessage(messageId);
+      if (!message || !ctx.canReadChatChannel(userId, message.channel)) {
+        return res.status(404).json({ error: '메시지를 찾을 수 없습니다.' });
+      }
+      if (message.userId === userId) return res.status(400).json({ error: '자신의 메시지는 신고할 수 없습니다.' });
+      const reportId = ctx.db.insertChatReport({ messageId, reporterId: userId, reason });
+      if (!reportId) return res.status(400).json({ error: '이미 신고한 메시지입니다.' });
+      console.log(`🚨 채팅 신고 접수: 메시지 ${messageId} (신고자 ${userId})`);
+      res.json({ success: true, reportId });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 채팅 신고 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
@@ -0,0 +1,121 @@
+const { z } = require('zod');
+const { FRIEND_RULES } = require('../utils/friends');
+
+module.exports = function registerFriendRoutes(app, ctx) {
+  const schema = {
+    request: z.object({
+      nickname: z.string().trim().min(1).max(15)
+    }),
+    target: z.object({
+      userId: z.coerce.number().int().min(1)
+    })
+  };
+
+  function toPublicUser(userId) {
+    const user = ctx.users.get(userId);
+    return { userId, nickname: user ? user.nickname : `(ID:${userId})`, icon: user ? user.icon || '👤' : '👤' };
+  }
+
+  // 친구 목록 (접속 상태 포함)과 받은/보낸 요청
+  app.get('/api/friends', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const friends = [];
+      const incoming = [];
+      const outgoing = [];
+      for (const row of ctx.db.listFriendships(userId)) {
+        const otherId = row.requesterId === userId ? row.addresseeId : row.requesterId;
+        if (row.status === 'accepted') {
+          friends.push({ ...toPublicUser(otherId), presence: ctx.presenceOf(otherId), since: row.acceptedAt });
+        } else if (row.requesterId === userId) {
+          outgoing.push({ ...toPublicUser(otherId), requestedAt: row.createdAt });
+        } else {
+          incoming.push({ ...toPublicUser(otherId), requestedAt: row.createdAt });
+        }
+      }
+      res.json({ success: true, friends, incoming, outgoing });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 친구 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 닉네임으로 친구 요청 (상대가 이미 나에게 요청했다면 바로 수락)
+  app.post('/api/friends/request', (req, res) => {
+    try {
+      const { nickname } = schema.request.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const target = ctx.users.get(ctx.db.getUserIdByNickname(nickname));
+      if (!target) return res.status(404).json({ error: '해당 닉네임의 유저를 찾을 수 없습니다.' });
+      if (target.userId === userId) return res.status(400).json({ error: '자기 자신에게는 친구 요청을 보낼 수 없습니다.' });
+      if (ctx.db.getUserRestriction(target.userId, userId) === 'block') {
+        return res.status(400).json({ error: '상대방에게 친구 요청을 보낼 수 없습니다.' });
+      }
+
+      const existing = ctx.db.getFriendship(userId, target.userId);
+      if (existing && existing.status === 'accepted') return res.status(400).json({ error: '이미 친구입니다.' });
+      if (existing && existing.requesterId === userId) return res.status(400).json({ error: '이미 친구 요청을 보냈습니다.' });
+      if (existing) {
+        ctx.db.acceptFriendRequest(target.userId, userId);
+        ctx.notifyFriendsChanged(userId, target.userId);
+        console.log(`🤝 친구 맺기: ${userId} ↔ ${target.userId}`);
+        return res.json({ success: true, status: 'friends', user: toPublicUser(target.userId) });
+      }
+      if (ctx.db.listFriendIds(userId).length >= FRIEND_RULES.maxFriends) {
+        return res.status(400).json({ error: `친구는 최대 ${FRIEND_RULES.maxFriends}명까지 추가할 수 있습니다.` });
+      }
+      ctx.db.insertFriendRequest(userId, target.userId);
+      ctx.emitToUser(target.userId, 'friendRequest', { from: toPublicUser(userId) });
+      console.log(`📨 친구 요청: ${userId} → ${target.userId}`);
+      res.json({ success: true, status: 'outgoing', user: toPublicUser(target.userId) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 친구 요청 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 받은 친구 요청 수락
+  app.post('/api/friends/accept', (req, res) => {
+    try {
+      const { userId: requesterId } = schema.target.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      if (ctx.db.listFriendIds(userId).length >= FRIEND_RULES.maxFriends) {
+        return res.status(400).json({ error: `친구는 최대 ${FRIEND_RULES.maxFriends}명까지 추가할 수 있습니다.` });
+      }
+      if (!ctx.db.acceptFriendRequest(requesterId, userId)) {
+        return res.status(404).json({ error: '받은 친구 요청이 없습니다.' });
+      }
+      ctx.notifyFriendsChanged(userId, requesterId);
+      console.log(`🤝 친구 맺기: ${requesterId} ↔ ${userId}`);
+      res.json({ success: true, status: 'friends', user: { ...toPublicUser(requesterId), presence: ctx.presenceOf(requesterId) } });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 친구 요청 수락 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 친구 삭제 / 받은 요청 거절 / 보낸 요청 취소
+  app.post('/api/friends/remove', (req, res) => {
+    try {
+      const { userId: otherId } = schema.target.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      if (!ctx.db.deleteFriendship(userId, otherId)) {
+        return res.status(404).json({ error: '친구 관계를 찾을 수 없습니다.' });
+      }
+      ctx.notifyFriendsChanged(userId, otherId);
+      console.log(`👋 친구 관계 삭제: ${userId} ↔ ${otherId}`);
+      res.json({ success: true, status: 'none' });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 친구 삭제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
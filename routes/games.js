@@ -0,0 +1,13 @@
+module.exports = function registerGameRoutes(app, ctx) {
+  // 관전 가능한 진행 중 게임 목록 (관전은 소켓 spectateGame으로 시작)
+  app.get('/api/games/live', (req, res) => {
+    try {
+      const games = ctx.listLiveGames();
+      res.json({ success: true, games, total: games.length });
+    } catch (error) {
+      console.error('❌ 진행 중 게임 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
+
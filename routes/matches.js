@@ -0,0 +1,59 @@
+const { z } = require('zod');
+
+module.exports = function registerMatchRoutes(app, ctx) {
+  const schema = {
+    params: z.object({
+      userId: z.coerce.number().int().positive()
+    }),
+    query: z.object({
+      limit: z.coerce.number().int().min(1).max(50).default(20),
+      offset: z.coerce.number().int().min(0).default(0),
+      opponentId: z.coerce.number().int().positive().optional()
+    })
+  };
+
+  // 유저의 경기 기록을 본인 시점(승패, 증표 변화, 상대)으로 변환
+  function toUserView(match, userId) {
+    const isPlayer1 = match.player1Id === userId;
+    const myNumber = isPlayer1 ? 1 : 2;
+    return {
+      matchId: match.matchId,
+      gameId: match.gameId,
+      mode: match.mode,
+      result: match.winner === myNumber ? 'win' : 'loss',
+      reason: match.reason,
+      trophyDelta: isPlayer1 ? match.player1TrophyDelta : match.player2TrophyDelta,
+      opponent: {
+        userId: isPlayer1 ? match.player2Id : match.player1Id,
+        nickname: isPlayer1 ? match.player2Name : match.player1Name,
+        trophyDelta: isPlayer1 ? match.player2TrophyDelta : match.player1TrophyDelta
+      },
+      startedAt: match.startedAt,
+      endedAt: match.endedAt,
+      durationMs: match.durationMs
+    };
+  }
+
+  // 경기 기록 조회 (최신순, 페이지네이션, 상대 필터)
+  app.get('/api/matches/:userId', (req, res) => {
+    try {
+      const { userId } = schema.params.parse(req.params);
+      const { limit, offset, opponentId } = schema.query.parse(req.query);
+      if (!ctx.users.has(userId)) {
+        return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+      }
+      const { total, matches } = ctx.db.getMatchesByUser(userId, { limit, offset, opponentId: opponentId ?? null });
+      res.json({
+        success: true,
+        userId,
+        matches: matches.map(m => toUserView(m, userId)),
+        pagination: { limit, offset, total, hasMore: offset + matches.length < total }
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 경기 기록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
+
@@ -1,55 +1,119 @@
 const { z } = require('zod');
+const { encodeCursor, decodeCursor } = require('../utils/leaderboard');
 
+// 모의 결투 증표는 서버가 허수아비 대전 결과로만 반영한다 (server.js finalizeMockResult)
 module.exports = function registerRankingRoutes(app, ctx) {
   const schema = {
-    updateTrophies: z.object({
-      sessionId: z.string().min(1),
-      category: z.enum(['mock']),
-      change: z.number().int().min(-5).max(5)
+    // rankings는 일반 객체라 constructor 같은 이름이 통과하지 않도록 카테고리를 고정
+    params: z.object({
+      category: z.enum(['mock', 'formal'])
+    }),
+    query: z.object({
+      season: z.coerce.number().int().min(1).optional(),
+      limit: z.coerce.number().int().min(1).max(100).default(50),
+      offset: z.coerce.number().int().min(0).default(0),
+      cursor: z.string().min(1).max(200).optional()
+    }),
+    me: z.object({
+      radius: z.coerce.number().int().min(0).max(10).default(2)
     })
   };
 
-  // 랭킹 조회
+  function toPublicSeason(season) {
+    const current = ctx.getCurrentSeason();
+    return { ...season, current: !!current && current.season === season.season };
+  }
+
+  function withNickname(entry) {
+    const user = ctx.users.get(entry.userId);
+    return { rank: entry.rank, userId: entry.userId, nickname: user ? user.nickname : `(ID:${entry.userId})`, score: entry.score };
+  }
+
+  // 시즌 목록 (최신순)
+  app.get('/api/seasons', (req, res) => {
+    try {
+      res.json({ success: true, current: ctx.getCurrentSeason(), seasons: ctx.db.listSeasons().map(toPublicSeason) });
+    } catch (error) {
+      console.error('❌ 시즌 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 랭킹 조회 (limit/offset 또는 이전 응답의 nextCursor로 페이지 이동, ?season=N이면 지난 시즌의 보관된 최종 순위)
+  // 순서는 점수 내림차순, 같으면 userId 오름차순
   app.get('/api/rankings/:category', (req, res) => {
     try {
-      const { category } = req.params;
-      if (!ctx.rankings[category]) {
+      const params = schema.params.safeParse(req.params);
+      if (!params.success) {
         return res.status(400).json({ error: '유효하지 않은 카테고리입니다.' });
       }
-      const rankingData = [];
-      for (const [userId, score] of ctx.rankings[category]) {
-        const user = ctx.users.get(userId);
-        const nickname = user ? user.nickname : `(ID:${userId})`;
-        rankingData.push({ userId, nickname, score });
+      const { category } = params.data;
+      const { season, limit, offset, cursor } = schema.query.parse(req.query);
+      const after = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !after) return res.status(400).json({ error: '잘못된 커서입니다.' });
+
+      const current = ctx.getCurrentSeason();
+      if (season && (!current || season !== current.season)) {
+        const archived = ctx.db.getSeason(season);
+        if (!archived || !archived.endedAt) return res.status(404).json({ error: '시즌 기록을 찾을 수 없습니다.' });
+        const page = ctx.db.getSeasonRankings(season, category, { limit, offset, after });
+        const last = page.rankings[page.rankings.length - 1];
+        return res.json({
+          success: true,
+          category,
+          season: toPublicSeason(archived),
+          total: page.total,
+          limit,
+          nextCursor: page.hasMore && last ? encodeCursor(last) : null,
+          rankings: page.rankings
+        });
       }
-      rankingData.sort((a, b) => b.score - a.score);
-      res.json({ success: true, category, rankings: rankingData });
+
+      const board = ctx.rankings[category];
+      const page = board.page({ limit, offset, cursor: after });
+      res.json({
+        success: true,
+        category,
+        season: current ? toPublicSeason(current) : null,
+        total: board.size,
+        offset: page.offset,
+        limit,
+        nextCursor: page.nextCursor,
+        rankings: page.entries.map(withNickname)
+      });
     } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
       console.error('❌ 랭킹 조회 오류:', error);
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
   });
 
-  // 모의 결투 점수 업데이트(클라이언트 허용)
-  app.post('/api/update-trophies', (req, res) => {
+  // 내 순위와 위아래 이웃 (radius명씩, 현재 시즌)
+  app.get('/api/rankings/:category/me', (req, res) => {
     try {
-      const { sessionId, category, change } = schema.updateTrophies.parse(req.body);
-      const userId = ctx.getUserIdFromSession(sessionId);
+      const params = schema.params.safeParse(req.params);
+      if (!params.success) {
+        return res.status(400).json({ error: '유효하지 않은 카테고리입니다.' });
+      }
+      const { category } = params.data;
+      const { radius } = schema.me.parse(req.query);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
       if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
-      const userData = ctx.users.get(userId);
-      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
-      const oldScore = userData.trophies.mock || 0;
-      const newScore = Math.max(0, oldScore + change);
-      userData.trophies.mock = newScore;
-      ctx.rankings.mock.set(userId, newScore);
-      ctx.saveData();
-      res.json({ success: true, trophies: userData.trophies });
+      const board = ctx.rankings[category];
+      const found = board.around(userId, radius);
+      if (!found) return res.status(404).json({ error: '랭킹 기록이 없습니다.' });
+      res.json({
+        success: true,
+        category,
+        rank: found.rank,
+        score: board.get(userId),
+        total: board.size,
+        rankings: found.entries.map(withNickname)
+      });
     } catch (error) {
       if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
-      console.error('❌ 증표 업데이트 오류:', error);
+      console.error('❌ 내 순위 조회 오류:', error);
       res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
   });
 };
-
-
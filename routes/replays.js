@@ -0,0 +1,50 @@
+const { z } = require('zod');
+const engine = require('../utils/engine');
+
+module.exports = function registerReplayRoutes(app, ctx) {
+  const schema = {
+    params: z.object({
+      gameId: z.string().regex(/^[A-Za-z0-9_-]{1,64}$/)
+    })
+  };
+
+  // 경기 요약 (플레이어 번호 순서: 1 = 호스트, 2 = 게스트)
+  function toMatchSummary(match) {
+    if (!match) return null;
+    return {
+      mode: match.mode,
+      players: [
+        { playerId: 1, userId: match.player1Id, nickname: match.player1Name, trophyDelta: match.player1TrophyDelta },
+        { playerId: 2, userId: match.player2Id, nickname: match.player2Name, trophyDelta: match.player2TrophyDelta }
+      ],
+      winner: match.winner,
+      reason: match.reason,
+      startedAt: match.startedAt,
+      endedAt: match.endedAt,
+      durationMs: match.durationMs
+    };
+  }
+
+  // 리플레이 조회 (종료된 경기만 저장되므로 진행 중인 경기의 패는 노출되지 않음)
+  app.get('/api/replays/:gameId', (req, res) => {
+    try {
+      const { gameId } = schema.params.parse(req.params);
+      const replay = ctx.db.getReplay(gameId);
+      if (!replay) {
+        return res.status(404).json({ error: '리플레이를 찾을 수 없습니다.' });
+      }
+      res.json({
+        success: true,
+        gameId,
+        match: toMatchSummary(ctx.db.getMatchByGameId(gameId)),
+        events: replay.events,
+        frames: engine.buildReplayFrames(replay.events)
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 리플레이 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
+
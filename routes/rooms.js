@@ -0,0 +1,50 @@
+const { z } = require('zod');
+
+module.exports = function registerRoomRoutes(app, ctx) {
+  const schema = {
+    create: z.object({
+      ranked: z.boolean().default(false),
+      allowSpectators: z.boolean().default(true)
+    }),
+    params: z.object({
+      code: z.string().trim().min(4).max(12)
+    })
+  };
+
+  // 비공개 방 생성 (계정 전용): 만든 계정이 소켓 joinRoom으로 들어오면 방장이 된다
+  app.post('/api/rooms', (req, res) => {
+    try {
+      const { ranked, allowSpectators } = schema.create.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const room = ctx.rooms.create({ ownerUserId: userId, ranked, allowSpectators });
+      res.json({ success: true, code: room.code, link: `/?room=${room.code}`, room: ctx.rooms.toPublic(room) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 방 생성 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 초대 코드로 방 조회 (참가 가능 여부 확인용, 실제 참가는 소켓 joinRoom)
+  app.get('/api/rooms/:code', (req, res) => {
+    try {
+      const { code } = schema.params.parse(req.params);
+      const room = ctx.rooms.get(code);
+      if (!room) return res.status(404).json({ error: '방을 찾을 수 없습니다.' });
+      const owner = room.ownerUserId ? ctx.users.get(room.ownerUserId) : null;
+      res.json({
+        success: true,
+        room: ctx.rooms.toPublic(room),
+        ownerNickname: owner ? owner.nickname : (room.host ? room.host.name : null),
+        joinable: !room.guest,
+        link: `/?room=${room.code}`
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 방 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
+
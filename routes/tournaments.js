@@ -0,0 +1,103 @@
+const { z } = require('zod');
+const { TOURNAMENT_RULES } = require('../utils/tournaments');
+
+module.exports = function registerTournamentRoutes(app, ctx) {
+  const schema = {
+    create: z.object({
+      name: z.string().trim().min(1).max(30),
+      format: z.enum(['single', 'swiss']),
+      rounds: z.number().int().min(1).max(10).optional()
+    }),
+    params: z.object({
+      id: z.string().trim().min(1).max(40)
+    })
+  };
+
+  // 토너먼트 목록 (최신순)
+  app.get('/api/tournaments', (req, res) => {
+    try {
+      const tournaments = ctx.tournaments.list().map(ctx.tournaments.toSummary);
+      res.json({ success: true, tournaments, total: tournaments.length });
+    } catch (error) {
+      console.error('❌ 토너먼트 목록 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 토너먼트 생성 (계정 전용, 만든 계정이 시작 권한을 가짐)
+  app.post('/api/tournaments', (req, res) => {
+    try {
+      const { name, format, rounds } = schema.create.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const tournament = ctx.tournaments.create({ name, format, rounds: rounds ?? null, createdBy: userId });
+      ctx.saveTournament(tournament);
+      console.log(`🏟️ 토너먼트 생성: ${name} (${format})`);
+      res.json({ success: true, tournament: ctx.tournaments.toPublic(tournament) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 토너먼트 생성 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 대진표와 순위 (진행 중이면 실시간)
+  app.get('/api/tournaments/:id', (req, res) => {
+    try {
+      const { id } = schema.params.parse(req.params);
+      const tournament = ctx.tournaments.get(id);
+      if (!tournament) return res.status(404).json({ error: '토너먼트를 찾을 수 없습니다.' });
+      res.json({ success: true, tournament: ctx.tournaments.toPublic(tournament), rules: { minPlayers: TOURNAMENT_RULES.minPlayers, maxPlayers: TOURNAMENT_RULES.maxPlayers } });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 토너먼트 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 참가 신청 / 취소 (시작 전만)
+  for (const action of ['register', 'unregister']) {
+    app.post(`/api/tournaments/:id/${action}`, (req, res) => {
+      try {
+        const { id } = schema.params.parse(req.params);
+        const userId = ctx.getUserIdFromSession(req.sessionToken);
+        if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+        const userData = ctx.users.get(userId);
+        if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+        if (!ctx.tournaments.get(id)) return res.status(404).json({ error: '토너먼트를 찾을 수 없습니다.' });
+        const result = action === 'register'
+          ? ctx.tournaments.register(id, { userId, nickname: userData.nickname })
+          : ctx.tournaments.unregister(id, userId);
+        if (!result.ok) return res.status(400).json({ error: result.error });
+        ctx.saveTournament(result.tournament);
+        res.json({ success: true, tournament: ctx.tournaments.toPublic(result.tournament) });
+      } catch (error) {
+        if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+        console.error('❌ 토너먼트 참가 신청 오류:', error);
+        res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+      }
+    });
+  }
+
+  // 토너먼트 시작: 정식 결투 랭킹 순으로 시드 배정 후 1라운드 경기를 비공개 게임으로 생성
+  app.post('/api/tournaments/:id/start', (req, res) => {
+    try {
+      const { id } = schema.params.parse(req.params);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const tournament = ctx.tournaments.get(id);
+      if (!tournament) return res.status(404).json({ error: '토너먼트를 찾을 수 없습니다.' });
+      if (tournament.createdBy !== userId) return res.status(403).json({ error: '토너먼트를 만든 계정만 시작할 수 있습니다.' });
+      const result = ctx.tournaments.start(id, (playerId) => ctx.rankings.formal.get(playerId) || 0);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      ctx.saveTournament(result.tournament);
+      ctx.launchTournamentMatches();
+      console.log(`🏟️ 토너먼트 시작: ${tournament.name} (${tournament.players.length}명)`);
+      res.json({ success: true, tournament: ctx.tournaments.toPublic(result.tournament) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 토너먼트 시작 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
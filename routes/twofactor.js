@@ -0,0 +1,151 @@
+const { z } = require('zod');
+const totp = require('../utils/totp');
+const { createOwnerVerifier } = require('../utils/lockout');
+
+module.exports = function registerTwoFactorRoutes(app, ctx) {
+  const schema = {
+    password: z.object({
+      password: z.string().min(1)
+    }),
+    code: z.object({
+      code: z.string().trim().min(6).max(20)
+    }),
+    passwordAndCode: z.object({
+      password: z.string().min(1),
+      code: z.string().trim().min(6).max(20)
+    })
+  };
+
+  /**
+   * 새 백업 코드 발급 (해시만 저장하고 원문은 응답으로 한 번만 전달)
+   * @returns {string[]}
+   */
+  function issueBackupCodes(userId) {
+    const codes = totp.generateBackupCodes();
+    ctx.db.replaceAccountCodes(userId, 'backup', codes.map(totp.hashBackupCode));
+    return codes;
+  }
+
+  const verifyOwner = createOwnerVerifier(ctx.loginThrottle, (userId, codeHash) => ctx.db.consumeAccountCode(userId, 'backup', codeHash));
+
+  // 2단계 인증 상태
+  app.get('/api/2fa', (req, res) => {
+    try {
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      res.json({
+        success: true,
+        enabled: !!userData.totpEnabledAt,
+        enabledAt: userData.totpEnabledAt || null,
+        backupCodesRemaining: userData.totpEnabledAt ? ctx.db.countAccountCodes(userId, 'backup') : 0
+      });
+    } catch (error) {
+      console.error('❌ 2단계 인증 상태 조회 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 등록 시작: 비밀번호 확인 후 비밀키와 인증 앱용 otpauth URI 발급 (첫 코드로 확인해야 켜짐)
+  app.post('/api/2fa/setup', async (req, res) => {
+    try {
+      const { password } = schema.password.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      if (userData.totpEnabledAt) return res.status(400).json({ error: '이미 2단계 인증을 사용 중입니다.' });
+      if (!(await verifyOwner(userData, req, res, { password }))) return;
+
+      const totpSecret = totp.generateSecret();
+      ctx.db.updateUser(userId, { totpSecret, totpLastStep: null });
+      userData.totpSecret = totpSecret;
+      userData.totpLastStep = null;
+      res.json({ success: true, secret: userData.totpSecret, otpauthUri: totp.otpauthUri(userData.totpSecret, userData.username) });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 2단계 인증 등록 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 등록 확인: 인증 앱의 첫 코드가 맞으면 켜고 백업 코드 발급
+  app.post('/api/2fa/confirm', (req, res) => {
+    try {
+      const { code } = schema.code.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      if (userData.totpEnabledAt) return res.status(400).json({ error: '이미 2단계 인증을 사용 중입니다.' });
+      if (!userData.totpSecret) return res.status(400).json({ error: '먼저 2단계 인증 등록을 시작해주세요.' });
+
+      const step = totp.verifyCode(userData.totpSecret, code);
+      if (step === null) return res.status(400).json({ error: '인증 코드가 올바르지 않습니다.' });
+      const totpEnabledAt = Date.now();
+      const backupCodes = ctx.db.transaction(() => {
+        ctx.db.updateUser(userId, { totpEnabledAt, totpLastStep: step });
+        return issueBackupCodes(userId);
+      });
+      userData.totpEnabledAt = totpEnabledAt;
+      userData.totpLastStep = step;
+      console.log(`🔐 2단계 인증 사용: ${userData.username}`);
+      res.json({ success: true, backupCodes });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 2단계 인증 확인 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 백업 코드 다시 발급 (비밀번호와 인증 코드 또는 백업 코드 필요, 이전 코드는 모두 무효)
+  app.post('/api/2fa/backup-codes', async (req, res) => {
+    try {
+      const { password, code } = schema.passwordAndCode.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      if (!userData.totpEnabledAt) return res.status(400).json({ error: '2단계 인증을 사용하지 않는 계정입니다.' });
+      if (!(await verifyOwner(userData, req, res, { password, code }))) return;
+
+      const backupCodes = ctx.db.transaction(() => {
+        ctx.db.updateUser(userId, { totpLastStep: userData.totpLastStep ?? null });
+        return issueBackupCodes(userId);
+      });
+      res.json({ success: true, backupCodes });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 백업 코드 발급 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+
+  // 2단계 인증 끄기 (비밀번호와 인증 코드 또는 백업 코드 필요)
+  app.post('/api/2fa/disable', async (req, res) => {
+    try {
+      const { password, code } = schema.passwordAndCode.parse(req.body);
+      const userId = ctx.getUserIdFromSession(req.sessionToken);
+      if (!userId) return res.status(401).json({ error: '유효하지 않은 세션입니다.' });
+      const userData = ctx.users.get(userId);
+      if (!userData) return res.status(401).json({ error: '유저 데이터를 찾을 수 없습니다.' });
+      if (!userData.totpEnabledAt) return res.status(400).json({ error: '2단계 인증을 사용하지 않는 계정입니다.' });
+      if (!(await verifyOwner(userData, req, res, { password, code }))) return;
+
+      ctx.db.transaction(() => {
+        ctx.db.updateUser(userId, { totpSecret: null, totpEnabledAt: null, totpLastStep: null });
+        ctx.db.deleteAccountCodes(userId, 'backup');
+      });
+      userData.totpSecret = null;
+      userData.totpEnabledAt = null;
+      userData.totpLastStep = null;
+      console.log(`🔓 2단계 인증 해제: ${userData.username}`);
+      res.json({ success: true });
+    } catch (error) {
+      if (error instanceof z.ZodError) return res.status(400).json({ error: '잘못된 요청 형식입니다.', details: error.issues });
+      console.error('❌ 2단계 인증 해제 오류:', error);
+      res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+  });
+};
@@ -4,6 +4,7 @@ const http = require('http');
 const { Server: SocketIOServer } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const os = require('os');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const helmetModule = require('helmet');
@@ -14,6 +15,7 @@ const pinoHttpModule = require('pino-http');
 const pinoHttp = typeof pinoHttpModule === 'function' ? pinoHttpModule : pinoHttpModule.default;
 const client = require('prom-client');
 const { z } = require('zod');
+const auth = require('./utils/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,6 +30,18 @@ const io = new SocketIOServer(server, {
     transports: ['websocket', 'polling']
 });
 
+// 리버스 프록시 신뢰 설정: req.ip를 X-Forwarded-For의 실제 클라이언트 주소로 (로그인 시도 IP 제한, 레이트리밋, 세션 기기 정보)
+// 기본은 꺼짐: 직접 노출된 서버에서 켜 두면 클라이언트가 X-Forwarded-For를 위조해 IP 제한을 피할 수 있다.
+// Render/Railway/Heroku처럼 앞단 프록시가 하나인 배포는 TRUST_PROXY=1. 숫자(홉 수), true/false, Express 형식 주소 목록(예: loopback,10.0.0.0/8)
+const TRUST_PROXY = (() => {
+    const raw = (process.env.TRUST_PROXY ?? 'false').trim();
+    if (raw === 'true') return true;
+    if (raw === 'false' || raw === '') return false;
+    if (/^\d+$/.test(raw)) return Number(raw);
+    return raw;
+})();
+app.set('trust proxy', TRUST_PROXY);
+
 // CORS & 보안 헤더 & JSON 파서
 app.use(cors());
 app.use(helmet({
@@ -61,8 +75,29 @@ app.use(helmet({
     }
 }));
 app.use(express.json({ limit: '100kb' }));
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-app.use(pinoHttp({ logger }));
+// 요청 로그에 세션 토큰/CSRF 토큰이 남지 않도록 가림 (헤더, 쿠키, 예전 방식의 ?sessionId= 쿼리)
+const logger = pino({
+    level: process.env.LOG_LEVEL || 'info',
+    redact: {
+        paths: [
+            'req.headers.authorization',
+            'req.headers.cookie',
+            `req.headers["${auth.CSRF_HEADER}"]`,
+            'req.query.sessionId',
+            'res.headers["set-cookie"]'
+        ],
+        censor: '[REDACTED]'
+    }
+});
+app.use(pinoHttp({
+    logger,
+    serializers: {
+        req(req) {
+            req.url = req.url.replace(/([?&]sessionId=)[^&#]*/g, '$1[REDACTED]');
+            return req;
+        }
+    }
+}));
 
 // 레이트리밋: API 엔드포인트 보호
 const apiLimiter = rateLimit({
@@ -73,6 +108,15 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/', apiLimiter);
 
+// API 인증: httpOnly 쿠키(CSRF 헤더 필요) 또는 Authorization: Bearer
+// 본문/쿼리 sessionId는 이전 클라이언트용으로 당분간 허용 (Deprecation 헤더)
+const SECURE_COOKIES = process.env.SESSION_COOKIE_SECURE
+    ? process.env.SESSION_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production';
+app.use('/api/', auth.createAuthMiddleware({
+    onDeprecated: (req, source) => deprecatedAuthCounter.inc({ source })
+}));
+
 // 라우터에서 독립 스키마 사용
 
 // 정적 파일 제공 개선: 공개 디렉토리만 서빙 (data 등 민감 경로 차단)
@@ -88,6 +132,11 @@ app.get('/webrtc-multiplayer.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'webrtc-multiplayer.html'));
 });
 
+// 관리자 콘솔 (API는 관리자 세션으로만 동작)
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
 // 필요한 정적 자산만 선택적으로 제공 (전체 디렉토리 서빙 방지)
 app.get('/magic_battle.png', (req, res) => {
     res.sendFile(path.join(__dirname, 'magic_battle.png'));
@@ -119,6 +168,9 @@ const connectionsGauge = new client.Gauge({ name: 'server_total_connections', he
 const activeGamesGauge = new client.Gauge({ name: 'server_active_games', help: 'Active games' });
 const waitingPlayersGauge = new client.Gauge({ name: 'server_waiting_players', help: 'Waiting players' });
 const totalMatchesCounter = new client.Counter({ name: 'server_total_matches', help: 'Total matches' });
+const loginFailuresCounter = new client.Counter({ name: 'server_login_failures', help: 'Failed login attempts', labelNames: ['scope'] });
+const loginLockoutsCounter = new client.Counter({ name: 'server_login_lockouts', help: 'Login lockouts', labelNames: ['scope'] });
+const deprecatedAuthCounter = new client.Counter({ name: 'server_deprecated_session_auth', help: 'API requests authenticated with sessionId in body or query', labelNames: ['source'] });
 
 app.get('/metrics', async (req, res) => {
     try {
@@ -147,35 +199,108 @@ app.get('/favicon.ico', (req, res) => {
 
 
 
-// 게임 상태 관리
-const waitingPlayers = new Map(); // 대기 중인 플레이어들
+const { createMatchmaker } = require('./utils/matchmaking');
+const { createRoomRegistry } = require('./utils/rooms');
+const bots = require('./utils/bots');
+const { createTournamentRegistry } = require('./utils/tournaments');
+const seasons = require('./utils/seasons');
+const { createLeaderboard } = require('./utils/leaderboard');
+const { createReadThroughMap } = require('./utils/cache');
+const friends = require('./utils/friends');
+const chat = require('./utils/chat');
+const admin = require('./utils/admin');
+const lockout = require('./utils/lockout');
+const { STORE_RULES, createStateStore } = require('./utils/store');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// 공유 상태 저장소: REDIS_URL이 있으면 Redis (여러 인스턴스가 매칭/게임을 나누고 재시작해도 게임 유지), 없으면 메모리
+const REDIS_PREFIX = process.env.REDIS_PREFIX || STORE_RULES.prefix;
+const stateStore = createStateStore({ redisUrl: process.env.REDIS_URL, prefix: REDIS_PREFIX });
+// 인스턴스 식별자 (게임은 만든 인스턴스가 진행하고, 같은 식별자로 다시 시작하면 이어받음)
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
+if (stateStore.client) {
+    // 다른 인스턴스에 연결된 소켓에도 io.to(...)와 serverSideEmit이 전달되도록 Redis 어댑터 사용
+    io.adapter(createAdapter(stateStore.client, stateStore.client.duplicate(), { key: `${REDIS_PREFIX}:socket.io` }));
+}
+
+// 게임 상태 관리 (이 인스턴스가 진행하는 게임과 접속한 소켓, 바뀔 때마다 stateStore에도 기록)
+const matchmaker = createMatchmaker(); // 대기 중인 플레이어들 (실력 구간 매칭 대기열, 공유 대기열과 동기화)
+const rooms = createRoomRegistry(); // 초대 코드 비공개 방
+const tournaments = createTournamentRegistry(); // 토너먼트 대진표 (DB에 JSON으로 저장)
+const challenges = friends.createChallengeRegistry(); // 친구 대결 신청 (응답 대기)
+const lastPresence = new Map(); // userId -> 친구들에게 마지막으로 알린 접속 상태
+// 채팅: 금칙어(쉼표 구분)와 소켓별 도배 제한
+const chatFilter = chat.createWordFilter(chat.parseBannedWords(process.env.CHAT_BANNED_WORDS));
+const chatLimiter = chat.createRateLimiter({
+    windowMs: Number(process.env.CHAT_RATE_WINDOW_MS || chat.CHAT_RULES.rateLimit.windowMs),
+    max: Number(process.env.CHAT_RATE_MAX || chat.CHAT_RULES.rateLimit.max)
+});
+const chatHistory = chat.createChatHistory(); // channel -> 최근 메시지 (재연결 시 다시 전송)
 const activeGames = new Map(); // 활성 게임들
-const playerSessions = new Map(); // 플레이어 세션 관리
+const playerSessions = new Map(); // 플레이어 세션 관리 (다른 인스턴스의 상대는 remote에 그 인스턴스 ID)
 const gameStates = new Map(); // 게임 상태 저장
+const gameReplays = new Map(); // gameId -> 리플레이 이벤트 로그 (종료 시 DB 저장)
+const pendingReconnects = new Map(); // 세션 키(토큰 해시) -> 연결이 끊긴 계정 플레이어의 재연결 대기 { gameId, playerNumber, deadline, timer }
+const queueWrites = new Set(); // 공유 대기열에 기록 중인 이 인스턴스의 소켓 ID (동기화 때 짝지어진 것으로 오인하지 않도록)
+/** @typedef {{ id: string, emit: (event: string, payload?: any) => any, join: (room: string) => any, leave: (room: string) => any }} SocketLike 로컬 소켓 또는 다른 인스턴스 소켓의 대리 객체 */
+// 연결이 끊긴 계정 플레이어를 기다리는 시간 (0이면 기존처럼 즉시 연결 해제 패배)
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS || 60000);
+// 관전 화면 지연 시간 (관전자를 통한 실시간 정보 전달 방지)
+const SPECTATOR_DELAY_MS = Number(process.env.SPECTATOR_DELAY_MS || 5000);
+// 랭킹 시즌 길이(일)와 시즌 전환 시 정식 결투 점수를 남기는 비율
+const SEASON_LENGTH_DAYS = Number(process.env.SEASON_LENGTH_DAYS || seasons.SEASON_RULES.lengthDays);
+const SEASON_SOFT_RESET_RATIO = Number(process.env.SEASON_SOFT_RESET_RATIO ?? seasons.SEASON_RULES.softResetRatio);
+const SEASON_CHECK_MS = Number(process.env.SEASON_CHECK_MS || 60000);
+// 로그인 실패 제한 (아이디별/IP별 잠금 기준과 잠금 시간)
+const loginThrottle = lockout.createLoginThrottle({
+    get: (key) => db.getLoginAttempt(key),
+    set: (record) => db.upsertLoginAttempt(record),
+    delete: (key) => db.deleteLoginAttempt(key),
+    listLocked: (now) => db.listLoginLockouts(now)
+}, {
+    ...lockout.LOGIN_RULES,
+    maxFailures: {
+        username: Number(process.env.LOGIN_MAX_FAILURES || lockout.LOGIN_RULES.maxFailures.username),
+        ip: Number(process.env.LOGIN_IP_MAX_FAILURES || lockout.LOGIN_RULES.maxFailures.ip)
+    },
+    lockoutMs: Number(process.env.LOGIN_LOCKOUT_MS || lockout.LOGIN_RULES.lockoutMs)
+}, {
+    onFailure: (scope) => loginFailuresCounter.inc({ scope }),
+    onLockout: (scope, record) => {
+        loginLockoutsCounter.inc({ scope });
+        console.warn(`🔒 로그인 잠금: ${record.key} (${Math.round((record.lockedUntil - Date.now()) / 60000)}분)`);
+    }
+});
+// 서버 시작 시 관리자 권한을 부여할 아이디 (쉼표 구분)
+const ADMIN_USERNAMES = admin.parseAdminUsernames(process.env.ADMIN_USERNAMES);
+/** @type {{ season: number, startsAt: number, endsAt: number, endedAt: number|null } | null} */
+let currentSeason = null;
+// 서버 AI 허수아비: 봇 소켓만 아는 접속 키와 봇 ID -> 매칭할 사람 { humanSocketId, difficulty }
+const BOT_KEY = crypto.randomBytes(16).toString('hex');
+const pendingBots = new Map();
 
-// 계정 시스템
-const users = new Map(); // userId -> userData
-const usernames = new Map(); // username -> userId
-const sessions = new Map(); // sessionId -> { userId, expiresAt, lastUsedAt } (구버전 숫자 지원)
-let nextUserId = 1;
+// 계정 시스템 (DB가 원본이고 Map은 캐시: 없는 키는 DB에서 읽으므로 다른 인스턴스가 만든 계정/세션도 보임)
+const users = createReadThroughMap((userId) => db.getUser(userId)); // userId -> userData
+const usernames = createReadThroughMap((username) => db.getUserIdByUsername(username)); // username -> userId
+const sessions = createReadThroughMap((sessionId) => db.getSession(sessionId)); // 세션 키(토큰 해시) -> { userId, expiresAt, lastUsedAt } (구버전 숫자 지원)
 
-// 랭킹 시스템 (userId -> score)
+// 랭킹 시스템 (userId -> score, 점수순 정렬을 유지하는 Map)
+// 모의 결투는 증표, 정식 결투는 레이팅의 보수적 추정치(rating.conservativeRating)가 점수
 const rankings = {
-    mock: new Map(),
-    formal: new Map()
+    mock: createLeaderboard(),
+    formal: createLeaderboard()
 };
 
-// 게임 결과 합의 대기 저장소 (gameId -> { claims: Map<socketId, winnerSocketId> })
-const pendingResults = new Map();
 
-// 파일 시스템을 사용한 영구 저장소 + DB
+// 영구 저장소 (SQLite)
 const fs = require('fs');
-const fsp = require('fs').promises;
 const db = require('./db');
-const { getSessionRecord, getUserIdFromSession: getUserIdFromSessionUtil } = require('./utils/session');
-const { getGameIdOf: getGameIdOfUtil, getOpponentSocketId: getOpponentSocketIdUtil, arePlayersInSameGame: arePlayersInSameGameUtil } = require('./utils/game');
+const { getSessionRecord, getUserIdFromSession: getUserIdFromSessionUtil, hashSessionToken } = require('./utils/session');
+const { getGameIdOf: getGameIdOfUtil, getOpponentSocketId: getOpponentSocketIdUtil, arePlayersInSameGame: arePlayersInSameGameUtil, getPlayerNumber: getPlayerNumberUtil } = require('./utils/game');
+const engine = require('./utils/engine');
+const rating = require('./utils/rating');
 
-// 데이터 파일 경로
+// 예전 버전의 JSON 데이터 파일 경로 (DB가 비어 있을 때 한 번만 가져옴)
 const DATA_DIR = path.join(__dirname, 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 const RANKINGS_FILE = path.join(DATA_DIR, 'rankings.json');
@@ -188,174 +313,237 @@ if (!fs.existsSync(DATA_DIR)) {
 }
 
 /**
- * 데이터 로드 함수
+ * 데이터 로드 함수 (SQLite가 유일한 저장소, 예전 JSON 파일은 빈 DB에 한 번만 가져옴)
  */
 function loadData() {
+    console.log('📁 데이터 파일 확인 중...');
+    // 마이그레이션이 실패하거나 DB가 코드보다 새 버전이면 잘못된 스키마로 실행하지 않도록 종료
+    try {
+        const schema = db.init();
+        console.log(`🧱 DB 스키마 버전 ${schema.to}${schema.applied.length > 0 ? ` (${schema.from}에서 ${schema.applied.length}개 적용)` : ''}`);
+    } catch (error) {
+        console.error('❌ DB 초기화 실패:', error.message);
+        process.exit(1);
+    }
     try {
-        console.log('📁 데이터 파일 확인 중...');
-        // DB 초기화 및 선로딩
-        db.init();
-        if (db.hasAnyData()) {
-            // DB 우선 로드
-            const loadedUsers = db.loadUsers();
+        tournaments.load(db.loadTournaments());
+        if (!db.hasAnyData()) {
+            importLegacyJsonFiles();
+        }
+
+        const loadedUsers = db.loadUsers();
+        users.clear();
+        usernames.clear();
+        for (const [uid, u] of loadedUsers) {
+            users.set(uid, u);
+        }
+        const usernameIdx = db.loadUsernamesIndex(users);
+        for (const [uname, uid] of usernameIdx) {
+            usernames.set(uname, uid);
+        }
+        const loadedSessions = db.loadSessions();
+        sessions.clear();
+        for (const [sid, val] of loadedSessions) {
+            sessions.set(sid, val);
+        }
+        const loadedRankings = db.loadRankings();
+        rankings.mock = createLeaderboard(loadedRankings.mock);
+        rankings.formal = createLeaderboard(formalRankingEntries(db.loadRatings()));
+        console.log(`🗄️ DB로부터 데이터 로드: 유저 ${users.size}, 세션 ${sessions.size}, mock ${rankings.mock.size}, formal ${rankings.formal.size}`);
+    } catch (error) {
+        console.error('❌ 데이터 로드 중 오류:', error);
+    }
+}
+
+/**
+ * 예전 버전이 쓰던 users/rankings/sessions JSON 파일을 DB로 가져오기
+ * 가져온 파일은 .imported를 붙여 남겨 두고 다시 읽지 않는다.
+ */
+function importLegacyJsonFiles() {
+    const legacyFiles = [USERS_FILE, RANKINGS_FILE, SESSIONS_FILE].filter(file => fs.existsSync(file));
+    if (legacyFiles.length === 0) return;
+
+    // 유저 데이터 로드
+    if (fs.existsSync(USERS_FILE)) {
+        try {
+            const usersData = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
             users.clear();
             usernames.clear();
-            for (const [uid, u] of loadedUsers) {
-                users.set(uid, u);
-            }
-            const usernameIdx = db.loadUsernamesIndex(users);
-            for (const [uname, uid] of usernameIdx) {
-                usernames.set(uname, uid);
-            }
-            const loadedSessions = db.loadSessions();
-            sessions.clear();
-            for (const [sid, val] of loadedSessions) {
-                sessions.set(sid, val);
+            
+            for (const [userId, userData] of Object.entries(usersData)) {
+                users.set(parseInt(userId), userData);
+                usernames.set(userData.username, parseInt(userId));
             }
-            const loadedRankings = db.loadRankings();
-            rankings.mock = loadedRankings.mock;
-            rankings.formal = loadedRankings.formal;
-            nextUserId = Math.max(...Array.from(users.keys()), 0) + 1;
-            console.log(`🗄️ DB로부터 데이터 로드: 유저 ${users.size}, 세션 ${sessions.size}, mock ${rankings.mock.size}, formal ${rankings.formal.size}`);
-            return;
-        }
-        
-        // 유저 데이터 로드
-        if (fs.existsSync(USERS_FILE)) {
-            try {
-                const usersData = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-                users.clear();
-                usernames.clear();
-                
-                for (const [userId, userData] of Object.entries(usersData)) {
-                    users.set(parseInt(userId), userData);
-                    usernames.set(userData.username, parseInt(userId));
+            console.log(`👤 유저 데이터 로드됨: ${users.size}명`);
+            
+            // 기존 유저들을 랭킹에 등록 (없는 경우에만) — userId 기반
+            for (const [userId, userData] of users) {
+                if (!rankings.mock.has(userId)) {
+                    rankings.mock.set(userId, userData.trophies.mock || 0);
                 }
-                nextUserId = Math.max(...Object.keys(usersData).map(Number), 0) + 1;
-                console.log(`👤 유저 데이터 로드됨: ${users.size}명, 다음 ID: ${nextUserId}`);
-                
-                // 기존 유저들을 랭킹에 등록 (없는 경우에만) — userId 기반
-                for (const [userId, userData] of users) {
-                    if (!rankings.mock.has(userId)) {
-                        rankings.mock.set(userId, userData.trophies.mock || 0);
-                    }
-                    if (!rankings.formal.has(userId)) {
-                        rankings.formal.set(userId, userData.trophies.formal || 0);
-                    }
+                if (!rankings.formal.has(userId)) {
+                    rankings.formal.set(userId, userData.trophies.formal || 0);
                 }
-            } catch (error) {
-                console.error('❌ 유저 데이터 파일 파싱 오류:', error);
-                users.clear();
-                usernames.clear();
-                nextUserId = 1;
             }
+        } catch (error) {
+            console.error('❌ 유저 데이터 파일 파싱 오류:', error);
+            return;
         }
-        
-        // 랭킹 데이터 로드
-        if (fs.existsSync(RANKINGS_FILE)) {
-            try {
-                const rankingsData = JSON.parse(fs.readFileSync(RANKINGS_FILE, 'utf8'));
-                rankings.mock = new Map(rankingsData.mock || []);
-                rankings.formal = new Map(rankingsData.formal || []);
-                // 닉네임 키였던 기존 데이터를 userId 키로 마이그레이션
-                migrateRankingKeysToUserId(rankings.mock);
-                migrateRankingKeysToUserId(rankings.formal);
-                console.log(`📊 랭킹 데이터 로드됨: 모의 ${rankings.mock.size}명, 정식 ${rankings.formal.size}명`);
-            } catch (error) {
-                console.error('❌ 랭킹 데이터 파일 파싱 오류:', error);
-                rankings.mock.clear();
-                rankings.formal.clear();
-            }
+    }
+    
+    // 랭킹 데이터 로드
+    if (fs.existsSync(RANKINGS_FILE)) {
+        try {
+            const rankingsData = JSON.parse(fs.readFileSync(RANKINGS_FILE, 'utf8'));
+            rankings.mock = createLeaderboard(rankingsData.mock || []);
+            rankings.formal = createLeaderboard(rankingsData.formal || []);
+            // 닉네임 키였던 기존 데이터를 userId 키로 마이그레이션
+            migrateRankingKeysToUserId(rankings.mock);
+            migrateRankingKeysToUserId(rankings.formal);
+            console.log(`📊 랭킹 데이터 로드됨: 모의 ${rankings.mock.size}명, 정식 ${rankings.formal.size}명`);
+        } catch (error) {
+            console.error('❌ 랭킹 데이터 파일 파싱 오류:', error);
+            return;
         }
-        
-        // 세션 데이터 로드
-        if (fs.existsSync(SESSIONS_FILE)) {
-            try {
-                const sessionsData = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
-                sessions.clear();
-                for (const [sessionId, value] of Object.entries(sessionsData)) {
-                    if (typeof value === 'object' && value !== null) {
-                        sessions.set(sessionId, {
-                            userId: parseInt(value.userId),
-                            expiresAt: value.expiresAt || (Date.now() + SESSION_TTL_MS),
-                            lastUsedAt: value.lastUsedAt || Date.now()
-                        });
-                    } else {
-                        sessions.set(sessionId, parseInt(value));
-                    }
+    }
+    
+    // 세션 데이터 로드
+    if (fs.existsSync(SESSIONS_FILE)) {
+        try {
+            const sessionsData = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+            sessions.clear();
+            for (const [storedKey, value] of Object.entries(sessionsData)) {
+                // 예전 파일은 토큰 원문이 키이므로 해시로 바꿔서 보관
+                const sessionId = value && value.tokenHashed ? storedKey : hashSessionToken(storedKey);
+                if (typeof value === 'object' && value !== null) {
+                    sessions.set(sessionId, {
+                        userId: parseInt(value.userId),
+                        expiresAt: value.expiresAt || (Date.now() + SESSION_TTL_MS),
+                        lastUsedAt: value.lastUsedAt || Date.now(),
+                        createdAt: value.createdAt || null,
+                        userAgent: value.userAgent || null,
+                        ip: value.ip || null
+                    });
+                } else {
+                    sessions.set(sessionId, parseInt(value));
                 }
-                console.log(`🔐 세션 데이터 로드됨: ${sessions.size}개`);
-            } catch (error) {
-                console.error('❌ 세션 데이터 파일 파싱 오류:', error);
-                sessions.clear();
             }
+            console.log(`🔐 세션 데이터 로드됨: ${sessions.size}개`);
+        } catch (error) {
+            console.error('❌ 세션 데이터 파일 파싱 오류:', error);
+            sessions.clear();
         }
-        
-    } catch (error) {
-        console.error('❌ 데이터 로드 중 오류:', error);
     }
+
+    // 파싱에 실패한 파일이 있으면 위에서 중단하므로 여기까지 오면 한 번에 저장
+    db.importLegacySnapshot(users, sessions, rankings);
+    for (const file of legacyFiles) {
+        fs.renameSync(file, `${file}.imported`);
+    }
+    console.log(`📥 예전 JSON 데이터를 DB로 가져왔습니다: 유저 ${users.size}, 세션 ${sessions.size} (${legacyFiles.map(file => path.basename(file)).join(', ')} → .imported)`);
 }
 
+// 세션 유효기간
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || (24 * 60 * 60 * 1000));
+// 세션 사용 시각을 DB에 다시 쓰는 최소 간격 (요청마다 쓰지 않도록)
+const SESSION_TOUCH_MS = Number(process.env.SESSION_TOUCH_MS || 60000);
+
 /**
- * 데이터 저장 함수
+ * 세션 토큰으로 계정 조회 (sessions Map은 토큰의 해시를 키로 사용)
+ * @param {string|null|undefined} token
  */
-const SAVE_DEBOUNCE_MS = Number(process.env.SAVE_DEBOUNCE_MS || 200);
-let saveTimer = null;
-async function saveDataImmediate() {
+function getUserIdFromSession(token) {
+    if (!token) return null;
+    const sessionId = hashSessionToken(token);
+    let before = sessions.get(sessionId);
+    // 캐시에서는 만료됐어도 다른 인스턴스가 사용하며 연장했을 수 있으므로 DB에서 다시 읽음
+    if (before && typeof before !== 'number' && before.expiresAt && before.expiresAt < Date.now()) {
+        sessions.delete(sessionId);
+        before = sessions.get(sessionId);
+    }
+    if (!before) return null;
+    const lastTouchedAt = typeof before === 'number' ? 0 : (before.lastUsedAt || 0);
+    const userId = getUserIdFromSessionUtil(sessions, sessionId, SESSION_TTL_MS);
     try {
-        // 유저 데이터 저장
-        const usersData = {};
-        for (const [userId, userData] of users) {
-            usersData[userId] = userData;
-        }
-        await fsp.writeFile(USERS_FILE, JSON.stringify(usersData, null, 2));
-        
-        // 랭킹 데이터 저장 (userId -> score)
-        const rankingsData = {
-            mock: Array.from(rankings.mock.entries()),
-            formal: Array.from(rankings.formal.entries())
-        };
-        await fsp.writeFile(RANKINGS_FILE, JSON.stringify(rankingsData, null, 2));
-        
-        // 세션 데이터 저장
-        const sessionsData = {};
-        for (const [sessionId, value] of sessions) {
-            if (typeof value === 'number') {
-                sessionsData[sessionId] = { userId: value, expiresAt: Date.now() + SESSION_TTL_MS, lastUsedAt: Date.now() };
-            } else {
-                sessionsData[sessionId] = value;
-            }
+        if (!userId) {
+            db.deleteSession(sessionId);
+        } else {
+            const record = sessions.get(sessionId);
+            if (record.lastUsedAt - lastTouchedAt >= SESSION_TOUCH_MS) db.touchSession(sessionId, record.lastUsedAt, record.expiresAt);
         }
-        await fsp.writeFile(SESSIONS_FILE, JSON.stringify(sessionsData, null, 2));
-        
-        console.log('💾 데이터 저장 완료');
-    } catch (error) {
-        console.error('❌ 데이터 저장 중 오류:', error);
+    } catch (e) {
+        console.error('❌ 세션 갱신 실패:', e);
     }
+    // 이용 정지된 계정의 세션은 무효
+    if (userId && admin.isBanned(users.get(userId))) return null;
+    return userId;
 }
 
-function saveData() {
-    if (saveTimer) {
-        clearTimeout(saveTimer);
+/**
+ * 세션 해제 (DB와 모든 인스턴스의 캐시에서 삭제하고 그 세션으로 로그인한 소켓 연결 종료)
+ * @param {string} sessionId - 저장된 세션 키 (토큰 해시)
+ * @param {string} message - 끊기는 소켓에 보낼 사유
+ * @returns {boolean} 있던 세션인지
+ */
+function revokeSession(sessionId, message) {
+    if (!sessions.has(sessionId)) return false;
+    try {
+        db.deleteSession(sessionId);
+    } catch (e) {
+        console.error('❌ 세션 삭제 실패:', e);
     }
-    saveTimer = setTimeout(() => {
-        saveDataImmediate();
-        // DB에도 동기화
-        try {
-            db.upsertUsers(users);
-            db.upsertSessions(sessions);
-            db.upsertRankings(rankings);
-        } catch (e) {
-            console.error('❌ DB 동기화 실패:', e);
-        }
-    }, SAVE_DEBOUNCE_MS);
+    dropSession(sessionId, message);
+    broadcastToInstances('sessionRevoked', { sessionId, message });
+    return true;
 }
 
-// 세션 유효기간
-const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || (24 * 60 * 60 * 1000));
+/**
+ * 이 인스턴스에서 해제된 세션 정리 (캐시 삭제, 재연결 대기 종료, 그 세션의 소켓 연결 종료)
+ */
+function dropSession(sessionId, message) {
+    sessions.delete(sessionId);
+    // 재연결을 기다리던 게임은 돌아올 수 없으므로 바로 연결 해제 패배
+    const pending = pendingReconnects.get(sessionId);
+    if (pending) {
+        clearTimeout(pending.timer);
+        expireReconnect(sessionId);
+    }
+    for (const info of Array.from(playerSessions.values())) {
+        if (info.sessionId !== sessionId) continue;
+        io.to(info.id).emit('sessionRevoked', { message });
+        kickSocket(info.id, message);
+    }
+}
+
+/**
+ * 계정의 세션 모두 해제 (exceptSessionId 세션 키는 남김)
+ * @param {number} userId
+ * @param {{ exceptSessionId?: string|null, message?: string }} [options]
+ * @returns {number} 해제한 세션 수
+ */
+function revokeUserSessions(userId, { exceptSessionId = null, message = '다른 곳에서 세션이 해제되었습니다.' } = {}) {
+    let revoked = 0;
+    // 다른 인스턴스에서 로그인한 세션까지 DB 기준으로 해제
+    for (const { sessionId } of db.listUserSessions(userId)) {
+        if (sessionId === exceptSessionId) continue;
+        if (revokeSession(sessionId, message)) revoked++;
+    }
+    return revoked;
+}
 
-function getUserIdFromSession(sessionId) {
-    return getUserIdFromSessionUtil(sessions, sessionId, SESSION_TTL_MS);
+/**
+ * ADMIN_USERNAMES에 있는 기존 계정을 관리자로 지정 (서버 시작 시)
+ */
+function promoteConfiguredAdmins() {
+    const promoted = [];
+    for (const username of ADMIN_USERNAMES) {
+        const userData = users.get(usernames.get(username));
+        if (!userData || admin.isAdmin(userData)) continue;
+        db.updateUser(userData.userId, { role: admin.ROLES.admin });
+        userData.role = admin.ROLES.admin;
+        promoted.push(username);
+    }
+    if (promoted.length > 0) console.log(`🛡️ 관리자 지정 ${promoted.length}명: ${promoted.join(', ')}`);
 }
 
 function migrateRankingKeysToUserId(rankMap) {
@@ -381,164 +569,1811 @@ function migrateRankingKeysToUserId(rankMap) {
     }
 }
 
+/**
+ * 정식 결투 랭킹 항목 (모든 계정, 레이팅 기록이 없으면 신규 계정 기본값 기준)
+ * @param {Map<number, Object>} ratingRecords - userId -> 레이팅 기록
+ * @returns {Array<[number, number]>}
+ */
+function formalRankingEntries(ratingRecords) {
+    return Array.from(users.keys(), (userId) => [userId, rating.conservativeRating(ratingRecords.get(userId) || rating.createRating())]);
+}
+
+/**
+ * 유저의 현재 레이팅 기록 (없으면 신규 계정 기본값)
+ */
+function getRatingRecord(userId) {
+    return db.getRating(userId) || rating.createRating();
+}
+
+/**
+ * 레이팅 반영 전후 요약 (클라이언트 표시용)
+ */
+function describeRatingChange(before, after) {
+    const publicAfter = rating.toPublicRating(after);
+    return { before: Math.round(before.rating), after: publicAfter.rating, delta: publicAfter.rating - Math.round(before.rating), provisional: publicAfter.provisional };
+}
+
+/**
+ * 매칭 시 레이팅 변화 미리보기 (계정 간 경기만)
+ */
+function getRatingPreview(userId, opponentUserId) {
+    if (!userId || !opponentUserId) return null;
+    const mine = getRatingRecord(userId);
+    const opponent = getRatingRecord(opponentUserId);
+    return {
+        ...rating.toPublicRating(mine),
+        ...rating.previewRatingChange(mine, opponent),
+        opponent: rating.toPublicRating(opponent)
+    };
+}
+
 /**
  * 경기 결과 확정 및 점수 반영 (서버 권위)
+ * 레이팅이 실력 지표(정식 결투 랭킹, 시즌 순위, 토너먼트 시드)이고, 승리의 증표(승리 +2, 패배 -1)는 표시용으로 유지한다.
+ * @returns {{ winner: number, loser: number, ratingChange: { winner: Object, loser: Object } } | null} 실제 반영된 증표/레이팅 변화 (반영 안 했으면 null)
  */
 function finalizeGameResult(gameId, winnerSocketId) {
     const session = activeGames.get(gameId);
-    if (!session) return;
+    if (!session) return null;
     const loser = session.players.find(p => p.id !== winnerSocketId);
     const winner = session.players.find(p => p.id === winnerSocketId);
-    if (!winner || !loser) return;
+    if (!winner || !loser) return null;
 
-    // 게스트 경기면 점수 반영 안 함
-    if (winner.isGuest || loser.isGuest) {
-        return;
+    // 토너먼트 경기는 점수와 관계없이 대진표 진행
+    if (session.tournament) {
+        advanceTournament(session.tournament, winner.userId);
     }
 
-    // 유저 데이터 확보
-    const winnerInfo = playerSessions.get(winner.id);
-    const loserInfo = playerSessions.get(loser.id);
-    if (!winnerInfo || !loserInfo) return;
+    // 점수 미반영 비공개 방 또는 게스트 경기면 점수 반영 안 함
+    if (session.mode !== 'formal' || winner.isGuest || loser.isGuest) {
+        return null;
+    }
 
-    const winnerUser = users.get(winnerInfo.userId);
-    const loserUser = users.get(loserInfo.userId);
-    if (!winnerUser || !loserUser) return;
+    // 유저 데이터 확보
+    const winnerUser = users.get(winner.userId);
+    const loserUser = users.get(loser.userId);
+    if (!winnerUser || !loserUser) return null;
 
     // 정식 결투 점수: 승리 +2, 패배 -1 (하한 0)
     const winnerCurrent = winnerUser.trophies.formal || 0;
     const loserCurrent = loserUser.trophies.formal || 0;
     const winnerUpdated = Math.max(0, winnerCurrent + 2);
     const loserUpdated = Math.max(0, loserCurrent - 1);
+
+    // 레이팅: 양쪽 모두 경기 전 기록 기준으로 계산
+    const now = Date.now();
+    const winnerRating = getRatingRecord(winner.userId);
+    const loserRating = getRatingRecord(loser.userId);
+    const winnerRatingUpdated = rating.updateRating(winnerRating, loserRating, 1, now);
+    const loserRatingUpdated = rating.updateRating(loserRating, winnerRating, 0, now);
+    // 증표와 레이팅은 한 트랜잭션으로 저장한 뒤 메모리에 반영
+    db.transaction(() => {
+        db.setTrophies('formal', [[winner.userId, winnerUpdated], [loser.userId, loserUpdated]]);
+        db.upsertRating(winner.userId, winnerRatingUpdated);
+        db.upsertRating(loser.userId, loserRatingUpdated);
+    });
     winnerUser.trophies.formal = winnerUpdated;
     loserUser.trophies.formal = loserUpdated;
-    rankings.formal.set(winnerInfo.userId, winnerUpdated);
-    rankings.formal.set(loserInfo.userId, loserUpdated);
-    saveData();
-    console.log(`🏆 정식 결투 결과 확정: ${winnerUser.nickname} 승리 (+2), ${loserUser.nickname} 패배 (-1)`);
+    rankings.formal.set(winner.userId, rating.conservativeRating(winnerRatingUpdated));
+    rankings.formal.set(loser.userId, rating.conservativeRating(loserRatingUpdated));
+    const ratingChange = {
+        winner: describeRatingChange(winnerRating, winnerRatingUpdated),
+        loser: describeRatingChange(loserRating, loserRatingUpdated)
+    };
+    console.log(`🏆 정식 결투 결과 확정: ${winnerUser.nickname} 승리 (+2, 레이팅 ${ratingChange.winner.delta}), ${loserUser.nickname} 패배 (-1, 레이팅 ${ratingChange.loser.delta})`);
+    return { winner: winnerUpdated - winnerCurrent, loser: loserUpdated - loserCurrent, ratingChange };
 }
 
 /**
- * 세션 ID 생성
+ * 모의 결투(서버 AI 허수아비) 결과를 서버가 직접 반영: 계정 플레이어만 승리 +2, 패배 -1 (하한 0)
+ * @returns {{ winner: number, loser: number, ratingChange: null } | null} 실제 반영된 증표 변화
  */
-function generateSessionId() {
-    return crypto.randomBytes(32).toString('hex');
-}
-
-// 라우터로 위임: routes/auth.js
+function finalizeMockResult(gameId, winnerSocketId) {
+    const session = activeGames.get(gameId);
+    if (!session || session.mode !== 'mock') return null;
+    const human = session.players.find(p => !p.isBot);
+    if (!human || human.isGuest) return null;
+    const userData = users.get(human.userId);
+    if (!userData) return null;
 
-// 라우터로 위임: routes/auth.js
+    const won = human.id === winnerSocketId;
+    const current = userData.trophies.mock || 0;
+    const updated = Math.max(0, current + (won ? 2 : -1));
+    db.updateTrophies(human.userId, 'mock', updated);
+    userData.trophies.mock = updated;
+    rankings.mock.set(human.userId, updated);
+    console.log(`🤖 모의 결투 결과 확정: ${userData.nickname} ${won ? '승리' : '패배'} (${updated - current >= 0 ? '+' : ''}${updated - current})`);
+    return { winner: won ? updated - current : 0, loser: won ? 0 : updated - current, ratingChange: null };
+}
 
 /**
- * 세션 확인 API
+ * 엔진 판정 사유를 경기 기록 사유로 변환 (체력/패 소진은 일반 승리)
+ * @param {string} reason
+ * @returns {'win' | 'surrender' | 'disconnect' | 'timeout' | 'admin'}
  */
-// 라우터로 위임: routes/auth.js
+function toMatchReason(reason) {
+    if (reason === 'surrender' || reason === 'disconnect' || reason === 'timeout' || reason === 'admin') return reason;
+    return 'win';
+}
 
 /**
- * 닉네임 변경 API
+ * 경기 기록 저장 (분쟁 조사 및 전적 조회용)
  */
-// 라우터로 위임: routes/auth.js
+function recordMatch(session, verdict, trophyDelta) {
+    const endedAt = Date.now();
+    const delta = (playerNumber) => {
+        if (!trophyDelta) return 0;
+        return playerNumber === verdict.winner ? trophyDelta.winner : trophyDelta.loser;
+    };
+    const [p1, p2] = session.players;
+    try {
+        db.insertMatch({
+            gameId: session.id,
+            mode: session.mode,
+            player1Id: p1.userId,
+            player1Name: p1.name,
+            player1TrophyDelta: delta(1),
+            player2Id: p2.userId,
+            player2Name: p2.name,
+            player2TrophyDelta: delta(2),
+            winner: verdict.winner,
+            reason: toMatchReason(verdict.reason),
+            startedAt: session.createdAt,
+            endedAt,
+            durationMs: endedAt - session.createdAt
+        });
+    } catch (e) {
+        console.error('❌ 경기 기록 저장 실패:', e);
+    }
+}
 
 /**
- * 아이콘 변경 API
+ * 리플레이 이벤트 기록 (진행 중인 게임만)
+ * @param {string} gameId
+ * @param {Object} event - { type: 'deal' | 'cardPlayed' | 'reveal' | 'turnEnd' | 'gameOver', ... }
  */
-// 라우터로 위임: routes/auth.js
+function recordReplayEvent(gameId, event) {
+    const events = gameReplays.get(gameId);
+    if (events) events.push({ ...event, at: Date.now() });
+}
 
 /**
- * 랭킹 조회 API
+ * 게임 참가자 각각에게 자신에게 허용된 상태(플레이어 뷰)만 전송
+ * @param {string} gameId
+ * @param {string} event - 소켓 이벤트 이름
+ * @param {(playerId: number) => Object} [extra] - 플레이어별 추가 페이로드
  */
-// 라우터로 위임: routes/ranking.js
+function emitGameViews(gameId, event, extra = () => ({})) {
+    const session = activeGames.get(gameId);
+    const gameState = gameStates.get(gameId);
+    if (!session || !gameState) return;
+    session.players.forEach((p, index) => {
+        const playerId = index + 1;
+        io.to(p.id).emit(event, { ...extra(playerId), gameId, gameState: engine.getPlayerView(gameState, playerId) });
+    });
+}
 
 /**
- * 승리의 증표 업데이트 API
+ * 엔진 판정으로 경기 종료 (결과 알림, 점수 반영, 정리)
+ * @param {string} gameId
+ * @param {{ winner: number, reason: string }} verdict - 엔진 판정 (winner는 1/2번 플레이어)
  */
-// 라우터로 위임: routes/ranking.js
+function concludeGame(gameId, verdict) {
+    const session = activeGames.get(gameId);
+    if (!session) return;
+    const winnerPlayer = session.players[verdict.winner - 1];
+    if (!winnerPlayer) return;
+
+    const gameState = gameStates.get(gameId) || null;
+    if (gameState && !gameState.isGameOver) {
+        gameState.isGameOver = true;
+        gameState.winner = verdict.winner;
+        gameState.reason = verdict.reason;
+    }
+
+    const result = session.mode === 'mock'
+        ? finalizeMockResult(gameId, winnerPlayer.id)
+        : finalizeGameResult(gameId, winnerPlayer.id);
+    recordMatch(session, verdict, result);
+    recordReplayEvent(gameId, { type: 'gameOver', winner: verdict.winner, reason: verdict.reason });
+    if (gameState) {
+        queueSpectatorUpdate(gameId, { type: 'gameOver', winner: verdict.winner, reason: verdict.reason });
+    } else {
+        endSpectating(session, '경기가 끝났습니다.');
+    }
+    if (session.mode === 'formal' && gameReplays.has(gameId)) {
+        try {
+            db.insertReplay(gameId, gameReplays.get(gameId));
+        } catch (e) {
+            console.error('❌ 리플레이 저장 실패:', e);
+        }
+    }
+    if (gameState) {
+        emitGameViews(gameId, 'gameOver', (playerId) => ({
+            winner: verdict.winner,
+            winnerSocketId: winnerPlayer.id,
+            reason: verdict.reason,
+            ratingChange: result && result.ratingChange ? result.ratingChange[playerId === verdict.winner ? 'winner' : 'loser'] : null,
+            trophyDelta: result ? result[playerId === verdict.winner ? 'winner' : 'loser'] : 0
+        }));
+    } else {
+        io.to(gameId).emit('gameOver', { winner: verdict.winner, winnerSocketId: winnerPlayer.id, reason: verdict.reason, gameState: null });
+    }
+
+    // 재연결 대기 중이던 플레이어가 있으면 대기 종료
+    for (const [sessionId, pending] of pendingReconnects) {
+        if (pending.gameId === gameId) dropPendingReconnect(sessionId);
+    }
+
+    // 다음 매칭/방 참가가 가능하도록 플레이어의 게임 연결 해제
+    for (const p of session.players) {
+        const info = playerSessions.get(p.id);
+        if (info && info.gameId === gameId) {
+            info.gameId = null;
+            info.opponent = null;
+            persistPlayer(info);
+            syncRemotePlayer(info);
+        }
+        refreshPresence(p.userId);
+    }
+    removeGame(gameId);
+    console.log(`🏁 경기 종료 판정: ${gameId} → ${winnerPlayer.name} 승리 (${verdict.reason})`);
+}
 
 /**
- * 유저 프로필 조회 API
+ * 승패 없이 경기 중단 (관리자 무효 처리: 점수/전적/리플레이 미반영)
+ * 토너먼트 경기였다면 launchTournamentMatches가 대기 상태로 되돌려 다시 치른다.
+ * @param {string} gameId
+ * @param {string} message - 플레이어와 관전자에게 보여줄 사유
  */
-app.get('/api/profile/:userId', (req, res) => {
-    try {
-        const userId = parseInt(req.params.userId);
-        
-        if (!userId || userId <= 0) {
-            return res.status(400).json({ error: '유효하지 않은 유저 ID입니다.' });
-        }
-        
-        const userData = users.get(userId);
-        if (!userData) {
-            return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+function abortGame(gameId, message) {
+    const session = activeGames.get(gameId);
+    if (!session) return false;
+    io.to(gameId).emit('gameAborted', { gameId, message });
+    endSpectating(session, message);
+
+    for (const [sessionId, pending] of pendingReconnects) {
+        if (pending.gameId === gameId) dropPendingReconnect(sessionId);
+    }
+    for (const p of session.players) {
+        const info = playerSessions.get(p.id);
+        if (info && info.gameId === gameId) {
+            info.gameId = null;
+            info.opponent = null;
+            persistPlayer(info);
+            syncRemotePlayer(info);
         }
-        
-        // 기본 정보만 반환 (비밀번호 제외)
-        const profileData = {
-            userId: userData.userId,
-            username: userData.username,
-            nickname: userData.nickname,
-            icon: userData.icon || '👤',
-            trophies: userData.trophies,
-            createdAt: userData.createdAt,
-            lastNicknameChange: userData.lastNicknameChange
-        };
-        
-        console.log(`👤 프로필 조회: ${userData.nickname} (ID: ${userId})`);
-        
-        res.json({
-            success: true,
-            userData: profileData
-        });
-        
-    } catch (error) {
-        console.error('❌ 프로필 조회 오류:', error);
-        res.status(500).json({ error: '서버 오류가 발생했습니다.' });
     }
-});
+    io.in(gameId).socketsLeave(gameId);
+    removeGame(gameId);
+    for (const p of session.players) refreshPresence(p.userId);
+    console.log(`🛑 경기 중단: ${gameId} (${message})`);
+    return true;
+}
 
-// 서버 상태
-let serverStats = {
-    totalConnections: 0,
-    activeGames: 0,
-    waitingPlayers: 0,
-    totalMatches: 0
-};
+/**
+ * 재연결을 기다리는 플레이어가 있는 게임인지
+ */
+function isAwaitingReconnect(gameId) {
+    for (const pending of pendingReconnects.values()) {
+        if (pending.gameId === gameId) return true;
+    }
+    return false;
+}
 
-// 에러 핸들링 함수
-function handleError(socket, error, context) {
-    console.error(`❌ 에러 발생 (${context}):`, error);
-    const payload = { message: '서버 오류가 발생했습니다.', context };
-    socket.emit('serverError', payload);
-    socket.emit('error', payload); // 하위 호환
+/**
+ * 진행 중인 게임에서 연결이 끊긴 계정 플레이어를 유예 시간 동안 기다린다 (그동안 게임 일시 정지)
+ * @param {string} gameId
+ * @param {Object} info - 연결이 끊긴 플레이어의 playerSessions 정보
+ * @returns {{ deadline: number } | null} 대기를 시작하지 않으면 null (게스트, 유예 0, 이미 끝난 게임)
+ */
+function suspendForReconnect(gameId, info) {
+    const gameState = gameStates.get(gameId);
+    if (RECONNECT_GRACE_MS <= 0 || info.isGuest || !info.sessionId) return null;
+    if (!gameState || gameState.isGameOver) return null;
+    const playerNumber = getPlayerNumber(gameId, info.id);
+    if (!playerNumber) return null;
+    const previous = pendingReconnects.get(info.sessionId);
+    if (previous) clearTimeout(previous.timer);
+    const deadline = Date.now() + RECONNECT_GRACE_MS;
+    const timer = setTimeout(() => expireReconnect(info.sessionId), RECONNECT_GRACE_MS);
+    pendingReconnects.set(info.sessionId, { gameId, playerNumber, deadline, timer });
+    // 다른 인스턴스로 다시 접속해도 이 인스턴스로 재개 요청이 오도록 기록
+    storeWrite(stateStore.set('reconnects', info.sessionId, { gameId, playerNumber, deadline, owner: INSTANCE_ID }), 'reconnects');
+    return { deadline };
 }
 
-// 연결 상태 확인 함수
-function isPlayerConnected(playerId) {
-    return io.sockets.sockets.has(playerId);
+/**
+ * 유예 시간 안에 돌아오지 않으면 연결 해제 패배
+ */
+function expireReconnect(sessionId) {
+    const pending = pendingReconnects.get(sessionId);
+    if (!pending) return;
+    dropPendingReconnect(sessionId);
+    if (!activeGames.has(pending.gameId)) return;
+    console.log(`⌛ 재연결 유예 만료: ${pending.gameId} (${pending.playerNumber}번 플레이어 연결 해제 패배)`);
+    concludeGame(pending.gameId, { winner: pending.playerNumber === 1 ? 2 : 1, reason: 'disconnect' });
 }
 
-const getGameIdOf = (socketId) => getGameIdOfUtil(playerSessions, socketId);
-const getOpponentSocketId = (gameId, socketId) => getOpponentSocketIdUtil(activeGames, gameId, socketId);
-const arePlayersInSameGame = (a, b) => arePlayersInSameGameUtil(playerSessions, activeGames, a, b);
+/**
+ * 같은 세션으로 다시 로그인한 소켓을 대기 중인 게임에 다시 연결하고 최신 상태 전송
+ * @param {SocketLike} socket - 다른 인스턴스로 다시 접속했으면 remoteSocket 대리 객체
+ * @param {Object} info - 새 소켓의 playerSessions 정보 (로그인 완료)
+ * @returns {boolean} 게임 재개 여부
+ */
+function resumeGame(socket, info) {
+    const pending = pendingReconnects.get(info.sessionId);
+    if (!pending) return false;
+    dropPendingReconnect(info.sessionId);
+    const session = activeGames.get(pending.gameId);
+    const gameState = gameStates.get(pending.gameId);
+    if (!session || !gameState) return false;
 
-// Socket.IO 연결 처리
-io.on('connection', (socket) => {
-    console.log(`🔌 새로운 연결: ${socket.id}`);
-    serverStats.totalConnections++;
-    
-    // 플레이어 정보 저장
-    let playerInfo = {
-        id: socket.id,
-        name: null,
-        isWaiting: false,
-        gameId: null,
-        opponent: null,
-        lastPing: Date.now(),
-        connectionAttempts: 0,
-        isGuest: true, // 기본값은 게스트
-        userId: null,
-        sessionId: null
-    };
+    const index = pending.playerNumber - 1;
+    const player = session.players[index];
+    const opponent = session.players[1 - index];
+    player.id = socket.id;
+    info.name = player.name;
+    info.isWaiting = false;
+    info.gameId = session.id;
+    info.opponent = opponent.id;
+    const opponentInfo = playerSessions.get(opponent.id);
+    if (opponentInfo) opponentInfo.opponent = socket.id;
+    syncRemotePlayer(info);
+    syncRemotePlayer(opponentInfo);
+    persistPlayer(info);
+    socket.join(session.id);
+    session.lastActivity = Date.now();
+    persistGame(session.id);
+
+    socket.emit('gameResumed', {
+        gameId: session.id,
+        opponent: { id: opponent.id, name: opponent.name, isGuest: opponent.isGuest },
+        isHost: index === 0,
+        mode: session.mode,
+        roomCode: session.roomCode,
+        gameState: engine.getPlayerView(gameState, pending.playerNumber)
+    });
+    // 상대는 새 소켓 ID로 WebRTC를 다시 연결하고, 대기 중 놓친 상태 없이 이어서 진행
+    io.to(opponent.id).emit('opponentReconnected', {
+        gameId: session.id,
+        opponent: { id: socket.id, name: player.name, isGuest: player.isGuest },
+        gameState: engine.getPlayerView(gameState, pending.playerNumber === 1 ? 2 : 1)
+    });
+    emitSpectatorCount(session.id);
+    emitChatHistory(socket, info, chat.gameChannelOf(session.id));
+    console.log(`▶️ 게임 재개: ${player.name} (${socket.id}) → ${session.id}`);
+    return true;
+}
+
+/**
+ * 관전자 Socket.IO 룸 (플레이어 룸과 분리해 지연된 공개 정보만 전송)
+ */
+function spectatorRoomOf(gameId) {
+    return `${gameId}:spectators`;
+}
+
+/**
+ * 관전 가능 여부 (어느 한 플레이어라도 관전을 막으면 불가)
+ */
+function canSpectate(session) {
+    return session.spectatorBlocks.size === 0;
+}
+
+/**
+ * 관전자 수를 플레이어와 관전자에게 알림
+ */
+function emitSpectatorCount(gameId) {
+    const session = activeGames.get(gameId);
+    if (!session) return;
+    io.to(gameId).to(spectatorRoomOf(gameId)).emit('spectatorCount', {
+        gameId,
+        count: session.spectators.size,
+        allowed: canSpectate(session),
+        blockedBy: Array.from(session.spectatorBlocks)
+    });
+}
+
+/**
+ * 관전자에게 공개 정보만 담은 상태를 지연 전송 (상태는 지금 시점으로 고정)
+ * 나중에 들어온 관전자는 마지막으로 전송된 지연 상태부터 본다.
+ * @param {string} gameId
+ * @param {Object} event - 관전자에게 보여도 되는 이벤트 요약
+ */
+function queueSpectatorUpdate(gameId, event) {
+    const session = activeGames.get(gameId);
+    const gameState = gameStates.get(gameId);
+    if (!session || !gameState) return;
+    const update = { gameId, event, gameState: engine.getSpectatorView(gameState) };
+    setTimeout(() => {
+        session.lastSpectatorUpdate = update;
+        io.to(spectatorRoomOf(gameId)).emit('spectatorUpdate', update);
+        if (event.type === 'gameOver') {
+            endSpectating(session, '경기가 끝났습니다.');
+        }
+    }, SPECTATOR_DELAY_MS);
+}
+
+/**
+ * 게임의 모든 관전자 내보내기
+ * @param {Object} session - 게임 세션
+ * @param {string} message - 관전 종료 사유
+ */
+function endSpectating(session, message) {
+    const room = spectatorRoomOf(session.id);
+    io.to(room).emit('spectateEnded', { gameId: session.id, message });
+    for (const socketId of session.spectators) {
+        const info = playerSessions.get(socketId);
+        if (info && info.spectating === session.id) info.spectating = null;
+    }
+    session.spectators.clear();
+    io.in(room).socketsLeave(room);
+}
+
+/**
+ * 관전 중인 게임에서 나가기
+ * @param {SocketLike} socket
+ * @param {Object} info - playerSessions 정보
+ */
+function stopSpectating(socket, info) {
+    const gameId = info.spectating;
+    if (!gameId) return;
+    info.spectating = null;
+    socket.leave(spectatorRoomOf(gameId));
+    const session = activeGames.get(gameId);
+    if (session && session.spectators.delete(socket.id)) {
+        emitSpectatorCount(gameId);
+    }
+}
+
+/**
+ * 관전 가능한 진행 중 게임 목록 (관전 API용)
+ */
+function listLiveGames() {
+    const games = [];
+    for (const session of activeGames.values()) {
+        const gameState = gameStates.get(session.id);
+        if (!gameState || gameState.isGameOver || !canSpectate(session)) continue;
+        games.push({
+            gameId: session.id,
+            mode: session.mode,
+            players: session.players.map(p => ({ name: p.name, isGuest: p.isGuest })),
+            spectatorCount: session.spectators.size,
+            startedAt: session.createdAt
+        });
+    }
+    return games.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * 관리자용 게임 요약 (관전 허용 여부와 관계없이 모든 게임)
+ * @param {Object} session - 게임 세션
+ * @param {boolean} [detailed] - true면 서버 권위 상태 전체와 재연결 대기 정보 포함
+ */
+function describeGameForAdmin(session, detailed = false) {
+    const gameState = gameStates.get(session.id) || null;
+    const summary = {
+        gameId: session.id,
+        mode: session.mode,
+        roomCode: session.roomCode || null,
+        tournament: session.tournament || null,
+        players: session.players.map((p, index) => ({
+            playerNumber: index + 1,
+            socketId: p.id,
+            userId: p.userId || null,
+            name: p.name,
+            isGuest: !!p.isGuest,
+            isBot: !!p.isBot,
+            connected: isPlayerConnected(p.id)
+        })),
+        spectatorCount: session.spectators.size,
+        turn: gameState ? gameState.turn : null,
+        isGameOver: gameState ? !!gameState.isGameOver : null,
+        startedAt: session.createdAt
+    };
+    if (!detailed) return summary;
+    const reconnects = [];
+    for (const pending of pendingReconnects.values()) {
+        if (pending.gameId === session.id) reconnects.push({ playerNumber: pending.playerNumber, deadline: pending.deadline });
+    }
+    return { ...summary, gameState, pendingReconnects: reconnects, replayEvents: (gameReplays.get(session.id) || []).length };
+}
+
+/**
+ * 관리자용 매칭 대기열 (대기 시작 순)
+ */
+function listWaitingPlayers() {
+    const now = Date.now();
+    return matchmaker.socketIds()
+        .map(socketId => {
+            const entry = matchmaker.get(socketId);
+            const info = entry.data || playerSessions.get(socketId) || {};
+            return {
+                socketId,
+                userId: info.userId || null,
+                name: info.name || null,
+                isGuest: entry.pool === 'guest',
+                rating: entry.rating,
+                allowMixed: entry.allowMixed,
+                joinedAt: entry.joinedAt,
+                ...matchmaker.getStatus(socketId, now)
+            };
+        })
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * 관리자 강제 종료: 지정한 플레이어 승리로 판정하거나 무효 처리
+ * @param {string} gameId
+ * @param {'player1' | 'player2' | 'void'} result
+ * @returns {boolean} 진행 중인 게임이 있었는지
+ */
+function forceEndGame(gameId, result) {
+    if (!activeGames.has(gameId)) return false;
+    if (result === 'void') return abortGame(gameId, '관리자가 경기를 무효 처리했습니다.');
+    concludeGame(gameId, { winner: result === 'player1' ? 1 : 2, reason: 'admin' });
+    return true;
+}
+
+/**
+ * 소켓 강제 연결 해제 (사유를 먼저 알리고 끊음, 게임 중이면 일반 연결 해제와 같이 처리)
+ * @returns {boolean} 접속 중인 소켓이었는지
+ */
+function kickSocket(socketId, message) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return false;
+    socket.emit('kicked', { message });
+    socket.disconnect(true);
+    console.log(`👢 소켓 강제 연결 해제: ${socketId} (${message})`);
+    return true;
+}
+
+/**
+ * 계정의 모든 접속 소켓 강제 연결 해제
+ * @returns {number} 끊은 소켓 수
+ */
+function kickUser(userId, message) {
+    const socketIds = [];
+    for (const info of playerSessions.values()) {
+        if (info.userId === userId && !info.isGuest && !info.isBot) socketIds.push(info.id);
+    }
+    return socketIds.filter(socketId => kickSocket(socketId, message)).length;
+}
+
+/**
+ * 매칭이 정지된 계정을 대기열에서 제거
+ */
+function removeUserFromQueue(userId) {
+    for (const socketId of matchmaker.socketIds()) {
+        const entry = matchmaker.get(socketId);
+        if (!entry || !entry.data || entry.data.userId !== userId || entry.data.isGuest) continue;
+        leaveQueue(socketId);
+        entry.data.isWaiting = false;
+        io.to(socketId).emit('matchError', { message: '매칭이 일시 정지되어 대기열에서 제외되었습니다.' });
+        refreshPresence(userId);
+    }
+    updateWaitingStats();
+}
+
+/**
+ * 매칭된 두 플레이어로 게임 세션 생성 (host = 1번 플레이어)
+ * @param {Object} hostInfo - 호스트 playerSessions 정보
+ * @param {Object} guestInfo - 게스트 playerSessions 정보
+ * @param {{ mode?: 'formal' | 'private' | 'mock', roomCode?: string|null, allowSpectators?: boolean, tournament?: { id: string, matchId: string, name: string, round: number }|null }} [options] - private은 점수 미반영 비공개 방, mock은 서버 AI 허수아비와의 모의 결투, allowSpectators는 방장의 관전 허용 설정, tournament는 토너먼트 경기 정보
+ */
+function startMatch(hostInfo, guestInfo, { mode = 'formal', roomCode = null, allowSpectators = true, tournament = null } = {}) {
+    console.log(`✅ 매칭 성공: ${hostInfo.name} ↔ ${guestInfo.name}`);
+    serverStats.totalMatches++;
+    totalMatchesCounter.inc();
+    hostInfo.isWaiting = false;
+    guestInfo.isWaiting = false;
+
+    const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const gameSession = {
+        id: gameId,
+        players: [hostInfo, guestInfo].map((info, index) => ({
+            id: info.id,
+            name: info.name,
+            isHost: index === 0,
+            isGuest: info.isGuest,
+            isBot: !!info.isBot,
+            userId: info.isGuest ? null : info.userId,
+            // 서버 재시작 후 같은 세션으로 돌아오면 재개 (세션 키 = 토큰 해시)
+            sessionId: info.isGuest ? null : info.sessionId
+        })),
+        mode,
+        roomCode,
+        tournament,
+        spectators: new Set(), // 관전자 소켓 ID
+        spectatorBlocks: new Set(allowSpectators ? [] : [1]), // 관전을 막은 플레이어 번호
+        lastSpectatorUpdate: null,
+        createdAt: Date.now(),
+        lastActivity: Date.now()
+    };
+
+    activeGames.set(gameId, gameSession);
+    // 덱 셔플과 배분은 서버가 수행
+    const dealt = engine.dealGame({ names: gameSession.players.map(p => p.name) });
+    gameStates.set(gameId, dealt);
+    gameReplays.set(gameId, []);
+    recordReplayEvent(gameId, {
+        type: 'deal',
+        names: dealt.players.map(p => p.name),
+        hands: dealt.players.map(p => p.hand.slice()),
+        secretStones: dealt.secretStones.slice(),
+        firstPlayer: dealt.currentPlayerId
+    });
+    queueSpectatorUpdate(gameId, { type: 'deal', names: dealt.players.map(p => p.name), firstPlayer: dealt.currentPlayerId });
+    hostInfo.gameId = gameId;
+    hostInfo.opponent = guestInfo.id;
+    guestInfo.gameId = gameId;
+    guestInfo.opponent = hostInfo.id;
+
+    // 룸 조인 후 양쪽 플레이어에게 매칭 성공 알림
+    [hostInfo, guestInfo].forEach((info, index) => {
+        const opponentInfo = index === 0 ? guestInfo : hostInfo;
+        const playerSocket = io.sockets.sockets.get(info.id);
+        if (playerSocket) {
+            stopSpectating(playerSocket, info);
+            playerSocket.join(gameId);
+        } else if (info.remote) {
+            // 다른 인스턴스에 연결된 상대: 룸 참가는 어댑터로, 이후 게임 이벤트는 그 인스턴스가 이 인스턴스로 전달
+            io.in(info.id).socketsJoin(gameId);
+            syncRemotePlayer(info);
+        }
+        persistPlayer(info);
+        io.to(info.id).emit('matchFound', {
+            gameId: gameId,
+            opponent: {
+                id: opponentInfo.id,
+                name: opponentInfo.name,
+                isGuest: opponentInfo.isGuest,
+                isBot: !!opponentInfo.isBot
+            },
+            isHost: index === 0,
+            mode,
+            roomCode,
+            tournament,
+            ratingPreview: mode === 'formal' ? getRatingPreview(gameSession.players[index].userId, gameSession.players[1 - index].userId) : null
+        });
+    });
+
+    // 각자에게 허용된 초기 상태 전송
+    emitGameViews(gameId, 'gameStateView');
+    emitSpectatorCount(gameId);
+    persistGame(gameId);
+
+    serverStats.activeGames++;
+    connectionsGauge.set(serverStats.totalConnections);
+    activeGamesGauge.set(serverStats.activeGames);
+    refreshPresence(hostInfo.userId);
+    refreshPresence(guestInfo.userId);
+}
+
+/**
+ * 게임에 표시할 이름 (계정은 서버 닉네임 강제, 게스트만 클라이언트가 보낸 이름 사용)
+ */
+function resolvePlayerName(info, requestedName) {
+    if (!info.isGuest && info.userId) {
+        const u = users.get(info.userId);
+        return (u && u.nickname) ? u.nickname : '게스트';
+    }
+    return (typeof requestedName === 'string' && requestedName.trim()) ? requestedName.trim().slice(0, 15) : '게스트';
+}
+
+/**
+ * 방 참가자 모두에게 방 상태 전송 (role: 받는 사람의 역할)
+ */
+function emitRoomUpdate(room) {
+    const payload = { room: rooms.toPublic(room), link: `/?room=${room.code}` };
+    if (room.host) io.to(room.host.id).emit('roomUpdated', { ...payload, role: 'host' });
+    if (room.guest) io.to(room.guest.id).emit('roomUpdated', { ...payload, role: 'guest' });
+}
+
+/**
+ * 방 나가기 처리 (방장이 나가면 남은 참가자에게 방 닫힘 알림)
+ */
+function handleRoomLeave(socketId) {
+    const left = rooms.leave(socketId);
+    if (!left) return;
+    if (left.closed) {
+        if (left.room.guest) {
+            io.to(left.room.guest.id).emit('roomClosed', { code: left.room.code, message: '방장이 방을 나갔습니다.' });
+        }
+        console.log(`🚪 비공개 방 닫힘: ${left.room.code}`);
+    } else {
+        emitRoomUpdate(left.room);
+    }
+}
+
+/**
+ * 토너먼트 저장 후 변경 알림 (로비 화면 갱신용)
+ */
+function saveTournament(tournament) {
+    try {
+        db.upsertTournament(tournament);
+        broadcastToInstances('tournamentChanged', { id: tournament.id });
+    } catch (e) {
+        console.error('❌ 토너먼트 저장 실패:', e);
+    }
+    io.emit('tournamentUpdated', tournaments.toSummary(tournament));
+}
+
+/**
+ * 토너먼트 경기 결과 반영 (finalizeGameResult에서 호출)
+ * @param {{ id: string, matchId: string }} info - 게임 세션의 토너먼트 정보
+ * @param {number} winnerUserId
+ */
+function advanceTournament(info, winnerUserId) {
+    const result = tournaments.reportResult(info.id, info.matchId, winnerUserId);
+    if (!result.ok) {
+        console.error(`❌ 토너먼트 결과 반영 실패 (${info.id} ${info.matchId}): ${result.error}`);
+        return;
+    }
+    const { tournament } = result;
+    console.log(`🏟️ 토너먼트 경기 종료: ${tournament.name} ${info.matchId} → ${winnerUserId} 승리`);
+    if (tournament.status === 'finished') {
+        console.log(`🏆 토너먼트 종료: ${tournament.name} 우승 ${tournament.championId}`);
+    }
+    saveTournament(tournament);
+}
+
+/**
+ * 토너먼트 경기에 바로 들어갈 수 있는 계정 소켓 (게임/방/관전 중이 아닌 접속 중 소켓)
+ */
+function findAvailableSocketOf(userId) {
+    for (const info of playerSessions.values()) {
+        if (info.userId !== userId || info.isGuest || info.isBot || info.gameId) continue;
+        if (!isPlayerConnected(info.id) || rooms.findBySocket(info.id)) continue;
+        return info;
+    }
+    return null;
+}
+
+/**
+ * 계정의 모든 접속 소켓에 이벤트 전송 (봇 제외)
+ */
+function emitToUser(userId, event, payload) {
+    for (const info of playerSessions.values()) {
+        if (info.userId === userId && !info.isGuest && !info.isBot) io.to(info.id).emit(event, payload);
+    }
+}
+
+/**
+ * 계정의 접속 상태 (여러 탭이면 게임 중 > 대기열 > 접속 순)
+ * @returns {string} friends.PRESENCE 값
+ */
+function presenceOf(userId) {
+    const connections = [];
+    for (const info of playerSessions.values()) {
+        if (info.userId !== userId || info.isGuest || info.isBot || !isPlayerConnected(info.id)) continue;
+        connections.push({ gameId: info.gameId, queued: matchmaker.has(info.id) });
+    }
+    return friends.resolvePresence(connections);
+}
+
+/**
+ * 접속 상태가 바뀌었으면 친구들에게 friendPresence 전송
+ */
+function refreshPresence(userId) {
+    if (!userId) return;
+    const presence = presenceOf(userId);
+    if ((lastPresence.get(userId) || friends.PRESENCE.offline) === presence) return;
+    if (presence === friends.PRESENCE.offline) {
+        lastPresence.delete(userId);
+    } else {
+        lastPresence.set(userId, presence);
+    }
+    try {
+        for (const friendId of db.listFriendIds(userId)) {
+            emitToUser(friendId, 'friendPresence', { userId, presence });
+        }
+    } catch (e) {
+        console.error('❌ 접속 상태 알림 실패:', e);
+    }
+}
+
+/**
+ * 친구 관계가 바뀐 두 계정에게 목록 갱신 알림
+ */
+function notifyFriendsChanged(userA, userB) {
+    emitToUser(userA, 'friendsUpdated', {});
+    emitToUser(userB, 'friendsUpdated', {});
+}
+
+/**
+ * 친구 대결 신청 종료 알림 (신청한 소켓과 받은 계정 모두)
+ * @param {Object} challenge
+ * @param {'accepted' | 'declined' | 'expired' | 'cancelled'} reason
+ */
+function closeChallenge(challenge, reason) {
+    challenges.remove(challenge.id);
+    const payload = { challengeId: challenge.id, reason };
+    io.to(challenge.fromSocketId).emit('challengeClosed', payload);
+    emitToUser(challenge.toUserId, 'challengeClosed', payload);
+}
+
+/**
+ * 보낸 계정을 음소거/차단한 계정들의 소켓 (채팅 전달 제외)
+ * @returns {string[]}
+ */
+function chatHiddenSocketsFor(senderUserId) {
+    if (!senderUserId) return [];
+    const restricting = new Set(db.listRestrictingUserIds(senderUserId));
+    if (restricting.size === 0) return [];
+    const socketIds = [];
+    for (const info of playerSessions.values()) {
+        if (!info.isGuest && restricting.has(info.userId)) socketIds.push(info.id);
+    }
+    return socketIds;
+}
+
+/**
+ * 채널의 최근 메시지 전송 (받는 계정이 음소거/차단한 상대 메시지 제외)
+ */
+function emitChatHistory(socket, info, channel) {
+    let messages = chatHistory.get(channel);
+    if (!info.isGuest && info.userId) {
+        const hidden = new Set(db.listUserRestrictions(info.userId).map(row => row.targetUserId));
+        messages = messages.filter(message => !hidden.has(message.from.userId));
+    }
+    socket.emit('chatHistory', { channel, messages });
+}
+
+/**
+ * 채팅 채널을 볼 수 있는 계정인지 (로비는 모두, 게임 채널은 그 게임의 플레이어)
+ */
+function canReadChatChannel(userId, channel) {
+    const gameId = chat.gameIdOfChannel(channel);
+    if (!gameId) return true;
+    const session = activeGames.get(gameId);
+    if (session) return session.players.some(p => p.userId === userId);
+    const match = db.getMatchByGameId(gameId);
+    return !!match && (match.player1Id === userId || match.player2Id === userId);
+}
+
+/**
+ * 다른 인스턴스에 접속해 있고 게임 중이 아닌 계정 소켓 (플레이어 디렉터리 기준)
+ * @param {number} userId
+ * @param {Map<string, Object>} players - 저장소의 플레이어 디렉터리
+ */
+function findRemotePlayerOf(userId, players) {
+    for (const [socketId, player] of players) {
+        if (player.instance === INSTANCE_ID || player.userId !== userId || player.isGuest || player.gameId) continue;
+        return { id: socketId, name: player.name, isGuest: false, userId, sessionId: player.sessionId, remote: player.instance };
+    }
+    return null;
+}
+
+/**
+ * 대진이 확정된 토너먼트 경기를 비공개 게임으로 시작 (두 계정 모두 접속 중일 때, 리더 인스턴스에서 실행)
+ * 다른 인스턴스에 접속한 계정은 플레이어 디렉터리로 찾아 대기열 매칭처럼 이 인스턴스에서 게임을 진행한다.
+ * 서버 재시작 등으로 게임이 사라진 진행 중 경기는 다시 대기 상태로 돌린다.
+ */
+async function launchTournamentMatches() {
+    const [games, players] = await Promise.all([stateStore.getAll('games'), stateStore.getAll('players')]);
+    for (const { tournament, match } of tournaments.matchesByStatus('playing')) {
+        if (!activeGames.has(match.gameId) && !games.has(match.gameId)) {
+            tournaments.setMatchGame(tournament.id, match.id, null);
+            saveTournament(tournament);
+        }
+    }
+    for (const { tournament, match } of tournaments.matchesByStatus('ready')) {
+        const found = match.players.map(userId => findAvailableSocketOf(userId) || findRemotePlayerOf(userId, players));
+        if (!found[0] || !found[1]) continue;
+        const [hostInfo, guestInfo] = found.map(info => info.remote ? attachRemotePlayer(info) : info);
+        for (const info of [hostInfo, guestInfo]) {
+            leaveQueue(info.id);
+            info.name = resolvePlayerName(info);
+        }
+        console.log(`🏟️ 토너먼트 경기 시작: ${tournament.name} ${match.id}`);
+        startMatch(hostInfo, guestInfo, {
+            mode: 'private',
+            tournament: { id: tournament.id, matchId: match.id, name: tournament.name, round: match.round }
+        });
+        tournaments.setMatchGame(tournament.id, match.id, hostInfo.gameId);
+        saveTournament(tournament);
+    }
+}
+
+/**
+ * 진행 중인 시즌 확인 (처음 실행이면 1시즌 시작)
+ */
+function ensureSeason() {
+    currentSeason = db.getCurrentSeason();
+    if (!currentSeason) {
+        // 여러 인스턴스가 같이 처음 시작하면 먼저 저장한 쪽의 시즌을 씀
+        const first = { ...seasons.nextSeason(null, SEASON_LENGTH_DAYS), endedAt: null };
+        if (db.insertSeason(first)) console.log(`🗓️ ${first.season}시즌 시작 (~${new Date(first.endsAt).toISOString()})`);
+        currentSeason = db.getCurrentSeason();
+    }
+}
+
+/**
+ * 시즌 전환: 카테고리별 최종 순위를 보관하고 정식 결투 레이팅을 소프트 리셋한 뒤 다음 시즌 시작
+ * 증표는 표시용이므로 그대로 둔다.
+ */
+function rolloverSeason(now = Date.now()) {
+    const ended = currentSeason;
+    const nicknameOf = (userId) => {
+        const u = users.get(userId);
+        return u ? u.nickname : `(ID:${userId})`;
+    };
+    const standings = Object.fromEntries(seasons.SEASON_RULES.categories.map(category => [
+        category,
+        seasons.buildStandings(rankings[category], nicknameOf)
+    ]));
+    // 레이팅 기록이 없는 계정은 이미 초기값이므로 리셋할 것이 없음
+    const resets = new Map(Array.from(db.loadRatings(), ([userId, record]) => [userId, seasons.softResetRating(record, SEASON_SOFT_RESET_RATIO)]));
+    db.transaction(() => {
+        db.archiveSeason(ended.season, standings, now);
+        for (const [userId, record] of resets) db.upsertRating(userId, record);
+    });
+
+    for (const [userId] of resets) {
+        if (users.has(userId)) rankings.formal.set(userId, rating.conservativeRating(resets.get(userId)));
+    }
+
+    currentSeason = { ...seasons.nextSeason(ended, SEASON_LENGTH_DAYS, now), endedAt: null };
+    db.insertSeason(currentSeason);
+    // 클라이언트에는 어댑터로 모든 인스턴스에 전달되고, 다른 인스턴스의 시즌/랭킹은 DB에서 다시 읽게 함
+    io.emit('seasonChanged', { endedSeason: ended.season, season: currentSeason });
+    broadcastToInstances('seasonChanged', {});
+    console.log(`🗓️ ${ended.season}시즌 종료 (정식 ${standings.formal.length}명 보관, 레이팅 차이 ${SEASON_SOFT_RESET_RATIO * 100}% 유지) → ${currentSeason.season}시즌 시작`);
+}
+
+/**
+ * 서버 AI 허수아비 소켓 접속 시작 (접속하면 connection 핸들러에서 요청한 사람과 매칭)
+ * @param {Object} humanInfo - 요청한 사람의 playerSessions 정보
+ * @param {keyof typeof bots.BOT_DIFFICULTIES} difficulty
+ */
+function spawnBot(humanInfo, difficulty) {
+    const botId = crypto.randomUUID();
+    pendingBots.set(botId, { humanSocketId: humanInfo.id, difficulty });
+    const address = /** @type {import('net').AddressInfo} */ (server.address());
+    const botSocket = bots.connectBot({
+        url: `http://127.0.0.1:${address.port}`,
+        auth: { botKey: BOT_KEY, botId },
+        difficulty
+    });
+    botSocket.on('connect_error', (error) => {
+        pendingBots.delete(botId);
+        console.error('❌ 허수아비 접속 실패:', error.message);
+        io.to(humanInfo.id).emit('botMatchError', { message: '허수아비를 불러오지 못했습니다. 잠시 후 다시 시도해주세요.' });
+    });
+}
+
+/**
+ * 대기열 점수: 계정은 정식 결투 레이팅, 게스트는 기본 레이팅
+ */
+function getQueueRating(info) {
+    if (info.isGuest || !info.userId) return rating.RATING_RULES.initialRating;
+    return getRatingRecord(info.userId).rating;
+}
+
+/**
+ * 대기 중인 플레이어에게 순번과 예상 대기 시간 전송
+ */
+function emitWaitingStatus(socketId) {
+    const status = matchmaker.getStatus(socketId);
+    if (!status) return;
+    io.to(socketId).emit('waitingForMatch', {
+        message: '상대방을 찾는 중입니다...',
+        waitingCount: matchmaker.size(),
+        queuePosition: status.position,
+        poolSize: status.poolSize,
+        ratingRange: status.ratingGap,
+        estimatedWaitSeconds: status.etaSeconds
+    });
+}
+
+function updateWaitingStats() {
+    serverStats.waitingPlayers = matchmaker.size();
+    waitingPlayersGauge.set(serverStats.waitingPlayers);
+}
+
+/**
+ * 공유 저장소 쓰기 (게임 진행을 막지 않도록 기다리지 않고 실패만 기록)
+ * @param {Promise<any>} pending
+ * @param {string} context
+ */
+function storeWrite(pending, context) {
+    pending.catch(error => console.error(`❌ 공유 상태 저장 실패 (${context}):`, error));
+}
+
+/**
+ * 게임 세션/권위 상태/리플레이를 저장소에 기록 (관전자는 소켓이라 제외)
+ */
+function persistGame(gameId) {
+    const session = activeGames.get(gameId);
+    if (!session) return;
+    storeWrite(stateStore.set('games', gameId, {
+        owner: INSTANCE_ID,
+        session: { ...session, spectators: [], spectatorBlocks: Array.from(session.spectatorBlocks), lastSpectatorUpdate: null },
+        gameState: gameStates.get(gameId) || null,
+        replay: gameReplays.get(gameId) || []
+    }), 'games');
+}
+
+/**
+ * 끝난 게임 정리 (메모리와 저장소 모두)
+ */
+function removeGame(gameId) {
+    if (!activeGames.has(gameId)) return;
+    activeGames.delete(gameId);
+    gameStates.delete(gameId);
+    gameReplays.delete(gameId);
+    chatHistory.clear(chat.gameChannelOf(gameId));
+    storeWrite(stateStore.delete('games', gameId), 'games');
+    serverStats.activeGames = Math.max(0, serverStats.activeGames - 1);
+    activeGamesGauge.set(serverStats.activeGames);
+}
+
+/**
+ * 플레이어 디렉터리 기록 (다른 인스턴스가 대기열 매칭과 재연결 때 참고, 다른 인스턴스의 플레이어는 그쪽이 기록)
+ */
+function persistPlayer(info) {
+    if (info.remote) return;
+    storeWrite(stateStore.set('players', info.id, {
+        instance: INSTANCE_ID,
+        name: info.name,
+        isGuest: info.isGuest,
+        userId: info.userId,
+        sessionId: info.sessionId,
+        gameId: info.gameId
+    }), 'players');
+}
+
+/**
+ * 재연결 대기 종료 (타이머 해제, 저장소에서도 삭제)
+ */
+function dropPendingReconnect(sessionId) {
+    const pending = pendingReconnects.get(sessionId);
+    if (pending) clearTimeout(pending.timer);
+    pendingReconnects.delete(sessionId);
+    storeWrite(stateStore.delete('reconnects', sessionId), 'reconnects');
+}
+
+/**
+ * 대기열 등록 (로컬 matchmaker와 공유 대기열 모두)
+ * @param {Object} info - 이 인스턴스에 연결된 플레이어의 playerSessions 정보
+ * @param {{ allowMixed?: boolean, joinedAt?: number }} [options]
+ * @returns {Promise<void>} 공유 대기열 기록 완료
+ */
+function enqueuePlayer(info, { allowMixed = false, joinedAt = Date.now() } = {}) {
+    const entry = matchmaker.enqueue({ socketId: info.id, rating: getQueueRating(info), isGuest: info.isGuest, allowMixed, data: info }, joinedAt);
+    persistPlayer(info);
+    queueWrites.add(info.id);
+    return stateStore.set('waiting', info.id, { instance: INSTANCE_ID, rating: entry.rating, isGuest: info.isGuest, allowMixed, joinedAt })
+        .finally(() => queueWrites.delete(info.id));
+}
+
+/**
+ * 대기열에서 제거 (로컬과 공유 대기열 모두)
+ * @returns {Object|null} 로컬 대기열에 있던 항목
+ */
+function leaveQueue(socketId) {
+    storeWrite(stateStore.delete('waiting', socketId), 'waiting');
+    const removed = matchmaker.remove(socketId);
+    if (removed) updateWaitingStats();
+    return removed;
+}
+
+/**
+ * 공유 대기열을 로컬 matchmaker에 반영
+ * 다른 인스턴스의 대기자는 추가/제거하고, 이 인스턴스의 대기자가 공유 대기열에서 사라졌으면 다른 인스턴스가 짝지은 것이므로 제거
+ */
+async function syncSharedQueue() {
+    const [waiting, players] = await Promise.all([stateStore.getAll('waiting'), stateStore.getAll('players')]);
+    for (const socketId of matchmaker.socketIds()) {
+        if (waiting.has(socketId) || queueWrites.has(socketId)) continue;
+        if (matchmaker.remove(socketId)) updateWaitingStats();
+    }
+    for (const [socketId, entry] of waiting) {
+        const player = players.get(socketId);
+        if (entry.instance === INSTANCE_ID || matchmaker.has(socketId) || !player) continue;
+        matchmaker.enqueue({
+            socketId,
+            rating: entry.rating,
+            isGuest: entry.isGuest,
+            allowMixed: entry.allowMixed,
+            data: { id: socketId, name: player.name, isGuest: player.isGuest, userId: player.userId, sessionId: player.sessionId, isBot: false, remote: entry.instance }
+        }, entry.joinedAt);
+    }
+    updateWaitingStats();
+}
+
+/**
+ * 짝을 지을 수 있는 대기자인지 (다른 인스턴스의 대기자는 연결이 끊기면 그 인스턴스가 공유 대기열에서 지움)
+ */
+function isQueueAvailable(socketId) {
+    const entry = matchmaker.get(socketId);
+    if (entry && entry.data.remote) return true;
+    return isPlayerConnected(socketId);
+}
+
+/**
+ * 공유 대기열 매칭 (잠금을 잡은 인스턴스 하나만 짝을 짓고, 게임은 호스트가 연결된 인스턴스에서 시작)
+ */
+async function runMatchmaking() {
+    await syncSharedQueue();
+    if (matchmaker.size() < 2) return;
+    if (!(await stateStore.acquireLock('matchmaking', INSTANCE_ID))) return;
+    try {
+        // 잠금을 기다리는 사이 다른 인스턴스가 짝지은 대기자 제외
+        await syncSharedQueue();
+        for (const [host, guest] of matchmaker.sweep(Date.now(), isQueueAvailable)) {
+            await Promise.all([stateStore.delete('waiting', host.socketId), stateStore.delete('waiting', guest.socketId)]);
+            const [hostTicket, guestTicket] = [host, guest].map(entry => ({
+                player: {
+                    id: entry.socketId,
+                    name: entry.data.name,
+                    isGuest: entry.data.isGuest,
+                    userId: entry.data.userId,
+                    sessionId: entry.data.sessionId,
+                    isBot: false,
+                    remote: entry.data.remote || INSTANCE_ID
+                },
+                queue: { allowMixed: entry.allowMixed, joinedAt: entry.joinedAt }
+            }));
+            if (hostTicket.player.remote === INSTANCE_ID) {
+                startQueuedMatch(hostTicket, guestTicket);
+            } else {
+                sendToInstance(hostTicket.player.remote, 'startMatch', { host: hostTicket, guest: guestTicket });
+            }
+        }
+        updateWaitingStats();
+    } finally {
+        await stateStore.releaseLock('matchmaking', INSTANCE_ID);
+    }
+}
+
+/**
+ * 공유 대기열에서 짝지어진 두 플레이어로 게임 시작 (호스트가 연결된 인스턴스에서 실행)
+ * 그사이 나간 플레이어가 있으면 남은 쪽은 원래 대기 시작 시각으로 대기열에 되돌린다.
+ * @param {{ player: Object, queue: { allowMixed: boolean, joinedAt: number } }} host
+ * @param {{ player: Object, queue: { allowMixed: boolean, joinedAt: number } }} guest
+ */
+function startQueuedMatch(host, guest) {
+    const tickets = [host, guest];
+    const infos = tickets.map(({ player }) => player.remote === INSTANCE_ID ? playerSessions.get(player.id) : player);
+    const ready = infos.map(info => !!info && (info.remote ? true : isPlayerConnected(info.id) && !info.gameId));
+    if (!ready[0] || !ready[1]) {
+        tickets.forEach((ticket, index) => {
+            if (ready[index]) requeuePlayer(ticket.player, ticket.queue);
+        });
+        return;
+    }
+    const [hostInfo, guestInfo] = infos.map(info => info.remote ? attachRemotePlayer(info) : info);
+    for (const info of [hostInfo, guestInfo]) {
+        if (!info.remote) leaveQueue(info.id);
+    }
+    startMatch(hostInfo, guestInfo);
+}
+
+/**
+ * 게임을 시작하지 못한 대기자를 대기열에 되돌림 (다른 인스턴스의 플레이어면 그 인스턴스에 요청)
+ */
+function requeuePlayer(player, queue) {
+    if (player.remote !== INSTANCE_ID) {
+        sendToInstance(player.remote, 'requeue', { player, queue });
+        return;
+    }
+    const info = playerSessions.get(player.id);
+    if (!info || info.gameId || !isPlayerConnected(info.id)) return;
+    storeWrite(enqueuePlayer(info, queue), 'waiting');
+}
+
+/**
+ * 다른 인스턴스에 연결된 상대를 이 인스턴스의 playerSessions에 등록 (게임이 끝나면 제거)
+ * @param {{ id: string, name: string, isGuest: boolean, userId: number|null, sessionId: string|null, remote: string }} player
+ */
+function attachRemotePlayer(player) {
+    const info = {
+        id: player.id,
+        name: player.name,
+        isWaiting: false,
+        gameId: null,
+        opponent: null,
+        lastPing: Date.now(),
+        connectionAttempts: 0,
+        isGuest: player.isGuest,
+        userId: player.userId,
+        sessionId: player.sessionId,
+        spectating: null,
+        isBot: false,
+        remote: player.remote
+    };
+    playerSessions.set(info.id, info);
+    return info;
+}
+
+/**
+ * 다른 인스턴스의 플레이어에게 게임 참가 상태 전달 (게임이 끝났으면 이 인스턴스에서 제거)
+ */
+function syncRemotePlayer(info) {
+    if (!info || !info.remote) return;
+    sendToInstance(info.remote, 'playerUpdate', { socketId: info.id, gameId: info.gameId, opponent: info.opponent });
+    if (!info.gameId) playerSessions.delete(info.id);
+}
+
+/**
+ * 다른 인스턴스에 연결된 소켓을 로컬 소켓처럼 다루는 대리 객체 (emit/join은 어댑터가 전달)
+ * @param {string} socketId
+ * @returns {SocketLike}
+ */
+function remoteSocket(socketId) {
+    return {
+        id: socketId,
+        emit: (event, payload) => io.to(socketId).emit(event, payload),
+        join: (room) => io.in(socketId).socketsJoin(room),
+        leave: (room) => io.in(socketId).socketsLeave(room)
+    };
+}
+
+/**
+ * 다른 인스턴스에 메시지 전송 (Redis 어댑터의 serverSideEmit, 받는 쪽은 to가 자신일 때만 처리)
+ * @param {string} instance
+ * @param {'startMatch' | 'requeue' | 'playerUpdate' | 'gameEvent' | 'resume'} type
+ * @param {Object} payload
+ */
+function sendToInstance(instance, type, payload) {
+    io.serverSideEmit('cluster', { ...payload, type, to: instance, from: INSTANCE_ID });
+}
+
+/**
+ * 다른 인스턴스 모두에 알림 (Redis가 없으면 인스턴스가 하나뿐이므로 보내지 않음)
+ * @param {'usersChanged' | 'sessionRevoked' | 'seasonChanged' | 'tournamentChanged'} type
+ * @param {Object} payload
+ */
+function broadcastToInstances(type, payload) {
+    if (!stateStore.client) return;
+    io.serverSideEmit('cluster', { ...payload, type, to: '*', from: INSTANCE_ID });
+}
+
+// 한 번의 처리에서 바뀐 계정을 모아 다른 인스턴스에 한 번에 알림 (게임 결과처럼 여러 번 저장하는 경우)
+const changedUserIds = new Set();
+db.setUserChangeListener((userIds) => {
+    if (!stateStore.client) return;
+    if (changedUserIds.size === 0) {
+        setImmediate(() => {
+            broadcastToInstances('usersChanged', { userIds: Array.from(changedUserIds) });
+            changedUserIds.clear();
+        });
+    }
+    for (const userId of userIds) changedUserIds.add(userId);
+});
+
+/**
+ * 다른 인스턴스가 바꾼 계정을 DB에서 다시 읽어 캐시와 랭킹에 반영
+ * 캐시에 있던 객체는 그대로 두고 값만 바꿔서, 이미 그 객체를 잡고 있는 코드도 새 값을 보게 한다.
+ */
+function refreshCachedUser(userId) {
+    const cached = users.peek(userId);
+    const latest = db.getUser(userId);
+    if (cached && (!latest || cached.username !== latest.username)) usernames.delete(cached.username);
+    if (!latest) {
+        users.delete(userId);
+        rankings.mock.delete(userId);
+        rankings.formal.delete(userId);
+        return;
+    }
+    if (cached) {
+        Object.assign(cached, latest);
+    } else {
+        users.set(userId, latest);
+    }
+    usernames.set(latest.username, userId);
+    rankings.mock.set(userId, latest.trophies.mock);
+    rankings.formal.set(userId, rating.conservativeRating(getRatingRecord(userId)));
+}
+
+/**
+ * 리더가 시즌을 넘겼으면 현재 시즌과 정식 랭킹(소프트 리셋된 레이팅)을 DB에서 다시 읽음
+ */
+function syncSeason() {
+    const latest = db.getCurrentSeason();
+    if (!latest || (currentSeason && latest.season === currentSeason.season)) return;
+    currentSeason = latest;
+    rankings.formal = createLeaderboard(formalRankingEntries(db.loadRatings()));
+}
+
+/**
+ * 다른 인스턴스가 진행하는 게임의 이벤트면 그 인스턴스로 전달
+ * @returns {boolean} 전달했는지
+ */
+function forwardGameEvent(info, event, data) {
+    if (!info.gameId || !info.gameOwner || info.gameOwner === INSTANCE_ID || activeGames.has(info.gameId)) return false;
+    sendToInstance(info.gameOwner, 'gameEvent', { socketId: info.id, event, data });
+    return true;
+}
+
+/**
+ * 이 인스턴스에 재연결 대기가 없으면 저장소에서 찾아 게임을 진행하는 인스턴스에 재개 요청
+ */
+async function resumeOnOwner(info) {
+    const pending = await stateStore.get('reconnects', info.sessionId);
+    if (!pending || pending.owner === INSTANCE_ID) return;
+    sendToInstance(pending.owner, 'resume', { socketId: info.id });
+}
+
+/**
+ * 다른 인스턴스가 보낸 메시지 처리
+ */
+async function handleClusterMessage(message) {
+    switch (message.type) {
+        case 'startMatch':
+            startQueuedMatch(message.host, message.guest);
+            break;
+        case 'requeue':
+            requeuePlayer(message.player, message.queue);
+            break;
+        case 'playerUpdate': {
+            const info = playerSessions.get(message.socketId);
+            if (!info || info.remote) return;
+            if (message.gameId) {
+                // 다른 인스턴스가 진행하는 게임에 참가 (이후 게임 이벤트는 그 인스턴스로 전달)
+                leaveQueue(info.id);
+                const socket = io.sockets.sockets.get(info.id);
+                if (socket) stopSpectating(socket, info);
+                info.isWaiting = false;
+                info.gameOwner = message.from;
+            } else {
+                info.gameOwner = null;
+            }
+            info.gameId = message.gameId;
+            info.opponent = message.opponent;
+            persistPlayer(info);
+            refreshPresence(info.userId);
+            break;
+        }
+        case 'gameEvent': {
+            const info = playerSessions.get(message.socketId);
+            if (!info || !info.remote) return;
+            const socket = remoteSocket(info.id);
+            try {
+                if (message.event === 'disconnect') {
+                    playerSessions.delete(info.id);
+                    leaveGameOnDisconnect(info);
+                } else if (Object.prototype.hasOwnProperty.call(gameEventHandlers, message.event)) {
+                    gameEventHandlers[message.event](socket, info, message.data);
+                }
+            } catch (error) {
+                handleError(socket, error, message.event);
+            }
+            break;
+        }
+        case 'resume': {
+            const player = await stateStore.get('players', message.socketId);
+            if (!player || player.instance !== message.from || !player.sessionId) return;
+            const info = attachRemotePlayer({ id: message.socketId, name: player.name, isGuest: false, userId: player.userId, sessionId: player.sessionId, remote: message.from });
+            if (!resumeGame(remoteSocket(info.id), info)) playerSessions.delete(info.id);
+            break;
+        }
+        case 'usersChanged':
+            for (const userId of message.userIds) refreshCachedUser(userId);
+            break;
+        case 'sessionRevoked':
+            dropSession(message.sessionId, message.message);
+            break;
+        case 'seasonChanged':
+            syncSeason();
+            break;
+        case 'tournamentChanged': {
+            const tournament = db.getTournament(message.id);
+            if (tournament) tournaments.load([tournament]);
+            break;
+        }
+    }
+}
+
+/**
+ * 재시작 전에 이 인스턴스가 진행하던 게임 복구 (Redis 저장소일 때)
+ * 계정 플레이어는 재연결 유예 시간 동안 기다리고, 돌아올 수 없는 게스트/허수아비가 있는 게임은 무효 처리한다.
+ * 이전 프로세스의 소켓으로 남은 플레이어 디렉터리와 대기열 항목은 지운다.
+ */
+async function restoreSharedState() {
+    const [games, players, waiting] = await Promise.all(['games', 'players', 'waiting'].map(name => stateStore.getAll(name)));
+    for (const [name, entries] of [['players', players], ['waiting', waiting]]) {
+        for (const [socketId, entry] of entries) {
+            if (entry.instance === INSTANCE_ID && !playerSessions.has(socketId)) await stateStore.delete(name, socketId);
+        }
+    }
+    let restored = 0;
+    for (const [gameId, record] of games) {
+        if (record.owner !== INSTANCE_ID || activeGames.has(gameId)) continue;
+        activeGames.set(gameId, {
+            ...record.session,
+            spectators: new Set(),
+            spectatorBlocks: new Set(record.session.spectatorBlocks),
+            lastActivity: Date.now()
+        });
+        gameStates.set(gameId, record.gameState);
+        gameReplays.set(gameId, record.replay);
+        serverStats.activeGames++;
+        activeGamesGauge.set(serverStats.activeGames);
+        const gamePlayers = activeGames.get(gameId).players;
+        const resumable = RECONNECT_GRACE_MS > 0 && record.gameState && !record.gameState.isGameOver && gamePlayers.every(p => p.sessionId);
+        if (!resumable) {
+            abortGame(gameId, '서버가 다시 시작되어 경기가 중단되었습니다.');
+            continue;
+        }
+        for (const p of gamePlayers) suspendForReconnect(gameId, { id: p.id, isGuest: false, sessionId: p.sessionId });
+        restored++;
+    }
+    if (restored > 0) console.log(`♻️ 진행 중이던 게임 ${restored}개 복구 (재연결 대기 ${Math.round(RECONNECT_GRACE_MS / 1000)}초)`);
+}
+
+/**
+ * 세션 ID 생성
+ */
+function generateSessionId() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// 라우터로 위임: routes/auth.js
+
+// 라우터로 위임: routes/auth.js
+
+/**
+ * 세션 확인 API
+ */
+// 라우터로 위임: routes/auth.js
+
+/**
+ * 닉네임 변경 API
+ */
+// 라우터로 위임: routes/auth.js
+
+/**
+ * 아이콘 변경 API
+ */
+// 라우터로 위임: routes/auth.js
+
+/**
+ * 랭킹 조회 API
+ */
+// 라우터로 위임: routes/ranking.js
+
+/**
+ * 유저 프로필 조회 API (로그인한 상태로 보면 보는 계정과의 친구 관계 포함)
+ */
+app.get('/api/profile/:userId', (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        
+        if (!userId || userId <= 0) {
+            return res.status(400).json({ error: '유효하지 않은 유저 ID입니다.' });
+        }
+        
+        const userData = users.get(userId);
+        if (!userData) {
+            return res.status(404).json({ error: '유저를 찾을 수 없습니다.' });
+        }
+        
+        // 기본 정보만 반환 (비밀번호 제외)
+        const profileData = {
+            userId: userData.userId,
+            username: userData.username,
+            nickname: userData.nickname,
+            icon: userData.icon || '👤',
+            trophies: userData.trophies,
+            createdAt: userData.createdAt,
+            lastNicknameChange: userData.lastNicknameChange,
+            rating: rating.toPublicRating(getRatingRecord(userId)),
+            seasons: db.getSeasonPlacements(userId),
+            friendship: null, // 'none' | 'friends' | 'outgoing' | 'incoming'
+            presence: null // 친구일 때만
+        };
+        
+        const viewerId = getUserIdFromSession(req['sessionToken']);
+        if (viewerId && viewerId !== userId) {
+            profileData.friendship = friends.friendshipStatus(db.getFriendship(viewerId, userId), viewerId);
+            if (profileData.friendship === 'friends') profileData.presence = presenceOf(userId);
+        }
+        
+        console.log(`👤 프로필 조회: ${userData.nickname} (ID: ${userId})`);
+        
+        res.json({
+            success: true,
+            userData: profileData
+        });
+        
+    } catch (error) {
+        console.error('❌ 프로필 조회 오류:', error);
+        res.status(500).json({ error: '서버 오류가 발생했습니다.' });
+    }
+});
+
+// 서버 상태
+let serverStats = {
+    totalConnections: 0,
+    activeGames: 0,
+    waitingPlayers: 0,
+    totalMatches: 0
+};
+
+// 에러 핸들링 함수
+function handleError(socket, error, context) {
+    console.error(`❌ 에러 발생 (${context}):`, error);
+    const payload = { message: '서버 오류가 발생했습니다.', context };
+    socket.emit('serverError', payload);
+    socket.emit('error', payload); // 하위 호환
+}
+
+// 연결 상태 확인 함수
+function isPlayerConnected(playerId) {
+    if (io.sockets.sockets.has(playerId)) return true;
+    // 다른 인스턴스에 연결된 상대 (연결이 끊기면 그 인스턴스가 알려 와 playerSessions에서 제거)
+    const info = playerSessions.get(playerId);
+    return !!(info && info.remote);
+}
+
+const getGameIdOf = (socketId) => getGameIdOfUtil(playerSessions, socketId);
+const getOpponentSocketId = (gameId, socketId) => getOpponentSocketIdUtil(activeGames, gameId, socketId);
+const arePlayersInSameGame = (a, b) => arePlayersInSameGameUtil(playerSessions, activeGames, a, b);
+const getPlayerNumber = (gameId, socketId) => getPlayerNumberUtil(activeGames, gameId, socketId);
+
+// 엔진 검증 실패 시 요청자에게 자신의 뷰와 함께 거부 사유 전송
+function rejectMove(socket, context, error, gameId) {
+    const gameState = gameStates.get(gameId);
+    const playerId = getPlayerNumber(gameId, socket.id);
+    socket.emit('moveRejected', { context, message: error, gameState: gameState && playerId ? engine.getPlayerView(gameState, playerId) : null });
+}
+
+/**
+ * 연결이 끊긴 플레이어를 게임에서 처리 (계정은 재연결 대기, 그 외는 연결 해제 패배)
+ * @param {Object} info - 연결이 끊긴 플레이어의 playerSessions 정보
+ */
+function leaveGameOnDisconnect(info) {
+    const gameId = info.gameId;
+    const gameSession = activeGames.get(gameId);
+    if (gameSession) {
+        const opponentPlayer = gameSession.players.find(p => p.id !== info.id);
+        const disconnectedPlayer = gameSession.players.find(p => p.id === info.id);
+        const disconnectedPlayerName = disconnectedPlayer ? disconnectedPlayer.name : 'Unknown';
+        
+        // 계정 플레이어는 유예 시간 동안 같은 세션으로 돌아오길 기다림 (게임 일시 정지)
+        const suspended = suspendForReconnect(gameId, info);
+        if (suspended) {
+            if (opponentPlayer && isPlayerConnected(opponentPlayer.id)) {
+                io.to(opponentPlayer.id).emit('opponentDisconnected', {
+                    message: '상대방의 연결이 끊겼습니다. 재연결을 기다리는 중입니다.',
+                    gameId,
+                    disconnectedPlayerName,
+                    disconnectedPlayerId: info.id,
+                    isDisconnectedAsLoser: false,
+                    reconnectDeadline: suspended.deadline,
+                    graceMs: RECONNECT_GRACE_MS
+                });
+            }
+            console.log(`⏸️ 재연결 대기: ${disconnectedPlayerName} (${gameId}, ${Math.round(RECONNECT_GRACE_MS / 1000)}초)`);
+        } else {
+            // 상대방에게 연결 해제 알림
+            const opponentConnected = opponentPlayer && isPlayerConnected(opponentPlayer.id);
+            if (opponentConnected) {
+                io.to(opponentPlayer.id).emit('opponentDisconnected', {
+                    message: '상대방이 연결을 해제했습니다.',
+                    gameId,
+                    disconnectedPlayerName,
+                    disconnectedPlayerId: info.id,
+                    isDisconnectedAsLoser: true
+                });
+            }
+            // 연결 끊긴 쪽을 패배자로 엔진 판정 (상대가 재연결 대기 중이어도 상대 승리로 확정)
+            if (opponentPlayer && (opponentConnected || isAwaitingReconnect(gameId))) {
+                try {
+                    concludeGame(gameId, {
+                        winner: getPlayerNumber(gameId, opponentPlayer.id),
+                        reason: 'disconnect'
+                    });
+                } catch (e) {
+                    console.warn('연결 해제에 따른 결과 확정 실패(무시 가능):', e);
+                }
+            }
+            
+            removeGame(gameId);
+            console.log(`❌ 게임 세션 종료: ${gameId}`);
+        }
+    }
+}
+
+/**
+ * 게임 진행 소켓 이벤트 (게임을 진행하는 인스턴스에서 실행)
+ * 다른 인스턴스에 연결된 플레이어의 이벤트는 그 인스턴스가 전달하고, socket은 remoteSocket 대리 객체가 된다.
+ * @type {Record<string, (socket: SocketLike, playerInfo: Object, data?: any) => void>}
+ */
+const gameEventHandlers = {
+    // 플레이어의 관전 허용 설정 (한 명이라도 막으면 관전자 모두 퇴장)
+    setSpectatorsAllowed(socket, playerInfo, data = {}) {
+        const gameId = playerInfo.gameId;
+        const session = gameId ? activeGames.get(gameId) : null;
+        const playerId = session ? getPlayerNumber(gameId, socket.id) : null;
+        if (!session || !playerId) return;
+        if (data.allowed === false) {
+            session.spectatorBlocks.add(playerId);
+            if (session.spectators.size > 0) endSpectating(session, '플레이어가 관전을 허용하지 않았습니다.');
+        } else {
+            session.spectatorBlocks.delete(playerId);
+        }
+        emitSpectatorCount(gameId);
+        persistGame(gameId);
+    },
+    
+    // WebRTC 시그널링
+    offer(socket, playerInfo, data) {
+        const { target, offer } = data;
+        if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
+            io.to(target).emit('offer', {
+                from: socket.id,
+                offer: offer
+            });
+        } else {
+            const payload = { message: '상대방이 연결되지 않았습니다.', context: 'offer' };
+            socket.emit('serverError', payload);
+            socket.emit('error', payload); // 하위 호환
+        }
+    },
+    
+    answer(socket, playerInfo, data) {
+        const { target, answer } = data;
+        
+        if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
+            io.to(target).emit('answer', {
+                from: socket.id,
+                answer: answer
+            });
+        }
+    },
+    
+    iceCandidate(socket, playerInfo, data) {
+        const { target, candidate } = data;
+        
+        if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
+            io.to(target).emit('iceCandidate', {
+                from: socket.id,
+                candidate: candidate
+            });
+        }
+    },
+    
+    // 게임 상태 재동기화 요청: 요청자 자신의 뷰만 회신 (클라이언트가 보낸 상태는 사용하지 않음)
+    gameState(socket, playerInfo) {
+        const gameId = playerInfo.gameId;
+        const gameState = gameId ? gameStates.get(gameId) : null;
+        const playerId = gameId ? getPlayerNumber(gameId, socket.id) : null;
+        if (!gameState || !playerId) return;
+        socket.emit('gameStateView', { gameId, gameState: engine.getPlayerView(gameState, playerId) });
+    },
+    
+    // 카드 플레이 (엔진 검증 후 권위 상태 반영)
+    cardPlayed(socket, playerInfo, data) {
+        const { target, card } = data;
+        
+        if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
+            const gameId = playerInfo.gameId;
+            const gameState = gameStates.get(gameId);
+            if (!gameState) {
+                rejectMove(socket, 'cardPlayed', '게임이 아직 시작되지 않았습니다.', gameId);
+                return;
+            }
+            const playerId = getPlayerNumber(gameId, socket.id);
+            const result = engine.castSpell(gameState, playerId, Number(card));
+            if (!result.ok) {
+                rejectMove(socket, 'cardPlayed', result.error, gameId);
+                return;
+            }
+            activeGames.get(gameId).lastActivity = Date.now();
+            recordReplayEvent(gameId, { type: 'cardPlayed', playerId, card: Number(card), success: result.success, effect: result.effect });
+            if (result.effect && (result.effect.type === 'meditation' || result.effect.type === 'destinyChange') && result.effect.revealed.length > 0) {
+                recordReplayEvent(gameId, {
+                    type: 'reveal',
+                    playerId,
+                    scope: result.effect.type === 'meditation' ? 'public' : 'personal',
+                    stones: result.effect.revealed.slice()
+                });
+            }
+            
+            queueSpectatorUpdate(gameId, {
+                type: 'cardPlayed',
+                playerId,
+                card: Number(card),
+                success: result.success,
+                effect: engine.redactEffect(result.effect, playerId, null)
+            });
+            emitGameViews(gameId, 'cardPlayed', (viewerId) => ({
+                from: socket.id,
+                card: Number(card),
+                playerId,
+                success: result.success,
+                effect: engine.redactEffect(result.effect, playerId, viewerId)
+            }));
+            persistGame(gameId);
+            if (result.verdict) {
+                concludeGame(gameId, result.verdict);
+            }
+        }
+    },
+    
+    // 턴 종료
+    turnEnd(socket, playerInfo, data) {
+        const { target } = data;
+        
+        if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
+            const gameId = playerInfo.gameId;
+            const gameState = gameStates.get(gameId);
+            if (!gameState) return;
+            const result = engine.endTurn(gameState, getPlayerNumber(gameId, socket.id));
+            // 양쪽 타이머가 모두 만료될 수 있으므로 턴이 아닌 쪽의 턴 종료는 조용히 무시
+            if (!result.ok) return;
+            activeGames.get(gameId).lastActivity = Date.now();
+            
+            const playerId = getPlayerNumber(gameId, socket.id);
+            recordReplayEvent(gameId, { type: 'turnEnd', playerId, nextPlayerId: result.currentPlayerId });
+            queueSpectatorUpdate(gameId, { type: 'turnEnd', playerId, nextPlayerId: result.currentPlayerId });
+            io.to(target).emit('turnEnd', {
+                from: socket.id,
+                gameId,
+                gameState: engine.getPlayerView(gameState, 3 - playerId)
+            });
+            socket.emit('gameStateView', { gameId, gameState: engine.getPlayerView(gameState, playerId) });
+            persistGame(gameId);
+        }
+    },
+    
+    // 게임 종료 (클라이언트 주장은 판정에 사용하지 않고, 엔진 판정만 회신)
+    gameOver(socket, playerInfo) {
+        const gameId = getGameIdOf(socket.id);
+        if (!gameId) return;
+        const gameState = gameStates.get(gameId);
+        if (gameState && gameState.isGameOver) {
+            socket.emit('gameOver', {
+                winner: gameState.winner,
+                reason: gameState.reason,
+                gameState: engine.getPlayerView(gameState, getPlayerNumber(gameId, socket.id))
+            });
+        }
+    },
+    
+    // 도망(기권)
+    surrender(socket, playerInfo) {
+        const gameId = getGameIdOf(socket.id);
+        if (!gameId || !activeGames.has(gameId)) return;
+        const playerId = getPlayerNumber(gameId, socket.id);
+        const gameState = gameStates.get(gameId);
+        if (gameState) {
+            const result = engine.surrender(gameState, playerId);
+            if (!result.ok) return;
+            concludeGame(gameId, result.verdict);
+        } else {
+            concludeGame(gameId, { winner: playerId === 1 ? 2 : 1, reason: 'surrender' });
+        }
+    }
+};
+
+// Socket.IO 연결 처리
+io.on('connection', (socket) => {
+    console.log(`🔌 새로운 연결: ${socket.id}`);
+    serverStats.totalConnections++;
+    
+    // 플레이어 정보 저장
+    let playerInfo = {
+        id: socket.id,
+        name: null,
+        isWaiting: false,
+        gameId: null,
+        opponent: null,
+        lastPing: Date.now(),
+        connectionAttempts: 0,
+        isGuest: true, // 기본값은 게스트
+        userId: null,
+        sessionId: null,
+        spectating: null, // 관전 중인 gameId
+        isBot: false // 서버 AI 허수아비 소켓
+    };
     
     playerSessions.set(socket.id, playerInfo);
+    socket.join(chat.LOBBY_CHANNEL);
     
     // 서버 상태 전송
     socket.emit('serverStats', serverStats);
@@ -549,46 +2384,67 @@ io.on('connection', (socket) => {
         socket.emit('pong');
     });
     
-    // 계정 로그인
+    /**
+     * 세션 토큰으로 소켓을 계정에 연결 (playerInfo.sessionId에는 토큰 해시를 보관)
+     * @param {string|null} token
+     */
+    function loginWithSession(token) {
+        if (!token) {
+            socket.emit('loginResult', { success: false, error: '세션 ID가 필요합니다.' });
+            return;
+        }
+        
+        const userId = getUserIdFromSession(token);
+        if (!userId) {
+            socket.emit('loginResult', { success: false, error: '유효하지 않은 세션입니다.' });
+            return;
+        }
+        
+        const userData = users.get(userId);
+        if (!userData) {
+            socket.emit('loginResult', { success: false, error: '유저 데이터를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const loginResult = {
+            success: true,
+            userData: {
+                userId,
+                username: userData.username,
+                nickname: userData.nickname,
+                trophies: userData.trophies
+            }
+        };
+        const sessionKey = hashSessionToken(token);
+        // 핸드셰이크로 이미 같은 세션에 로그인한 소켓이면 결과만 다시 알림
+        if (!playerInfo.isGuest && playerInfo.sessionId === sessionKey) {
+            socket.emit('loginResult', loginResult);
+            return;
+        }
+        
+        // 플레이어 정보 업데이트
+        playerInfo.isGuest = false;
+        playerInfo.userId = userId;
+        playerInfo.sessionId = sessionKey;
+        playerInfo.name = userData.nickname;
+        
+        console.log(`🔐 소켓 로그인: ${userData.nickname} (${socket.id})`);
+        
+        socket.emit('loginResult', loginResult);
+        persistPlayer(playerInfo);
+        
+        // 연결이 끊겼던 게임이 있으면 이어서 진행 (다른 인스턴스가 진행하는 게임이면 그 인스턴스에 요청)
+        if (!resumeGame(socket, playerInfo) && stateStore.client) {
+            resumeOnOwner(playerInfo).catch(error => handleError(socket, error, 'login'));
+        }
+        refreshPresence(userId);
+    }
+    
+    // 계정 로그인 (payload 없으면 핸드셰이크의 세션 사용, payload sessionId는 사용 중단 예정)
     socket.on('login', (data) => {
         try {
-            const { sessionId } = data;
-            
-            if (!sessionId) {
-                socket.emit('loginResult', { success: false, error: '세션 ID가 필요합니다.' });
-                return;
-            }
-            
-            const userId = getUserIdFromSession(sessionId);
-            if (!userId) {
-                socket.emit('loginResult', { success: false, error: '유효하지 않은 세션입니다.' });
-                return;
-            }
-            
-            const userData = users.get(userId);
-            if (!userData) {
-                socket.emit('loginResult', { success: false, error: '유저 데이터를 찾을 수 없습니다.' });
-                return;
-            }
-            
-            // 플레이어 정보 업데이트
-            playerInfo.isGuest = false;
-            playerInfo.userId = userId;
-            playerInfo.sessionId = sessionId;
-            playerInfo.name = userData.nickname;
-            
-            console.log(`🔐 소켓 로그인: ${userData.nickname} (${socket.id})`);
-            
-            socket.emit('loginResult', {
-                success: true,
-                userData: {
-                    userId,
-                    username: userData.username,
-                    nickname: userData.nickname,
-                    trophies: userData.trophies
-                }
-            });
-            
+            if (data && data.sessionId) deprecatedAuthCounter.inc({ source: 'socket' });
+            loginWithSession((data && data.sessionId) || auth.socketTokenOf(socket.handshake));
         } catch (error) {
             handleError(socket, error, 'login');
         }
@@ -599,104 +2455,32 @@ io.on('connection', (socket) => {
         try {
             // 로그인된 계정이면 서버의 닉네임을 강제 사용하고,
             // 게스트인 경우에만 클라이언트가 보낸 이름을 사용
-            let playerName = '게스트';
-            if (!playerInfo.isGuest && playerInfo.userId) {
-                const u = users.get(playerInfo.userId);
-                playerName = (u && u.nickname) ? u.nickname : '게스트';
-            } else {
-                playerName = data.playerName || '게스트';
+            const playerName = resolvePlayerName(playerInfo, data && data.playerName);
+            if (rooms.findBySocket(socket.id)) {
+                socket.emit('roomError', { message: '비공개 방에 참가 중에는 랜덤 매칭을 할 수 없습니다.' });
+                return;
+            }
+            const suspendedUntil = playerInfo.isGuest ? null : admin.matchSuspensionOf(users.get(playerInfo.userId));
+            if (suspendedUntil) {
+                socket.emit('matchError', { message: '매칭이 일시 정지된 계정입니다.', suspendedUntil });
+                return;
             }
             playerInfo.name = playerName;
             playerInfo.isWaiting = true;
             
             console.log(`🎯 매칭 요청: ${playerName} (${socket.id}) - ${playerInfo.isGuest ? '게스트' : '계정'}`);
             
-            // 대기 중인 다른 플레이어 찾기
-            let matchedPlayer = null;
-            for (const [waitingId, waitingPlayer] of waitingPlayers) {
-                if (waitingId !== socket.id && isPlayerConnected(waitingId)) {
-                    matchedPlayer = waitingPlayer;
-                    break;
-                }
-            }
-            
-            if (matchedPlayer) {
-                // 매칭 성공!
-                console.log(`✅ 매칭 성공: ${playerName} ↔ ${matchedPlayer.name}`);
-                serverStats.totalMatches++;
-                totalMatchesCounter.inc();
-                
-                // 대기 목록에서 제거
-                waitingPlayers.delete(matchedPlayer.id);
-                waitingPlayers.delete(socket.id);
-                
-                // 게임 세션 생성
-                const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                const gameSession = {
-                    id: gameId,
-                    players: [
-                        { id: socket.id, name: playerName, isHost: true, isGuest: playerInfo.isGuest },
-                        { id: matchedPlayer.id, name: matchedPlayer.name, isHost: false, isGuest: matchedPlayer.isGuest }
-                    ],
-                    createdAt: Date.now(),
-                    lastActivity: Date.now()
-                };
-                
-                activeGames.set(gameId, gameSession);
-                playerInfo.gameId = gameId;
-                playerInfo.opponent = matchedPlayer.id;
-                
-                const matchedPlayerInfo = playerSessions.get(matchedPlayer.id);
-                if (matchedPlayerInfo) {
-                    matchedPlayerInfo.gameId = gameId;
-                    matchedPlayerInfo.opponent = socket.id;
-                }
-
-                // 룸 조인
-                socket.join(gameId);
-                const matchedSocket = io.sockets.sockets.get(matchedPlayer.id);
-                if (matchedSocket) {
-                    matchedSocket.join(gameId);
-                }
-                
-                // 양쪽 플레이어에게 매칭 성공 알림
-                socket.emit('matchFound', {
-                    gameId: gameId,
-                    opponent: {
-                        id: matchedPlayer.id,
-                        name: matchedPlayer.name,
-                        isGuest: matchedPlayer.isGuest
-                    },
-                    isHost: true
-                });
-                
-                io.to(matchedPlayer.id).emit('matchFound', {
-                    gameId: gameId,
-                    opponent: {
-                        id: socket.id,
-                        name: playerName,
-                        isGuest: playerInfo.isGuest
-                    },
-                    isHost: false
-                });
-                
-                serverStats.activeGames++;
-                serverStats.waitingPlayers = Math.max(0, serverStats.waitingPlayers - 2);
-                connectionsGauge.set(serverStats.totalConnections);
-                activeGamesGauge.set(serverStats.activeGames);
-                waitingPlayersGauge.set(serverStats.waitingPlayers);
-                
-            } else {
-                // 대기 목록에 추가
-                waitingPlayers.set(socket.id, playerInfo);
-                serverStats.waitingPlayers++;
-                console.log(`⏳ 대기 중: ${playerName} (총 ${serverStats.waitingPlayers}명)`);
-                
-                socket.emit('waitingForMatch', {
-                    message: '상대방을 찾는 중입니다...',
-                    waitingCount: serverStats.waitingPlayers
-                });
-            }
+            // 실력 구간 대기열(공유 대기열)에 등록 후 허용 범위 안의 상대 찾기 (다른 인스턴스의 대기자 포함)
+            enqueuePlayer(playerInfo, { allowMixed: !!(data && data.allowMixedPool) })
+                .then(() => runMatchmaking())
+                .then(() => {
+                    if (!matchmaker.has(socket.id)) return;
+                    console.log(`⏳ 대기 중: ${playerName} (총 ${matchmaker.size()}명)`);
+                    emitWaitingStatus(socket.id);
+                    refreshPresence(playerInfo.userId);
+                })
+                .catch(error => handleError(socket, error, 'requestMatch'));
+            updateWaitingStats();
             
             // 서버 상태 업데이트
             io.emit('serverStats', serverStats);
@@ -706,224 +2490,338 @@ io.on('connection', (socket) => {
         }
     });
     
-    // WebRTC 시그널링
-    socket.on('offer', (data) => {
+    // 모의 결투: 서버 AI 허수아비와 대전 (결과는 서버가 판정해 모의 결투 증표 반영)
+    socket.on('requestBotMatch', (data = {}) => {
         try {
-            const { target, offer } = data;
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                io.to(target).emit('offer', {
-                    from: socket.id,
-                    offer: offer
-                });
-            } else {
-                const payload = { message: '상대방이 연결되지 않았습니다.', context: 'offer' };
-                socket.emit('serverError', payload);
-                socket.emit('error', payload); // 하위 호환
+            const difficulty = data.difficulty;
+            if (!Object.prototype.hasOwnProperty.call(bots.BOT_DIFFICULTIES, difficulty)) {
+                socket.emit('botMatchError', { message: '알 수 없는 난이도입니다.' });
+                return;
+            }
+            if (playerInfo.gameId || rooms.findBySocket(socket.id)) {
+                socket.emit('botMatchError', { message: '이미 게임 또는 방에 참가 중입니다.' });
+                return;
+            }
+            for (const pending of pendingBots.values()) {
+                if (pending.humanSocketId === socket.id) return; // 허수아비 입장 대기 중
             }
+            leaveQueue(socket.id);
+            refreshPresence(playerInfo.userId);
+            stopSpectating(socket, playerInfo);
+            playerInfo.name = resolvePlayerName(playerInfo, data.playerName);
+            console.log(`🤖 모의 결투 요청: ${playerInfo.name} (${difficulty})`);
+            spawnBot(playerInfo, difficulty);
         } catch (error) {
-            handleError(socket, error, 'offer');
+            handleError(socket, error, 'requestBotMatch');
         }
     });
     
-    socket.on('answer', (data) => {
+    // 비공개 방 생성 (ranked: 정식 결투 점수 반영 여부, 계정만 선택 가능)
+    socket.on('createRoom', (data = {}) => {
         try {
-            const { target, answer } = data;
-            
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                io.to(target).emit('answer', {
-                    from: socket.id,
-                    answer: answer
-                });
+            const ranked = !!data.ranked;
+            if (ranked && playerInfo.isGuest) {
+                socket.emit('roomError', { message: '점수가 반영되는 방은 로그인 후 만들 수 있습니다.' });
+                return;
+            }
+            if (playerInfo.gameId || rooms.findBySocket(socket.id)) {
+                socket.emit('roomError', { message: '이미 게임 또는 방에 참가 중입니다.' });
+                return;
             }
+            leaveQueue(socket.id);
+            refreshPresence(playerInfo.userId);
+            playerInfo.name = resolvePlayerName(playerInfo, data.playerName);
+            const room = rooms.create({ host: playerInfo, ranked, allowSpectators: data.allowSpectators !== false });
+            console.log(`🚪 비공개 방 생성: ${room.code} (${playerInfo.name}, ${ranked ? '점수 반영' : '친선'})`);
+            emitRoomUpdate(room);
         } catch (error) {
-            handleError(socket, error, 'answer');
+            handleError(socket, error, 'createRoom');
         }
     });
     
-    socket.on('iceCandidate', (data) => {
+    // 초대 코드로 방 참가 (REST로 미리 만든 방은 만든 계정이 들어오면 방장)
+    socket.on('joinRoom', (data = {}) => {
         try {
-            const { target, candidate } = data;
-            
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                io.to(target).emit('iceCandidate', {
-                    from: socket.id,
-                    candidate: candidate
-                });
+            if (playerInfo.gameId) {
+                socket.emit('roomError', { message: '이미 게임에 참가 중입니다.' });
+                return;
+            }
+            playerInfo.name = resolvePlayerName(playerInfo, data.playerName);
+            const result = rooms.join(data.code, playerInfo);
+            if (!result.ok) {
+                socket.emit('roomError', { message: result.error });
+                return;
             }
+            leaveQueue(socket.id);
+            refreshPresence(playerInfo.userId);
+            console.log(`🚪 비공개 방 참가: ${result.room.code} ← ${playerInfo.name} (${result.role})`);
+            emitRoomUpdate(result.room);
         } catch (error) {
-            handleError(socket, error, 'iceCandidate');
+            handleError(socket, error, 'joinRoom');
         }
     });
     
-    // 게임 상태 동기화
-    socket.on('gameState', (data) => {
+    // 준비 상태 변경: 두 플레이어 모두 준비되면 게임 시작
+    socket.on('setRoomReady', (data = {}) => {
         try {
-            const { target, gameState } = data;
-            
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                // 게임 상태 저장
-                if (playerInfo.gameId) {
-                    gameStates.set(playerInfo.gameId, gameState);
-                }
-                
-                io.to(target).emit('gameState', {
-                    from: socket.id,
-                    gameState: gameState
-                });
+            const result = rooms.setReady(socket.id, data.ready !== false);
+            if (!result.ok) {
+                socket.emit('roomError', { message: result.error });
+                // 시작 조건을 못 맞춰 준비가 풀렸으면 양쪽에 알림
+                if (result.room) emitRoomUpdate(result.room);
+                return;
+            }
+            const room = result.room;
+            emitRoomUpdate(room);
+            if (result.bothReady) {
+                if (!isPlayerConnected(room.host.id) || !isPlayerConnected(room.guest.id)) return;
+                rooms.remove(room.code);
+                startMatch(room.host, room.guest, { mode: room.ranked ? 'formal' : 'private', roomCode: room.code, allowSpectators: room.allowSpectators });
             }
         } catch (error) {
-            handleError(socket, error, 'gameState');
+            handleError(socket, error, 'setRoomReady');
         }
     });
     
-    // 카드 플레이
-    socket.on('cardPlayed', (data) => {
+    // 방 나가기
+    socket.on('leaveRoom', () => {
         try {
-            const { target, card, playerId, gameState } = data;
-            
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                // 게임 상태 업데이트
-                if (gameState && playerInfo.gameId) {
-                    gameStates.set(playerInfo.gameId, gameState);
+            handleRoomLeave(socket.id);
+        } catch (error) {
+            handleError(socket, error, 'leaveRoom');
+        }
+    });
+    
+    // 채팅 전송 (channel: 'lobby'는 로그인한 계정만, 'game'은 참가 중인 게임의 두 플레이어에게)
+    socket.on('sendChat', (data = {}) => {
+        try {
+            if (playerInfo.isBot) return;
+            let channel;
+            if (data.channel === 'game') {
+                if (!playerInfo.gameId) {
+                    socket.emit('chatError', { message: '참가 중인 게임이 없습니다.' });
+                    return;
                 }
-                
-                io.to(target).emit('cardPlayed', {
-                    from: socket.id,
-                    card: card,
-                    playerId: playerId,
-                    gameState: gameState
-                });
+                channel = chat.gameChannelOf(playerInfo.gameId);
+            } else {
+                if (playerInfo.isGuest || !playerInfo.userId) {
+                    socket.emit('chatError', { message: '로비 채팅은 로그인 후 이용할 수 있습니다.' });
+                    return;
+                }
+                channel = chat.LOBBY_CHANNEL;
+            }
+            const text = chat.normalizeMessage(data.text);
+            if (!text) return;
+            const limit = chatLimiter.hit(socket.id);
+            if (!limit.ok) {
+                socket.emit('chatError', { message: '메시지를 너무 빠르게 보내고 있습니다. 잠시 후 다시 시도해주세요.', retryAfterMs: limit.retryAfterMs });
+                return;
             }
+            const { text: safeText, filtered } = chatFilter.apply(text);
+            const from = {
+                userId: playerInfo.isGuest ? null : playerInfo.userId,
+                name: resolvePlayerName(playerInfo, playerInfo.name),
+                isGuest: playerInfo.isGuest
+            };
+            const createdAt = Date.now();
+            const messageId = db.insertChatMessage({ channel, userId: from.userId, senderName: from.name, text: safeText, originalText: filtered ? text : null, createdAt });
+            const message = { messageId, channel, from, text: safeText, createdAt };
+            chatHistory.push(channel, message);
+            const room = channel === chat.LOBBY_CHANNEL ? chat.LOBBY_CHANNEL : playerInfo.gameId;
+            io.to(room).except(chatHiddenSocketsFor(from.userId)).emit('chatMessage', message);
         } catch (error) {
-            handleError(socket, error, 'cardPlayed');
+            handleError(socket, error, 'sendChat');
         }
     });
     
-    // 턴 종료
-    socket.on('turnEnd', (data) => {
+    // 채널의 최근 메시지 요청 (접속/재연결 직후)
+    socket.on('requestChatHistory', (data = {}) => {
         try {
-            const { target, gameState } = data;
-            
-            if (isPlayerConnected(target) && arePlayersInSameGame(socket.id, target)) {
-                // 게임 상태 업데이트
-                if (gameState && playerInfo.gameId) {
-                    gameStates.set(playerInfo.gameId, gameState);
-                }
-                
-                io.to(target).emit('turnEnd', {
-                    from: socket.id,
-                    gameState: gameState
-                });
+            if (data.channel === 'game') {
+                if (playerInfo.gameId) emitChatHistory(socket, playerInfo, chat.gameChannelOf(playerInfo.gameId));
+            } else {
+                emitChatHistory(socket, playerInfo, chat.LOBBY_CHANNEL);
             }
         } catch (error) {
-            handleError(socket, error, 'turnEnd');
+            handleError(socket, error, 'requestChatHistory');
         }
     });
     
-    // 게임 종료
-    socket.on('gameOver', (data) => {
+    // 친구 대결 신청: 접속 중인 친구에게 랜덤 매칭 없이 바로 비공개 게임(점수 미반영) 신청
+    socket.on('challengeFriend', (data = {}) => {
         try {
-            const { target, winner, gameState, isGuest } = data;
-            
-            if (!isPlayerConnected(target) || !arePlayersInSameGame(socket.id, target)) {
-                return; // 무시
+            if (playerInfo.isGuest || !playerInfo.userId) {
+                socket.emit('challengeError', { message: '친구 대결은 로그인 후 이용할 수 있습니다.' });
+                return;
             }
-
-            const gameId = getGameIdOf(socket.id);
-            if (!gameId) return;
-
-            // 상태 저장
-            if (gameState) {
-                gameStates.set(gameId, gameState);
+            const friendId = Number(data.userId);
+            const friendship = Number.isInteger(friendId) ? db.getFriendship(playerInfo.userId, friendId) : null;
+            if (!friendship || friendship.status !== 'accepted') {
+                socket.emit('challengeError', { message: '친구에게만 대결을 신청할 수 있습니다.' });
+                return;
             }
-
-            // 승자 값 검증 (자기자신 또는 상대)
-            const opponentId = getOpponentSocketId(gameId, socket.id);
-            if (winner !== socket.id && winner !== opponentId) {
-                return; // 유효하지 않은 승자 주장
+            if (db.getUserRestriction(friendId, playerInfo.userId) === 'block') {
+                socket.emit('challengeError', { message: '상대방에게 대결을 신청할 수 없습니다.' });
+                return;
             }
-
-            // 합의 수집
-            if (!pendingResults.has(gameId)) {
-                pendingResults.set(gameId, { claims: new Map() });
+            if (playerInfo.gameId || rooms.findBySocket(socket.id)) {
+                socket.emit('challengeError', { message: '이미 게임 또는 방에 참가 중입니다.' });
+                return;
+            }
+            if (challenges.findBetween(playerInfo.userId, friendId)) {
+                socket.emit('challengeError', { message: '이미 응답을 기다리는 대결 신청이 있습니다.' });
+                return;
+            }
+            if (!findAvailableSocketOf(friendId)) {
+                socket.emit('challengeError', { message: '친구가 지금 대결할 수 없는 상태입니다.' });
+                return;
+            }
+            playerInfo.name = resolvePlayerName(playerInfo);
+            const challenge = challenges.create({ from: playerInfo, toUserId: friendId });
+            const friend = users.get(friendId);
+            emitToUser(friendId, 'challengeReceived', {
+                challengeId: challenge.id,
+                from: { userId: playerInfo.userId, nickname: playerInfo.name },
+                expiresAt: challenge.expiresAt
+            });
+            socket.emit('challengeSent', {
+                challengeId: challenge.id,
+                to: { userId: friendId, nickname: friend ? friend.nickname : '' },
+                expiresAt: challenge.expiresAt
+            });
+            console.log(`⚔️ 친구 대결 신청: ${playerInfo.name} → ${friend ? friend.nickname : friendId}`);
+        } catch (error) {
+            handleError(socket, error, 'challengeFriend');
+        }
+    });
+    
+    // 대결 신청 응답: 수락하면 응답한 소켓과 신청한 소켓으로 게임 시작
+    socket.on('respondChallenge', (data = {}) => {
+        try {
+            const challenge = challenges.get(data.challengeId);
+            if (!challenge || playerInfo.isGuest || challenge.toUserId !== playerInfo.userId) {
+                socket.emit('challengeError', { message: '대결 신청을 찾을 수 없습니다.' });
+                return;
+            }
+            if (!data.accept) {
+                closeChallenge(challenge, 'declined');
+                return;
+            }
+            if (playerInfo.gameId || rooms.findBySocket(socket.id)) {
+                socket.emit('challengeError', { message: '이미 게임 또는 방에 참가 중입니다.' });
+                return;
             }
-            const entry = pendingResults.get(gameId);
-            entry.claims.set(socket.id, winner);
-
-            // 상대 주장 확인
-            const otherClaim = entry.claims.get(opponentId);
-            if (otherClaim && otherClaim === winner) {
-                // 합의됨 → 결과 확정, 점수 반영
-                finalizeGameResult(gameId, winner);
-                // 알림
-                io.to(opponentId).emit('gameOver', { from: socket.id, winner, gameState, isGuest });
-                socket.emit('gameOver', { from: opponentId, winner, gameState, isGuest });
-                // 정리
-                pendingResults.delete(gameId);
-                activeGames.delete(gameId);
-                gameStates.delete(gameId);
-                serverStats.activeGames = Math.max(0, serverStats.activeGames - 1);
+            const challengerInfo = playerSessions.get(challenge.fromSocketId);
+            if (!challengerInfo || challengerInfo.gameId || !isPlayerConnected(challengerInfo.id) || rooms.findBySocket(challengerInfo.id)) {
+                closeChallenge(challenge, 'cancelled');
+                socket.emit('challengeError', { message: '신청한 친구가 지금 대결할 수 없는 상태입니다.' });
+                return;
+            }
+            closeChallenge(challenge, 'accepted');
+            for (const info of [challengerInfo, playerInfo]) {
+                leaveQueue(info.id);
+                info.name = resolvePlayerName(info);
+            }
+            console.log(`⚔️ 친구 대결 수락: ${challengerInfo.name} vs ${playerInfo.name}`);
+            startMatch(challengerInfo, playerInfo, { mode: 'private' });
+        } catch (error) {
+            handleError(socket, error, 'respondChallenge');
+        }
+    });
+    
+    // 관전 시작 (로그인한 계정만, 자기 게임 제외)
+    socket.on('spectateGame', (data = {}) => {
+        try {
+            if (playerInfo.isGuest) {
+                socket.emit('spectateError', { message: '관전은 로그인 후 이용할 수 있습니다.' });
+                return;
+            }
+            if (playerInfo.gameId) {
+                socket.emit('spectateError', { message: '게임 중에는 관전할 수 없습니다.' });
+                return;
+            }
+            const session = activeGames.get(data.gameId);
+            if (!session) {
+                socket.emit('spectateError', { message: '진행 중인 게임을 찾을 수 없습니다.' });
+                return;
+            }
+            if (!canSpectate(session)) {
+                socket.emit('spectateError', { message: '플레이어가 관전을 허용하지 않았습니다.' });
+                return;
             }
+            stopSpectating(socket, playerInfo);
+            leaveQueue(socket.id);
+            session.spectators.add(socket.id);
+            playerInfo.spectating = session.id;
+            socket.join(spectatorRoomOf(session.id));
+            socket.emit('spectateStarted', {
+                gameId: session.id,
+                mode: session.mode,
+                players: session.players.map(p => ({ name: p.name, isGuest: p.isGuest })),
+                delayMs: SPECTATOR_DELAY_MS,
+                latest: session.lastSpectatorUpdate
+            });
+            emitSpectatorCount(session.id);
+            console.log(`👁️ 관전 시작: ${playerInfo.name} → ${session.id} (${session.spectators.size}명)`);
+        } catch (error) {
+            handleError(socket, error, 'spectateGame');
+        }
+    });
+    
+    socket.on('leaveSpectate', () => {
+        try {
+            stopSpectating(socket, playerInfo);
         } catch (error) {
-            handleError(socket, error, 'gameOver');
+            handleError(socket, error, 'leaveSpectate');
         }
     });
     
+    // 게임 진행 이벤트 (다른 인스턴스가 진행하는 게임이면 그 인스턴스로 전달)
+    for (const [event, handler] of Object.entries(gameEventHandlers)) {
+        socket.on(event, (data) => {
+            try {
+                if (forwardGameEvent(playerInfo, event, data)) return;
+                handler(socket, playerInfo, data);
+            } catch (error) {
+                handleError(socket, error, event);
+            }
+        });
+    }
+    
     // 연결 해제 처리
     socket.on('disconnect', () => {
         console.log(`🔌 연결 해제: ${socket.id}`);
         
         try {
+            // 비공개 방에서 나가기
+            handleRoomLeave(socket.id);
+            
+            // 관전 중이던 게임에서 나가기
+            stopSpectating(socket, playerInfo);
+            
+            chatLimiter.remove(socket.id);
+            
+            // 보낸 친구 대결 신청 취소
+            for (const challenge of challenges.removeBySocket(socket.id)) {
+                closeChallenge(challenge, 'cancelled');
+            }
+            
             // 대기 목록에서 제거
-            if (waitingPlayers.has(socket.id)) {
-                waitingPlayers.delete(socket.id);
-                serverStats.waitingPlayers = Math.max(0, serverStats.waitingPlayers - 1);
-                waitingPlayersGauge.set(serverStats.waitingPlayers);
+            if (leaveQueue(socket.id)) {
                 console.log(`❌ 대기 목록에서 제거: ${socket.id}`);
             }
             
-            // 게임 세션에서 제거
-            if (playerInfo.gameId) {
-                const gameSession = activeGames.get(playerInfo.gameId);
-                if (gameSession) {
-                    // 상대방에게 연결 해제 알림
-            const opponentPlayer = gameSession.players.find(p => p.id !== socket.id);
-            const disconnectedPlayer = gameSession.players.find(p => p.id === socket.id);
-                    if (opponentPlayer && isPlayerConnected(opponentPlayer.id)) {
-                        io.to(opponentPlayer.id).emit('opponentDisconnected', {
-                            message: '상대방이 연결을 해제했습니다.',
-                            gameId: playerInfo.gameId,
-                            disconnectedPlayerName: disconnectedPlayer ? disconnectedPlayer.name : 'Unknown',
-                            disconnectedPlayerId: socket.id,
-                            isDisconnectedAsLoser: true
-                        });
-                        // 정식 결투인 경우: 둘 다 계정 유저라면 연결 해제를 패배로 간주하여 점수 반영
-                        try {
-                            const opponentInfo = playerSessions.get(opponentPlayer.id);
-                            if (opponentInfo && opponentInfo.userId && !opponentInfo.isGuest && playerInfo && playerInfo.userId && !playerInfo.isGuest) {
-                                const gameId = getGameIdOf(socket.id);
-                                if (gameId) {
-                                    // 연결 끊긴 쪽을 패배자로 확정
-                                    finalizeGameResult(gameId, opponentPlayer.id);
-                                }
-                            }
-                        } catch (e) {
-                            console.warn('연결 해제에 따른 결과 확정 실패(무시 가능):', e);
-                        }
-                    }
-                    
-                    activeGames.delete(playerInfo.gameId);
-                    gameStates.delete(playerInfo.gameId);
-                    serverStats.activeGames = Math.max(0, serverStats.activeGames - 1);
-                    activeGamesGauge.set(serverStats.activeGames);
-                    console.log(`❌ 게임 세션 종료: ${playerInfo.gameId}`);
-                }
+            // 게임 세션에서 제거 (다른 인스턴스가 진행하는 게임이면 그 인스턴스가 처리)
+            if (playerInfo.gameId && !forwardGameEvent(playerInfo, 'disconnect')) {
+                leaveGameOnDisconnect(playerInfo);
             }
             
             // 플레이어 세션 제거
             playerSessions.delete(socket.id);
+            storeWrite(stateStore.delete('players', socket.id), 'players');
             serverStats.totalConnections = Math.max(0, serverStats.totalConnections - 1);
             connectionsGauge.set(serverStats.totalConnections);
+            refreshPresence(playerInfo.userId);
             
             // 서버 상태 업데이트
             io.emit('serverStats', serverStats);
@@ -937,6 +2835,40 @@ io.on('connection', (socket) => {
     socket.on('error', (error) => {
         console.error(`❌ 클라이언트 에러 (${socket.id}):`, error);
     });
+    
+    // 서버 AI 허수아비 소켓이면 요청한 사람과 모의 결투 시작 (핸들러 등록 후)
+    const botAuth = socket.handshake.auth || {};
+    if (botAuth.botKey === BOT_KEY && pendingBots.has(botAuth.botId)) {
+        const { humanSocketId, difficulty } = pendingBots.get(botAuth.botId);
+        pendingBots.delete(botAuth.botId);
+        playerInfo.isBot = true;
+        socket.leave(chat.LOBBY_CHANNEL);
+        playerInfo.name = bots.BOT_DIFFICULTIES[difficulty].name;
+        const humanInfo = playerSessions.get(humanSocketId);
+        if (!humanInfo || humanInfo.gameId || !isPlayerConnected(humanSocketId)) {
+            socket.disconnect(true);
+            return;
+        }
+        console.log(`🤖 허수아비 입장: ${playerInfo.name} vs ${humanInfo.name}`);
+        startMatch(humanInfo, playerInfo, { mode: 'mock' });
+        return;
+    }
+    
+    // 핸드셰이크에 세션(쿠키, Authorization: Bearer, auth.token)이 있으면 바로 계정 로그인
+    const handshakeToken = auth.socketTokenOf(socket.handshake);
+    if (handshakeToken) {
+        try {
+            loginWithSession(handshakeToken);
+        } catch (error) {
+            handleError(socket, error, 'login');
+        }
+    }
+});
+
+// 다른 인스턴스가 보낸 메시지 (Redis 어댑터의 serverSideEmit)
+io.on('cluster', (message) => {
+    if (!message || (message.to !== INSTANCE_ID && message.to !== '*')) return;
+    handleClusterMessage(message).catch(error => console.error(`❌ 인스턴스 메시지 처리 오류 (${message.type}):`, error));
 });
 
 // 주기적인 연결 상태 확인
@@ -945,6 +2877,8 @@ setInterval(() => {
     const timeout = 120000; // 2분
     
     for (const [socketId, playerInfo] of playerSessions) {
+        // 다른 인스턴스의 상대는 그 인스턴스가 확인
+        if (playerInfo.remote) continue;
         if (currentTime - playerInfo.lastPing > timeout) {
             console.log(`⚠️ 연결 타임아웃: ${socketId}`);
             const targetSocket = io.sockets.sockets.get(socketId);
@@ -954,13 +2888,25 @@ setInterval(() => {
         }
     }
     
-    // 오래된 게임 세션 정리
+    // 오래된 게임 세션 정리 (진행 중인 게임은 턴을 멈춘 플레이어의 시간 초과 패배)
     for (const [gameId, gameSession] of activeGames) {
+        // 재연결 대기 중인 게임은 유예 만료 시 판정
+        if (isAwaitingReconnect(gameId)) continue;
         if (currentTime - gameSession.lastActivity > 300000) { // 5분
             console.log(`🧹 오래된 게임 세션 정리: ${gameId}`);
-            activeGames.delete(gameId);
-            gameStates.delete(gameId);
-            serverStats.activeGames = Math.max(0, serverStats.activeGames - 1);
+            const gameState = gameStates.get(gameId);
+            if (gameState && !gameState.isGameOver) {
+                concludeGame(gameId, { winner: gameState.currentPlayerId === 1 ? 2 : 1, reason: 'timeout' });
+                continue;
+            }
+            removeGame(gameId);
+        }
+    }
+
+    // 오래된 비공개 방 정리
+    for (const room of rooms.pruneExpired(currentTime)) {
+        for (const info of [room.host, room.guest]) {
+            if (info) io.to(info.id).emit('roomClosed', { code: room.code, message: '방이 만료되었습니다.' });
         }
     }
 
@@ -971,8 +2917,82 @@ setInterval(() => {
             sessions.delete(sid);
         }
     }
+    try {
+        db.deleteExpiredSessions(currentTime);
+    } catch (e) {
+        console.error('❌ 만료 세션 삭제 실패:', e);
+    }
 }, 30000);
 
+// 매칭 대기열 재검사: 오래 기다린 대기자의 허용 레이팅 차이를 넓혀 매칭하고, 남은 대기자에게 대기 상태 전송
+// 공유 대기열이므로 다른 인스턴스의 대기자와도 매칭되고, 대기 상태는 이 인스턴스에 연결된 대기자에게만 보냄
+const MATCHMAKING_SWEEP_MS = Number(process.env.MATCHMAKING_SWEEP_MS || 2000);
+setInterval(() => {
+    runMatchmaking()
+        .then(() => {
+            for (const socketId of matchmaker.socketIds()) {
+                if (!matchmaker.get(socketId).data.remote) emitWaitingStatus(socketId);
+            }
+        })
+        .catch(error => console.error('❌ 매칭 대기열 처리 오류:', error));
+}, MATCHMAKING_SWEEP_MS);
+
+// 리더 선출: 시즌 전환과 토너먼트 경기 시작은 잠금을 쥔 인스턴스 하나만 실행
+// 리더는 유지 시간 안에 잠금을 계속 연장하고, 리더가 죽으면 유지 시간이 지난 뒤 다른 인스턴스가 이어받음
+const LEADER_LOCK_TTL_MS = Number(process.env.LEADER_LOCK_TTL_MS || 15000);
+let isLeader = false;
+async function electLeader() {
+    const wasLeader = isLeader;
+    isLeader = await stateStore.renewLock('leader', INSTANCE_ID, LEADER_LOCK_TTL_MS)
+        || await stateStore.acquireLock('leader', INSTANCE_ID, LEADER_LOCK_TTL_MS);
+    if (isLeader && !wasLeader) console.log(`👑 리더 인스턴스: ${INSTANCE_ID} (시즌 전환, 토너먼트 경기 시작 담당)`);
+}
+setInterval(() => {
+    electLeader().catch(error => {
+        // 저장소에 닿지 않으면 다른 인스턴스가 이어받을 수 있으므로 리더 역할을 멈춤
+        isLeader = false;
+        console.error('❌ 리더 선출 오류:', error);
+    });
+}, LEADER_LOCK_TTL_MS / 3);
+
+// 시즌 종료 확인 (리더가 아닌 인스턴스는 리더가 넘긴 시즌을 DB에서 읽어 따라감)
+setInterval(() => {
+    try {
+        if (!isLeader) {
+            if (currentSeason && Date.now() >= currentSeason.endsAt) syncSeason();
+            return;
+        }
+        syncSeason();
+        if (currentSeason && Date.now() >= currentSeason.endsAt) rolloverSeason();
+    } catch (error) {
+        console.error('❌ 시즌 전환 오류:', error);
+    }
+}, SEASON_CHECK_MS);
+
+// 토너먼트 대진 확인: 두 계정이 모두 접속해 있으면 경기 시작 (리더만, 이전 처리가 끝나기 전에는 건너뜀)
+let launchingTournaments = false;
+function runTournamentLaunch() {
+    if (!isLeader || launchingTournaments) return;
+    launchingTournaments = true;
+    launchTournamentMatches()
+        .catch(error => console.error('❌ 토너먼트 경기 처리 오류:', error))
+        .finally(() => {
+            launchingTournaments = false;
+        });
+}
+setInterval(runTournamentLaunch, MATCHMAKING_SWEEP_MS);
+
+// 친구 대결 신청 만료
+setInterval(() => {
+    try {
+        for (const challenge of challenges.expire()) {
+            closeChallenge(challenge, 'expired');
+        }
+    } catch (error) {
+        console.error('❌ 친구 대결 신청 만료 처리 오류:', error);
+    }
+}, MATCHMAKING_SWEEP_MS);
+
 // 서버 상태 모니터링
 setInterval(() => {
     console.log(`📊 서버 상태: 연결 ${serverStats.totalConnections}, 게임 ${serverStats.activeGames}, 대기 ${serverStats.waitingPlayers}, 총 매칭 ${serverStats.totalMatches}`);
@@ -985,13 +3005,42 @@ const ctx = {
     sessions,
     rankings,
     sessionTtlMs: SESSION_TTL_MS,
-    saveData,
+    secureCookies: SECURE_COOKIES,
     getUserIdFromSession,
-    generateUserId: () => nextUserId++,
-    generateSessionId
+    generateSessionId,
+    db,
+    rooms,
+    listLiveGames,
+    tournaments,
+    saveTournament,
+    launchTournamentMatches: runTournamentLaunch,
+    getCurrentSeason: () => currentSeason,
+    presenceOf,
+    emitToUser,
+    notifyFriendsChanged,
+    canReadChatChannel,
+    loginThrottle,
+    activeGames,
+    describeGameForAdmin,
+    listWaitingPlayers,
+    forceEndGame,
+    kickSocket,
+    kickUser,
+    revokeSession,
+    revokeUserSessions,
+    removeUserFromQueue
 };
 require('./routes/auth')(app, ctx);
+require('./routes/twofactor')(app, ctx);
 require('./routes/ranking')(app, ctx);
+require('./routes/matches')(app, ctx);
+require('./routes/replays')(app, ctx);
+require('./routes/rooms')(app, ctx);
+require('./routes/games')(app, ctx);
+require('./routes/tournaments')(app, ctx);
+require('./routes/friends')(app, ctx);
+require('./routes/chat')(app, ctx);
+require('./routes/admin')(app, ctx);
 
 // 404 에러 처리 (모든 라우트 이후에 등록)
 app.use((req, res) => {
@@ -1017,19 +3066,25 @@ server.listen(PORT, () => {
     
     // 데이터 로드
     loadData();
+    promoteConfiguredAdmins();
+    ensureSeason();
+    console.log(`🗃️ 공유 상태 저장소: ${stateStore.kind} (인스턴스 ${INSTANCE_ID})`);
+    restoreSharedState().catch(error => console.error('❌ 공유 상태 복구 실패:', error));
+    electLeader().catch(error => console.error('❌ 리더 선출 오류:', error));
 
     // 라우터는 이미 등록됨
 });
 
-// 서버 종료 시 데이터 저장
-process.on('SIGINT', async () => {
+// 서버 종료 시 DB와 공유 상태 저장소 연결 닫기 (진행 중인 게임은 저장소에 남아 재시작 후 이어받음)
+function shutdown() {
     console.log('\n🔄 서버 종료 중...');
-    await saveDataImmediate();
-    process.exit(0);
-});
+    db.close();
+    // 리더였으면 잠금을 풀어 다른 인스턴스가 유지 시간을 기다리지 않고 이어받게 함
+    stateStore.releaseLock('leader', INSTANCE_ID)
+        .then(() => stateStore.close())
+        .catch(error => console.error('❌ 공유 상태 저장소 종료 실패:', error))
+        .finally(() => process.exit(0));
+}
 
-process.on('SIGTERM', async () => {
-    console.log('\n🔄 서버 종료 중...');
-    await saveDataImmediate();
-    process.exit(0);
-}); 
\ No newline at end of file
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown); 
\ No newline at end of file
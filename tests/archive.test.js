@@ -0,0 +1,137 @@
+// 내보내기/가져오기 아카이브(utils/archive.js, db.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+
+// db.js는 불러올 때 DB 경로를 정하므로 임시 디렉터리를 먼저 지정
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+process.env.DB_PATH = path.join(tempDir, 'game.db');
+const db = require('../db');
+const archive = require('../utils/archive');
+
+const NOW = 1700000000000;
+const hashOf = (digit) => String(digit).repeat(64);
+
+function user(userId, username, extra = {}) {
+  return {
+    userId,
+    username,
+    nickname: `${username}닉`,
+    password: `$2b$04$${username.padEnd(53, 'x')}`,
+    totpSecret: null,
+    totpEnabledAt: null,
+    icon: '🃏',
+    trophies: { mock: 10 * userId, formal: 3 },
+    stats: { mock: { wins: userId, losses: 1 }, formal: { wins: 0, losses: 2 } },
+    currentWinStreak: 1,
+    maxWinStreak: 4,
+    lastNicknameChange: 0,
+    createdAt: NOW - userId,
+    role: 'user',
+    bannedAt: null,
+    banReason: null,
+    matchSuspendedUntil: null,
+    ...extra
+  };
+}
+
+// DB에서 읽은 것과 같은 모양의 데이터
+function sampleData() {
+  return {
+    schemaVersion: 15,
+    users: [
+      user(1, 'alice', { role: 'admin', totpSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', totpEnabledAt: NOW - 5 }),
+      user(2, 'bob', { bannedAt: NOW - 1, banReason: '욕설' })
+    ],
+    rankings: { mock: new Map([[1, 10], [2, 20]]), formal: new Map([[1, 3], [2, 3]]) },
+    ratings: [{ userId: 1, rating: 1532.5, rd: 120, games: 3, lastPlayedAt: NOW - 100 }],
+    matches: [{
+      matchId: 1, gameId: 'g1', mode: 'formal',
+      player1Id: 1, player1Name: 'alice닉', player1TrophyDelta: 3,
+      player2Id: 2, player2Name: 'bob닉', player2TrophyDelta: -3,
+      winner: 1, reason: 'hp', startedAt: NOW - 60000, endedAt: NOW - 1000, durationMs: 59000
+    }],
+    accountCodes: [
+      { userId: 1, kind: 'backup', codeHash: hashOf(1), createdAt: NOW - 5, usedAt: null },
+      { userId: 1, kind: 'recovery', codeHash: hashOf(2), createdAt: NOW - 10, usedAt: NOW - 2 },
+      { userId: 2, kind: 'recovery', codeHash: hashOf(3), createdAt: NOW - 10, usedAt: null }
+    ]
+  };
+}
+
+// JSON 파일로 저장했다가 읽은 것처럼
+const throughJson = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * 검증 실패 메시지 목록 (통과하면 빈 배열)
+ */
+function issuesOf(json) {
+  try {
+    archive.parseArchive(json);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof z.ZodError);
+    return error.issues.map(issue => issue.message);
+  }
+}
+
+test.after(() => {
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('비밀 정보 없이 만든 아카이브는 비밀번호, 2단계 인증 비밀키, 일회용 코드를 뺌', () => {
+  const built = archive.buildArchive(sampleData(), { now: NOW });
+  assert.equal(built.includesSecrets, false);
+  assert.equal(built.users.some(entry => 'password' in entry || 'totpSecret' in entry), false);
+  assert.equal('accountCodes' in built, false);
+  assert.deepEqual(archive.parseArchive(throughJson(built)), built);
+});
+
+test('비밀 정보를 포함한 아카이브는 빈 DB로 가져온 뒤 다시 내보내도 같음', () => {
+  const built = archive.buildArchive(sampleData(), { includeSecrets: true, now: NOW });
+  const parsed = archive.parseArchive(throughJson(built));
+  assert.deepEqual(parsed, built);
+
+  db.init();
+  assert.deepEqual(db.importArchiveData(parsed), { users: 2, rankings: 4, ratings: 1, matches: 1, accountCodes: 3 });
+  const exported = archive.buildArchive(db.exportArchiveData(), { includeSecrets: true, now: NOW });
+  assert.deepEqual(exported, { ...built, schemaVersion: exported.schemaVersion });
+  // 가져온 복구 코드는 그대로 쓸 수 있고, 이미 쓴 코드는 다시 쓸 수 없음
+  assert.equal(db.consumeAccountCode(2, 'recovery', hashOf(3), NOW), true);
+  assert.equal(db.consumeAccountCode(1, 'recovery', hashOf(2), NOW), false);
+
+  // 데이터가 있는 DB에는 가져오지 않음
+  assert.throws(() => db.importArchiveData(parsed), /비어 있는 DB/);
+});
+
+test('userId나 아이디가 겹치는 아카이브는 거부', () => {
+  const data = sampleData();
+  data.users.push(user(1, 'carol'), user(3, 'bob'));
+  const issues = issuesOf(throughJson(archive.buildArchive(data, { now: NOW })));
+  assert.deepEqual(issues, ['userId가 겹칩니다: 1', '아이디가 겹칩니다: bob']);
+});
+
+test('비밀 정보를 포함했다면서 비밀번호 해시가 빠진 아카이브는 거부', () => {
+  const built = throughJson(archive.buildArchive(sampleData(), { includeSecrets: true, now: NOW }));
+  delete built.users[1].password;
+  assert.deepEqual(issuesOf(built), ['비밀번호 해시가 빠진 유저가 있습니다.']);
+});
+
+test('일회용 코드는 비밀 정보를 포함한 아카이브에만, 있는 유저의 것만 허용', () => {
+  const data = sampleData();
+  data.accountCodes.push({ userId: 9, kind: 'backup', codeHash: hashOf(4), createdAt: NOW, usedAt: null });
+  assert.deepEqual(issuesOf(throughJson(archive.buildArchive(data, { includeSecrets: true, now: NOW }))), ['없는 유저의 코드입니다: 9']);
+
+  const withoutSecrets = throughJson(archive.buildArchive(sampleData(), { now: NOW }));
+  withoutSecrets.accountCodes = [];
+  assert.deepEqual(issuesOf(withoutSecrets), ['비밀 정보 없이 내보낸 아카이브에 일회용 코드가 있습니다.']);
+
+  // 재설정 토큰은 아카이브에 넣지 않음
+  const reset = throughJson(archive.buildArchive(sampleData(), { includeSecrets: true, now: NOW }));
+  reset.accountCodes[0].kind = 'reset';
+  assert.equal(issuesOf(reset).length, 1);
+});
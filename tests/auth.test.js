@@ -0,0 +1,106 @@
+// API/소켓 인증(utils/auth.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AUTH_COOKIES, CSRF_HEADER, parseCookies, credentialOf, socketTokenOf, createAuthMiddleware, setAuthCookies } = require('../utils/auth');
+
+const cookieHeader = (cookies) => Object.entries(cookies).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ');
+
+function request({ method = 'POST', headers = {}, body = {}, query = {} } = {}) {
+  return { method, headers, body, query };
+}
+
+// Express 응답 대역
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    cookies: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    cookie(name, value, options) { this.cookies[name] = { value, options }; return this; }
+  };
+}
+
+/**
+ * 미들웨어 실행 결과 (next가 불렸는지와 응답)
+ */
+function runMiddleware(req, hooks) {
+  const res = createResponse();
+  let passed = false;
+  createAuthMiddleware(hooks)(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('쿠키 헤더 파싱은 처음 나온 값을 쓰고 잘못된 인코딩은 그대로 둠', () => {
+  assert.deepEqual(parseCookies('a=1; b=%20x; a=2; c=%E0%A4%A; =skip; noeq'), { a: '1', b: ' x', c: '%E0%A4%A' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('토큰 우선순위는 Bearer > 본문 > 쿼리 > 쿠키', () => {
+  const headers = { authorization: 'Bearer from-bearer', cookie: cookieHeader({ [AUTH_COOKIES.session]: 'from-cookie' }) };
+  const body = { sessionId: 'from-body' };
+  const query = { sessionId: 'from-query' };
+  assert.deepEqual(credentialOf(request({ headers, body, query })), { token: 'from-bearer', source: 'bearer' });
+  assert.deepEqual(credentialOf(request({ headers: { cookie: headers.cookie }, body, query })), { token: 'from-body', source: 'body' });
+  assert.deepEqual(credentialOf(request({ headers: { cookie: headers.cookie }, query })), { token: 'from-query', source: 'query' });
+  assert.deepEqual(credentialOf(request({ headers: { cookie: headers.cookie }, body: { sessionId: '' } })), { token: 'from-cookie', source: 'cookie' });
+  assert.deepEqual(credentialOf(request({ headers: { authorization: 'Basic abc' } })), { token: null, source: null });
+});
+
+test('소켓 토큰은 auth.token > Authorization > 쿠키', () => {
+  const cookie = cookieHeader({ [AUTH_COOKIES.session]: 'from-cookie' });
+  assert.equal(socketTokenOf({ auth: { token: 'from-auth' }, headers: { authorization: 'bearer from-bearer', cookie } }), 'from-auth');
+  assert.equal(socketTokenOf({ auth: {}, headers: { authorization: 'bearer from-bearer', cookie } }), 'from-bearer');
+  assert.equal(socketTokenOf({ headers: { cookie } }), 'from-cookie');
+  assert.equal(socketTokenOf(null), null);
+});
+
+test('CSRF는 쿠키로 인증한 상태 변경 요청에만 요구', () => {
+  const csrf = 'a'.repeat(32);
+  const cookie = cookieHeader({ [AUTH_COOKIES.session]: 'token', [AUTH_COOKIES.csrf]: csrf });
+
+  for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+    assert.equal(runMiddleware(request({ method, headers: { cookie } })).passed, true);
+  }
+  const rejected = runMiddleware(request({ headers: { cookie } }));
+  assert.deepEqual([rejected.passed, rejected.res.statusCode], [false, 403]);
+  const accepted = runMiddleware(request({ headers: { cookie, [CSRF_HEADER]: csrf } }));
+  assert.equal(accepted.passed, true);
+
+  // Bearer 토큰은 브라우저가 자동으로 붙이지 않으므로 CSRF 검사 없음 (쿠키가 같이 있어도)
+  const bearer = request({ headers: { cookie, authorization: 'Bearer other' } });
+  assert.equal(runMiddleware(bearer).passed, true);
+  assert.deepEqual([bearer.sessionToken, bearer.authSource], ['other', 'bearer']);
+});
+
+test('CSRF 헤더가 쿠키와 다르거나 CSRF 쿠키가 없으면 거부', () => {
+  const csrf = 'a'.repeat(32);
+  const session = cookieHeader({ [AUTH_COOKIES.session]: 'token' });
+  const cookie = cookieHeader({ [AUTH_COOKIES.session]: 'token', [AUTH_COOKIES.csrf]: csrf });
+  assert.equal(runMiddleware(request({ headers: { cookie, [CSRF_HEADER]: 'b'.repeat(32) } })).res.statusCode, 403);
+  assert.equal(runMiddleware(request({ headers: { cookie, [CSRF_HEADER]: csrf.slice(1) } })).res.statusCode, 403);
+  assert.equal(runMiddleware(request({ headers: { cookie: session, [CSRF_HEADER]: '' } })).res.statusCode, 403);
+});
+
+test('본문/쿼리 sessionId는 받아 주되 Deprecation 헤더로 알림', () => {
+  const seen = [];
+  const req = request({ method: 'GET', query: { sessionId: 'legacy' } });
+  const { passed, res } = runMiddleware(req, { onDeprecated: (r, source) => seen.push(source) });
+  assert.equal(passed, true);
+  assert.equal(req.sessionToken, 'legacy');
+  assert.equal(res.headers.Deprecation, 'true');
+  assert.deepEqual(seen, ['query']);
+});
+
+test('로그인 시 세션 쿠키는 httpOnly, CSRF 쿠키는 스크립트가 읽을 수 있게 설정', () => {
+  const res = createResponse();
+  const csrfToken = setAuthCookies(res, 'token', { maxAgeMs: 1000, secure: true });
+  assert.match(csrfToken, /^[0-9a-f]{32}$/);
+  assert.deepEqual(res.cookies[AUTH_COOKIES.session], { value: 'token', options: { sameSite: 'strict', secure: true, path: '/', maxAge: 1000, httpOnly: true } });
+  assert.equal(res.cookies[AUTH_COOKIES.csrf].value, csrfToken);
+  assert.equal(res.cookies[AUTH_COOKIES.csrf].options.httpOnly, false);
+  // 이미 있는 CSRF 토큰은 유지
+  assert.equal(setAuthCookies(createResponse(), 'token', { maxAgeMs: 1000, csrfToken }), csrfToken);
+});
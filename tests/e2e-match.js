@@ -0,0 +1,194 @@
+// 정식 결투 한 판을 실제 서버로 끝까지 진행하는 E2E 검사
+// npm run test:e2e   임시 포트와 data/game.db 복사본으로 서버를 띄우고, 끝나면 서버와 임시 파일을 정리한다.
+// 두 계정이 로그인 → 매칭 → 영창/턴 종료를 반복해 엔진 판정으로 끝나는지, 경기 기록과 리플레이가 남는지 확인한다.
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+const engine = require('../utils/engine');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.E2E_PORT || 3900 + Math.floor(Math.random() * 90));
+const BASE = `http://127.0.0.1:${PORT}`;
+const MAX_TURNS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function api(pathname, body) {
+  const res = await fetch(BASE + pathname, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, ...(await res.json()) };
+}
+
+function waitFor(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`${event} 대기 시간 초과`));
+    }, timeoutMs);
+    const handler = (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    };
+    socket.once(event, handler);
+  });
+}
+
+async function startServer(dir) {
+  // 빈 DB로 띄우면 data/의 예전 JSON을 가져가며 이름을 바꾸므로, 개발용 DB 파일(WAL 포함)의 복사본으로 실행
+  const dbPath = path.join(dir, 'game.db');
+  for (const suffix of ['', '-wal']) {
+    const source = path.join(ROOT, 'data', `game.db${suffix}`);
+    if (fs.existsSync(source)) fs.copyFileSync(source, dbPath + suffix);
+  }
+
+  const logFile = fs.openSync(path.join(dir, 'server.log'), 'w');
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(PORT), DB_PATH: dbPath, LOG_LEVEL: 'warn', REDIS_URL: '' },
+    stdio: ['ignore', logFile, logFile]
+  });
+  for (let i = 0; i < 50; i++) {
+    if (server.exitCode !== null) break;
+    try {
+      const res = await fetch(`${BASE}/api/webrtc-ice`);
+      if (res.ok) return server;
+    } catch {
+      // 아직 listen 전
+    }
+    await sleep(200);
+  }
+  server.kill();
+  throw new Error(`서버가 시작되지 않았습니다 (${path.join(dir, 'server.log')})`);
+}
+
+/**
+ * 내 패는 보이지 않으므로, 상대 패/사용/공개된 주문을 뺀 나머지에서 가장 많이 남은 주문을 고름
+ */
+function chooseSpell(view) {
+  const remaining = {};
+  for (const spell of engine.buildDeck()) remaining[spell] = (remaining[spell] || 0) + 1;
+  const opponent = view.players.find(p => p.id !== view.myPlayerId);
+  const known = [...opponent.hand, ...view.usedStones, ...view.publiclyRevealedSecretStones, ...view.personalRevealedStones];
+  for (const spell of known) remaining[spell]--;
+  let best = null;
+  for (let spell = Math.max(1, view.lastSuccessfulSpell); spell <= engine.GAME_RULES.maxSpell; spell++) {
+    if (remaining[spell] > 0 && (best === null || remaining[spell] >= remaining[best])) best = spell;
+  }
+  return best;
+}
+
+async function createPlayer(prefix) {
+  const suffix = `${Date.now() % 1000000}${Math.floor(Math.random() * 100)}`;
+  const account = await api('/api/register', { username: `${prefix}${suffix}`, password: 'e2e-secret-12', nickname: `${prefix}${suffix}` });
+  assert.equal(account.status, 200, `가입 실패: ${account.error}`);
+  const socket = io(BASE, { transports: ['websocket'], reconnection: false });
+  await waitFor(socket, 'connect');
+  const login = waitFor(socket, 'loginResult');
+  socket.emit('login', { sessionId: account.sessionId });
+  assert.equal((await login).success, true);
+  const player = { socket, userId: account.userData.userId, view: null, gameOver: null };
+  for (const event of ['gameStateView', 'cardPlayed', 'turnEnd']) {
+    socket.on(event, (data) => {
+      if (data && data.gameState) player.view = data.gameState;
+    });
+  }
+  socket.on('gameOver', (data) => {
+    player.gameOver = data;
+  });
+  return player;
+}
+
+async function playMatch() {
+  const host = await createPlayer('e2ea');
+  const guest = await createPlayer('e2eb');
+  const matched = Promise.all([waitFor(host.socket, 'matchFound'), waitFor(guest.socket, 'matchFound')]);
+  host.socket.emit('requestMatch', {});
+  guest.socket.emit('requestMatch', {});
+  const [hostMatch, guestMatch] = await matched;
+  assert.equal(hostMatch.gameId, guestMatch.gameId);
+  assert.equal(hostMatch.mode, 'formal');
+  assert.notEqual(hostMatch.isHost, guestMatch.isHost);
+  const gameId = hostMatch.gameId;
+  await sleep(200);
+
+  let turns = 0;
+  while (!host.gameOver || !guest.gameOver) {
+    assert.ok(turns++ < MAX_TURNS, `${MAX_TURNS}턴 안에 끝나지 않았습니다.`);
+    const mover = [host, guest].find(p => p.view && p.view.currentPlayerId === p.view.myPlayerId && !p.view.isGameOver);
+    if (!mover) {
+      await sleep(50);
+      continue;
+    }
+    const other = mover === host ? guest : host;
+    // 상대 패는 보이므로 뷰가 가린 쪽이 자기 패
+    assert.ok(mover.view.players.find(p => p.id === mover.view.myPlayerId).hand.every(stone => stone === null));
+    assert.ok(other.view.players.find(p => p.id === other.view.myPlayerId).hand.every(stone => stone === null));
+
+    const spell = chooseSpell(mover.view);
+    if (spell !== null) {
+      const played = waitFor(mover.socket, 'cardPlayed');
+      mover.socket.emit('cardPlayed', { target: other.socket.id, card: spell });
+      const result = await played;
+      if (result.gameState.isGameOver) {
+        await sleep(300);
+        continue;
+      }
+    }
+    const turnEnded = waitFor(other.socket, 'turnEnd');
+    mover.socket.emit('turnEnd', { target: other.socket.id });
+    await turnEnded;
+    await waitFor(mover.socket, 'gameStateView').catch(() => null);
+  }
+
+  assert.equal(host.gameOver.winner, guest.gameOver.winner);
+  assert.equal(host.gameOver.reason, guest.gameOver.reason);
+  assert.ok(['health', 'emptyHand'].includes(host.gameOver.reason));
+  const winner = [host, guest].find(p => p.gameOver.gameState.myPlayerId === p.gameOver.winner);
+  assert.ok(winner, '승자를 찾을 수 없습니다.');
+
+  const history = await api(`/api/matches/${winner.userId}`);
+  assert.equal(history.matches.length, 1);
+  assert.equal(history.matches[0].gameId, gameId);
+  assert.equal(history.matches[0].result, 'win');
+  // 엔진 판정(체력/패 소진)은 경기 기록에 일반 승리로 남음
+  assert.equal(history.matches[0].reason, 'win');
+
+  const replay = await api(`/api/replays/${gameId}`);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.events[0].type, 'deal');
+  assert.equal(replay.frames.at(-1).isGameOver, true);
+
+  host.socket.close();
+  guest.socket.close();
+  return { turns, reason: host.gameOver.reason };
+}
+
+(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cmic-e2e-'));
+  let server = null;
+  try {
+    server = await startServer(dir);
+    const { turns, reason } = await playMatch();
+    console.log(`✅ E2E 정식 결투 통과: ${turns}턴, 종료 사유 ${reason}`);
+  } catch (error) {
+    console.error('❌ E2E 정식 결투 실패:', error);
+    process.exitCode = 1;
+  } finally {
+    if (server && server.exitCode === null) {
+      server.kill('SIGTERM');
+      await new Promise(resolve => server.once('exit', resolve));
+    }
+    if (process.exitCode) {
+      console.error(`서버 로그: ${path.join(dir, 'server.log')}`);
+    } else {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+})();
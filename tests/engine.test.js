@@ -0,0 +1,185 @@
+// 규칙 엔진(utils/engine.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../utils/engine');
+
+// 1번 플레이어는 1~6번을 하나씩 더 가진 패, 남은 비밀 주문은 앞에서부터 공개/투입된다.
+function createState({ firstPlayer = 1 } = {}) {
+  return engine.createGameState({
+    hands: [[6, 5, 4, 3, 3, 2, 1], [2, 4, 4, 5, 5, 6, 6]],
+    secretStones: [6, 5, 3, 4, 6, 5, 6],
+    firstPlayer,
+    names: ['호스트', '게스트']
+  });
+}
+
+function countBySpell(stones) {
+  const counts = {};
+  for (const stone of stones) counts[stone] = (counts[stone] || 0) + 1;
+  return counts;
+}
+
+test('덱은 n번 주문을 n개씩 21장으로 구성', () => {
+  assert.deepEqual(countBySpell(engine.buildDeck()), { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6 });
+});
+
+test('배분은 같은 난수면 같은 결과이고 덱 전체를 패 7장씩과 비밀 주문으로 나눔', () => {
+  const seeded = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const a = engine.dealGame({ random: seeded(42) });
+  const b = engine.dealGame({ random: seeded(42) });
+  assert.deepEqual(a, b);
+  assert.equal(a.players[0].hand.length, 7);
+  assert.equal(a.players[1].hand.length, 7);
+  assert.equal(a.secretStones.length, 7);
+  assert.deepEqual(a.players[0].hand, a.players[0].hand.slice().sort((x, y) => x - y));
+  const all = [...a.players[0].hand, ...a.players[1].hand, ...a.secretStones];
+  assert.deepEqual(countBySpell(all), countBySpell(engine.buildDeck()));
+});
+
+test('연속 영창은 직전 성공 주문과 같거나 높은 주문만 가능', () => {
+  const state = createState();
+  const first = engine.castSpell(state, 1, 3);
+  assert.equal(first.ok, true);
+  assert.equal(first.success, true);
+  assert.deepEqual(first.effect, { type: 'mindControl', added: true });
+  assert.deepEqual(state.players[1].hand, [2, 4, 4, 5, 5, 6, 6, 6]);
+  assert.equal(state.lastSuccessfulSpell, 3);
+
+  const lower = engine.castSpell(state, 1, 2);
+  assert.equal(lower.ok, false);
+  assert.match(lower.error, /3번 이상/);
+  assert.deepEqual(state.players[0].hand, [1, 2, 3, 4, 5, 6]);
+
+  assert.equal(engine.castSpell(state, 1, 3).success, true);
+  assert.equal(engine.castSpell(state, 1, 5).success, true);
+  assert.deepEqual(state.usedStones, [3, 3, 5]);
+  assert.deepEqual(state.players[0].hand, [1, 2, 4, 6]);
+});
+
+test('없는 주문을 영창하면 체력을 잃고 턴 종료 전까지 더 영창할 수 없음', () => {
+  const state = createState({ firstPlayer: 2 });
+  const failed = engine.castSpell(state, 2, 1);
+  assert.deepEqual(failed, { ok: true, success: false, effect: null, verdict: null });
+  assert.equal(state.players[1].health, engine.GAME_RULES.maxHealth - 1);
+  assert.deepEqual(state.players[1].hand, [2, 4, 4, 5, 5, 6, 6]);
+
+  const again = engine.castSpell(state, 2, 4);
+  assert.equal(again.ok, false);
+  assert.match(again.error, /턴을 종료/);
+
+  assert.deepEqual(engine.endTurn(state, 2), { ok: true, currentPlayerId: 1 });
+  assert.equal(state.spellFailed, false);
+  assert.equal(state.lastSuccessfulSpell, 0);
+  assert.equal(state.turn, 2);
+});
+
+test('자기 턴이 아니거나 존재하지 않는 주문은 상태를 바꾸지 않고 거부', () => {
+  const state = createState();
+  const before = JSON.stringify(state);
+  assert.equal(engine.castSpell(state, 2, 4).error, '자신의 턴이 아닙니다.');
+  assert.equal(engine.endTurn(state, 2).error, '자신의 턴이 아닙니다.');
+  assert.equal(engine.castSpell(state, 1, 7).error, '존재하지 않는 주문입니다.');
+  assert.equal(engine.castSpell(state, 1, 1.5).error, '존재하지 않는 주문입니다.');
+  assert.equal(JSON.stringify(state), before);
+});
+
+test('게임 종료 판정은 체력 0이 패 소진보다 우선', () => {
+  const state = createState();
+  state.players[0].hand = [];
+  assert.deepEqual(engine.checkGameOver(state), { winner: 1, reason: 'emptyHand' });
+  state.players[0].health = 0;
+  assert.deepEqual(engine.checkGameOver(state), { winner: 2, reason: 'health' });
+});
+
+test('영창 결과로 끝나면 판정을 돌려주고 이후 행동은 거부', () => {
+  const state = createState();
+  state.players[1].health = 1;
+  const result = engine.castSpell(state, 1, 4);
+  assert.deepEqual(result.verdict, { winner: 1, reason: 'health' });
+  assert.equal(state.isGameOver, true);
+  assert.equal(engine.castSpell(state, 1, 5).error, '이미 종료된 게임입니다.');
+  assert.equal(engine.surrender(state, 2).ok, false);
+
+  const selfDefeat = createState({ firstPlayer: 2 });
+  selfDefeat.players[1].health = 1;
+  assert.deepEqual(engine.castSpell(selfDefeat, 2, 1).verdict, { winner: 1, reason: 'health' });
+});
+
+test('플레이어 뷰는 자기 패, 비밀 주문, 상대의 운명 변환 공개분을 가림', () => {
+  const state = createState();
+  engine.castSpell(state, 1, 1);
+  assert.deepEqual(state.personalRevealedStones[1], [6, 5, 3]);
+
+  const hostView = engine.getPlayerView(state, 1);
+  assert.equal(hostView.myPlayerId, 1);
+  assert.deepEqual(hostView.players[0].hand, [null, null, null, null, null, null]);
+  assert.deepEqual(hostView.players[1].hand, [2, 4, 4, 5, 5, 6, 6]);
+  assert.deepEqual(hostView.secretStones, [null, null, null, null]);
+  assert.deepEqual(hostView.personalRevealedStones, [6, 5, 3]);
+  assert.deepEqual(hostView.opponentPersonalRevealedStones, []);
+
+  const guestView = engine.getPlayerView(state, 2);
+  assert.deepEqual(guestView.players[0].hand, [2, 3, 3, 4, 5, 6]);
+  assert.deepEqual(guestView.players[1].hand, [null, null, null, null, null, null, null]);
+  assert.deepEqual(guestView.personalRevealedStones, []);
+  assert.deepEqual(guestView.opponentPersonalRevealedStones, [null, null, null]);
+  assert.deepEqual(guestView.secretStones, [null, null, null, null]);
+
+  // 뷰를 바꿔도 권위 상태는 그대로
+  guestView.players[0].hand.push(1);
+  hostView.personalRevealedStones.length = 0;
+  assert.deepEqual(state.players[0].hand, [2, 3, 3, 4, 5, 6]);
+  assert.deepEqual(state.personalRevealedStones[1], [6, 5, 3]);
+});
+
+test('관전자 뷰는 양쪽 패와 개인 공개분을 모두 가리고 공개 정보만 남김', () => {
+  const state = createState();
+  engine.castSpell(state, 1, 6);
+  const view = engine.getSpectatorView(state);
+  assert.equal(view.myPlayerId, null);
+  assert.equal(view.players.every(p => p.hand.every(stone => stone === null)), true);
+  assert.deepEqual(view.publiclyRevealedSecretStones, [6]);
+  assert.deepEqual(view.usedStones, [6]);
+  assert.deepEqual(view.personalRevealedStones, []);
+});
+
+test('운명 변환 효과는 시전자에게만 공개', () => {
+  const effect = { type: 'destinyChange', revealed: [6, 5, 3] };
+  assert.equal(engine.redactEffect(effect, 1, 1), effect);
+  assert.deepEqual(engine.redactEffect(effect, 1, 2), { type: 'destinyChange', revealed: [null, null, null] });
+  assert.deepEqual(engine.redactEffect(effect, 1, null), { type: 'destinyChange', revealed: [null, null, null] });
+  const arrow = { type: 'fireArrow', opponentHealth: 3 };
+  assert.equal(engine.redactEffect(arrow, 1, 2), arrow);
+});
+
+test('리플레이 프레임은 이벤트를 엔진으로 다시 적용한 상태와 같음', () => {
+  const deal = {
+    type: 'deal',
+    hands: [[1, 2, 3, 3, 4, 5, 6], [2, 4, 4, 5, 5, 6, 6]],
+    secretStones: [6, 5, 3, 4, 6, 5, 6],
+    firstPlayer: 1
+  };
+  const events = [
+    deal,
+    { type: 'cardPlayed', playerId: 1, card: 4 },
+    { type: 'reveal', playerId: 1, scope: 'public', stones: [] },
+    { type: 'turnEnd', playerId: 1 },
+    { type: 'gameOver', winner: 1, reason: 'surrender' }
+  ];
+  const frames = engine.buildReplayFrames(events);
+  assert.equal(frames.length, events.length);
+
+  const expected = engine.createGameState(deal);
+  engine.castSpell(expected, 1, 4);
+  assert.deepEqual(frames[1], expected);
+  assert.deepEqual(frames[2], frames[1]);
+  engine.endTurn(expected, 1);
+  assert.deepEqual(frames[3], expected);
+  assert.equal(frames[4].isGameOver, true);
+  assert.equal(frames[4].reason, 'surrender');
+
+  assert.throws(() => engine.buildReplayFrames([{ type: 'turnEnd', playerId: 1 }]), /deal/);
+});
@@ -0,0 +1,58 @@
+// 랭킹 정렬 유지(utils/leaderboard.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLeaderboard, encodeCursor, decodeCursor } = require('../utils/leaderboard');
+
+const ranked = (board) => board.order.map(entry => [entry.userId, entry.score]);
+
+test('점수 내림차순, 같은 점수는 userId 오름차순', () => {
+  const board = createLeaderboard([[5, 10], [2, 30], [9, 10], [1, 10], [7, 30]]);
+  assert.deepEqual(ranked(board), [[2, 30], [7, 30], [1, 10], [5, 10], [9, 10]]);
+  assert.equal(board.rankOf(1), 3);
+  assert.equal(board.rankOf(9), 5);
+  assert.equal(board.rankOf(42), null);
+});
+
+test('기존 항목 점수를 바꾸면 예전 자리에서 빠지고 새 자리에 들어감', () => {
+  const board = createLeaderboard([[1, 10], [2, 20], [3, 30]]);
+  board.set(1, 40);
+  assert.deepEqual(ranked(board), [[1, 40], [3, 30], [2, 20]]);
+  board.set(3, 20);
+  assert.deepEqual(ranked(board), [[1, 40], [2, 20], [3, 20]]);
+  // 같은 점수로 다시 저장해도 중복되지 않음
+  board.set(2, 20);
+  assert.equal(board.order.length, 3);
+  assert.equal(board.delete(1), true);
+  assert.equal(board.delete(1), false);
+  assert.deepEqual(ranked(board), [[2, 20], [3, 20]]);
+  assert.equal(board.size, 2);
+});
+
+test('커서는 인코딩/디코딩을 거쳐 다음 페이지로 이어지고 잘못된 커서는 null', () => {
+  const board = createLeaderboard(Array.from({ length: 7 }, (_, index) => [index + 1, index % 3]));
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = board.page({ limit: 3, cursor: cursor ? decodeCursor(cursor) : null });
+    seen.push(...page.entries.map(entry => [entry.rank, entry.userId]));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, board.order.map((entry, index) => [index + 1, entry.userId]));
+
+  assert.deepEqual(decodeCursor(encodeCursor({ score: 12, userId: 'legacy' })), { score: 12, userId: 'legacy' });
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from(JSON.stringify({ s: '1', u: 1 })).toString('base64url')), null);
+  // 마지막 페이지에는 다음 커서가 없음
+  assert.equal(board.page({ limit: 7 }).nextCursor, null);
+});
+
+test('내 순위 주변은 맨 위와 맨 아래에서 범위를 벗어나지 않음', () => {
+  const board = createLeaderboard(Array.from({ length: 6 }, (_, index) => [index + 1, 100 - index]));
+  const ids = (found) => found.entries.map(entry => entry.userId);
+  assert.deepEqual(ids(board.around(1, 2)), [1, 2, 3]);
+  assert.equal(board.around(1, 2).rank, 1);
+  assert.deepEqual(ids(board.around(6, 2)), [4, 5, 6]);
+  assert.deepEqual(ids(board.around(3, 2)), [1, 2, 3, 4, 5]);
+  assert.deepEqual(ids(board.around(3, 0)), [3]);
+  assert.equal(board.around(42, 2), null);
+});
@@ -0,0 +1,147 @@
+// 로그인 시도 제한(utils/lockout.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { LOGIN_RULES, loginKeysOf, createLoginThrottle, createOwnerVerifier } = require('../utils/lockout');
+const totp = require('../utils/totp');
+
+// Express 응답 대역
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// DB 대신 메모리에 기록하는 저장소
+function createMemoryAttempts() {
+  const records = new Map();
+  return {
+    records,
+    get: (key) => records.get(key) || null,
+    set: (record) => { records.set(record.key, { ...record }); },
+    delete: (key) => records.delete(key),
+    listLocked: (now) => Array.from(records.values()).filter(record => record.lockedUntil && record.lockedUntil > now)
+  };
+}
+
+test('아이디/IP 키는 아이디 대소문자를 무시', () => {
+  assert.deepEqual(loginKeysOf('Alice', '10.0.0.1'), { username: 'user:alice', ip: 'ip:10.0.0.1' });
+  assert.equal(loginKeysOf('bob', undefined).ip, 'ip:unknown');
+});
+
+test('아이디 기준 두 번째 실패부터 1초, 2초, 4초 ... 기다려야 하고 최대 30초', () => {
+  const throttle = createLoginThrottle(createMemoryAttempts(), { ...LOGIN_RULES, maxFailures: { username: 100, ip: 100 } });
+  const { username } = loginKeysOf('alice', '10.0.0.1');
+  throttle.recordFailure([username], 0);
+  assert.equal(throttle.check([username], 0), null);
+
+  let now = 0;
+  for (const expectedMs of [1000, 2000, 4000, 8000, 16000, 30000, 30000]) {
+    throttle.recordFailure([username], now);
+    assert.deepEqual(throttle.check([username], now), { locked: false, retryAfterMs: expectedMs });
+    assert.deepEqual(throttle.check([username], now + expectedMs - 1), { locked: false, retryAfterMs: 1 });
+    now += expectedMs;
+    assert.equal(throttle.check([username], now), null);
+  }
+});
+
+test('아이디는 5번, IP는 20번 연속 실패하면 잠그고 IP는 잠금 전 대기 없음', () => {
+  const locks = [];
+  const throttle = createLoginThrottle(createMemoryAttempts(), LOGIN_RULES, { onLockout: (scope) => locks.push(scope) });
+  const keys = loginKeysOf('alice', '10.0.0.1');
+  for (let i = 1; i <= 4; i++) assert.deepEqual(throttle.recordFailure([keys.username, keys.ip], i * 60000), []);
+  assert.equal(throttle.check([keys.username], 4 * 60000 + 30000), null);
+  assert.deepEqual(throttle.recordFailure([keys.username, keys.ip], 5 * 60000), [keys.username]);
+  assert.deepEqual(throttle.check([keys.username, keys.ip], 5 * 60000), { locked: true, retryAfterMs: LOGIN_RULES.lockoutMs });
+  assert.deepEqual(locks, ['username']);
+
+  // 같은 IP에서 여러 아이디를 번갈아 틀림: 19번째까지는 IP로 막지 않음
+  for (let i = 6; i <= 19; i++) {
+    assert.deepEqual(throttle.recordFailure([`user:other${i}`, keys.ip], 5 * 60000 + i), []);
+    assert.equal(throttle.check([keys.ip], 5 * 60000 + i), null);
+  }
+  const now = 5 * 60000 + 20;
+  assert.deepEqual(throttle.recordFailure(['user:other20', keys.ip], now), [keys.ip]);
+  assert.deepEqual(throttle.check([loginKeysOf('carol', '10.0.0.1').username, keys.ip], now), { locked: true, retryAfterMs: LOGIN_RULES.lockoutMs });
+  assert.equal(throttle.check([loginKeysOf('carol', '10.0.0.2').ip], now), null);
+  assert.deepEqual(throttle.listLocked(now).map(record => [record.scope, record.key]), [['username', keys.username], ['ip', keys.ip]]);
+});
+
+test('마지막 실패 후 기간이 지나면 실패 수를 새로 셈', () => {
+  const attempts = createMemoryAttempts();
+  const throttle = createLoginThrottle(attempts);
+  const { username } = loginKeysOf('alice', '10.0.0.1');
+  for (let i = 0; i < 4; i++) throttle.recordFailure([username], i * 10000);
+  const last = 3 * 10000;
+  assert.notEqual(throttle.check([username], last), null);
+  assert.equal(throttle.check([username], last + LOGIN_RULES.windowMs + 1), null);
+  // 다섯 번째 실패지만 기간이 지나 첫 실패로 셈 (잠그지 않음)
+  assert.deepEqual(throttle.recordFailure([username], last + LOGIN_RULES.windowMs + 1), []);
+  assert.equal(attempts.records.get(username).failures, 1);
+});
+
+test('잠금이 풀리면 다시 시도할 수 있음', () => {
+  const throttle = createLoginThrottle(createMemoryAttempts());
+  const { username } = loginKeysOf('alice', '10.0.0.1');
+  for (let i = 0; i < LOGIN_RULES.maxFailures.username; i++) throttle.recordFailure([username], 0);
+  assert.equal(throttle.check([username], LOGIN_RULES.lockoutMs - 1).locked, true);
+  assert.equal(throttle.check([username], LOGIN_RULES.lockoutMs), null);
+  assert.equal(throttle.unlock(username), true);
+  assert.equal(throttle.check([username], 0), null);
+});
+
+test('로그인 성공은 아이디 기록만 지우고 IP 기록은 남김', () => {
+  const attempts = createMemoryAttempts();
+  const throttle = createLoginThrottle(attempts);
+  const keys = loginKeysOf('alice', '10.0.0.1');
+  throttle.recordFailure([keys.username, keys.ip], 0);
+  throttle.recordFailure([keys.username, keys.ip], 0);
+  throttle.recordSuccess(keys.username);
+  assert.equal(attempts.records.has(keys.username), false);
+  assert.equal(attempts.records.get(keys.ip).failures, 2);
+  assert.equal(throttle.check([keys.username, keys.ip], 0), null);
+});
+
+test('본인 확인: 틀린 비밀번호와 코드는 로그인 실패로 세고 잠기면 비밀번호를 확인하지 않음', async () => {
+  const attempts = createMemoryAttempts();
+  const throttle = createLoginThrottle(attempts, { ...LOGIN_RULES, baseDelayMs: 0 });
+  const [backupCode] = totp.generateBackupCodes(1);
+  const unused = new Set([totp.hashBackupCode(backupCode)]);
+  const verifyOwner = createOwnerVerifier(throttle, (userId, codeHash) => userId === 1 && unused.delete(codeHash));
+  const secret = totp.generateSecret();
+  const userData = { userId: 1, username: 'Alice', password: await bcrypt.hash('secret123', 4), totpSecret: secret, totpLastStep: null };
+  const keys = loginKeysOf('alice', '10.0.0.1');
+  const req = { ip: '10.0.0.1' };
+
+  let res = createResponse();
+  assert.equal(await verifyOwner(userData, req, res, { password: 'wrong' }), false);
+  assert.deepEqual([res.statusCode, res.body.error], [400, '비밀번호가 일치하지 않습니다.']);
+  res = createResponse();
+  assert.equal(await verifyOwner(userData, req, res, { password: 'secret123', code: 'abcd-0000' }), false);
+  assert.equal(res.body.error, '인증 코드가 올바르지 않습니다.');
+  assert.equal(attempts.records.get(keys.username).failures, 2);
+  assert.equal(attempts.records.get(keys.ip).failures, 2);
+
+  // 맞으면 아이디 기록만 지우고, 같은 인증 앱 코드는 다시 못 씀
+  const code = totp.codeAt(secret, totp.stepOf());
+  assert.equal(await verifyOwner(userData, req, createResponse(), { password: 'secret123', code }), true);
+  assert.equal(attempts.records.has(keys.username), false);
+  assert.equal(await verifyOwner(userData, req, createResponse(), { password: 'secret123', code }), false);
+  // 백업 코드는 한 번만
+  assert.equal(await verifyOwner(userData, req, createResponse(), { password: 'secret123', code: backupCode.toUpperCase() }), true);
+  assert.equal(await verifyOwner(userData, req, createResponse(), { password: 'secret123', code: backupCode }), false);
+  // code를 주지 않으면 비밀번호만 확인
+  assert.equal(await verifyOwner(userData, req, createResponse(), { password: 'secret123' }), true);
+
+  for (let i = 0; i < LOGIN_RULES.maxFailures.username; i++) await verifyOwner(userData, req, createResponse(), { password: 'wrong' });
+  res = createResponse();
+  assert.equal(await verifyOwner(userData, req, res, { password: 'secret123' }), false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.locked, true);
+  assert.equal(res.headers['Retry-After'], String(LOGIN_RULES.lockoutMs / 1000));
+});
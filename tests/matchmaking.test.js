@@ -0,0 +1,68 @@
+// 매칭 대기열(utils/matchmaking.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MATCHMAKING_RULES, createMatchmaker } = require('../utils/matchmaking');
+
+const account = (socketId, rating, extra = {}) => ({ socketId, rating, isGuest: false, ...extra });
+
+test('허용 레이팅 차이는 5초마다 50씩 넓어지고 800에서 멈추며 60초 후에는 제한 없음', () => {
+  const queue = createMatchmaker();
+  const entry = queue.enqueue(account('a', 1500), 0);
+  assert.equal(queue.allowedGap(entry, 0), 100);
+  assert.equal(queue.allowedGap(entry, 4999), 100);
+  assert.equal(queue.allowedGap(entry, 5000), 150);
+  assert.equal(queue.allowedGap(entry, 12000), 200);
+  assert.equal(queue.allowedGap(entry, 59999), 100 + 11 * 50);
+  assert.equal(queue.allowedGap(entry, MATCHMAKING_RULES.unlimitedAfterMs), Infinity);
+
+  // 제한 해제가 늦으면 최대 차이에서 멈춤
+  const patient = createMatchmaker({ unlimitedAfterMs: 10 * 60000 });
+  const waiting = patient.enqueue(account('b', 1500), 0);
+  assert.equal(patient.allowedGap(waiting, 70000), 800);
+  assert.equal(patient.allowedGap(waiting, 300000), 800);
+});
+
+test('허용 차이 안의 이웃 구간까지 찾고 차이가 작은 상대, 같으면 오래 기다린 상대를 고름', () => {
+  const queue = createMatchmaker();
+  queue.enqueue(account('far', 1640), 0);
+  queue.enqueue(account('late', 1420), 20);
+  queue.enqueue(account('early', 1580), 10);
+  queue.enqueue(account('me', 1500), 30);
+  // 1580(+80)과 1420(-80)은 각각 다른 구간이지만 둘 다 허용 차이 안
+  assert.equal(queue.findMatch('me', 30).socketId, 'early');
+  queue.remove('early');
+  assert.equal(queue.findMatch('me', 30).socketId, 'late');
+  queue.remove('late');
+  // 140 차이는 양쪽 모두 5초 이상 기다려야 매칭
+  assert.equal(queue.findMatch('me', 30), null);
+  assert.equal(queue.findMatch('me', 5000), null);
+  assert.equal(queue.findMatch('me', 5030).socketId, 'far');
+  // 연결이 끊긴 상대는 건너뜀
+  assert.equal(queue.findMatch('me', 5030, (id) => id !== 'far'), null);
+});
+
+test('게스트와 계정은 양쪽 모두 혼합 매칭에 동의해야 만남', () => {
+  const queue = createMatchmaker();
+  queue.enqueue({ socketId: 'g', rating: 1500, isGuest: true, allowMixed: true }, 0);
+  queue.enqueue(account('a', 1500), 0);
+  assert.equal(queue.findMatch('g', 0), null);
+  assert.equal(queue.findMatch('a', 0), null);
+  queue.enqueue(account('a', 1500, { allowMixed: true }), 0);
+  assert.equal(queue.findMatch('g', 0).socketId, 'a');
+});
+
+test('주기적 재매칭은 오래 기다린 순으로 짝짓고 대기 시간을 예상 시간에 반영', () => {
+  const queue = createMatchmaker();
+  queue.enqueue(account('a', 1000), 0);
+  queue.enqueue(account('b', 1500), 1000);
+  queue.enqueue(account('c', 2000), 2000);
+  assert.deepEqual(queue.sweep(30000), []);
+  const pairs = queue.sweep(61000);
+  assert.deepEqual(pairs.map(pair => pair.map(entry => entry.socketId)), [['a', 'b']]);
+  assert.deepEqual(queue.socketIds(), ['c']);
+
+  queue.enqueue(account('d', 1500), 61000);
+  // 최근 대기 시간 평균 (61초 + 60초) / 2 = 60.5초에서 기다린 시간을 뺌
+  assert.deepEqual(queue.getStatus('d', 71000), { position: 2, poolSize: 2, waitedMs: 10000, ratingGap: 200, etaSeconds: 51 });
+  assert.equal(queue.getStatus('c', 71000).ratingGap, null);
+});
@@ -0,0 +1,96 @@
+// 스키마 마이그레이션(utils/migrations.js, migrations/) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('../utils/migrations');
+const { hashSessionToken } = require('../utils/session');
+
+const available = migrations.loadMigrations(path.join(__dirname, '..', 'migrations'));
+const LATEST = available[available.length - 1].version;
+
+// 스키마 버전 관리 이전의 users/sessions 테이블만 있는 DB
+function createLegacyDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE users (
+      userId INTEGER PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      nickname TEXT NOT NULL,
+      password TEXT NOT NULL,
+      icon TEXT,
+      trophiesMock INTEGER NOT NULL DEFAULT 0,
+      trophiesFormal INTEGER NOT NULL DEFAULT 0,
+      lastNicknameChange INTEGER NOT NULL DEFAULT 0,
+      createdAt INTEGER NOT NULL
+    );
+    CREATE TABLE sessions (
+      sessionId TEXT PRIMARY KEY,
+      userId INTEGER NOT NULL,
+      expiresAt INTEGER,
+      lastUsedAt INTEGER
+    );
+  `);
+  return db;
+}
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+test('마이그레이션 파일은 빈 번호 없이 순서대로', () => {
+  assert.deepEqual(available.map(m => m.version), available.map((m, i) => i + 1));
+  assert.ok(available.every(m => m.description));
+});
+
+test('예전 DB에 컬럼을 추가하고 원문 세션 키를 해시로 바꾸며 버전을 기록', () => {
+  const db = createLegacyDb();
+  db.prepare("INSERT INTO users (userId, username, nickname, password, createdAt) VALUES (1, 'old', 'old', 'x', 1)").run();
+  db.prepare("INSERT INTO sessions (sessionId, userId) VALUES ('raw-token', 1)").run();
+
+  const result = migrations.migrate(db, available, 1000);
+  assert.equal(result.from, 0);
+  assert.equal(result.to, LATEST);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM schema_version').get().n, available.length);
+
+  for (const column of ['role', 'bannedAt', 'banReason', 'matchSuspendedUntil', 'totpSecret', 'totpEnabledAt', 'totpLastStep']) {
+    assert.ok(columnsOf(db, 'users').includes(column), column);
+  }
+  for (const column of ['createdAt', 'userAgent', 'ip', 'tokenHashed']) {
+    assert.ok(columnsOf(db, 'sessions').includes(column), column);
+  }
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+  for (const table of ['matches', 'replays', 'ratings', 'tournaments', 'seasons', 'season_rankings', 'friendships', 'chat_messages', 'chat_reports', 'user_restrictions', 'admin_audit', 'login_attempts', 'account_codes']) {
+    assert.ok(tables.includes(table), table);
+  }
+  assert.equal(db.prepare('SELECT role FROM users').get().role, 'user');
+  assert.deepEqual(db.prepare('SELECT sessionId, tokenHashed FROM sessions').all(), [{ sessionId: hashSessionToken('raw-token'), tokenHashed: 1 }]);
+
+  // 다시 돌려도 바뀌는 것 없음
+  assert.deepEqual(migrations.migrate(db, available).applied, []);
+  db.close();
+});
+
+test('버전 관리 전에 시작할 때 보강된 컬럼이 이미 있어도 적용됨', () => {
+  const db = createLegacyDb();
+  migrations.addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+  migrations.addColumnIfMissing(db, 'sessions', 'tokenHashed', 'INTEGER NOT NULL DEFAULT 0');
+  // 버전 관리 전의 기본 스키마로 이미 만든 테이블
+  db.exec('CREATE TABLE ratings (userId INTEGER PRIMARY KEY, rating REAL NOT NULL, rd REAL NOT NULL, games INTEGER NOT NULL DEFAULT 0, lastPlayedAt INTEGER)');
+  db.prepare('INSERT INTO ratings (userId, rating, rd) VALUES (1, 1600, 80)').run();
+  assert.equal(migrations.addColumnIfMissing(db, 'users', 'role', 'TEXT'), false);
+  db.prepare("INSERT INTO sessions (sessionId, userId, tokenHashed) VALUES ('already-hashed', 1, 1)").run();
+
+  migrations.migrate(db, available);
+  assert.equal(migrations.currentVersion(db), LATEST);
+  assert.equal(db.prepare('SELECT sessionId FROM sessions').get().sessionId, 'already-hashed');
+  assert.deepEqual(db.prepare('SELECT userId, rating, rd FROM ratings').all(), [{ userId: 1, rating: 1600, rd: 80 }]);
+  db.close();
+});
+
+test('코드보다 새 버전의 DB는 거부', () => {
+  const db = createLegacyDb();
+  migrations.migrate(db, available);
+  assert.throws(() => migrations.assertSupported(db, available.slice(0, 1)), /더 최신 버전/);
+  db.close();
+});
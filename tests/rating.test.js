@@ -0,0 +1,83 @@
+// 레이팅(utils/rating.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rating = require('../utils/rating');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+
+function record(value, rd, games = 20) {
+  return { rating: value, rd, games, lastPlayedAt: NOW };
+}
+
+test('신규 계정은 초기 레이팅과 최대 RD로 배치 기간', () => {
+  const fresh = rating.createRating();
+  assert.deepEqual(fresh, { rating: 1500, rd: 350, games: 0, lastPlayedAt: null });
+  assert.equal(rating.isProvisional(fresh), true);
+  assert.equal(rating.currentRd(fresh, NOW), 350);
+});
+
+test('동급끼리는 이긴 만큼 지고, 승패와 무관하게 RD가 줄어듦', () => {
+  const a = rating.createRating();
+  const b = rating.createRating();
+  const won = rating.updateRating(a, b, 1, NOW);
+  const lost = rating.updateRating(b, a, 0, NOW);
+  assert.ok(won.rating > 1500);
+  assert.ok(Math.abs((won.rating - 1500) + (lost.rating - 1500)) < 1e-9);
+  assert.ok(won.rd < 350 && lost.rd < 350);
+  assert.equal(won.games, 1);
+  assert.equal(won.lastPlayedAt, NOW);
+});
+
+test('강자를 이기면 약자를 이길 때보다 많이 오름', () => {
+  const me = record(1500, 80);
+  const upset = rating.updateRating(me, record(1800, 80), 1, NOW).rating - 1500;
+  const expected = rating.updateRating(me, record(1200, 80), 1, NOW).rating - 1500;
+  assert.ok(upset > expected);
+  assert.ok(expected > 0);
+});
+
+test('RD가 큰(불확실한) 쪽이 같은 결과에 더 크게 움직임', () => {
+  const opponent = record(1500, 80);
+  const settled = rating.updateRating(record(1500, 60), opponent, 1, NOW).rating - 1500;
+  const uncertain = rating.updateRating(record(1500, 250), opponent, 1, NOW).rating - 1500;
+  assert.ok(uncertain > settled);
+});
+
+test('비활동 기간만큼 RD가 커지되 최대 RD를 넘지 않음', () => {
+  const idle = record(1600, 50);
+  assert.equal(rating.currentRd(idle, NOW), 50);
+  const after30 = rating.currentRd(idle, NOW + 30 * DAY_MS);
+  assert.ok(after30 > 50 && after30 < 350);
+  assert.equal(rating.currentRd(idle, NOW + 1000 * DAY_MS), rating.RATING_RULES.maxRd);
+});
+
+test('RD는 최소 RD 아래로 내려가지 않음', () => {
+  let me = record(1500, rating.RATING_RULES.minRd);
+  for (let i = 0; i < 20; i++) me = rating.updateRating(me, record(1500, 30), i % 2, NOW);
+  assert.equal(me.rd, rating.RATING_RULES.minRd);
+});
+
+test('배치 기간은 판 수와 RD 모두 기준을 넘어야 끝남', () => {
+  assert.equal(rating.isProvisional(record(1500, 60, 9)), true);
+  assert.equal(rating.isProvisional(record(1500, 200, 30)), true);
+  assert.equal(rating.isProvisional(record(1500, 60, 10)), false);
+});
+
+test('랭킹 점수는 RD가 클수록 낮게 잡는 보수적 추정치', () => {
+  assert.equal(rating.conservativeRating(rating.createRating()), 800);
+  assert.equal(rating.conservativeRating(record(1600, 50)), 1500);
+  // 한 판 이긴 신규 계정이 오래 검증된 계정보다 위로 올라가지 않음
+  const lucky = rating.updateRating(rating.createRating(), rating.createRating(), 1, NOW);
+  assert.ok(lucky.rating > 1600);
+  assert.ok(rating.conservativeRating(lucky) < rating.conservativeRating(record(1600, 50)));
+});
+
+test('예상 변화와 공개 정보는 정수로 반올림', () => {
+  const me = record(1512.6, 74.4, 12);
+  const preview = rating.previewRatingChange(me, record(1480, 90), NOW);
+  assert.ok(preview.win > 0 && preview.loss < 0);
+  assert.equal(Number.isInteger(preview.win) && Number.isInteger(preview.loss), true);
+  assert.equal(preview.win, Math.round(rating.updateRating(me, record(1480, 90), 1, NOW).rating) - 1513);
+  assert.deepEqual(rating.toPublicRating(me), { rating: 1513, rd: 74, games: 12, provisional: false });
+});
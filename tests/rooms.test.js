@@ -0,0 +1,48 @@
+// 비공개 방(utils/rooms.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomRegistry } = require('../utils/rooms');
+
+const account = (id, userId) => ({ id, userId, isGuest: false, name: `u${userId}` });
+const guest = (id) => ({ id, userId: null, isGuest: true, name: '게스트' });
+
+test('두 플레이어가 모두 준비되면 시작', () => {
+  const rooms = createRoomRegistry();
+  const room = rooms.create({ host: account('s1', 1), ranked: true });
+  assert.equal(rooms.join(room.code.toLowerCase(), account('s2', 2)).role, 'guest');
+  assert.equal(rooms.setReady('s1', true).bothReady, false);
+  assert.deepEqual(rooms.setReady('s2', true), { ok: true, room, bothReady: true });
+});
+
+test('방장 계정의 다른 소켓은 상대 자리에 앉을 수 없음', () => {
+  const rooms = createRoomRegistry();
+  const room = rooms.create({ host: account('s1', 1), ranked: true });
+  assert.deepEqual(rooms.join(room.code, account('s2', 1)), { ok: false, error: '자신이 만든 방에는 상대로 참가할 수 없습니다.' });
+
+  // REST로 만든 방: 만든 계정이 먼저 들어오면 방장, 그다음 같은 계정은 거부
+  const restRoom = rooms.create({ ownerUserId: 7, ranked: false });
+  assert.equal(rooms.join(restRoom.code, account('s3', 7)).role, 'host');
+  assert.equal(rooms.join(restRoom.code, account('s4', 7)).ok, false);
+  assert.equal(restRoom.guest, null);
+});
+
+test('점수가 반영되는 방에는 게스트가 참가할 수 없고 친선 방은 가능', () => {
+  const rooms = createRoomRegistry();
+  const ranked = rooms.create({ host: account('s1', 1), ranked: true });
+  assert.deepEqual(rooms.join(ranked.code, guest('g1')), { ok: false, error: '점수가 반영되는 방은 로그인 후 참가할 수 있습니다.' });
+  const friendly = rooms.create({ host: account('s2', 2), ranked: false });
+  assert.equal(rooms.join(friendly.code, guest('g1')).ok, true);
+});
+
+test('참가 후 게스트가 된 상대와는 점수 반영 경기를 시작하지 않음', () => {
+  const rooms = createRoomRegistry();
+  const opponent = account('s2', 2);
+  const room = rooms.create({ host: account('s1', 1), ranked: true });
+  rooms.join(room.code, opponent);
+  rooms.setReady('s1', true);
+  Object.assign(opponent, { isGuest: true, userId: null });
+  const result = rooms.setReady('s2', true);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, '점수가 반영되는 방은 로그인 후 참가할 수 있습니다.');
+  assert.deepEqual(room.ready, { host: true, guest: false });
+});
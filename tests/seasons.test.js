@@ -0,0 +1,33 @@
+// 시즌(utils/seasons.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const seasons = require('../utils/seasons');
+const rating = require('../utils/rating');
+
+test('소프트 리셋은 초기 레이팅과의 차이를 비율만큼 남기고 RD를 다시 키움', () => {
+  const record = { rating: 1900, rd: 60, games: 40, lastPlayedAt: 123 };
+  assert.deepEqual(seasons.softResetRating(record, 0.5), { rating: 1700, rd: seasons.SEASON_RULES.resetRd, games: 40, lastPlayedAt: 123 });
+  assert.equal(seasons.softResetRating({ ...record, rating: 1300 }, 0.5).rating, 1400);
+  assert.equal(seasons.softResetRating(record, 0).rating, rating.RATING_RULES.initialRating);
+  assert.equal(seasons.softResetRating(record, 3).rating, 1900);
+  // 이미 RD가 큰 계정은 그대로
+  assert.equal(seasons.softResetRating({ ...record, rd: 300 }, 0.5).rd, 300);
+});
+
+test('보관 순위는 보수적 레이팅 내림차순, 같으면 userId 오름차순', () => {
+  const scores = new Map([
+    [3, rating.conservativeRating({ rating: 1800, rd: 200 })],
+    [1, rating.conservativeRating({ rating: 1650, rd: 50 })],
+    [2, rating.conservativeRating({ rating: 1650, rd: 50 })]
+  ]);
+  const standings = seasons.buildStandings(scores, (userId) => `u${userId}`);
+  assert.deepEqual(standings.map(row => [row.rank, row.userId, row.score]), [[1, 1, 1550], [2, 2, 1550], [3, 3, 1400]]);
+});
+
+test('다음 시즌은 이전 종료 시각에 이어서, 오래 꺼져 있었으면 지금부터 시작', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const first = seasons.nextSeason(null, 28, 1000);
+  assert.deepEqual(first, { season: 1, startsAt: 1000, endsAt: 1000 + 28 * day });
+  assert.equal(seasons.nextSeason(first, 28, first.endsAt + 1).startsAt, first.endsAt);
+  assert.equal(seasons.nextSeason(first, 28, first.endsAt + 40 * day).startsAt, first.endsAt + 40 * day);
+});
@@ -0,0 +1,92 @@
+// 공유 상태 저장소(utils/store.js) 단위 테스트
+// 메모리 백엔드와, 빈 포트에 띄운 Redis 대역(redis-standin.js)에 붙인 Redis 백엔드가 같은 동작을 하는지 확인한다.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Redis } = require('ioredis');
+const { createMemoryStore, createRedisStore } = require('../utils/store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let standin = null;
+let redisUrl = null;
+const redisStores = [];
+
+test.before(async () => {
+  standin = spawn(process.execPath, [path.join(__dirname, '..', 'redis-standin.js'), '0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+  redisUrl = await new Promise((resolve, reject) => {
+    let output = '';
+    standin.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/redis:\/\/127\.0\.0\.1:\d+/);
+      if (match) resolve(match[0]);
+    });
+    standin.once('exit', (code) => reject(new Error(`Redis 대역이 시작되지 않았습니다. (종료 코드 ${code})`)));
+  });
+});
+
+test.after(async () => {
+  for (const store of redisStores) await store.close();
+  if (standin) standin.kill();
+});
+
+const backends = {
+  memory: () => createMemoryStore(),
+  // 테스트마다 다른 접두사로 서로의 키와 잠금을 나눔
+  redis: () => {
+    const store = createRedisStore(new Redis(redisUrl, { maxRetriesPerRequest: 1 }), { prefix: `test${redisStores.length}` });
+    redisStores.push(store);
+    return store;
+  }
+};
+
+for (const [kind, createStore] of Object.entries(backends)) {
+  test(`${kind}: 저장한 값은 JSON으로 고정되고 컬렉션별로 나뉨`, async () => {
+    const store = createStore();
+    assert.equal(store.kind, kind);
+    assert.equal(await store.get('games', 'g1'), null);
+
+    const value = { players: ['a', 'b'], turn: 1 };
+    await store.set('games', 'g1', value);
+    value.turn = 2;
+    assert.deepEqual(await store.get('games', 'g1'), { players: ['a', 'b'], turn: 1 });
+    await store.set('games', 'g2', null);
+    await store.set('queue', 'g1', 3);
+
+    assert.deepEqual(await store.getAll('games'), new Map([['g1', { players: ['a', 'b'], turn: 1 }], ['g2', null]]));
+    assert.equal(await store.get('queue', 'g1'), 3);
+
+    await store.delete('games', 'g1');
+    assert.equal(await store.get('games', 'g1'), null);
+    assert.deepEqual(Array.from((await store.getAll('games')).keys()), ['g2']);
+    assert.deepEqual(await store.getAll('empty'), new Map());
+  });
+
+  test(`${kind}: 잠금은 한 주인만 잡고 주인만 연장/해제`, async () => {
+    const store = createStore();
+    assert.equal(await store.acquireLock('leader', 'a', 1000), true);
+    assert.equal(await store.acquireLock('leader', 'b', 1000), false);
+    // 다른 이름의 잠금은 따로
+    assert.equal(await store.acquireLock('other', 'b', 1000), true);
+
+    assert.equal(await store.renewLock('leader', 'b', 1000), false);
+    assert.equal(await store.renewLock('leader', 'a', 1000), true);
+
+    await store.releaseLock('leader', 'b');
+    assert.equal(await store.acquireLock('leader', 'b', 1000), false);
+    await store.releaseLock('leader', 'a');
+    assert.equal(await store.acquireLock('leader', 'b', 1000), true);
+  });
+
+  test(`${kind}: 유지 시간이 지난 잠금은 다른 주인이 잡고 이전 주인은 연장 못 함`, async () => {
+    const store = createStore();
+    assert.equal(await store.acquireLock('leader', 'a', 50), true);
+    await sleep(100);
+    assert.equal(await store.renewLock('leader', 'a', 50), false);
+    assert.equal(await store.acquireLock('leader', 'b', 1000), true);
+    // 만료된 이전 주인의 해제는 새 주인의 잠금을 풀지 않음
+    await store.releaseLock('leader', 'a');
+    assert.equal(await store.acquireLock('leader', 'a', 1000), false);
+  });
+}
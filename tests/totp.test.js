@@ -0,0 +1,94 @@
+// 2단계 인증(utils/totp.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 부록 B의 SHA1 비밀키 "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 인코딩은 되돌릴 수 있고 잘못된 문자는 null', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totp.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+  assert.equal(totp.base32Decode('GEZD-GNBV GY3T=').toString('hex'), totp.base32Decode('GEZDGNBVGY3T').toString('hex'));
+  assert.equal(totp.base32Decode('GEZ1'), null);
+  assert.match(totp.generateSecret(), /^[A-Z2-7]{32}$/);
+});
+
+test('RFC 6238 시험 벡터', () => {
+  /** @type {Array<[number, string]>} */
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+  for (const [seconds, expected] of vectors) {
+    const step = totp.stepOf(seconds * 1000);
+    assert.equal(totp.codeAt(RFC_SECRET, step, 8), expected);
+    // 6자리 코드는 같은 값의 끝 6자리
+    assert.equal(totp.codeAt(RFC_SECRET, step), expected.slice(2));
+  }
+});
+
+test('앞뒤 한 구간까지 허용하고 그 밖의 코드와 형식이 틀린 코드는 거부', () => {
+  const now = 1111111111 * 1000;
+  const current = totp.stepOf(now);
+  for (const offset of [-1, 0, 1]) {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.codeAt(RFC_SECRET, current + offset), { now }), current + offset);
+  }
+  for (const offset of [-2, 2]) {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.codeAt(RFC_SECRET, current + offset), { now }), null);
+  }
+  const code = totp.codeAt(RFC_SECRET, current);
+  assert.equal(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { now }), current);
+  assert.equal(totp.verifyCode(RFC_SECRET, code.slice(1), { now }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(totp.verifyCode(null, code, { now }), null);
+});
+
+test('이미 쓴 구간(lastStep)과 그 이전 코드는 다시 쓸 수 없음', () => {
+  const now = 1234567890 * 1000;
+  const current = totp.stepOf(now);
+  const previous = totp.codeAt(RFC_SECRET, current - 1);
+  const next = totp.codeAt(RFC_SECRET, current + 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.codeAt(RFC_SECRET, current), { now, lastStep: current }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, previous, { now, lastStep: current }), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, next, { now, lastStep: current }), current + 1);
+
+  const userData = { totpSecret: RFC_SECRET, totpLastStep: null };
+  const code = totp.codeAt(RFC_SECRET, current);
+  assert.equal(totp.checkSecondFactor(userData, code, () => false, now), 'totp');
+  assert.equal(userData.totpLastStep, current);
+  assert.equal(totp.checkSecondFactor(userData, code, () => false, now), null);
+});
+
+test('백업 코드는 형식이 구분되고 한 번만 사용', () => {
+  const codes = totp.generateBackupCodes();
+  assert.equal(codes.length, totp.TOTP_RULES.backupCodeCount);
+  assert.equal(new Set(codes).size, codes.length);
+  for (const code of codes) assert.equal(totp.isBackupCode(code), true);
+  assert.equal(totp.isBackupCode('123456'), false);
+  // 대소문자와 하이픈은 무시하고 같은 해시
+  assert.equal(totp.hashBackupCode(codes[0].toUpperCase().replace('-', '')), totp.hashBackupCode(codes[0]));
+
+  const unused = new Set(codes.map(totp.hashBackupCode));
+  const consume = (codeHash) => unused.delete(codeHash);
+  const userData = { totpSecret: RFC_SECRET, totpLastStep: null };
+  assert.equal(totp.checkSecondFactor(userData, codes[1], consume), 'backup');
+  assert.equal(totp.checkSecondFactor(userData, codes[1], consume), null);
+  assert.equal(totp.checkSecondFactor(userData, 'abcd-0000', consume), null);
+  assert.equal(userData.totpLastStep, null);
+  // 2단계 인증을 켜지 않은 계정은 어떤 코드도 통과하지 않음
+  assert.equal(totp.checkSecondFactor({ totpSecret: null }, codes[2], consume), null);
+});
+
+test('인증 앱 등록 URI', () => {
+  const uri = new URL(totp.otpauthUri(RFC_SECRET, 'alice'));
+  assert.equal(`${uri.protocol}//${uri.host}`, 'otpauth://totp');
+  assert.equal(decodeURIComponent(uri.pathname), `/${totp.TOTP_RULES.issuer}:alice`);
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,112 @@
+// 토너먼트(utils/tournaments.js) 단위 테스트
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { seedOrder, createTournamentRegistry } = require('../utils/tournaments');
+
+/**
+ * userId 1..count 참가, userId가 작을수록 높은 시드
+ */
+function startTournament(format, count, rounds = null) {
+  const registry = createTournamentRegistry();
+  const tournament = registry.create({ name: '테스트', format, rounds, createdBy: 1 }, 0);
+  for (let userId = 1; userId <= count; userId++) {
+    registry.register(tournament.id, { userId, nickname: `u${userId}` }, userId);
+  }
+  assert.equal(registry.start(tournament.id, (userId) => -userId, 100).ok, true);
+  return { registry, tournament };
+}
+
+/**
+ * 지금 진행할 수 있는 경기를 모두 높은 시드(작은 userId) 승리로 보고
+ */
+function playReadyMatches(registry, tournament) {
+  const ready = tournament.rounds.flat().filter(m => m.status === 'ready');
+  for (const match of ready) {
+    assert.equal(registry.reportResult(tournament.id, match.id, Math.min(...match.players), 200).ok, true);
+  }
+  return ready.length;
+}
+
+test('시드 배치는 상위 시드끼리 최대한 늦게 만나는 순서', () => {
+  assert.deepEqual(seedOrder(2), [1, 2]);
+  assert.deepEqual(seedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('싱글 엘리미네이션: 2의 거듭제곱이 아니면 상위 시드가 부전승으로 다음 라운드에 올라감', () => {
+  const { tournament } = startTournament('single', 6);
+  assert.equal(tournament.totalRounds, 3);
+  const [first, second] = tournament.rounds;
+  assert.deepEqual(first.map(m => m.players), [[1, null], [4, 5], [2, null], [3, 6]]);
+  assert.deepEqual(first.filter(m => m.bye).map(m => [m.winnerId, m.status]), [[1, 'done'], [2, 'done']]);
+  assert.deepEqual(first.filter(m => !m.bye).map(m => m.status), ['ready', 'ready']);
+  // 부전승한 시드는 상대가 정해질 때까지 대기
+  assert.deepEqual(second.map(m => [m.players, m.status]), [[[1, null], 'waiting'], [[2, null], 'waiting']]);
+  assert.equal(tournament.currentRound, 1);
+});
+
+test('싱글 엘리미네이션: 결승이 끝나야 우승자가 정해짐', () => {
+  const { registry, tournament } = startTournament('single', 5);
+  while (tournament.status === 'running') {
+    assert.equal(tournament.championId, null);
+    assert.ok(playReadyMatches(registry, tournament) > 0);
+  }
+  assert.equal(tournament.status, 'finished');
+  assert.equal(tournament.championId, 1);
+  assert.equal(tournament.finishedAt, 200);
+  const [final] = tournament.rounds[tournament.totalRounds - 1];
+  assert.deepEqual([final.players, final.winnerId], [[1, 2], 1]);
+  const standings = registry.standings(tournament);
+  assert.deepEqual(standings.slice(0, 2).map(row => [row.rank, row.userId, row.eliminated]), [[1, 1, false], [2, 2, true]]);
+  // 끝난 토너먼트에는 결과를 더 보고할 수 없음
+  assert.equal(registry.reportResult(tournament.id, final.id, 1).ok, false);
+});
+
+test('스위스: 홀수 인원이면 부전승을 아직 받지 않은 최하위에게 돌아가며 줌', () => {
+  const { registry, tournament } = startTournament('swiss', 5, 5);
+  const byes = [];
+  while (tournament.status === 'running') {
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    const bye = round.filter(m => m.bye);
+    assert.equal(bye.length, 1);
+    // 부전승은 목록 맨 뒤 번호, 바로 승리 처리
+    assert.equal(bye[0], round[round.length - 1]);
+    assert.equal(bye[0].id, `${bye[0].round}-${round.length}`);
+    assert.equal(bye[0].winnerId, bye[0].players[0]);
+    byes.push(bye[0].players[0]);
+    playReadyMatches(registry, tournament);
+  }
+  assert.equal(byes.length, 5);
+  assert.equal(new Set(byes).size, 5);
+  // 첫 라운드는 시드 최하위
+  assert.equal(byes[0], 5);
+  for (const row of registry.standings(tournament)) assert.equal(row.byes, 1);
+});
+
+test('스위스: 이미 만난 상대와는 다시 짝짓지 않음', () => {
+  const { registry, tournament } = startTournament('swiss', 4, 3);
+  while (tournament.status === 'running') playReadyMatches(registry, tournament);
+  const pairs = tournament.rounds.flat().map(m => [...m.players].sort((a, b) => a - b).join('-'));
+  assert.equal(pairs.length, 6);
+  assert.equal(new Set(pairs).size, 6);
+  // 2라운드는 1라운드 승자끼리
+  assert.deepEqual(tournament.rounds[0].map(m => m.players), [[1, 2], [3, 4]]);
+  assert.deepEqual(tournament.rounds[1].map(m => m.players), [[1, 3], [2, 4]]);
+});
+
+test('스위스: 마지막 라운드가 모두 끝나야 승점 1위가 우승', () => {
+  const { registry, tournament } = startTournament('swiss', 4);
+  assert.equal(tournament.totalRounds, 2);
+  playReadyMatches(registry, tournament);
+  assert.equal(tournament.status, 'running');
+  assert.equal(tournament.rounds.length, 2);
+
+  const [decider, other] = tournament.rounds[1];
+  registry.reportResult(tournament.id, decider.id, Math.min(...decider.players), 300);
+  assert.equal(tournament.status, 'running');
+  assert.equal(tournament.championId, null);
+  registry.reportResult(tournament.id, other.id, Math.min(...other.players), 400);
+  assert.equal(tournament.status, 'finished');
+  assert.equal(tournament.championId, 1);
+  assert.equal(tournament.finishedAt, 400);
+  assert.deepEqual(registry.standings(tournament).map(row => [row.userId, row.points]), [[1, 2], [2, 1], [3, 1], [4, 0]]);
+});
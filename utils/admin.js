@@ -0,0 +1,40 @@
+// 관리자 권한과 계정 제재 (이용 정지, 매칭 일시 정지)
+
+const ROLES = {
+  user: 'user',
+  admin: 'admin'
+};
+
+/**
+ * 관리자 계정인지
+ */
+function isAdmin(userData) {
+  return !!userData && userData.role === ROLES.admin;
+}
+
+/**
+ * 이용 정지된 계정인지
+ */
+function isBanned(userData) {
+  return !!userData && !!userData.bannedAt;
+}
+
+/**
+ * 매칭이 일시 정지된 계정이면 해제 시각, 아니면 null
+ * @returns {number|null}
+ */
+function matchSuspensionOf(userData, now = Date.now()) {
+  if (!userData || !userData.matchSuspendedUntil) return null;
+  return userData.matchSuspendedUntil > now ? userData.matchSuspendedUntil : null;
+}
+
+/**
+ * 쉼표로 구분한 관리자 아이디 목록 파싱 (ADMIN_USERNAMES 환경 변수)
+ * @returns {string[]}
+ */
+function parseAdminUsernames(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+module.exports = { ROLES, isAdmin, isBanned, matchSuspensionOf, parseAdminUsernames };
@@ -0,0 +1,160 @@
+// 데이터 내보내기/가져오기 아카이브 (유저, 랭킹, 레이팅, 경기 기록을 버전 있는 JSON 하나로)
+// 라우트와 같은 방식으로 zod 스키마로 검증한 뒤에만 DB에 넣는다.
+
+const { z } = require('zod');
+
+const ARCHIVE_FORMAT = 'cast-me-if-you-can-archive';
+const ARCHIVE_VERSION = 1;
+
+const timestamp = z.number().int().min(0);
+const count = z.number().int().min(0);
+
+const userSchema = z.object({
+  userId: z.number().int().min(1),
+  username: z.string().min(1),
+  nickname: z.string().min(1),
+  // 비밀 정보(비밀번호 해시, 2단계 인증 비밀키)는 --include-secrets로 내보낼 때만 포함
+  password: z.string().min(1).optional(),
+  totpSecret: z.string().nullable().optional(),
+  totpEnabledAt: timestamp.nullable().optional(),
+  icon: z.string().nullable(),
+  trophies: z.object({ mock: count, formal: count }),
+  stats: z.object({
+    mock: z.object({ wins: count, losses: count }),
+    formal: z.object({ wins: count, losses: count })
+  }),
+  currentWinStreak: count,
+  maxWinStreak: count,
+  lastNicknameChange: timestamp,
+  createdAt: timestamp,
+  role: z.enum(['user', 'admin']),
+  bannedAt: timestamp.nullable(),
+  banReason: z.string().nullable(),
+  matchSuspendedUntil: timestamp.nullable()
+});
+
+const rankingEntry = z.tuple([z.number().int().min(1), z.number().int()]);
+
+// 복구 코드/백업 코드 해시 (관리자 재설정 토큰은 금방 만료되므로 내보내지 않음)
+const accountCodeSchema = z.object({
+  userId: z.number().int().min(1),
+  kind: z.enum(['recovery', 'backup']),
+  codeHash: z.string().regex(/^[0-9a-f]{64}$/),
+  createdAt: timestamp,
+  usedAt: timestamp.nullable()
+});
+
+const archiveSchema = z.object({
+  format: z.literal(ARCHIVE_FORMAT),
+  version: z.literal(ARCHIVE_VERSION),
+  exportedAt: timestamp,
+  schemaVersion: count,
+  includesSecrets: z.boolean(),
+  users: z.array(userSchema),
+  rankings: z.object({
+    mock: z.array(rankingEntry),
+    formal: z.array(rankingEntry)
+  }),
+  ratings: z.array(z.object({
+    userId: z.number().int().min(1),
+    rating: z.number(),
+    rd: z.number(),
+    games: count,
+    lastPlayedAt: timestamp.nullable()
+  })),
+  matches: z.array(z.object({
+    matchId: z.number().int().min(1),
+    gameId: z.string().min(1),
+    mode: z.string().min(1),
+    player1Id: z.number().int().nullable(),
+    player1Name: z.string(),
+    player1TrophyDelta: z.number().int(),
+    player2Id: z.number().int().nullable(),
+    player2Name: z.string(),
+    player2TrophyDelta: z.number().int(),
+    winner: z.number().int(),
+    reason: z.string().min(1),
+    startedAt: timestamp,
+    endedAt: timestamp,
+    durationMs: count
+  })),
+  // 비밀 정보와 함께 --include-secrets로 내보낼 때만 포함 (이 항목이 생기기 전 아카이브에는 없음)
+  accountCodes: z.array(accountCodeSchema).optional()
+}).superRefine((archive, context) => {
+  const userIds = new Set();
+  const usernames = new Set();
+  for (const user of archive.users) {
+    if (userIds.has(user.userId)) context.addIssue({ code: 'custom', message: `userId가 겹칩니다: ${user.userId}`, path: ['users'] });
+    if (usernames.has(user.username)) context.addIssue({ code: 'custom', message: `아이디가 겹칩니다: ${user.username}`, path: ['users'] });
+    userIds.add(user.userId);
+    usernames.add(user.username);
+  }
+  if (archive.includesSecrets && archive.users.some(user => !user.password)) {
+    context.addIssue({ code: 'custom', message: '비밀번호 해시가 빠진 유저가 있습니다.', path: ['users'] });
+  }
+  if (archive.accountCodes) {
+    if (!archive.includesSecrets) context.addIssue({ code: 'custom', message: '비밀 정보 없이 내보낸 아카이브에 일회용 코드가 있습니다.', path: ['accountCodes'] });
+    for (const accountCode of archive.accountCodes) {
+      if (!userIds.has(accountCode.userId)) context.addIssue({ code: 'custom', message: `없는 유저의 코드입니다: ${accountCode.userId}`, path: ['accountCodes'] });
+    }
+  }
+});
+
+/**
+ * DB에서 읽은 데이터로 아카이브 구성
+ * @param {{ users: Object[], rankings: { mock: Map<number, number>, formal: Map<number, number> }, ratings: Object[], matches: Object[], accountCodes?: Object[], schemaVersion: number }} data
+ * @param {{ includeSecrets?: boolean, now?: number }} [options]
+ */
+function buildArchive(data, options = {}) {
+  const { includeSecrets = false, now = Date.now() } = options;
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: now,
+    schemaVersion: data.schemaVersion,
+    includesSecrets: includeSecrets,
+    users: data.users.map(user => ({
+      userId: user.userId,
+      username: user.username,
+      nickname: user.nickname,
+      ...(includeSecrets ? { password: user.password, totpSecret: user.totpSecret || null, totpEnabledAt: user.totpEnabledAt || null } : {}),
+      icon: user.icon || null,
+      trophies: { mock: user.trophies?.mock || 0, formal: user.trophies?.formal || 0 },
+      stats: {
+        mock: { wins: user.stats?.mock?.wins || 0, losses: user.stats?.mock?.losses || 0 },
+        formal: { wins: user.stats?.formal?.wins || 0, losses: user.stats?.formal?.losses || 0 }
+      },
+      currentWinStreak: user.currentWinStreak || 0,
+      maxWinStreak: user.maxWinStreak || 0,
+      lastNicknameChange: user.lastNicknameChange || 0,
+      createdAt: user.createdAt,
+      role: user.role || 'user',
+      bannedAt: user.bannedAt || null,
+      banReason: user.banReason || null,
+      matchSuspendedUntil: user.matchSuspendedUntil || null
+    })),
+    rankings: {
+      mock: Array.from(data.rankings.mock.entries()),
+      formal: Array.from(data.rankings.formal.entries())
+    },
+    ratings: data.ratings,
+    matches: data.matches,
+    ...(includeSecrets ? { accountCodes: data.accountCodes || [] } : {})
+  };
+}
+
+/**
+ * 아카이브 검증 (형식이 틀리면 z.ZodError)
+ * @returns {z.infer<typeof archiveSchema>}
+ */
+function parseArchive(json) {
+  return archiveSchema.parse(json);
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  archiveSchema,
+  buildArchive,
+  parseArchive
+};
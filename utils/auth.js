@@ -0,0 +1,141 @@
+// API/소켓 인증 (세션 토큰을 httpOnly 쿠키나 Authorization: Bearer 헤더로 받음)
+// 쿠키는 브라우저가 자동으로 붙이므로 상태를 바꾸는 요청에는 CSRF 토큰(쿠키와 같은 값의 헤더)을 요구한다.
+// 요청 본문/쿼리의 sessionId는 이전 클라이언트를 위해 당분간 받아 주되 Deprecation 헤더로 알린다.
+
+const crypto = require('crypto');
+
+const AUTH_COOKIES = {
+  session: 'cmic_session',
+  // 페이지 스크립트가 읽어 헤더로 다시 보내는 CSRF 토큰 (httpOnly 아님)
+  csrf: 'cmic_csrf'
+};
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Cookie 헤더 파싱
+ * @returns {Record<string, string>}
+ */
+function parseCookies(header) {
+  /** @type {Record<string, string>} */
+  const cookies = {};
+  if (typeof header !== 'string' || !header) return cookies;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Authorization: Bearer 토큰
+ */
+function bearerTokenOf(header) {
+  if (typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 요청의 세션 토큰과 출처 (Bearer > 본문/쿼리 sessionId > 쿠키 순)
+ * 명시적으로 보낸 토큰이 있으면 쿠키보다 우선하므로 CSRF 검사는 쿠키로 인증할 때만 한다.
+ * @returns {{ token: string|null, source: 'bearer'|'body'|'query'|'cookie'|null }}
+ */
+function credentialOf(req) {
+  const bearer = bearerTokenOf(req.headers.authorization);
+  if (bearer) return { token: bearer, source: 'bearer' };
+  if (req.body && typeof req.body.sessionId === 'string' && req.body.sessionId) {
+    return { token: req.body.sessionId, source: 'body' };
+  }
+  if (req.query && typeof req.query.sessionId === 'string' && req.query.sessionId) {
+    return { token: req.query.sessionId, source: 'query' };
+  }
+  const cookie = parseCookies(req.headers.cookie)[AUTH_COOKIES.session];
+  if (cookie) return { token: cookie, source: 'cookie' };
+  return { token: null, source: null };
+}
+
+/**
+ * 소켓 핸드셰이크의 세션 토큰 (auth.token > Authorization 헤더 > 쿠키)
+ * @returns {string|null}
+ */
+function socketTokenOf(handshake) {
+  if (!handshake) return null;
+  if (handshake.auth && typeof handshake.auth.token === 'string' && handshake.auth.token) return handshake.auth.token;
+  const headers = handshake.headers || {};
+  return bearerTokenOf(headers.authorization) || parseCookies(headers.cookie)[AUTH_COOKIES.session] || null;
+}
+
+/**
+ * 길이가 같을 때만 상수 시간 비교
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * API 인증 미들웨어: req.sessionToken / req.authSource 설정, 쿠키 인증의 CSRF 검사
+ * @param {{ onDeprecated?: (req: any, source: string) => void }} [hooks]
+ */
+function createAuthMiddleware({ onDeprecated } = {}) {
+  return function authMiddleware(req, res, next) {
+    const { token, source } = credentialOf(req);
+    req.sessionToken = token;
+    req.authSource = source;
+
+    if (source === 'cookie' && !SAFE_METHODS.includes(req.method)) {
+      const expected = parseCookies(req.headers.cookie)[AUTH_COOKIES.csrf];
+      if (!expected || !safeEqual(expected, String(req.headers[CSRF_HEADER] || ''))) {
+        return res.status(403).json({ error: 'CSRF 토큰이 올바르지 않습니다.' });
+      }
+    }
+    if (source === 'body' || source === 'query') {
+      res.set('Deprecation', 'true');
+      if (onDeprecated) onDeprecated(req, source);
+    }
+    next();
+  };
+}
+
+/**
+ * 세션 쿠키와 CSRF 쿠키 설정 (csrfToken을 주면 그대로 유지하고 만료만 연장)
+ * @param {{ maxAgeMs: number, secure?: boolean, csrfToken?: string }} options
+ * @returns {string} CSRF 토큰
+ */
+function setAuthCookies(res, token, options) {
+  const { maxAgeMs, secure = false } = options;
+  const csrfToken = options.csrfToken || crypto.randomBytes(16).toString('hex');
+  const base = { sameSite: 'strict', secure, path: '/', maxAge: maxAgeMs };
+  res.cookie(AUTH_COOKIES.session, token, { ...base, httpOnly: true });
+  res.cookie(AUTH_COOKIES.csrf, csrfToken, { ...base, httpOnly: false });
+  return csrfToken;
+}
+
+/**
+ * 로그아웃/세션 만료 시 쿠키 삭제
+ */
+function clearAuthCookies(res, { secure = false } = {}) {
+  for (const name of Object.values(AUTH_COOKIES)) {
+    res.clearCookie(name, { sameSite: 'strict', secure, path: '/' });
+  }
+}
+
+module.exports = {
+  AUTH_COOKIES,
+  CSRF_HEADER,
+  parseCookies,
+  bearerTokenOf,
+  credentialOf,
+  socketTokenOf,
+  createAuthMiddleware,
+  setAuthCookies,
+  clearAuthCookies
+};
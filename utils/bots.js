@@ -0,0 +1,172 @@
+// 서버 AI 허수아비 (모의 결투)
+// 봇은 서버 안에서 socket.io-client로 접속해 사람과 같은 소켓 프로토콜(matchFound, gameStateView, cardPlayed, turnEnd)로 게임한다.
+// 사람과 같은 플레이어 뷰(자기 패는 가려짐)만 보고, 보이는 주문을 뺀 나머지가 자기 패에 있을 확률로 주문을 고른다.
+const { io } = require('socket.io-client');
+const { GAME_RULES } = require('./engine');
+
+// 클라이언트 GAME_CONFIG의 aiSuccessRate/aiContinueRate와 AIAnalysis 분석 가중치와 같은 값
+const BOT_DIFFICULTIES = {
+  easy: { name: '🤖 쉬움 허수아비', accuracy: 0.3, continueRate: 0.4, analysisWeight: 0.3 },
+  normal: { name: '🤖 보통 허수아비', accuracy: 0.5, continueRate: 0.6, analysisWeight: 0.6 },
+  hard: { name: '🤖 어려움 허수아비', accuracy: 0.7, continueRate: 0.8, analysisWeight: 0.8 }
+};
+
+const BOT_THINK_MS = 1500;
+// 서버의 연결 타임아웃(lastPing) 갱신 주기
+const BOT_PING_MS = 30000;
+
+/**
+ * 주문 번호별로 내 패에 하나 이상 있을 확률
+ * 보이지 않는 주문(내 패 + 남은 비밀 주문) 중 내 패 크기만큼을 뽑는 것으로 본다.
+ * @param {Object} view - 엔진 플레이어 뷰
+ * @returns {Object<number, number>} 주문 번호 -> 확률 (0~1)
+ */
+function estimateSpellOdds(view) {
+  const me = view.players.find(p => p.id === view.myPlayerId);
+  const opponent = view.players.find(p => p.id !== view.myPlayerId);
+  const known = [
+    ...view.usedStones,
+    ...opponent.hand,
+    ...view.publiclyRevealedSecretStones,
+    ...view.personalRevealedStones
+  ];
+  const handSize = me.hand.length;
+  const unknown = handSize + view.secretStones.length;
+  const odds = /** @type {Object<number, number>} */ ({});
+  for (let spell = 1; spell <= GAME_RULES.maxSpell; spell++) {
+    const remaining = spell - known.filter(s => s === spell).length;
+    if (remaining <= 0 || handSize === 0) {
+      odds[spell] = 0;
+      continue;
+    }
+    // 남은 주문이 모두 비밀 주문 쪽에 있을 확률의 여사건
+    let none = 1;
+    for (let i = 0; i < handSize; i++) {
+      none *= Math.max(0, unknown - remaining - i) / (unknown - i);
+    }
+    odds[spell] = 1 - none;
+  }
+  return odds;
+}
+
+/**
+ * 주문의 전략 점수 (클라이언트 calculateStrategicScore 대응)
+ */
+function strategicScore(spell, view) {
+  const me = view.players.find(p => p.id === view.myPlayerId);
+  const opponent = view.players.find(p => p.id !== view.myPlayerId);
+  const secrets = view.secretStones.length;
+  switch (spell) {
+    case 1: return secrets > 2 ? 0.8 : 0.3;
+    case 2: return opponent.health > me.health ? 0.9 : 0.5;
+    case 3: return secrets > 0 ? 0.7 : 0.2;
+    case 4: return opponent.health <= 2 ? 0.9 : 0.6;
+    case 5: return me.health <= 2 ? 0.9 : 0.4;
+    case 6: return secrets > 0 ? 0.8 : 0.3;
+    default: return 0.5;
+  }
+}
+
+/**
+ * 다음 행동 결정
+ * @param {Object} view - 엔진 플레이어 뷰
+ * @param {keyof typeof BOT_DIFFICULTIES} difficulty
+ * @param {() => number} [random]
+ * @returns {{ type: 'cast', card: number } | { type: 'endTurn' } | null} 내 턴이 아니면 null
+ */
+function chooseBotAction(view, difficulty, random = Math.random) {
+  const rules = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.normal;
+  if (view.isGameOver || view.currentPlayerId !== view.myPlayerId) return null;
+  if (view.spellFailed) return { type: 'endTurn' };
+
+  const odds = estimateSpellOdds(view);
+  const candidates = [];
+  for (let spell = Math.max(1, view.lastSuccessfulSpell); spell <= GAME_RULES.maxSpell; spell++) {
+    if (odds[spell] > 0) candidates.push(spell);
+  }
+  if (candidates.length === 0) return { type: 'endTurn' };
+
+  // 이번 턴에 이미 성공했다면 연속 영창 여부 결정 (기본 확률과 분석 확률 가중 평균)
+  if (view.lastSuccessfulSpell > 0) {
+    const bestOdds = Math.max(...candidates.map(s => odds[s]));
+    const rate = rules.continueRate * (1 - rules.analysisWeight) + bestOdds * rules.analysisWeight;
+    if (random() >= rate) return { type: 'endTurn' };
+  }
+
+  // 난이도가 낮을수록 확률 추정에 무작위가 섞인다
+  let best = candidates[0];
+  let bestScore = -Infinity;
+  for (const spell of candidates) {
+    const estimate = odds[spell] * rules.accuracy + random() * (1 - rules.accuracy);
+    const score = estimate * 0.7 + strategicScore(spell, view) * 0.3;
+    if (score > bestScore) {
+      bestScore = score;
+      best = spell;
+    }
+  }
+  return { type: 'cast', card: best };
+}
+
+/**
+ * 봇 소켓 접속 (서버가 handshake auth로 봇을 확인하고 대기 중인 사람과 매칭)
+ * 게임이 끝나거나 연결이 끊기면 스스로 정리한다.
+ * @param {{ url: string, auth: Object, difficulty: keyof typeof BOT_DIFFICULTIES, thinkMs?: number }} options
+ * @returns {import('socket.io-client').Socket}
+ */
+function connectBot({ url, auth, difficulty, thinkMs = BOT_THINK_MS }) {
+  const socket = io(url, { transports: ['websocket'], auth, reconnection: false, forceNew: true });
+  let view = null;
+  let opponentId = null;
+  let moveTimer = null;
+  const pingTimer = setInterval(() => socket.emit('ping'), BOT_PING_MS);
+
+  function schedule() {
+    clearTimeout(moveTimer);
+    if (!view || !opponentId || view.isGameOver || view.currentPlayerId !== view.myPlayerId) return;
+    moveTimer = setTimeout(() => {
+      const action = chooseBotAction(view, difficulty);
+      if (!action) return;
+      if (action.type === 'cast') {
+        socket.emit('cardPlayed', { target: opponentId, card: action.card });
+      } else {
+        socket.emit('turnEnd', { target: opponentId });
+      }
+    }, thinkMs);
+  }
+
+  function update(gameState) {
+    if (!gameState) return;
+    view = gameState;
+    schedule();
+  }
+
+  socket.on('matchFound', (data) => {
+    opponentId = data.opponent.id;
+    schedule();
+  });
+  socket.on('gameStateView', (data) => update(data.gameState));
+  socket.on('cardPlayed', (data) => update(data.gameState));
+  socket.on('turnEnd', (data) => update(data.gameState));
+  // 거부된 동작을 반복하지 않도록 턴 종료
+  socket.on('moveRejected', () => {
+    if (opponentId) socket.emit('turnEnd', { target: opponentId });
+  });
+  // 상대 재연결 대기 중에는 멈추고, 돌아오면 새 소켓 ID로 이어서 진행
+  socket.on('opponentDisconnected', () => clearTimeout(moveTimer));
+  socket.on('opponentReconnected', (data) => {
+    opponentId = data.opponent.id;
+    update(data.gameState);
+  });
+  socket.on('gameOver', () => socket.disconnect());
+  socket.on('disconnect', () => {
+    clearInterval(pingTimer);
+    clearTimeout(moveTimer);
+  });
+  socket.on('connect_error', () => {
+    clearInterval(pingTimer);
+    clearTimeout(moveTimer);
+  });
+  return socket;
+}
+
+module.exports = { BOT_DIFFICULTIES, estimateSpellOdds, chooseBotAction, connectBot };
@@ -0,0 +1,44 @@
+// DB를 읽어 채우는 Map 캐시 (계정, 아이디 색인, 세션)
+// 여러 인스턴스가 같은 DB를 쓰면 다른 인스턴스가 만든 계정/세션은 이 인스턴스의 Map에 없으므로,
+// get/has에서 없는 키는 DB에서 읽어 채운다. 순회(entries/values/size)는 지금 캐시에 있는 항목만 대상이다.
+
+class ReadThroughMap extends Map {
+  /**
+   * @param {(key: any) => any} load - 없으면 null/undefined
+   */
+  constructor(load) {
+    super();
+    this.load = load;
+  }
+
+  get(key) {
+    if (super.has(key)) return super.get(key);
+    if (key === null || key === undefined) return undefined;
+    const value = this.load(key);
+    if (value === null || value === undefined) return undefined;
+    super.set(key, value);
+    return value;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * 캐시에 있는 값만 (DB를 읽지 않음)
+   */
+  peek(key) {
+    return super.get(key);
+  }
+}
+
+/**
+ * DB를 읽어 채우는 Map 생성
+ * @param {(key: any) => any} load - 키 하나를 DB에서 읽음 (없으면 null)
+ * @returns {ReadThroughMap}
+ */
+function createReadThroughMap(load) {
+  return new ReadThroughMap(load);
+}
+
+module.exports = { createReadThroughMap };
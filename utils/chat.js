@@ -0,0 +1,136 @@
+// 채팅 (게임별 채널과 로비 채널)
+// WebRTC 데이터 채널이 끊겨도 대화할 수 있도록 Socket.IO로 중계하고, 서버가 길이/도배/금칙어를 검사한다.
+
+const CHAT_RULES = {
+  maxLength: 200,
+  // 채널별로 재연결 시 다시 보내 주는 최근 메시지 수
+  historySize: 50,
+  // 소켓별 windowMs 동안 max개까지
+  rateLimit: { windowMs: 10 * 1000, max: 5 },
+  // 기본 금칙어 (CHAT_BANNED_WORDS 환경 변수로 교체)
+  bannedWords: ['시발', '씨발', '병신', '개새끼', '좆']
+};
+
+const LOBBY_CHANNEL = 'lobby';
+
+/**
+ * 게임 채널 이름
+ */
+function gameChannelOf(gameId) {
+  return `game:${gameId}`;
+}
+
+/**
+ * 채널 이름에서 gameId (로비면 null)
+ */
+function gameIdOfChannel(channel) {
+  return typeof channel === 'string' && channel.startsWith('game:') ? channel.slice('game:'.length) : null;
+}
+
+/**
+ * 제어 문자 제거, 공백 정리, 길이 제한
+ * @returns {string} 빈 문자열이면 보낼 내용 없음
+ */
+function normalizeMessage(text, maxLength = CHAT_RULES.maxLength) {
+  if (typeof text !== 'string') return '';
+  return text
+    .replace(/[\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e\ufeff]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * 쉼표로 구분한 금칙어 목록 파싱 (비어 있으면 기본 목록)
+ */
+function parseBannedWords(value, fallback = CHAT_RULES.bannedWords) {
+  if (typeof value !== 'string' || !value.trim()) return fallback.slice();
+  return value.split(',').map(word => word.trim()).filter(Boolean);
+}
+
+/**
+ * 금칙어 필터 생성 (대소문자와 사이에 낀 공백/기호를 무시하고 찾아 *로 가림)
+ * @param {string[]} words
+ */
+function createWordFilter(words = CHAT_RULES.bannedWords) {
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = words
+    .map(word => word.toLowerCase().replace(/\s+/g, ''))
+    .filter(Boolean)
+    .map(word => new RegExp(Array.from(word).map(escape).join('[\\s._\\-*]*'), 'giu'));
+
+  /**
+   * @returns {{ text: string, filtered: boolean }}
+   */
+  function apply(text) {
+    let filtered = false;
+    let result = text;
+    for (const pattern of patterns) {
+      result = result.replace(pattern, (match) => {
+        filtered = true;
+        return '*'.repeat(Array.from(match).length);
+      });
+    }
+    return { text: result, filtered };
+  }
+
+  return { apply, size: () => patterns.length };
+}
+
+/**
+ * 소켓별 도배 제한 (최근 windowMs 동안 보낸 시각 기록)
+ */
+function createRateLimiter({ windowMs, max } = CHAT_RULES.rateLimit) {
+  const sent = new Map(); // key -> 보낸 시각 배열
+
+  /**
+   * @returns {{ ok: boolean, retryAfterMs?: number }}
+   */
+  function hit(key, now = Date.now()) {
+    const recent = (sent.get(key) || []).filter(time => now - time < windowMs);
+    if (recent.length >= max) {
+      sent.set(key, recent);
+      return { ok: false, retryAfterMs: windowMs - (now - recent[0]) };
+    }
+    recent.push(now);
+    sent.set(key, recent);
+    return { ok: true };
+  }
+
+  return {
+    hit,
+    remove: (key) => sent.delete(key)
+  };
+}
+
+/**
+ * 채널별 최근 메시지 버퍼 (재연결 시 다시 전송)
+ */
+function createChatHistory(size = CHAT_RULES.historySize) {
+  const channels = new Map(); // channel -> 메시지 배열 (오래된 순)
+
+  function push(channel, message) {
+    const messages = channels.get(channel) || [];
+    messages.push(message);
+    if (messages.length > size) messages.splice(0, messages.length - size);
+    channels.set(channel, messages);
+  }
+
+  return {
+    push,
+    get: (channel) => (channels.get(channel) || []).slice(),
+    clear: (channel) => channels.delete(channel)
+  };
+}
+
+module.exports = {
+  CHAT_RULES,
+  LOBBY_CHANNEL,
+  gameChannelOf,
+  gameIdOfChannel,
+  normalizeMessage,
+  parseBannedWords,
+  createWordFilter,
+  createRateLimiter,
+  createChatHistory
+};
@@ -0,0 +1,312 @@
+// 서버 권위 게임 규칙 엔진
+// 클라이언트(webrtc-multiplayer.html)의 executeSpellEffect / handleSpellCast / checkGameOver 규칙과 동일하게 동작한다.
+// 플레이어 ID는 클라이언트와 같이 호스트 1, 게스트 2를 사용한다.
+
+const GAME_RULES = {
+  maxHealth: 4,
+  maxHandSize: 7,
+  maxSpell: 6,
+  destinyRevealCount: 3
+};
+
+/**
+ * 전체 덱 구성 (1번 1개, 2번 2개 ... 6번 6개)
+ */
+function buildDeck() {
+  const deck = [];
+  for (let spell = 1; spell <= GAME_RULES.maxSpell; spell++) {
+    for (let i = 0; i < spell; i++) deck.push(spell);
+  }
+  return deck;
+}
+
+/**
+ * 배분된 패로 초기 게임 상태 생성
+ */
+function createGameState({ hands, secretStones, firstPlayer, names = [] }) {
+  return {
+    players: [1, 2].map((id, i) => ({
+      id,
+      name: names[i] || `Player${id}`,
+      health: GAME_RULES.maxHealth,
+      hand: hands[i].slice().sort((a, b) => a - b)
+    })),
+    secretStones: secretStones.slice(),
+    usedStones: [],
+    publiclyRevealedSecretStones: [],
+    // 운명 변환(1번)으로 시전자에게만 공개된 주문 (playerId -> stones)
+    personalRevealedStones: { 1: [], 2: [] },
+    currentPlayerId: firstPlayer === 2 ? 2 : 1,
+    lastSuccessfulSpell: 0,
+    spellFailed: false,
+    turn: 1,
+    isGameOver: false,
+    winner: null,
+    reason: null
+  };
+}
+
+/**
+ * 서버에서 덱을 섞고 배분하여 초기 게임 상태 생성 (선공도 서버가 결정)
+ */
+function dealGame({ names = [], random = Math.random } = {}) {
+  const deck = buildDeck();
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  const size = GAME_RULES.maxHandSize;
+  return createGameState({
+    hands: [deck.slice(0, size), deck.slice(size, size * 2)],
+    secretStones: deck.slice(size * 2),
+    firstPlayer: random() < 0.5 ? 1 : 2,
+    names
+  });
+}
+
+function hidden(stones) {
+  return stones.map(() => null);
+}
+
+/**
+ * 플레이어별 공개 정보만 담은 상태 (자기 패와 비밀 주문은 개수만, 운명 변환 공개분은 본인 것만)
+ * 클라이언트 state와 같은 모양을 유지하여 render()에서 그대로 사용할 수 있게 한다.
+ */
+function getPlayerView(state, playerId) {
+  const opponentId = playerId === 1 ? 2 : 1;
+  return {
+    myPlayerId: playerId,
+    players: state.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      health: p.health,
+      hand: p.id === playerId ? hidden(p.hand) : p.hand.slice()
+    })),
+    secretStones: hidden(state.secretStones),
+    usedStones: state.usedStones.slice(),
+    publiclyRevealedSecretStones: state.publiclyRevealedSecretStones.slice(),
+    personalRevealedStones: state.personalRevealedStones[playerId].slice(),
+    opponentPersonalRevealedStones: hidden(state.personalRevealedStones[opponentId]),
+    currentPlayerId: state.currentPlayerId,
+    lastSuccessfulSpell: state.lastSuccessfulSpell,
+    spellFailed: state.spellFailed,
+    turn: state.turn,
+    isGameOver: state.isGameOver,
+    winner: state.winner,
+    reason: state.reason
+  };
+}
+
+/**
+ * 관전자용 공개 정보 (양쪽 패, 비밀 주문, 운명 변환 공개분은 모두 개수만)
+ * 플레이어 뷰와 같은 모양이며 myPlayerId는 null이다.
+ */
+function getSpectatorView(state) {
+  return {
+    myPlayerId: null,
+    players: state.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      health: p.health,
+      hand: hidden(p.hand)
+    })),
+    secretStones: hidden(state.secretStones),
+    usedStones: state.usedStones.slice(),
+    publiclyRevealedSecretStones: state.publiclyRevealedSecretStones.slice(),
+    personalRevealedStones: [],
+    opponentPersonalRevealedStones: [],
+    currentPlayerId: state.currentPlayerId,
+    lastSuccessfulSpell: state.lastSuccessfulSpell,
+    spellFailed: state.spellFailed,
+    turn: state.turn,
+    isGameOver: state.isGameOver,
+    winner: state.winner,
+    reason: state.reason
+  };
+}
+
+/**
+ * 주문 효과 요약에서 해당 플레이어가 볼 수 없는 정보 제거
+ */
+function redactEffect(effect, casterId, viewerId) {
+  if (!effect || effect.type !== 'destinyChange' || casterId === viewerId) return effect;
+  return { type: effect.type, revealed: hidden(effect.revealed) };
+}
+
+function getPlayer(state, playerId) {
+  return state.players.find(p => p.id === playerId) || null;
+}
+
+function getOpponent(state, playerId) {
+  return state.players.find(p => p.id !== playerId) || null;
+}
+
+/**
+ * 주문 효과 적용 (클라이언트 executeSpellEffect 대응)
+ * @returns {Object} 효과 요약
+ */
+function applySpellEffect(state, playerId, spellNumber) {
+  const player = getPlayer(state, playerId);
+  const opponent = getOpponent(state, playerId);
+  switch (spellNumber) {
+    case 6: { // 명상: 비밀 주문 1개 전체 공개
+      if (state.secretStones.length === 0) return { type: 'meditation', revealed: [] };
+      const revealed = state.secretStones.splice(0, 1);
+      state.publiclyRevealedSecretStones.push(...revealed);
+      return { type: 'meditation', revealed };
+    }
+    case 5: // 생명 물약
+      if (player.health < GAME_RULES.maxHealth) player.health++;
+      return { type: 'healPotion', health: player.health };
+    case 4: // 화염 화살
+      opponent.health--;
+      return { type: 'fireArrow', opponentHealth: opponent.health };
+    case 3: { // 정신 교란: 비밀 주문 하나를 상대 패에 투입
+      if (state.secretStones.length === 0) return { type: 'mindControl', added: false };
+      const spy = state.secretStones.splice(0, 1)[0];
+      opponent.hand.push(spy);
+      opponent.hand.sort((a, b) => a - b);
+      return { type: 'mindControl', added: true };
+    }
+    case 2: // 마력 착취
+      opponent.health--;
+      if (player.health < GAME_RULES.maxHealth) player.health++;
+      return { type: 'manaDrain', health: player.health, opponentHealth: opponent.health };
+    case 1: { // 운명 변환: 비밀 주문 최대 3개를 시전자에게만 공개
+      const count = Math.min(GAME_RULES.destinyRevealCount, state.secretStones.length);
+      const revealed = state.secretStones.splice(0, count);
+      state.personalRevealedStones[playerId].push(...revealed);
+      return { type: 'destinyChange', revealed };
+    }
+    default:
+      return { type: 'none' };
+  }
+}
+
+/**
+ * 게임 종료 판정 (체력 0 패배가 패 소진 승리보다 우선)
+ * @returns {{ winner: number, reason: string } | null}
+ */
+function checkGameOver(state) {
+  for (const p of state.players) {
+    if (p.health <= 0) return { winner: getOpponent(state, p.id).id, reason: 'health' };
+  }
+  for (const p of state.players) {
+    if (p.hand.length === 0) return { winner: p.id, reason: 'emptyHand' };
+  }
+  return null;
+}
+
+function concludeIfOver(state) {
+  const verdict = checkGameOver(state);
+  if (verdict) {
+    state.isGameOver = true;
+    state.winner = verdict.winner;
+    state.reason = verdict.reason;
+  }
+  return verdict;
+}
+
+function validateTurn(state, playerId) {
+  if (state.isGameOver) return '이미 종료된 게임입니다.';
+  if (state.currentPlayerId !== playerId) return '자신의 턴이 아닙니다.';
+  return null;
+}
+
+/**
+ * 영창 시도 검증 및 적용
+ * @returns {{ ok: boolean, error?: string, success?: boolean, effect?: Object, verdict?: Object|null }}
+ */
+function castSpell(state, playerId, spellNumber) {
+  const turnError = validateTurn(state, playerId);
+  if (turnError) return { ok: false, error: turnError };
+  if (!Number.isInteger(spellNumber) || spellNumber < 1 || spellNumber > GAME_RULES.maxSpell) {
+    return { ok: false, error: '존재하지 않는 주문입니다.' };
+  }
+  if (state.spellFailed) return { ok: false, error: '영창 실패 후에는 턴을 종료해야 합니다.' };
+  // 연속 영창: 직전 성공 주문과 같거나 높은 주문만 가능
+  if (state.lastSuccessfulSpell > 0 && spellNumber < state.lastSuccessfulSpell) {
+    return { ok: false, error: `${state.lastSuccessfulSpell}번 이상의 주문만 영창할 수 있습니다.` };
+  }
+
+  const player = getPlayer(state, playerId);
+  const handIndex = player.hand.indexOf(spellNumber);
+  if (handIndex === -1) {
+    player.health--;
+    state.spellFailed = true;
+    return { ok: true, success: false, effect: null, verdict: concludeIfOver(state) };
+  }
+
+  player.hand.splice(handIndex, 1);
+  state.usedStones.push(spellNumber);
+  state.lastSuccessfulSpell = spellNumber;
+  const effect = applySpellEffect(state, playerId, spellNumber);
+  return { ok: true, success: true, effect, verdict: concludeIfOver(state) };
+}
+
+/**
+ * 턴 종료
+ */
+function endTurn(state, playerId) {
+  const turnError = validateTurn(state, playerId);
+  if (turnError) return { ok: false, error: turnError };
+  state.currentPlayerId = getOpponent(state, playerId).id;
+  state.lastSuccessfulSpell = 0;
+  state.spellFailed = false;
+  state.turn++;
+  return { ok: true, currentPlayerId: state.currentPlayerId };
+}
+
+/**
+ * 도망(기권) 처리
+ */
+function surrender(state, playerId) {
+  if (state.isGameOver) return { ok: false, error: '이미 종료된 게임입니다.' };
+  state.isGameOver = true;
+  state.winner = getOpponent(state, playerId).id;
+  state.reason = 'surrender';
+  return { ok: true, verdict: { winner: state.winner, reason: state.reason } };
+}
+
+/**
+ * 리플레이 이벤트 로그를 엔진으로 다시 적용하여 이벤트별 전체 상태(프레임) 생성
+ * deal 이벤트로 시작해야 하며, reveal 이벤트는 직전 cardPlayed에 이미 반영되어 있어 상태를 바꾸지 않는다.
+ * @param {Object[]} events
+ * @returns {Object[]} events와 같은 길이의 상태 스냅샷 배열
+ */
+function buildReplayFrames(events) {
+  let state = null;
+  const frames = [];
+  for (const event of events) {
+    if (event.type === 'deal') {
+      state = createGameState(event);
+    } else if (!state) {
+      throw new Error('리플레이는 deal 이벤트로 시작해야 합니다.');
+    } else if (event.type === 'cardPlayed') {
+      castSpell(state, event.playerId, event.card);
+    } else if (event.type === 'turnEnd') {
+      endTurn(state, event.playerId);
+    } else if (event.type === 'gameOver') {
+      state.isGameOver = true;
+      state.winner = event.winner;
+      state.reason = event.reason;
+    }
+    frames.push(JSON.parse(JSON.stringify(state)));
+  }
+  return frames;
+}
+
+module.exports = {
+  GAME_RULES,
+  buildDeck,
+  createGameState,
+  dealGame,
+  getPlayerView,
+  getSpectatorView,
+  redactEffect,
+  castSpell,
+  endTurn,
+  surrender,
+  checkGameOver,
+  buildReplayFrames
+};
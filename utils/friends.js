@@ -0,0 +1,127 @@
+// 친구 목록, 접속 상태, 친구 대결 신청
+const crypto = require('crypto');
+
+const FRIEND_RULES = {
+  maxFriends: 100,
+  // 대결 신청 응답 대기 시간
+  challengeTtlMs: 30 * 1000
+};
+
+// 접속 상태 (playerSessions 기준)
+const PRESENCE = {
+  offline: 'offline',
+  online: 'online',
+  inQueue: 'in_queue',
+  inGame: 'in_game'
+};
+
+/**
+ * 보는 계정 기준 친구 관계
+ * @param {{ requesterId: number, addresseeId: number, status: 'pending' | 'accepted' } | null} row - friendships 행
+ * @param {number} viewerId
+ * @returns {'none' | 'friends' | 'outgoing' | 'incoming'} outgoing은 내가 보낸 요청, incoming은 받은 요청
+ */
+function friendshipStatus(row, viewerId) {
+  if (!row) return 'none';
+  if (row.status === 'accepted') return 'friends';
+  return row.requesterId === viewerId ? 'outgoing' : 'incoming';
+}
+
+/**
+ * 계정의 접속 상태 (소켓이 여러 개면 게임 중 > 대기열 > 접속 순)
+ * @param {Array<{ gameId: string|null, queued: boolean }>} connections - 접속 중인 소켓들
+ * @returns {string} PRESENCE 값
+ */
+function resolvePresence(connections) {
+  if (connections.length === 0) return PRESENCE.offline;
+  if (connections.some(c => c.gameId)) return PRESENCE.inGame;
+  if (connections.some(c => c.queued)) return PRESENCE.inQueue;
+  return PRESENCE.online;
+}
+
+/**
+ * 친구 대결 신청 목록 생성 (메모리, 응답 대기 시간이 지나면 만료)
+ */
+function createChallengeRegistry(rules = FRIEND_RULES) {
+  const challenges = new Map(); // id -> challenge
+
+  /**
+   * 대결 신청 생성
+   * @param {{ from: Object, toUserId: number }} options - from은 신청한 소켓의 playerSessions 정보
+   */
+  function create({ from, toUserId }, now = Date.now()) {
+    const challenge = {
+      id: crypto.randomBytes(8).toString('hex'),
+      fromUserId: from.userId,
+      fromSocketId: from.id,
+      fromName: from.name,
+      toUserId,
+      createdAt: now,
+      expiresAt: now + rules.challengeTtlMs
+    };
+    challenges.set(challenge.id, challenge);
+    return challenge;
+  }
+
+  function get(id) {
+    return challenges.get(id) || null;
+  }
+
+  function remove(id) {
+    return challenges.delete(id);
+  }
+
+  /**
+   * 같은 두 계정 사이의 대기 중인 신청 (방향 무관)
+   */
+  function findBetween(userA, userB) {
+    for (const challenge of challenges.values()) {
+      if ((challenge.fromUserId === userA && challenge.toUserId === userB) || (challenge.fromUserId === userB && challenge.toUserId === userA)) {
+        return challenge;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 신청한 소켓이 나가면 그 소켓의 신청 취소
+   * @returns {Object[]} 취소된 신청
+   */
+  function removeBySocket(socketId) {
+    const removed = [];
+    for (const [id, challenge] of challenges) {
+      if (challenge.fromSocketId === socketId) {
+        challenges.delete(id);
+        removed.push(challenge);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 만료된 신청 정리
+   * @returns {Object[]} 만료된 신청
+   */
+  function expire(now = Date.now()) {
+    const expired = [];
+    for (const [id, challenge] of challenges) {
+      if (challenge.expiresAt <= now) {
+        challenges.delete(id);
+        expired.push(challenge);
+      }
+    }
+    return expired;
+  }
+
+  return {
+    create,
+    get,
+    remove,
+    findBetween,
+    removeBySocket,
+    expire,
+    size: () => challenges.size
+  };
+}
+
+module.exports = { FRIEND_RULES, PRESENCE, friendshipStatus, resolvePresence, createChallengeRegistry };
@@ -18,6 +18,14 @@ function arePlayersInSameGame(playerSessions, activeGames, aSocketId, bSocketId)
   return aGame === bGame && !!activeGames.get(aGame);
 }
 
-module.exports = { getGameIdOf, getOpponentSocketId, arePlayersInSameGame };
+// 호스트(players[0])는 1번, 게스트(players[1])는 2번 플레이어
+function getPlayerNumber(activeGames, gameId, socketId) {
+  const gameSession = activeGames.get(gameId);
+  if (!gameSession) return null;
+  const index = gameSession.players.findIndex(p => p.id === socketId);
+  return index === -1 ? null : index + 1;
+}
+
+module.exports = { getGameIdOf, getOpponentSocketId, arePlayersInSameGame, getPlayerNumber };
 
 
@@ -0,0 +1,123 @@
+// 랭킹 정렬 유지
+// rankings.mock / rankings.formal 은 userId -> 점수 Map 그대로 쓰되, set/delete 할 때마다 정렬 순서를 이진 탐색으로 갱신해
+// 조회할 때 전체를 다시 정렬하지 않는다. 순서는 점수 내림차순, 같으면 userId 오름차순.
+
+/**
+ * a가 b보다 앞 순위면 음수
+ */
+function compareEntries(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  if (typeof a.userId === 'number' && typeof b.userId === 'number') return a.userId - b.userId;
+  return String(a.userId).localeCompare(String(b.userId));
+}
+
+/**
+ * entry보다 뒤 순위인 첫 위치 (inclusive면 같은 항목 위치)
+ */
+function searchPosition(order, entry, inclusive) {
+  let low = 0;
+  let high = order.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    const cmp = compareEntries(order[mid], entry);
+    if (cmp < 0 || (!inclusive && cmp === 0)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * 페이지 커서 (마지막으로 받은 항목의 점수와 userId)
+ */
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ s: entry.score, u: entry.userId })).toString('base64url');
+}
+
+/**
+ * @returns {{ score: number, userId: number|string } | null} 형식 잘못되면 null
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s, u } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof s !== 'number' || (typeof u !== 'number' && typeof u !== 'string')) return null;
+    return { score: s, userId: u };
+  } catch {
+    return null;
+  }
+}
+
+class Leaderboard extends Map {
+  constructor() {
+    super();
+    /** @type {Array<{ userId: number, score: number }>} */
+    this.order = [];
+  }
+
+  set(userId, score) {
+    if (super.has(userId)) {
+      if (super.get(userId) === score) return this;
+      this.order.splice(searchPosition(this.order, { userId, score: super.get(userId) }, true), 1);
+    }
+    super.set(userId, score);
+    this.order.splice(searchPosition(this.order, { userId, score }, true), 0, { userId, score });
+    return this;
+  }
+
+  delete(userId) {
+    if (!super.has(userId)) return false;
+    this.order.splice(searchPosition(this.order, { userId, score: super.get(userId) }, true), 1);
+    return super.delete(userId);
+  }
+
+  clear() {
+    this.order = [];
+    super.clear();
+  }
+
+  /**
+   * 순위 (1부터, 없으면 null)
+   */
+  rankOf(userId) {
+    if (!super.has(userId)) return null;
+    return searchPosition(this.order, { userId, score: super.get(userId) }, true) + 1;
+  }
+
+  /**
+   * 페이지 조회 (cursor가 있으면 offset 대신 커서 다음부터)
+   * @param {{ limit: number, offset?: number, cursor?: { score: number, userId: number|string } | null }} options
+   * @returns {{ entries: Array<{ rank: number, userId: number, score: number }>, offset: number, nextCursor: string|null }}
+   */
+  page({ limit, offset = 0, cursor = null }) {
+    const start = cursor ? searchPosition(this.order, cursor, false) : offset;
+    const entries = this.order.slice(start, start + limit).map((entry, index) => ({ rank: start + index + 1, ...entry }));
+    const hasMore = start + entries.length < this.order.length;
+    return { entries, offset: start, nextCursor: hasMore && entries.length > 0 ? encodeCursor(entries[entries.length - 1]) : null };
+  }
+
+  /**
+   * 내 순위와 위아래 이웃
+   * @returns {{ rank: number, entries: Array<{ rank: number, userId: number, score: number }> } | null}
+   */
+  around(userId, radius) {
+    const rank = this.rankOf(userId);
+    if (rank === null) return null;
+    const start = Math.max(0, rank - 1 - radius);
+    return { rank, entries: this.page({ limit: rank - start + radius, offset: start }).entries };
+  }
+}
+
+/**
+ * 정렬 순서를 유지하는 랭킹 Map 생성
+ * @param {Iterable<[number, number]>} [entries] - [userId, score]
+ * @returns {Leaderboard}
+ */
+function createLeaderboard(entries = []) {
+  const board = new Leaderboard();
+  for (const [userId, score] of entries) board.set(userId, score);
+  return board;
+}
+
+module.exports = { createLeaderboard, compareEntries, encodeCursor, decodeCursor };
@@ -0,0 +1,172 @@
+// 로그인 무차별 대입 방지
+// 아이디별/IP별로 실패를 세어 실패할수록 다음 시도까지 기다리게 하고(지수 백오프), 기준을 넘으면 일정 시간 잠근다.
+const bcrypt = require('bcrypt');
+const { checkSecondFactor } = require('./totp');
+
+const LOGIN_RULES = {
+  // 잠금까지 허용하는 연속 실패 수 (아이디 기준 / IP 기준)
+  maxFailures: { username: 5, ip: 20 },
+  // 아이디 기준 두 번째 실패부터 1초, 2초, 4초 ... 기다려야 다음 시도 가능
+  // (IP는 여러 사람이 같은 주소를 쓸 수 있어 대기 없이 잠금 기준만 적용)
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  // 마지막 실패 후 이 시간이 지나면 실패 수 초기화
+  windowMs: 15 * 60 * 1000
+};
+
+/**
+ * 아이디/IP 키 (아이디는 대소문자 무시)
+ * @returns {{ username: string, ip: string }}
+ */
+function loginKeysOf(username, ip) {
+  return { username: `user:${String(username).toLowerCase()}`, ip: `ip:${ip || 'unknown'}` };
+}
+
+/**
+ * 키 종류 ('username' | 'ip')
+ */
+function scopeOf(key) {
+  return key.startsWith('ip:') ? 'ip' : 'username';
+}
+
+/**
+ * 로그인 시도 제한기 생성
+ * @param {{ get: (key: string) => Object|null, set: (record: Object) => void, delete: (key: string) => boolean, listLocked: (now: number) => Object[] }} store - 재시작해도 유지되도록 DB에 저장
+ * @param {Object} [rules]
+ * @param {{ onFailure?: (scope: string) => void, onLockout?: (scope: string, record: Object) => void }} [hooks] - 메트릭 등
+ */
+function createLoginThrottle(store, rules = LOGIN_RULES, hooks = {}) {
+  function activeRecord(key, now) {
+    const record = store.get(key);
+    if (!record) return null;
+    // 잠금이 풀렸고 실패 기록도 오래됐으면 없는 것으로 취급
+    if ((!record.lockedUntil || record.lockedUntil <= now) && now - record.lastFailureAt > rules.windowMs) return null;
+    return record;
+  }
+
+  function delayOf(key, failures) {
+    if (scopeOf(key) === 'ip' || failures < 2) return 0;
+    return Math.min(rules.maxDelayMs, rules.baseDelayMs * 2 ** (failures - 2));
+  }
+
+  /**
+   * 지금 시도할 수 있는지
+   * @param {string[]} keys
+   * @returns {{ locked: boolean, retryAfterMs: number } | null} 막히면 가장 오래 기다려야 하는 키 기준
+   */
+  function check(keys, now = Date.now()) {
+    let blocked = null;
+    for (const key of keys) {
+      const record = activeRecord(key, now);
+      if (!record) continue;
+      let result = null;
+      if (record.lockedUntil && record.lockedUntil > now) {
+        result = { locked: true, retryAfterMs: record.lockedUntil - now };
+      } else {
+        const waitMs = record.lastFailureAt + delayOf(key, record.failures) - now;
+        if (waitMs > 0) result = { locked: false, retryAfterMs: waitMs };
+      }
+      if (result && (!blocked || result.retryAfterMs > blocked.retryAfterMs)) blocked = result;
+    }
+    return blocked;
+  }
+
+  /**
+   * 실패 기록 (기준을 넘은 키는 잠금)
+   * @returns {string[]} 이번에 잠긴 키
+   */
+  function recordFailure(keys, now = Date.now()) {
+    const locked = [];
+    for (const key of keys) {
+      const scope = scopeOf(key);
+      const previous = activeRecord(key, now);
+      const failures = (previous ? previous.failures : 0) + 1;
+      const record = { key, failures, lastFailureAt: now, lockedUntil: previous && previous.lockedUntil > now ? previous.lockedUntil : null };
+      if (failures >= rules.maxFailures[scope]) {
+        // 잠그고 실패 수는 새로 센다 (잠금이 풀린 뒤 다시 기준만큼 틀리면 또 잠금)
+        record.failures = 0;
+        record.lockedUntil = now + rules.lockoutMs;
+        locked.push(key);
+        if (hooks.onLockout) hooks.onLockout(scope, record);
+      }
+      store.set(record);
+      if (hooks.onFailure) hooks.onFailure(scope);
+    }
+    return locked;
+  }
+
+  /**
+   * 로그인 성공 시 아이디 기록 삭제 (IP 기록은 다른 아이디 대입을 막기 위해 유지)
+   */
+  function recordSuccess(usernameKey) {
+    store.delete(usernameKey);
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    /** 잠금 해제 */
+    unlock: (key) => store.delete(key),
+    /** 잠겨 있는 키 목록 */
+    listLocked: (now = Date.now()) => store.listLocked(now).map(record => ({ ...record, scope: scopeOf(record.key), retryAfterMs: record.lockedUntil - now }))
+  };
+}
+
+/**
+ * 제한 중이면 429 응답 (로그인, 계정 복구, 2단계 인증 관리처럼 비밀번호/코드를 확인하는 요청 공통)
+ * @param {{ check: (keys: string[]) => { locked: boolean, retryAfterMs: number } | null }} throttle
+ * @param {{ username: string, ip: string }} keys
+ * @returns {boolean} 응답했는지
+ */
+function rejectIfThrottled(throttle, keys, res) {
+  const blocked = throttle.check([keys.username, keys.ip]);
+  if (!blocked) return false;
+  const retryAfterSeconds = Math.ceil(blocked.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    error: blocked.locked
+      ? `로그인 실패가 너무 많아 잠겼습니다. ${Math.ceil(retryAfterSeconds / 60)}분 후에 다시 시도해주세요.`
+      : `${retryAfterSeconds}초 후에 다시 시도해주세요.`,
+    locked: blocked.locked,
+    retryAfterMs: blocked.retryAfterMs
+  });
+  return true;
+}
+
+/**
+ * 로그인한 사용자의 본인 확인 함수 생성 (2단계 인증 관리, 복구 코드 재발급처럼 비밀번호를 다시 묻는 요청 공통)
+ * 세션을 훔친 사람이 대입하지 못하도록 로그인과 같은 아이디별/IP별 실패 제한을 적용한다.
+ * @param {ReturnType<typeof createLoginThrottle>} throttle
+ * @param {(userId: number, codeHash: string) => boolean} consumeBackupCode
+ */
+function createOwnerVerifier(throttle, consumeBackupCode) {
+  /**
+   * 비밀번호와 (있으면) 인증 코드 또는 백업 코드 확인
+   * @param {{ userId: number, username: string, password: string }} userData
+   * @param {{ ip?: string }} req
+   * @param {Object} res
+   * @param {{ password: string, code?: string }} credentials
+   * @returns {Promise<boolean>} 통과했는지 (아니면 응답 완료)
+   */
+  return async function verifyOwner(userData, req, res, { password, code }) {
+    const keys = loginKeysOf(userData.username, req.ip);
+    if (rejectIfThrottled(throttle, keys, res)) return false;
+    let error = null;
+    if (!(await bcrypt.compare(password, userData.password))) {
+      error = '비밀번호가 일치하지 않습니다.';
+    } else if (code !== undefined && !checkSecondFactor(userData, code, (codeHash) => consumeBackupCode(userData.userId, codeHash))) {
+      error = '인증 코드가 올바르지 않습니다.';
+    }
+    if (error) {
+      throttle.recordFailure([keys.username, keys.ip]);
+      res.status(400).json({ error });
+      return false;
+    }
+    throttle.recordSuccess(keys.username);
+    return true;
+  };
+}
+
+module.exports = { LOGIN_RULES, loginKeysOf, createLoginThrottle, rejectIfThrottled, createOwnerVerifier };
@@ -0,0 +1,178 @@
+// 실력 구간 매칭 대기열
+// 대기자를 정식 결투 레이팅 구간(bucket)별로 나눠 두고, 오래 기다릴수록 허용 레이팅 차이를 넓힌다.
+// 게스트와 계정은 별도 풀이며, 양쪽 모두 혼합 매칭에 동의한 경우에만 서로 매칭된다.
+
+const MATCHMAKING_RULES = {
+  bucketSize: 100,
+  baseGap: 100,
+  widenStep: 50,
+  widenIntervalMs: 5000,
+  maxGap: 800,
+  // 이 시간 이상 기다리면 레이팅 차이와 관계없이 매칭
+  unlimitedAfterMs: 60000,
+  // 예상 대기 시간 계산에 쓰는 최근 매칭 대기 시간 표본 수
+  recentWaitSamples: 20
+};
+
+/**
+ * 매칭 대기열 생성
+ * @param {Partial<typeof MATCHMAKING_RULES>} [overrides]
+ */
+function createMatchmaker(overrides = {}) {
+  const rules = { ...MATCHMAKING_RULES, ...overrides };
+  const entries = new Map(); // socketId -> entry
+  const buckets = { guest: new Map(), account: new Map() }; // pool -> bucketIndex -> Set<socketId>
+  const recentWaits = { guest: [], account: [] };
+
+  function bucketOf(rating) {
+    return Math.floor(rating / rules.bucketSize);
+  }
+
+  /**
+   * 대기 시간에 따른 허용 레이팅 차이
+   */
+  function allowedGap(entry, now = Date.now()) {
+    const waited = now - entry.joinedAt;
+    if (waited >= rules.unlimitedAfterMs) return Infinity;
+    const steps = Math.floor(waited / rules.widenIntervalMs);
+    return Math.min(rules.maxGap, rules.baseGap + steps * rules.widenStep);
+  }
+
+  /**
+   * 대기열 등록 (이미 있으면 새로 등록)
+   * @param {{ socketId: string, rating: number, isGuest: boolean, allowMixed?: boolean, data?: any }} player
+   */
+  function enqueue({ socketId, rating, isGuest, allowMixed = false, data = null }, now = Date.now()) {
+    remove(socketId);
+    const entry = { socketId, rating, pool: isGuest ? 'guest' : 'account', allowMixed, joinedAt: now, data };
+    entries.set(socketId, entry);
+    const poolBuckets = buckets[entry.pool];
+    const index = bucketOf(rating);
+    if (!poolBuckets.has(index)) poolBuckets.set(index, new Set());
+    poolBuckets.get(index).add(socketId);
+    return entry;
+  }
+
+  function remove(socketId) {
+    const entry = entries.get(socketId);
+    if (!entry) return null;
+    entries.delete(socketId);
+    const poolBuckets = buckets[entry.pool];
+    const index = bucketOf(entry.rating);
+    const ids = poolBuckets.get(index);
+    if (ids) {
+      ids.delete(socketId);
+      if (ids.size === 0) poolBuckets.delete(index);
+    }
+    return entry;
+  }
+
+  function isCompatible(a, b, now) {
+    if (a.pool !== b.pool && !(a.allowMixed && b.allowMixed)) return false;
+    const gap = Math.abs(a.rating - b.rating);
+    return gap <= allowedGap(a, now) && gap <= allowedGap(b, now);
+  }
+
+  /**
+   * 가장 알맞은 상대 찾기 (레이팅 차이가 작은 순, 같으면 오래 기다린 순)
+   * @param {string} socketId
+   * @param {number} [now]
+   * @param {(socketId: string) => boolean} [isAvailable] - 연결 상태 확인
+   */
+  function findMatch(socketId, now = Date.now(), isAvailable = () => true) {
+    const entry = entries.get(socketId);
+    if (!entry) return null;
+    const gap = allowedGap(entry, now);
+    const low = bucketOf(entry.rating - gap);
+    const high = bucketOf(entry.rating + gap);
+    const pools = entry.allowMixed ? ['guest', 'account'] : [entry.pool];
+    let best = null;
+    for (const pool of pools) {
+      for (const [index, ids] of buckets[pool]) {
+        if (index < low || index > high) continue;
+        for (const id of ids) {
+          if (id === socketId) continue;
+          const candidate = entries.get(id);
+          if (!candidate || !isCompatible(entry, candidate, now) || !isAvailable(id)) continue;
+          const candidateGap = Math.abs(entry.rating - candidate.rating);
+          const bestGap = best ? Math.abs(entry.rating - best.rating) : Infinity;
+          if (candidateGap < bestGap || (candidateGap === bestGap && candidate.joinedAt < best.joinedAt)) {
+            best = candidate;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 매칭된 두 대기자를 대기열에서 빼고 대기 시간 표본 기록
+   * @returns {[Object, Object]}
+   */
+  function takePair(aId, bId, now = Date.now()) {
+    const pair = [remove(aId), remove(bId)];
+    for (const entry of pair) {
+      if (!entry) continue;
+      const samples = recentWaits[entry.pool];
+      samples.push(now - entry.joinedAt);
+      if (samples.length > rules.recentWaitSamples) samples.shift();
+    }
+    return /** @type {[Object, Object]} */ (pair);
+  }
+
+  /**
+   * 오래 기다린 순서로 전체 대기열을 다시 매칭 (허용 차이가 넓어진 대기자 처리)
+   * @param {number} [now]
+   * @param {(socketId: string) => boolean} [isAvailable] - 연결 상태 확인
+   * @returns {Array<[Object, Object]>} 새로 매칭된 쌍
+   */
+  function sweep(now = Date.now(), isAvailable = () => true) {
+    const pairs = [];
+    const ordered = Array.from(entries.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+    for (const entry of ordered) {
+      if (!entries.has(entry.socketId) || !isAvailable(entry.socketId)) continue;
+      const opponent = findMatch(entry.socketId, now, isAvailable);
+      if (opponent) pairs.push(takePair(entry.socketId, opponent.socketId, now));
+    }
+    return pairs;
+  }
+
+  /**
+   * 대기 상태 (풀 내 순번, 예상 대기 시간)
+   * @returns {{ position: number, poolSize: number, waitedMs: number, ratingGap: number|null, etaSeconds: number|null } | null}
+   */
+  function getStatus(socketId, now = Date.now()) {
+    const entry = entries.get(socketId);
+    if (!entry) return null;
+    const pool = Array.from(entries.values()).filter(e => e.pool === entry.pool);
+    const position = pool.filter(e => e.joinedAt < entry.joinedAt).length + 1;
+    const waitedMs = now - entry.joinedAt;
+    const samples = recentWaits[entry.pool];
+    const average = samples.length > 0 ? samples.reduce((sum, ms) => sum + ms, 0) / samples.length : null;
+    const gap = allowedGap(entry, now);
+    return {
+      position,
+      poolSize: pool.length,
+      waitedMs,
+      ratingGap: Number.isFinite(gap) ? gap : null,
+      etaSeconds: average === null ? null : Math.max(0, Math.round((average - waitedMs) / 1000))
+    };
+  }
+
+  return {
+    enqueue,
+    remove,
+    has: (socketId) => entries.has(socketId),
+    get: (socketId) => entries.get(socketId) || null,
+    size: () => entries.size,
+    socketIds: () => Array.from(entries.keys()),
+    allowedGap,
+    findMatch,
+    takePair,
+    sweep,
+    getStatus
+  };
+}
+
+module.exports = { MATCHMAKING_RULES, createMatchmaker };
+
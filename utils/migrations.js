@@ -0,0 +1,101 @@
+// DB 스키마 마이그레이션 (migrations/ 디렉토리의 NNN_이름.js 파일을 번호 순서대로 한 번씩 적용)
+// 적용한 버전은 schema_version 테이블에 기록하고, DB가 코드보다 새 버전이면 시작하지 않는다.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * 마이그레이션 파일 목록 (버전 오름차순)
+ * @returns {{ version: number, name: string, description: string, up: (db: any) => void }[]}
+ */
+function loadMigrations(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function') throw new Error(`마이그레이션 ${file}에 up(db) 함수가 없습니다.`);
+    migrations.push({ version: Number(match[1]), name: file.replace(/\.js$/, ''), description: migration.description || '', up: migration.up });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`마이그레이션 버전이 겹칩니다: ${migrations[i - 1].name}, ${migrations[i].name}`);
+    }
+  }
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL
+    );
+  `);
+}
+
+/**
+ * 현재 DB 스키마 버전 (적용한 마이그레이션이 없으면 0, 읽기 전용 DB에서도 사용 가능)
+ */
+function currentVersion(db) {
+  const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+  if (!table) return 0;
+  return db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').get().version;
+}
+
+/**
+ * DB가 이 코드가 아는 마지막 버전보다 새 버전이면 예외 (예전 코드로 되돌려 실행하는 경우)
+ */
+function assertSupported(db, migrations) {
+  const version = currentVersion(db);
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  if (version > latest) {
+    throw new Error(`DB 스키마 버전(${version})이 코드가 지원하는 버전(${latest})보다 높습니다. 더 최신 버전의 서버로 실행하세요.`);
+  }
+}
+
+/**
+ * 테이블에 컬럼이 없을 때만 추가
+ * 스키마 버전 관리 전에는 시작할 때마다 빠진 컬럼을 보강했으므로, 그때 만든 DB에는 이미 있을 수 있다.
+ * @returns {boolean} 추가했는지
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * 아직 적용하지 않은 마이그레이션을 순서대로 적용 (각각 트랜잭션, 실패하면 그 마이그레이션은 롤백되고 중단)
+ * @returns {{ from: number, to: number, applied: { version: number, name: string, description: string }[] }}
+ */
+function migrate(db, migrations, now = Date.now()) {
+  assertSupported(db, migrations);
+  ensureVersionTable(db);
+  const from = currentVersion(db);
+  const applied = [];
+  const record = db.prepare('INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)');
+  for (const migration of migrations) {
+    if (migration.version <= from) continue;
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, now);
+    })();
+    applied.push({ version: migration.version, name: migration.name, description: migration.description });
+  }
+  return { from, to: currentVersion(db), applied };
+}
+
+module.exports = {
+  loadMigrations,
+  currentVersion,
+  assertSupported,
+  migrate,
+  addColumnIfMissing
+};
@@ -0,0 +1,108 @@
+// Glicko 방식 레이팅 (상대 실력과 레이팅 불확실도(RD) 반영)
+// 한 경기 단위로 바로 갱신하며, 오래 플레이하지 않으면 RD가 다시 커진다.
+
+const RATING_RULES = {
+  initialRating: 1500,
+  initialRd: 350,
+  minRd: 30,
+  maxRd: 350,
+  // 하루 단위 비활동 시 RD 증가량 (약 100일이면 RD 50 → 350)
+  rdGrowthPerDay: 34.6,
+  // 배치(provisional) 기간: 이 판 수 미만이거나 RD가 아직 큰 동안
+  provisionalGames: 10,
+  provisionalRd: 110,
+  // 랭킹/시드 점수는 레이팅에서 RD의 이 배수를 뺀 보수적 추정치 (판 수가 적은 계정이 위로 튀지 않게)
+  conservativeRdWeight: 2
+};
+
+const Q = Math.log(10) / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 신규 계정 레이팅
+ */
+function createRating() {
+  return { rating: RATING_RULES.initialRating, rd: RATING_RULES.initialRd, games: 0, lastPlayedAt: null };
+}
+
+/**
+ * 비활동 기간만큼 RD 증가 (경기 직전 기준)
+ */
+function currentRd(record, now = Date.now()) {
+  if (!record.lastPlayedAt) return record.rd;
+  const days = Math.max(0, (now - record.lastPlayedAt) / DAY_MS);
+  return Math.min(RATING_RULES.maxRd, Math.sqrt(record.rd * record.rd + RATING_RULES.rdGrowthPerDay ** 2 * days));
+}
+
+function isProvisional(record) {
+  return record.games < RATING_RULES.provisionalGames || record.rd > RATING_RULES.provisionalRd;
+}
+
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function expectedScore(rating, opponentRating, opponentRd) {
+  return 1 / (1 + Math.pow(10, (-g(opponentRd) * (rating - opponentRating)) / 400));
+}
+
+/**
+ * 한 경기 결과 반영
+ * @param {Object} record - 내 레이팅 기록
+ * @param {Object} opponent - 상대 레이팅 기록
+ * @param {number} score - 승리 1, 패배 0
+ * @returns {Object} 새 레이팅 기록
+ */
+function updateRating(record, opponent, score, now = Date.now()) {
+  const rd = currentRd(record, now);
+  const opponentRd = currentRd(opponent, now);
+  const gOpp = g(opponentRd);
+  const e = expectedScore(record.rating, opponent.rating, opponentRd);
+  const dSquared = 1 / (Q * Q * gOpp * gOpp * e * (1 - e));
+  const denominator = 1 / (rd * rd) + 1 / dSquared;
+  return {
+    rating: record.rating + (Q / denominator) * gOpp * (score - e),
+    rd: Math.max(RATING_RULES.minRd, Math.sqrt(1 / denominator)),
+    games: record.games + 1,
+    lastPlayedAt: now
+  };
+}
+
+/**
+ * 승리/패배 시 예상 레이팅 변화 (정수 반올림)
+ */
+function previewRatingChange(record, opponent, now = Date.now()) {
+  const delta = (score) => Math.round(updateRating(record, opponent, score, now).rating) - Math.round(record.rating);
+  return { win: delta(1), loss: delta(0) };
+}
+
+/**
+ * 랭킹 점수 (레이팅 - 2·RD, 마지막 경기 기준 RD, 정수 반올림)
+ */
+function conservativeRating(record) {
+  return Math.round(record.rating - RATING_RULES.conservativeRdWeight * record.rd);
+}
+
+/**
+ * 클라이언트에 보낼 공개 정보 (정수 반올림, 배치 여부)
+ */
+function toPublicRating(record) {
+  return {
+    rating: Math.round(record.rating),
+    rd: Math.round(record.rd),
+    games: record.games,
+    provisional: isProvisional(record)
+  };
+}
+
+module.exports = {
+  RATING_RULES,
+  createRating,
+  currentRd,
+  isProvisional,
+  updateRating,
+  previewRatingChange,
+  conservativeRating,
+  toPublicRating
+};
+
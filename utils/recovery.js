@@ -0,0 +1,38 @@
+// 계정 복구 (메일 없이 복구 코드 또는 관리자가 발급한 일회용 재설정 토큰으로 비밀번호 재설정)
+
+const crypto = require('crypto');
+
+const RECOVERY_RULES = {
+  codeCount: 8,
+  // 관리자 재설정 토큰 유효 시간
+  resetTokenTtlMs: 24 * 60 * 60 * 1000
+};
+
+/**
+ * 복구 코드 (xxxx-xxxx-xxxx 형식, 원문은 발급할 때 한 번만 보여줌)
+ */
+function generateRecoveryCodes(count = RECOVERY_RULES.codeCount) {
+  return Array.from({ length: count }, () => crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+}
+
+/**
+ * 관리자 재설정 토큰 (계정 주인에게 직접 전달)
+ */
+function generateResetToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 저장용 해시 (대소문자, 공백, 하이픈 무시)
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  RECOVERY_RULES,
+  generateRecoveryCodes,
+  generateResetToken,
+  hashRecoveryCode
+};
@@ -0,0 +1,175 @@
+// 비공개 방 (초대 코드로 참가하는 친구 대전)
+const crypto = require('crypto');
+
+const ROOM_RULES = {
+  codeLength: 6,
+  // 헷갈리는 문자(0/O, 1/I/L) 제외
+  codeAlphabet: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+  ttlMs: 30 * 60 * 1000
+};
+
+const RANKED_GUEST_ERROR = '점수가 반영되는 방은 로그인 후 참가할 수 있습니다.';
+
+/**
+ * 비공개 방 목록 생성
+ */
+function createRoomRegistry(rules = ROOM_RULES) {
+  const rooms = new Map(); // code -> room
+
+  function generateCode() {
+    let code;
+    do {
+      code = Array.from({ length: rules.codeLength }, () => rules.codeAlphabet[crypto.randomInt(rules.codeAlphabet.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+  }
+
+  function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * 방 생성 (host를 비워 두면 ownerUserId 계정이 소켓으로 들어올 때 방장이 된다)
+   * @param {{ host?: Object|null, ownerUserId?: number|null, ranked?: boolean, allowSpectators?: boolean }} options
+   */
+  function create({ host = null, ownerUserId = null, ranked = false, allowSpectators = true }, now = Date.now()) {
+    const room = {
+      code: generateCode(),
+      ranked,
+      allowSpectators,
+      ownerUserId: ownerUserId ?? (host && !host.isGuest ? host.userId : null),
+      host,
+      guest: null,
+      ready: { host: false, guest: false },
+      createdAt: now
+    };
+    rooms.set(room.code, room);
+    return room;
+  }
+
+  function get(code) {
+    return rooms.get(normalizeCode(code)) || null;
+  }
+
+  /**
+   * 상대 자리에 앉을 수 없는 이유 (없으면 null)
+   * 점수가 반영되는 방은 계정만, 방장 계정의 다른 소켓은 자기 자신과의 경기가 되므로 불가
+   */
+  function seatError(room, info) {
+    if (room.ranked && info.isGuest) return RANKED_GUEST_ERROR;
+    const ownerUserId = room.host && !room.host.isGuest ? room.host.userId : room.ownerUserId;
+    if (!info.isGuest && ownerUserId && info.userId === ownerUserId) return '자신이 만든 방에는 상대로 참가할 수 없습니다.';
+    return null;
+  }
+
+  /**
+   * 방 참가
+   * @returns {{ ok: boolean, error?: string, room?: Object, role?: 'host' | 'guest' }}
+   */
+  function join(code, info) {
+    const room = get(code);
+    if (!room) return { ok: false, error: '방을 찾을 수 없습니다.' };
+    if (findBySocket(info.id)) return { ok: false, error: '이미 다른 방에 참가 중입니다.' };
+    if (!room.host && room.ownerUserId && info.userId === room.ownerUserId && !info.isGuest) {
+      room.host = info;
+      return { ok: true, room, role: 'host' };
+    }
+    if (room.guest) return { ok: false, error: '방이 가득 찼습니다.' };
+    const error = seatError(room, info);
+    if (error) return { ok: false, error };
+    room.guest = info;
+    room.ready.guest = false;
+    return { ok: true, room, role: 'guest' };
+  }
+
+  /**
+   * 준비 상태 변경 (참가 후 로그아웃 등으로 자격이 바뀌었으면 시작하지 않고 준비를 되돌림)
+   * @returns {{ ok: boolean, error?: string, room?: Object, bothReady?: boolean }}
+   */
+  function setReady(socketId, ready) {
+    const found = findBySocket(socketId);
+    if (!found) return { ok: false, error: '참가 중인 방이 없습니다.' };
+    const { room, role } = found;
+    room.ready[role] = !!ready;
+    const bothReady = !!(room.host && room.guest && room.ready.host && room.ready.guest);
+    if (bothReady) {
+      const error = room.ranked && room.host.isGuest ? RANKED_GUEST_ERROR : seatError(room, room.guest);
+      if (error) {
+        room.ready[role] = false;
+        return { ok: false, error, room };
+      }
+    }
+    return { ok: true, room, bothReady };
+  }
+
+  /**
+   * 방 나가기 (방장이 나가면 방 삭제)
+   * @returns {{ room: Object, role: 'host' | 'guest', closed: boolean } | null}
+   */
+  function leave(socketId) {
+    const found = findBySocket(socketId);
+    if (!found) return null;
+    const { room, role } = found;
+    if (role === 'host') {
+      rooms.delete(room.code);
+      return { room, role, closed: true };
+    }
+    room.guest = null;
+    room.ready.guest = false;
+    room.ready.host = false;
+    return { room, role, closed: false };
+  }
+
+  /**
+   * 소켓이 참가 중인 방과 역할
+   * @returns {{ room: Object, role: 'host' | 'guest' } | null}
+   */
+  function findBySocket(socketId) {
+    for (const room of rooms.values()) {
+      if (room.host && room.host.id === socketId) return { room, role: 'host' };
+      if (room.guest && room.guest.id === socketId) return { room, role: 'guest' };
+    }
+    return null;
+  }
+
+  function remove(code) {
+    rooms.delete(normalizeCode(code));
+  }
+
+  /**
+   * 오래된 방 정리
+   * @returns {Object[]} 삭제된 방
+   */
+  function pruneExpired(now = Date.now()) {
+    const expired = [];
+    for (const room of rooms.values()) {
+      if (now - room.createdAt > rules.ttlMs) {
+        rooms.delete(room.code);
+        expired.push(room);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * 클라이언트에 보낼 방 정보 (소켓 ID 제외)
+   */
+  function toPublic(room) {
+    const player = (info) => (info ? { name: info.name, isGuest: info.isGuest } : null);
+    return {
+      code: room.code,
+      ranked: room.ranked,
+      allowSpectators: room.allowSpectators,
+      host: player(room.host),
+      guest: player(room.guest),
+      ready: { ...room.ready },
+      createdAt: room.createdAt,
+      expiresAt: room.createdAt + rules.ttlMs
+    };
+  }
+
+  return { create, get, join, setReady, leave, findBySocket, remove, pruneExpired, toPublic };
+}
+
+module.exports = { ROOM_RULES, createRoomRegistry };
+
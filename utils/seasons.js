@@ -0,0 +1,54 @@
+// 랭킹 시즌
+// 시즌이 끝나면 최종 순위를 보관하고 정식 결투 레이팅을 초기값 쪽으로 당기는 소프트 리셋을 한다.
+const { compareEntries } = require('./leaderboard');
+const { RATING_RULES } = require('./rating');
+
+const SEASON_RULES = {
+  lengthDays: 28,
+  // 시즌 전환 시 정식 결투 레이팅이 초기 레이팅과 벌어진 차이를 남기는 비율 (0이면 완전 초기화, 1이면 유지)
+  softResetRatio: 0.5,
+  // 시즌 전환 시 RD를 최소 이 값으로 되돌려 새 시즌 초반 경기로 순위가 다시 정리되게 함
+  resetRd: 150,
+  categories: ['mock', 'formal']
+};
+
+/**
+ * 다음 시즌 정보 (이전 시즌이 없으면 1시즌)
+ * 이전 시즌 종료 시각에 이어서 시작하고, 서버가 한 시즌 넘게 꺼져 있었으면 지금부터 시작한다.
+ * @param {{ season: number, endsAt: number } | null} previous
+ * @param {number} lengthDays
+ * @returns {{ season: number, startsAt: number, endsAt: number }}
+ */
+function nextSeason(previous, lengthDays = SEASON_RULES.lengthDays, now = Date.now()) {
+  const lengthMs = lengthDays * 24 * 60 * 60 * 1000;
+  let startsAt = previous ? previous.endsAt : now;
+  if (startsAt + lengthMs <= now) startsAt = now;
+  return { season: previous ? previous.season + 1 : 1, startsAt, endsAt: startsAt + lengthMs };
+}
+
+/**
+ * 소프트 리셋 후 레이팅 기록 (판 수와 마지막 경기 시각은 유지)
+ * @param {{ rating: number, rd: number, games: number, lastPlayedAt: number|null }} record
+ */
+function softResetRating(record, ratio = SEASON_RULES.softResetRatio) {
+  const clamped = Math.min(1, Math.max(0, ratio));
+  return {
+    ...record,
+    rating: RATING_RULES.initialRating + (record.rating - RATING_RULES.initialRating) * clamped,
+    rd: Math.min(RATING_RULES.maxRd, Math.max(record.rd, SEASON_RULES.resetRd))
+  };
+}
+
+/**
+ * 보관용 최종 순위 (현재 랭킹과 같은 순서: 점수 내림차순, 같으면 userId 오름차순)
+ * @param {Map<number, number>} scores - userId -> 점수
+ * @param {(userId: number) => string} nicknameOf
+ * @returns {Array<{ rank: number, userId: number, nickname: string, score: number }>}
+ */
+function buildStandings(scores, nicknameOf) {
+  return Array.from(scores, ([userId, score]) => ({ userId, nickname: nicknameOf(userId), score }))
+    .sort(compareEntries)
+    .map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+module.exports = { SEASON_RULES, nextSeason, softResetRating, buildStandings };
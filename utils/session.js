@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 function getSessionRecord(sessions, sessionId, sessionTtlMs) {
   const record = sessions.get(sessionId);
   if (!record) return null;
@@ -23,6 +25,36 @@ function getUserIdFromSession(sessions, sessionId, sessionTtlMs) {
   return rec.userId;
 }
 
-module.exports = { getSessionRecord, getUserIdFromSession };
+/**
+ * 새 세션 기록 (세션 목록에 보여줄 접속 정보 포함)
+ * @param {{ userAgent?: string|null, ip?: string|null }} [meta]
+ */
+function createSessionRecord(userId, sessionTtlMs, meta = {}, now = Date.now()) {
+  const { userAgent = null, ip = null } = meta;
+  return {
+    userId,
+    expiresAt: now + sessionTtlMs,
+    lastUsedAt: now,
+    createdAt: now,
+    userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+    ip: ip || null
+  };
+}
+
+/**
+ * 저장용 세션 키 (토큰 원문은 DB/JSON에 남기지 않고 SHA-256 해시로만 보관)
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * 세션 목록/해제에 쓰는 공개 식별자 (저장된 세션 키에서 다시 줄여 만듦)
+ */
+function sessionKeyOf(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
+module.exports = { getSessionRecord, getUserIdFromSession, createSessionRecord, hashSessionToken, sessionKeyOf };
 
 
@@ -0,0 +1,123 @@
+// 공유 상태 저장소 (게임 세션/상태, 플레이어 디렉터리, 매칭 대기열, 재연결 대기)
+// 메모리 백엔드는 한 프로세스 안에서만 보이고, Redis 백엔드는 여러 인스턴스가 같은 상태를 보며 재시작 후에도 남는다.
+// 값은 JSON으로 저장하므로 Set/Map/타이머는 부르는 쪽에서 직렬화한다.
+
+const { Redis } = require('ioredis');
+
+const STORE_RULES = {
+  // Redis 키 접두사 (같은 Redis를 여러 배포가 같이 쓸 때 구분)
+  prefix: 'cmic',
+  // 분산 잠금 기본 유지 시간 (잡은 쪽이 죽어도 이 시간이 지나면 풀림)
+  lockTtlMs: 5000
+};
+
+/**
+ * 메모리 백엔드 (기본값, 단일 인스턴스)
+ */
+function createMemoryStore() {
+  const collections = new Map(); // 컬렉션 -> key -> JSON 문자열
+  const locks = new Map(); // 잠금 이름 -> { owner, expiresAt }
+
+  function collectionOf(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  return {
+    kind: 'memory',
+    client: null,
+    async get(name, key) {
+      const raw = collectionOf(name).get(key);
+      return raw === undefined ? null : JSON.parse(raw);
+    },
+    async set(name, key, value) {
+      // Redis와 같게 저장 시점의 값으로 고정
+      collectionOf(name).set(key, JSON.stringify(value));
+    },
+    async delete(name, key) {
+      collectionOf(name).delete(key);
+    },
+    async getAll(name) {
+      return new Map(Array.from(collectionOf(name), ([key, raw]) => [key, JSON.parse(raw)]));
+    },
+    async acquireLock(name, owner, ttlMs = STORE_RULES.lockTtlMs, now = Date.now()) {
+      const lock = locks.get(name);
+      if (lock && lock.expiresAt > now) return false;
+      locks.set(name, { owner, expiresAt: now + ttlMs });
+      return true;
+    },
+    async renewLock(name, owner, ttlMs = STORE_RULES.lockTtlMs, now = Date.now()) {
+      const lock = locks.get(name);
+      if (!lock || lock.owner !== owner || lock.expiresAt <= now) return false;
+      lock.expiresAt = now + ttlMs;
+      return true;
+    },
+    async releaseLock(name, owner) {
+      const lock = locks.get(name);
+      if (lock && lock.owner === owner) locks.delete(name);
+    },
+    async close() {}
+  };
+}
+
+/**
+ * Redis 호환 백엔드 (컬렉션마다 해시 하나, 잠금은 SET NX PX)
+ * @param {import('ioredis').Redis} client
+ * @param {{ prefix?: string }} [options]
+ */
+function createRedisStore(client, { prefix = STORE_RULES.prefix } = {}) {
+  const keyOf = (name) => `${prefix}:${name}`;
+  const lockKeyOf = (name) => `${prefix}:lock:${name}`;
+
+  return {
+    kind: 'redis',
+    client,
+    async get(name, key) {
+      const raw = await client.hget(keyOf(name), key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(name, key, value) {
+      await client.hset(keyOf(name), key, JSON.stringify(value));
+    },
+    async delete(name, key) {
+      await client.hdel(keyOf(name), key);
+    },
+    async getAll(name) {
+      const raw = await client.hgetall(keyOf(name));
+      return new Map(Object.entries(raw).map(([key, value]) => [key, JSON.parse(value)]));
+    },
+    async acquireLock(name, owner, ttlMs = STORE_RULES.lockTtlMs) {
+      return (await client.set(lockKeyOf(name), owner, 'PX', ttlMs, 'NX')) === 'OK';
+    },
+    async renewLock(name, owner, ttlMs = STORE_RULES.lockTtlMs) {
+      // 연장 주기가 유지 시간보다 훨씬 짧으므로 GET과 SET 사이에 만료되는 경우는 무시
+      if (await client.get(lockKeyOf(name)) !== owner) return false;
+      return (await client.set(lockKeyOf(name), owner, 'PX', ttlMs, 'XX')) === 'OK';
+    },
+    async releaseLock(name, owner) {
+      // 잠금은 유지 시간보다 훨씬 짧게 쥐므로 GET과 DEL 사이에 만료되는 경우는 무시
+      if (await client.get(lockKeyOf(name)) === owner) await client.del(lockKeyOf(name));
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+/**
+ * 환경에 맞는 저장소 생성 (redisUrl이 없으면 메모리)
+ * @param {{ redisUrl?: string, prefix?: string }} [options]
+ */
+function createStateStore({ redisUrl = '', prefix = STORE_RULES.prefix } = {}) {
+  if (!redisUrl) return createMemoryStore();
+  const client = new Redis(redisUrl, { maxRetriesPerRequest: 3 });
+  client.on('error', (error) => console.error('❌ Redis 연결 오류:', error.message));
+  return createRedisStore(client, { prefix });
+}
+
+module.exports = {
+  STORE_RULES,
+  createMemoryStore,
+  createRedisStore,
+  createStateStore
+};
@@ -0,0 +1,167 @@
+// 2단계 인증 (RFC 6238 TOTP, 인증 앱의 6자리 코드)와 일회용 백업 코드
+
+const crypto = require('crypto');
+
+const TOTP_RULES = {
+  issuer: 'Cast Me If You Can',
+  digits: 6,
+  stepSeconds: 30,
+  // 앞뒤 몇 구간까지 허용할지 (기기 시계 오차)
+  window: 1,
+  secretBytes: 20,
+  backupCodeCount: 10,
+  // 비밀번호 확인 후 코드 입력까지 기다리는 시간과 허용 시도 수
+  loginTicketTtlMs: 5 * 60 * 1000,
+  loginTicketMaxAttempts: 5
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * @returns {Buffer|null} 올바른 base32가 아니면 null
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 새 TOTP 비밀키 (base32)
+ */
+function generateSecret(bytes = TOTP_RULES.secretBytes) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * 시각이 속한 시간 구간 번호
+ */
+function stepOf(now = Date.now(), stepSeconds = TOTP_RULES.stepSeconds) {
+  return Math.floor(now / 1000 / stepSeconds);
+}
+
+/**
+ * 시간 구간의 코드 (HOTP, HMAC-SHA1)
+ */
+function codeAt(secret, step, digits = TOTP_RULES.digits) {
+  const key = base32Decode(secret);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * 코드 확인 (같은 구간 코드를 다시 쓰지 못하도록 lastStep 이후 구간만 인정)
+ * @returns {number|null} 맞으면 그 코드의 구간 번호
+ */
+function verifyCode(secret, code, { now = Date.now(), lastStep = null, window = TOTP_RULES.window } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_RULES.digits}}$`).test(normalized)) return null;
+  const current = stepOf(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/**
+ * 인증 앱 등록용 otpauth:// URI
+ */
+function otpauthUri(secret, accountName, issuer = TOTP_RULES.issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_RULES.digits),
+    period: String(TOTP_RULES.stepSeconds)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * 일회용 백업 코드 (xxxx-xxxx 형식, 원문은 발급할 때 한 번만 보여줌)
+ */
+function generateBackupCodes(count = TOTP_RULES.backupCodeCount) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+/**
+ * 백업 코드 저장용 해시 (대소문자와 하이픈 무시)
+ */
+function hashBackupCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * 백업 코드 형식인지 (TOTP 6자리 코드와 구분)
+ */
+function isBackupCode(code) {
+  return /^[0-9a-f]{4}-?[0-9a-f]{4}$/i.test(String(code || '').trim());
+}
+
+/**
+ * 2단계 인증 코드 확인 (인증 앱 코드면 userData.totpLastStep 갱신, 백업 코드면 consumeBackupCode로 사용 처리)
+ * @param {(codeHash: string) => boolean} consumeBackupCode - 쓰지 않은 코드였으면 true
+ * @returns {'totp'|'backup'|null} 맞으면 사용한 방식
+ */
+function checkSecondFactor(userData, code, consumeBackupCode, now = Date.now()) {
+  if (!userData || !userData.totpSecret) return null;
+  if (isBackupCode(code)) return consumeBackupCode(hashBackupCode(code)) ? 'backup' : null;
+  const step = verifyCode(userData.totpSecret, code, { now, lastStep: userData.totpLastStep ?? null });
+  if (step === null) return null;
+  userData.totpLastStep = step;
+  return 'totp';
+}
+
+module.exports = {
+  TOTP_RULES,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  stepOf,
+  codeAt,
+  verifyCode,
+  otpauthUri,
+  generateBackupCodes,
+  hashBackupCode,
+  isBackupCode,
+  checkSecondFactor
+};
@@ -0,0 +1,413 @@
+// 토너먼트 (싱글 엘리미네이션 / 스위스)
+// 대진표와 순위 계산만 담당하고, 게임 생성과 저장은 서버가 한다.
+// 경기 상태: waiting(상대 미정) → ready(두 플레이어 확정) → playing(게임 진행 중) → done
+const crypto = require('crypto');
+
+const TOURNAMENT_RULES = {
+  minPlayers: 2,
+  maxPlayers: 64,
+  formats: ['single', 'swiss']
+};
+
+/**
+ * 싱글 엘리미네이션 시드 배치 순서 (8강: 1,8,4,5,2,7,3,6 → 상위 시드끼리는 최대한 늦게 만남)
+ * @param {number} size - 2의 거듭제곱
+ * @returns {number[]}
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * 토너먼트 목록 생성
+ */
+function createTournamentRegistry(rules = TOURNAMENT_RULES) {
+  const tournaments = new Map(); // id -> tournament
+
+  function generateId() {
+    let id;
+    do {
+      id = `tour_${crypto.randomBytes(4).toString('hex')}`;
+    } while (tournaments.has(id));
+    return id;
+  }
+
+  /**
+   * 토너먼트 생성 (참가 신청 상태)
+   * @param {{ name: string, format: 'single' | 'swiss', rounds?: number|null, createdBy: number }} options - rounds는 스위스 라운드 수 (생략하면 참가자 수 기준)
+   */
+  function create({ name, format, rounds = null, createdBy }, now = Date.now()) {
+    const tournament = {
+      id: generateId(),
+      name,
+      format,
+      status: 'registration',
+      createdBy,
+      swissRounds: rounds,
+      totalRounds: 0,
+      currentRound: 0,
+      players: [], // { userId, nickname, seed, registeredAt }
+      rounds: [], // 라운드별 경기 목록
+      championId: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    tournaments.set(tournament.id, tournament);
+    return tournament;
+  }
+
+  function get(id) {
+    return tournaments.get(id) || null;
+  }
+
+  function list() {
+    return Array.from(tournaments.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 저장된 토너먼트 복원 (서버 시작 시)
+   */
+  function load(saved) {
+    for (const tournament of saved) {
+      tournaments.set(tournament.id, tournament);
+    }
+  }
+
+  /**
+   * 참가 신청 (계정 전용)
+   * @returns {{ ok: boolean, error?: string, tournament?: Object }}
+   */
+  function register(id, { userId, nickname }, now = Date.now()) {
+    const tournament = get(id);
+    if (!tournament) return { ok: false, error: '토너먼트를 찾을 수 없습니다.' };
+    if (tournament.status !== 'registration') return { ok: false, error: '참가 신청이 마감되었습니다.' };
+    if (tournament.players.some(p => p.userId === userId)) return { ok: false, error: '이미 참가 신청했습니다.' };
+    if (tournament.players.length >= rules.maxPlayers) return { ok: false, error: '참가 인원이 가득 찼습니다.' };
+    tournament.players.push({ userId, nickname, seed: null, registeredAt: now });
+    return { ok: true, tournament };
+  }
+
+  /**
+   * 참가 신청 취소 (시작 전만)
+   * @returns {{ ok: boolean, error?: string, tournament?: Object }}
+   */
+  function unregister(id, userId) {
+    const tournament = get(id);
+    if (!tournament) return { ok: false, error: '토너먼트를 찾을 수 없습니다.' };
+    if (tournament.status !== 'registration') return { ok: false, error: '이미 시작된 토너먼트입니다.' };
+    const index = tournament.players.findIndex(p => p.userId === userId);
+    if (index === -1) return { ok: false, error: '참가 신청하지 않았습니다.' };
+    tournament.players.splice(index, 1);
+    return { ok: true, tournament };
+  }
+
+  function createMatch(round, index, players) {
+    return {
+      id: `${round}-${index + 1}`,
+      round,
+      players, // [userId|null, userId|null], 0번이 호스트
+      winnerId: null,
+      status: 'waiting',
+      bye: false,
+      gameId: null,
+      finishedAt: null
+    };
+  }
+
+  function findMatch(tournament, matchId) {
+    for (const round of tournament.rounds) {
+      const match = round.find(m => m.id === matchId);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * 시드 점수(정식 결투 랭킹) 높은 순으로 시드 배정 후 1라운드 대진 생성
+   * @param {(userId: number) => number} seedScoreOf
+   * @returns {{ ok: boolean, error?: string, tournament?: Object }}
+   */
+  function start(id, seedScoreOf, now = Date.now()) {
+    const tournament = get(id);
+    if (!tournament) return { ok: false, error: '토너먼트를 찾을 수 없습니다.' };
+    if (tournament.status !== 'registration') return { ok: false, error: '이미 시작된 토너먼트입니다.' };
+    if (tournament.players.length < rules.minPlayers) return { ok: false, error: `최소 ${rules.minPlayers}명이 필요합니다.` };
+
+    tournament.players
+      .sort((a, b) => (seedScoreOf(b.userId) - seedScoreOf(a.userId)) || (a.registeredAt - b.registeredAt))
+      .forEach((p, index) => { p.seed = index + 1; });
+    tournament.status = 'running';
+    tournament.startedAt = now;
+
+    if (tournament.format === 'single') {
+      buildSingleElimination(tournament, now);
+    } else {
+      tournament.totalRounds = tournament.swissRounds || Math.max(1, Math.ceil(Math.log2(tournament.players.length)));
+      pairSwissRound(tournament, now);
+    }
+    return { ok: true, tournament };
+  }
+
+  // 싱글 엘리미네이션: 전체 대진표를 미리 만들고 부전승은 바로 다음 라운드로 올린다
+  function buildSingleElimination(tournament, now) {
+    const bySeed = new Map(tournament.players.map(p => [p.seed, p.userId]));
+    const size = 2 ** Math.ceil(Math.log2(tournament.players.length));
+    const order = seedOrder(size);
+    tournament.totalRounds = Math.log2(size);
+    tournament.currentRound = 1;
+    tournament.rounds = [];
+    for (let round = 1; round <= tournament.totalRounds; round++) {
+      const count = size / 2 ** round;
+      tournament.rounds.push(Array.from({ length: count }, (_, index) => {
+        const players = round === 1
+          ? [bySeed.get(order[index * 2]) ?? null, bySeed.get(order[index * 2 + 1]) ?? null]
+          : [null, null];
+        return createMatch(round, index, players);
+      }));
+    }
+    for (const match of tournament.rounds[0]) {
+      const present = match.players.filter(userId => userId !== null);
+      if (present.length === 2) {
+        match.status = 'ready';
+      } else {
+        match.bye = true;
+        completeMatch(tournament, match, present[0], now);
+      }
+    }
+  }
+
+  // 스위스: 점수 높은 순으로 아직 만나지 않은 상대와 짝짓고, 홀수면 부전승 경험이 없는 최하위에게 부전승
+  function pairSwissRound(tournament, now) {
+    const round = tournament.rounds.length + 1;
+    const order = standings(tournament).map(row => row.userId);
+    const met = opponentsOf(tournament);
+    const matches = [];
+
+    if (order.length % 2 === 1) {
+      const byes = new Set(tournament.rounds.flat().filter(m => m.bye).map(m => m.players[0]));
+      const byeUserId = [...order].reverse().find(userId => !byes.has(userId)) ?? order[order.length - 1];
+      order.splice(order.indexOf(byeUserId), 1);
+      const match = createMatch(round, 0, [byeUserId, null]);
+      match.bye = true;
+      matches.push(match);
+    }
+    while (order.length > 0) {
+      const userId = order.shift();
+      const opponentIndex = Math.max(0, order.findIndex(other => !met.get(userId).has(other)));
+      const [opponentId] = order.splice(opponentIndex, 1);
+      const match = createMatch(round, matches.length, [userId, opponentId]);
+      match.status = 'ready';
+      matches.push(match);
+    }
+    // 부전승 경기는 목록 맨 뒤 번호로
+    if (matches[0] && matches[0].bye) {
+      matches.push(matches.shift());
+      matches.forEach((m, index) => { m.id = `${round}-${index + 1}`; });
+    }
+    tournament.rounds.push(matches);
+    tournament.currentRound = round;
+    for (const match of matches.filter(m => m.bye)) {
+      completeMatch(tournament, match, match.players[0], now);
+    }
+  }
+
+  function opponentsOf(tournament) {
+    const met = new Map(tournament.players.map(p => [p.userId, new Set()]));
+    for (const match of tournament.rounds.flat()) {
+      const [a, b] = match.players;
+      if (a === null || b === null) continue;
+      met.get(a)?.add(b);
+      met.get(b)?.add(a);
+    }
+    return met;
+  }
+
+  // 경기 결과 반영 후 다음 경기/라운드 진행
+  function completeMatch(tournament, match, winnerId, now) {
+    match.winnerId = winnerId;
+    match.status = 'done';
+    match.finishedAt = now;
+
+    if (tournament.format === 'single') {
+      if (match.round === tournament.totalRounds) {
+        finish(tournament, winnerId, now);
+        return;
+      }
+      const index = tournament.rounds[match.round - 1].indexOf(match);
+      const next = tournament.rounds[match.round][Math.floor(index / 2)];
+      next.players[index % 2] = winnerId;
+      if (next.players.every(userId => userId !== null)) next.status = 'ready';
+      tournament.currentRound = Math.min(...tournament.rounds.flat().filter(m => m.status !== 'done').map(m => m.round));
+      return;
+    }
+
+    const current = tournament.rounds[tournament.rounds.length - 1];
+    if (current.some(m => m.status !== 'done')) return;
+    if (tournament.rounds.length >= tournament.totalRounds) {
+      finish(tournament, standings(tournament)[0].userId, now);
+    } else {
+      pairSwissRound(tournament, now);
+    }
+  }
+
+  function finish(tournament, championId, now) {
+    tournament.status = 'finished';
+    tournament.championId = championId;
+    tournament.finishedAt = now;
+  }
+
+  /**
+   * 경기 결과 보고 (게임 종료 시 서버가 호출)
+   * @returns {{ ok: boolean, error?: string, tournament?: Object, match?: Object }}
+   */
+  function reportResult(id, matchId, winnerId, now = Date.now()) {
+    const tournament = get(id);
+    if (!tournament || tournament.status !== 'running') return { ok: false, error: '진행 중인 토너먼트가 아닙니다.' };
+    const match = findMatch(tournament, matchId);
+    if (!match || match.status === 'done' || match.status === 'waiting') return { ok: false, error: '결과를 반영할 수 없는 경기입니다.' };
+    if (!match.players.includes(winnerId)) return { ok: false, error: '경기 참가자가 아닙니다.' };
+    completeMatch(tournament, match, winnerId, now);
+    return { ok: true, tournament, match };
+  }
+
+  /**
+   * 게임 시작/중단에 따른 경기 상태 변경 (gameId가 null이면 다시 대기)
+   */
+  function setMatchGame(id, matchId, gameId) {
+    const tournament = get(id);
+    const match = tournament ? findMatch(tournament, matchId) : null;
+    if (!match || match.status === 'done' || match.status === 'waiting') return null;
+    match.gameId = gameId;
+    match.status = gameId ? 'playing' : 'ready';
+    return match;
+  }
+
+  /**
+   * 진행 중인 토너먼트의 특정 상태 경기 목록
+   * @param {'ready' | 'playing'} status
+   * @returns {Array<{ tournament: Object, match: Object }>}
+   */
+  function matchesByStatus(status) {
+    const found = [];
+    for (const tournament of tournaments.values()) {
+      if (tournament.status !== 'running') continue;
+      for (const match of tournament.rounds.flat()) {
+        if (match.status === status) found.push({ tournament, match });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * 순위표
+   * 싱글 엘리미네이션은 우승 → 도달한 라운드 → 시드 순, 스위스는 승점 → 부흐홀츠(상대 승점 합) → 시드 순
+   */
+  function standings(tournament) {
+    const rows = new Map(tournament.players.map(p => [p.userId, {
+      userId: p.userId,
+      nickname: p.nickname,
+      seed: p.seed,
+      wins: 0,
+      losses: 0,
+      byes: 0,
+      points: 0,
+      buchholz: 0,
+      reachedRound: 1,
+      eliminated: false
+    }]));
+    for (const match of tournament.rounds.flat()) {
+      for (const userId of match.players) {
+        const row = rows.get(userId);
+        if (row) row.reachedRound = Math.max(row.reachedRound, match.round);
+      }
+      if (match.status !== 'done') continue;
+      const winner = rows.get(match.winnerId);
+      if (match.bye) {
+        winner.byes++;
+        winner.points++;
+        continue;
+      }
+      winner.wins++;
+      winner.points++;
+      const loser = rows.get(match.players.find(userId => userId !== match.winnerId));
+      loser.losses++;
+      if (tournament.format === 'single') loser.eliminated = true;
+    }
+    if (tournament.format === 'swiss') {
+      const met = opponentsOf(tournament);
+      for (const row of rows.values()) {
+        row.buchholz = Array.from(met.get(row.userId)).reduce((sum, userId) => sum + rows.get(userId).points, 0);
+      }
+    }
+
+    const seedOf = (row) => row.seed ?? Infinity;
+    const sorted = Array.from(rows.values()).sort((a, b) => {
+      if (tournament.format === 'single') {
+        return (Number(b.userId === tournament.championId) - Number(a.userId === tournament.championId))
+          || (b.reachedRound - a.reachedRound)
+          || (Number(a.eliminated) - Number(b.eliminated))
+          || (seedOf(a) - seedOf(b));
+      }
+      return (b.points - a.points) || (b.buchholz - a.buchholz) || (seedOf(a) - seedOf(b));
+    });
+    return sorted.map((row, index) => ({ rank: index + 1, ...row }));
+  }
+
+  /**
+   * 클라이언트에 보낼 토너먼트 정보 (대진표와 순위)
+   */
+  function toPublic(tournament) {
+    const nicknameOf = new Map(tournament.players.map(p => [p.userId, p.nickname]));
+    const player = (userId) => (userId === null ? null : { userId, nickname: nicknameOf.get(userId) || `(ID:${userId})` });
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      status: tournament.status,
+      createdBy: tournament.createdBy,
+      totalRounds: tournament.totalRounds,
+      currentRound: tournament.currentRound,
+      players: tournament.players.map(p => ({ userId: p.userId, nickname: p.nickname, seed: p.seed })),
+      rounds: tournament.rounds.map(round => round.map(match => ({
+        id: match.id,
+        round: match.round,
+        players: match.players.map(player),
+        winner: player(match.winnerId),
+        status: match.status,
+        bye: match.bye,
+        live: match.status === 'playing'
+      }))),
+      standings: standings(tournament),
+      champion: player(tournament.championId),
+      createdAt: tournament.createdAt,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt
+    };
+  }
+
+  /**
+   * 목록용 요약
+   */
+  function toSummary(tournament) {
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      status: tournament.status,
+      playerCount: tournament.players.length,
+      currentRound: tournament.currentRound,
+      totalRounds: tournament.totalRounds,
+      createdAt: tournament.createdAt
+    };
+  }
+
+  return { create, get, list, load, register, unregister, start, reportResult, setMatchGame, matchesByStatus, standings, toPublic, toSummary };
+}
+
+module.exports = { TOURNAMENT_RULES, seedOrder, createTournamentRegistry };